@@ -1,7 +1,17 @@
+import fs from "fs";
+import path from "path";
 import request from "supertest";
 import app from "../src/app.js";
 import User from "../src/models/User.js";
 import Merchant from "../src/models/Merchant.js";
+import Bank from "../src/models/Bank.js";
+import FeeSchedule from "../src/models/FeeSchedule.js";
+import DailyRevenue from "../src/models/DailyRevenue.js";
+import TwoFactorCredential from "../src/models/TwoFactorCredential.js";
+import { generateCode, currentStep } from "../src/utils/totp.js";
+import { issueApiKey, revokeApiKey } from "../src/services/bankApiKeyService.js";
+import { reviewKyc } from "../src/services/kycService.js";
+import { getPaylabsSimulator } from "../src/utils/PaylabsSimulator.js";
 
 // Mock data with unique timestamps to avoid conflicts
 const uniqueId = Date.now();
@@ -28,6 +38,27 @@ const testUser2 = {
 let authToken = "";
 let refreshToken = "";
 
+// Email terakhir untuk penerima dari file transport (default transport di test)
+const readLatestMail = (to) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join("tmp", "mail");
+    const files = fs.readdirSync(dir).sort().reverse();
+    for (const file of files) {
+        const mail = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        if (mail.to === to) return mail;
+    }
+    return null;
+};
+
+// Audit log ditulis setelah response selesai — tunggu sebentar sampai entry muncul
+const waitFor = async (check, attempts = 20) => {
+    for (let i = 0; i < attempts; i++) {
+        const result = await check();
+        if (result) return result;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    return null;
+};
+
 describe("Authentication API", () => {
     describe("POST /api/auth/register", () => {
         test("Should register new merchant successfully", async () => {
@@ -38,6 +69,22 @@ describe("Authentication API", () => {
             expect(response.body.data.email).toBe(testUser.email);
         });
 
+        test("Should send a verification email and verify the address", async () => {
+            const mail = readLatestMail(testUser.email);
+            expect(mail).not.toBeNull();
+
+            const token = mail.text.match(/token=([a-f0-9]{64})/)[1];
+            const response = await request(app).post("/api/auth/verify-email").send({ token }).expect(200);
+
+            expect(response.body.success).toBe(true);
+        });
+
+        test("Should return 400 for an unknown verification token", async () => {
+            const response = await request(app).post("/api/auth/verify-email").send({ token: "a".repeat(64) }).expect(400);
+
+            expect(response.body.success).toBe(false);
+        });
+
         test("Should return 400 if email already registered", async () => {
             await request(app).post("/api/auth/register").send(testUser2);
 
@@ -98,6 +145,7 @@ describe("Authentication API", () => {
             expect(response.body.data).toHaveProperty("accessToken");
             expect(response.body.data).toHaveProperty("refreshToken");
             expect(response.body.data.user.email).toBe(testUser.email);
+            expect(response.body.data.user.role).toBe("merchant_owner");
 
             authToken = response.body.data.accessToken;
             refreshToken = response.body.data.refreshToken;
@@ -156,6 +204,200 @@ describe("Authentication API", () => {
 
             expect(response.body.success).toBe(false);
         });
+
+        test("Should rotate refresh token and revoke the session on reuse", async () => {
+            const login = await request(app).post("/api/auth/login").send({ email: testUser.email, password: testUser.password }).expect(200);
+            const firstToken = login.body.data.refreshToken;
+
+            const rotated = await request(app).post("/api/auth/refresh").send({ refreshToken: firstToken }).expect(200);
+            const secondToken = rotated.body.data.refreshToken;
+            expect(secondToken).toBeDefined();
+            expect(secondToken).not.toBe(firstToken);
+
+            // Token lama dipakai ulang → seluruh sesi dicabut, termasuk token baru
+            await request(app).post("/api/auth/refresh").send({ refreshToken: firstToken }).expect(401);
+            await request(app).post("/api/auth/refresh").send({ refreshToken: secondToken }).expect(401);
+        });
+    });
+
+    describe("POST /api/auth/request-password-reset", () => {
+        test("Should send the reset token by email only", async () => {
+            const response = await request(app).post("/api/auth/request-password-reset").send({ email: testUser2.email }).expect(200);
+
+            expect(response.body.data).not.toHaveProperty("resetToken");
+            expect(readLatestMail(testUser2.email).subject).toMatch(/Reset password/);
+        });
+    });
+
+    describe("Unverified email", () => {
+        test("Should return 403 for sensitive actions before verification", async () => {
+            const login = await request(app).post("/api/auth/login").send({ email: testUser2.email, password: testUser2.password }).expect(200);
+
+            const response = await request(app)
+                .post("/api/merchant/consents")
+                .set("Authorization", `Bearer ${login.body.data.accessToken}`)
+                .send({ bankId: "TESTBANK", scope: "score", expiresAt: new Date(Date.now() + 86400000).toISOString() })
+                .expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+    });
+
+    describe("Login throttling", () => {
+        const throttleEnv = ["LOGIN_EMAIL_FREE_ATTEMPTS", "LOGIN_EMAIL_LOCKOUT_THRESHOLD"];
+        const originalEnv = {};
+        const wrongLogin = (email) => request(app).post("/api/auth/login").send({ email, password: "WrongPassword123" });
+
+        beforeAll(() => {
+            throttleEnv.forEach((name) => (originalEnv[name] = process.env[name]));
+        });
+
+        afterAll(() => {
+            throttleEnv.forEach((name) => (originalEnv[name] === undefined ? delete process.env[name] : (process.env[name] = originalEnv[name])));
+        });
+
+        test("Should return 429 with Retry-After after the free attempts", async () => {
+            process.env.LOGIN_EMAIL_FREE_ATTEMPTS = "1";
+            process.env.LOGIN_EMAIL_LOCKOUT_THRESHOLD = "10";
+            const email = `throttle-${uniqueId}@merchant.com`;
+
+            await wrongLogin(email).expect(401);
+            const response = await wrongLogin(email).expect(429);
+
+            expect(response.headers["retry-after"]).toBeDefined();
+        });
+
+        test("Should lock the account and unlock it with the emailed token", async () => {
+            process.env.LOGIN_EMAIL_FREE_ATTEMPTS = "5";
+            process.env.LOGIN_EMAIL_LOCKOUT_THRESHOLD = "3";
+
+            for (let i = 0; i < 3; i++) {
+                await wrongLogin(testUser2.email).expect(401);
+            }
+
+            // Password benar pun ditolak selama terkunci
+            await request(app).post("/api/auth/login").send({ email: testUser2.email, password: testUser2.password }).expect(423);
+
+            const mail = readLatestMail(testUser2.email);
+            expect(mail.subject).toMatch(/dikunci/);
+
+            const token = mail.text.match(/token=([a-f0-9]{64})/)[1];
+            await request(app).post("/api/auth/unlock-account").send({ token }).expect(200);
+            await request(app).post("/api/auth/unlock-account").send({ token }).expect(400);
+
+            await request(app).post("/api/auth/login").send({ email: testUser2.email, password: testUser2.password }).expect(200);
+        });
+    });
+
+    describe("Account status", () => {
+        afterAll(async () => {
+            await User.update({ status: "Active" }, { where: { email: testUser2.email } });
+        });
+
+        test("Should reject login and existing tokens of a suspended account", async () => {
+            const login = await request(app).post("/api/auth/login").send({ email: testUser2.email, password: testUser2.password }).expect(200);
+
+            await User.update({ status: "Suspended" }, { where: { email: testUser2.email } });
+
+            await request(app).get("/api/merchant/profile").set("Authorization", `Bearer ${login.body.data.accessToken}`).expect(403);
+            await request(app).post("/api/auth/refresh").send({ refreshToken: login.body.data.refreshToken }).expect(401);
+            await request(app).post("/api/auth/login").send({ email: testUser2.email, password: testUser2.password }).expect(403);
+        });
+    });
+
+    describe("Two-factor authentication", () => {
+        test("Should enroll, require a TOTP code at login, and accept recovery codes", async () => {
+            const setup = await request(app).post("/api/auth/2fa/setup").set("Authorization", `Bearer ${authToken}`).expect(200);
+            const { secret, otpauthUrl } = setup.body.data;
+            expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+            const enabledCode = generateCode(secret);
+            const enable = await request(app).post("/api/auth/2fa/enable").set("Authorization", `Bearer ${authToken}`).send({ code: enabledCode }).expect(200);
+            const { recoveryCodes } = enable.body.data;
+            expect(recoveryCodes).toHaveLength(10);
+
+            const login = await request(app).post("/api/auth/login").send({ email: testUser.email, password: testUser.password }).expect(200);
+            expect(login.body.data.twoFactorRequired).toBe(true);
+            expect(login.body.data).not.toHaveProperty("accessToken");
+            const { challengeToken } = login.body.data;
+
+            // Kode yang sudah dipakai tidak bisa dipakai lagi
+            await request(app).post("/api/auth/login/2fa").send({ challengeToken, code: enabledCode }).expect(401);
+
+            const verified = await request(app)
+                .post("/api/auth/login/2fa")
+                .send({ challengeToken, code: generateCode(secret, currentStep() + 1) })
+                .expect(200);
+            expect(verified.body.data).toHaveProperty("accessToken");
+
+            const recoveryLogin = await request(app).post("/api/auth/login").send({ email: testUser.email, password: testUser.password }).expect(200);
+            const recovered = await request(app).post("/api/auth/login/2fa").send({ challengeToken: recoveryLogin.body.data.challengeToken, recoveryCode: recoveryCodes[0] }).expect(200);
+            expect(recovered.body.data.recoveryCodesRemaining).toBe(9);
+
+            // Recovery code yang sama dipakai 2 request bersamaan → hanya satu yang lolos
+            const logins = await Promise.all([1, 2].map(() => request(app).post("/api/auth/login").send({ email: testUser.email, password: testUser.password }).expect(200)));
+            const attempts = await Promise.all(logins.map((res) => request(app).post("/api/auth/login/2fa").send({ challengeToken: res.body.data.challengeToken, recoveryCode: recoveryCodes[2] })));
+            expect(attempts.map((res) => res.status).sort()).toEqual([200, 401]);
+
+            await request(app).post("/api/auth/2fa/disable").set("Authorization", `Bearer ${authToken}`).send({ recoveryCode: recoveryCodes[1] }).expect(200);
+        });
+
+        test("Should return 401 for an invalid challenge token", async () => {
+            await request(app).post("/api/auth/login/2fa").send({ challengeToken: "invalid.challenge.token", code: "123456" }).expect(401);
+        });
+
+        describe("Bank roles", () => {
+            beforeAll(async () => {
+                await User.update({ role: "bank_officer", bankId: "TESTBANK" }, { where: { email: testUser2.email } });
+            });
+
+            afterAll(async () => {
+                const user = await User.findOne({ where: { email: testUser2.email } });
+                await TwoFactorCredential.destroy({ where: { userId: user.id } });
+                await user.update({ role: "merchant_owner", bankId: null });
+            });
+
+            test("Should require 2FA enrollment before issuing tokens", async () => {
+                const login = await request(app).post("/api/auth/login").send({ email: testUser2.email, password: testUser2.password }).expect(200);
+                expect(login.body.data.twoFactorSetupRequired).toBe(true);
+                expect(login.body.data).not.toHaveProperty("accessToken");
+
+                const { challengeToken } = login.body.data;
+                await request(app).get("/api/bank/merchants/all").set("Authorization", `Bearer ${challengeToken}`).expect(401);
+
+                const setup = await request(app).post("/api/auth/2fa/setup").send({ challengeToken }).expect(200);
+                const enable = await request(app).post("/api/auth/2fa/enable").send({ challengeToken, code: generateCode(setup.body.data.secret) }).expect(200);
+
+                expect(enable.body.data).toHaveProperty("accessToken");
+                expect(enable.body.data.recoveryCodes).toHaveLength(10);
+
+                await request(app)
+                    .post("/api/auth/2fa/disable")
+                    .set("Authorization", `Bearer ${enable.body.data.accessToken}`)
+                    .send({ recoveryCode: enable.body.data.recoveryCodes[0] })
+                    .expect(403);
+            });
+        });
+    });
+
+    describe("POST /api/auth/logout", () => {
+        test("Should revoke the refresh token on logout", async () => {
+            const login = await request(app).post("/api/auth/login").send({ email: testUser.email, password: testUser.password }).expect(200);
+            const sessionToken = login.body.data.refreshToken;
+
+            await request(app).post("/api/auth/logout").send({ refreshToken: sessionToken }).expect(200);
+            await request(app).post("/api/auth/refresh").send({ refreshToken: sessionToken }).expect(401);
+        });
+
+        test("Should revoke every session on logout-all", async () => {
+            const login = await request(app).post("/api/auth/login").send({ email: testUser.email, password: testUser.password }).expect(200);
+            const sessionToken = login.body.data.refreshToken;
+
+            const response = await request(app).post("/api/auth/logout-all").set("Authorization", `Bearer ${login.body.data.accessToken}`).expect(200);
+            expect(response.body.data.revokedSessions).toBeGreaterThanOrEqual(1);
+
+            await request(app).post("/api/auth/refresh").send({ refreshToken: sessionToken }).expect(401);
+        });
     });
 });
 
@@ -204,6 +446,20 @@ describe("Merchant API", () => {
         });
     });
 
+    describe("POST /api/merchant/alerts/:alertId/resolve", () => {
+        test("Should return 404 for unknown alert", async () => {
+            const response = await request(app).post("/api/merchant/alerts/00000000-0000-4000-8000-000000000000/resolve").set("Authorization", `Bearer ${authToken}`).send({}).expect(404);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test("Should return 400 when adding an empty note", async () => {
+            const response = await request(app).post("/api/merchant/alerts/00000000-0000-4000-8000-000000000000/notes").set("Authorization", `Bearer ${authToken}`).send({}).expect(400);
+
+            expect(response.body.success).toBe(false);
+        });
+    });
+
     describe("GET /api/merchant/loan-timing", () => {
         test("Should get loan timing recommendation", async () => {
             const response = await request(app).get("/api/merchant/loan-timing").set("Authorization", `Bearer ${authToken}`).expect(200);
@@ -214,10 +470,542 @@ describe("Merchant API", () => {
     });
 });
 
+describe("Virtual Account transactions", () => {
+    test("Should reject a VA transaction without a supported bank", async () => {
+        await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).send({ type: "VA", amount: 150000, productName: "Paket Premium" }).expect(400);
+
+        const response = await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).send({ type: "VA", bank: "JAGO", amount: 150000, productName: "Paket Premium" }).expect(400);
+        expect(response.body.success).toBe(false);
+    });
+});
+
+describe("E-Wallet transactions", () => {
+    test("Should require the payer phone number for OVO", async () => {
+        const response = await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).send({ type: "EWALLET", wallet: "OVO", amount: 75000, productName: "Paket Premium" }).expect(400);
+        expect(response.body.success).toBe(false);
+    });
+
+    test("Should show the payment method mix on the dashboard", async () => {
+        const response = await request(app).get("/api/merchant/dashboard").set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(Array.isArray(response.body.data.paymentMethodMix)).toBe(true);
+    });
+});
+
+describe("Paylabs simulator lifecycle", () => {
+    const simulator = getPaylabsSimulator();
+    let qrisTransactionId = "";
+
+    const createQris = (amount) => request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).send({ type: "QRIS", amount, productName: "Kopi Susu" }).expect(201);
+    const checkStatus = (id) => request(app).get(`/api/transactions/${id}/check-status`).set("Authorization", `Bearer ${authToken}`).expect(200);
+
+    test("Should create a QRIS order and settle it after payment", async () => {
+        const created = await createQris(50000);
+        qrisTransactionId = created.body.data.transactionId;
+        expect(created.body.data.qrCode).toBeDefined();
+
+        const pending = await checkStatus(qrisTransactionId);
+        expect(pending.body.data.status).toBe("Pending");
+
+        simulator.markPaid(qrisTransactionId);
+
+        const paid = await checkStatus(qrisTransactionId);
+        expect(paid.body.data.status).toBe("Success");
+        expect(paid.body.data.paylabsStatus).toBe("02");
+    });
+
+    test("Should fail a transaction from a signed expiry callback", async () => {
+        const created = await createQris(20000);
+        const { transactionId } = created.body.data;
+
+        simulator.markExpired(transactionId);
+        const { headers, rawBody } = simulator.buildCallback(transactionId);
+
+        await request(app).post("/api/transactions/webhook/paylabs").set(headers).send(rawBody).expect(200);
+
+        const detail = await request(app).get(`/api/transactions/${transactionId}`).set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(detail.body.data.status).toBe("Failed");
+    });
+
+    test("Should record revenue once for concurrent success callbacks", async () => {
+        const created = await createQris(15000);
+        const { transactionId } = created.body.data;
+        const merchant = await Merchant.findOne({ where: { userId: (await User.findOne({ where: { email: testUser.email } })).id } });
+        const revenueToday = async () => (await DailyRevenue.findOne({ where: { merchantId: merchant.merchantId, transactionDate: new Date().toISOString().split("T")[0] } }))?.successfulCount || 0;
+        const before = await revenueToday();
+
+        simulator.markPaid(transactionId);
+        const { headers, rawBody } = simulator.buildCallback(transactionId);
+
+        await Promise.all([1, 2].map(() => request(app).post("/api/transactions/webhook/paylabs").set(headers).send(rawBody).expect(200)));
+
+        expect(await revenueToday()).toBe(before + 1);
+    });
+
+    test("Should reject a callback with a tampered body", async () => {
+        const created = await createQris(30000);
+        const { transactionId } = created.body.data;
+
+        simulator.markPaid(transactionId);
+        const { headers } = simulator.buildCallback(transactionId);
+        const tampered = JSON.stringify(simulator.buildCallback(transactionId, { overrides: { amount: "1.00" } }).body);
+
+        await request(app).post("/api/transactions/webhook/paylabs").set(headers).send(tampered).expect(401);
+    });
+
+    test("Should mark a VA order paid via the simulate endpoint", async () => {
+        const created = await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).send({ type: "VA", bank: "BCA", amount: 125000, productName: "Paket Premium", customerName: "Budi" }).expect(201);
+        const { transactionId, vaNumber } = created.body.data;
+        expect(vaNumber).toHaveLength(16);
+
+        const response = await request(app).post(`/api/transactions/${transactionId}/simulate/paid`).set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(response.body.data.callback.status).toBe(200);
+
+        const detail = await request(app).get(`/api/transactions/${transactionId}`).set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(detail.body.data.status).toBe("Success");
+    });
+
+    test("Should refund a paid QRIS transaction through Paylabs", async () => {
+        const response = await request(app).post(`/api/transactions/${qrisTransactionId}/refund`).set("Authorization", `Bearer ${authToken}`).send({ amount: 10000, reason: "Salah pesanan" }).expect(200);
+
+        expect(response.body.data.refundStatus).toBe("Processed");
+        expect(response.body.data.refundableAmount).toBe(40000);
+        expect(simulator.getOrder(qrisTransactionId).refundedAmount).toBe(10000);
+    });
+});
+
+describe("MDR fees", () => {
+    const simulator = getPaylabsSimulator();
+    let override = null;
+
+    beforeAll(async () => {
+        const merchant = await Merchant.findOne({ where: { userId: (await User.findOne({ where: { email: testUser.email } })).id } });
+        override = await FeeSchedule.create({ merchantId: merchant.merchantId, paymentMethod: "QRIS", percentageFee: 0.3, fixedFee: 0, effectiveFrom: "2020-01-01" });
+    });
+
+    afterAll(async () => {
+        if (override) await override.destroy();
+    });
+
+    test("Should compute fee and net amount when a QRIS payment succeeds", async () => {
+        const created = await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).send({ type: "QRIS", amount: 100000, productName: "Paket Premium" }).expect(201);
+        const { transactionId } = created.body.data;
+
+        simulator.markPaid(transactionId);
+        const response = await request(app).get(`/api/transactions/${transactionId}/check-status`).set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        expect(response.body.data.feeAmount).toBe(300);
+        expect(response.body.data.netAmount).toBe(99700);
+    });
+
+    test("Should show net revenue on the dashboard", async () => {
+        const response = await request(app).get("/api/merchant/dashboard?revenueBasis=net").set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        expect(response.body.data.revenueBasis).toBe("net");
+        expect(response.body.data.monthlyFeeAmount).toBeGreaterThanOrEqual(300);
+
+        await request(app).get("/api/merchant/dashboard?revenueBasis=after-tax").set("Authorization", `Bearer ${authToken}`).expect(400);
+    });
+});
+
+describe("Transaction list filters", () => {
+    const product = `SKU-LIST-${Date.now()}`;
+    const created = [];
+
+    beforeAll(async () => {
+        for (const amount of [15000, 30000, 45000]) {
+            const response = await request(app)
+                .post("/api/transactions/create")
+                .set("Authorization", `Bearer ${authToken}`)
+                .send({ type: "CASH", amount, productName: "Es Teh", productInfo: [{ id: product, name: "Es Teh Manis", quantity: 1, price: amount }] })
+                .expect(201);
+            created.push(response.body.data.transactionId);
+        }
+    });
+
+    test("Should filter by product SKU, method and amount range with totals", async () => {
+        const response = await request(app).get(`/api/transactions?product=${product}&paymentMethod=CASH&minAmount=20000`).set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        expect(response.body.data.map((txn) => txn.transactionId).sort()).toEqual(created.slice(1).sort());
+        expect(response.body.totals).toMatchObject({ count: 2, totalAmount: 75000 });
+        expect(response.body.pagination.total).toBe(2);
+    });
+
+    test("Should page through the filtered set with a cursor", async () => {
+        const seen = [];
+        let cursor = null;
+        do {
+            const query = cursor ? `&cursor=${encodeURIComponent(cursor)}` : "";
+            const response = await request(app).get(`/api/transactions?product=${product}&sort=-amount&limit=2${query}`).set("Authorization", `Bearer ${authToken}`).expect(200);
+            seen.push(...response.body.data.map((txn) => Number(txn.amount)));
+            cursor = response.body.pagination.nextCursor;
+        } while (cursor);
+
+        expect(seen).toEqual([45000, 30000, 15000]);
+    });
+
+    test("Should reject a cursor used with another sort", async () => {
+        const first = await request(app).get(`/api/transactions?product=${product}&sort=-amount&limit=1`).set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        await request(app).get(`/api/transactions?sort=amount&cursor=${encodeURIComponent(first.body.pagination.nextCursor)}`).set("Authorization", `Bearer ${authToken}`).expect(400);
+    });
+});
+
+describe("Refunds", () => {
+    let transactionId = "";
+
+    test("Should partially refund a cash transaction", async () => {
+        const created = await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).send({ type: "CASH", amount: 40000, productName: "Nasi Goreng" }).expect(201);
+        transactionId = created.body.data.transactionId;
+
+        const response = await request(app).post(`/api/transactions/${transactionId}/refund`).set("Authorization", `Bearer ${authToken}`).send({ amount: 15000, reason: "Salah pesanan" }).expect(200);
+
+        expect(response.body.data.status).toBe("Success");
+        expect(response.body.data.refundStatus).toBe("Processed");
+        expect(response.body.data.refundedAmount).toBe(15000);
+        expect(response.body.data.refundableAmount).toBe(25000);
+        expect(response.body.data.refunds).toHaveLength(1);
+    });
+
+    test("Should reject a refund above the remaining amount", async () => {
+        await request(app).post(`/api/transactions/${transactionId}/refund`).set("Authorization", `Bearer ${authToken}`).send({ amount: 30000, reason: "Salah pesanan" }).expect(400);
+    });
+
+    test("Should refund the remainder and mark the transaction Refunded", async () => {
+        const response = await request(app).post(`/api/transactions/${transactionId}/refund`).set("Authorization", `Bearer ${authToken}`).send({ reason: "Pesanan dibatalkan" }).expect(200);
+
+        expect(response.body.data.status).toBe("Refunded");
+        expect(response.body.data.refundableAmount).toBe(0);
+        expect(response.body.data.refunds.map((r) => r.amount)).toEqual([15000, 25000]);
+
+        await request(app).post(`/api/transactions/${transactionId}/refund`).set("Authorization", `Bearer ${authToken}`).send({ reason: "Pesanan dibatalkan" }).expect(400);
+    });
+
+    test("Should require a reason", async () => {
+        await request(app).post(`/api/transactions/${transactionId}/refund`).set("Authorization", `Bearer ${authToken}`).send({ amount: 1000 }).expect(400);
+    });
+
+    test("Should return 404 for an unknown transaction", async () => {
+        await request(app).post("/api/transactions/TXN-UNKNOWN/refund").set("Authorization", `Bearer ${authToken}`).send({ reason: "Salah pesanan" }).expect(404);
+    });
+});
+
+describe("Idempotency keys", () => {
+    const idempotencyKey = `pos-retry-${uniqueId}`;
+    const sale = { type: "CASH", amount: 15000, productName: "Nasi Uduk" };
+
+    test("Should return the original transaction when a request is retried", async () => {
+        const first = await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).set("Idempotency-Key", idempotencyKey).send(sale).expect(201);
+        const retry = await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).set("Idempotency-Key", idempotencyKey).send(sale).expect(201);
+
+        expect(retry.headers["idempotent-replayed"]).toBe("true");
+        expect(retry.body.data.transactionId).toBe(first.body.data.transactionId);
+        expect(first.headers["idempotent-replayed"]).toBeUndefined();
+    });
+
+    test("Should reject the same key with a different body", async () => {
+        const response = await request(app)
+            .post("/api/transactions/create")
+            .set("Authorization", `Bearer ${authToken}`)
+            .set("Idempotency-Key", idempotencyKey)
+            .send({ ...sale, amount: 20000 })
+            .expect(422);
+
+        expect(response.body.success).toBe(false);
+    });
+
+    test("Should release the key when the request fails", async () => {
+        const key = `pos-failed-${uniqueId}`;
+        await request(app)
+            .post("/api/transactions/create")
+            .set("Authorization", `Bearer ${authToken}`)
+            .set("Idempotency-Key", key)
+            .send({ ...sale, outletId: "00000000-0000-4000-8000-000000000000" })
+            .expect(404);
+
+        await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).set("Idempotency-Key", key).send(sale).expect(201);
+    });
+
+    test("Should reject a malformed key", async () => {
+        await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${authToken}`).set("Idempotency-Key", "has spaces").send(sale).expect(400);
+    });
+});
+
+describe("Outlets", () => {
+    let outletId = "";
+
+    test("Should create an outlet and reject a duplicate name", async () => {
+        const response = await request(app).post("/api/merchant/outlets").set("Authorization", `Bearer ${authToken}`).send({ name: "Lapak Pasar Minggu", city: "Jakarta" }).expect(201);
+
+        expect(response.body.data.status).toBe("Active");
+        outletId = response.body.data.outletId;
+
+        await request(app).post("/api/merchant/outlets").set("Authorization", `Bearer ${authToken}`).send({ name: "Lapak Pasar Minggu" }).expect(409);
+    });
+
+    test("Should tag a transaction with the outlet and filter by outlet", async () => {
+        const created = await request(app)
+            .post("/api/transactions/create")
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ type: "CASH", amount: 25000, productName: "Kopi Susu", outletId })
+            .expect(201);
+        expect(created.body.data.outletId).toBe(outletId);
+
+        const list = await request(app).get(`/api/transactions?outletId=${outletId}`).set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(list.body.data.map((txn) => txn.transactionId)).toEqual([created.body.data.transactionId]);
+
+        const dashboard = await request(app).get(`/api/merchant/dashboard?outletId=${outletId}`).set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(dashboard.body.data.outlet.outletId).toBe(outletId);
+        expect(Number(dashboard.body.data.monthlyTransactionVolume)).toBe(25000);
+    });
+
+    test("Should return 404 for an unknown outlet filter", async () => {
+        await request(app).get("/api/merchant/dashboard?outletId=00000000-0000-4000-8000-000000000000").set("Authorization", `Bearer ${authToken}`).expect(404);
+    });
+
+    test("Should reject transactions on an inactive outlet", async () => {
+        await request(app).patch(`/api/merchant/outlets/${outletId}`).set("Authorization", `Bearer ${authToken}`).send({ status: "Inactive" }).expect(200);
+
+        await request(app)
+            .post("/api/transactions/create")
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ type: "CASH", amount: 10000, productName: "Teh Manis", outletId })
+            .expect(400);
+    });
+});
+
+describe("Business profile", () => {
+    test("Should normalise NPWP and record identity changes", async () => {
+        const response = await request(app)
+            .patch("/api/merchant/profile")
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ taxId: "01.234.567.8-901.000", businessLicenseNumber: "9120001234567" })
+            .expect(200);
+
+        expect(response.body.data.merchant.taxId).toBe("012345678901000");
+        expect(response.body.data.changes.map((c) => c.field).sort()).toEqual(["businessLicenseNumber", "taxId"]);
+    });
+
+    test("Should require a reason when changing business scale", async () => {
+        await request(app).patch("/api/merchant/profile").set("Authorization", `Bearer ${authToken}`).send({ businessScale: "Medium" }).expect(400);
+
+        const response = await request(app)
+            .patch("/api/merchant/profile")
+            .set("Authorization", `Bearer ${authToken}`)
+            .send({ businessScale: "Medium", scaleChangeReason: "Omzet tahunan sudah melewati batas usaha kecil" })
+            .expect(200);
+        expect(response.body.data.changes[0].reason).toBe("Omzet tahunan sudah melewati batas usaha kecil");
+    });
+
+    test("Should reject an invalid NPWP", async () => {
+        await request(app).patch("/api/merchant/profile").set("Authorization", `Bearer ${authToken}`).send({ taxId: "12345" }).expect(400);
+    });
+
+    test("Should list identity changes in the profile history", async () => {
+        const response = await request(app).get("/api/merchant/profile/history?identityOnly=true").set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        expect(response.body.data.changes.map((c) => c.field)).toEqual(expect.arrayContaining(["taxId", "businessLicenseNumber", "businessScale"]));
+        expect(response.body.data.changes.every((c) => c.identityField)).toBe(true);
+    });
+});
+
+describe("KYC onboarding", () => {
+    const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+    const pdf = Buffer.from("%PDF-1.4\n%test\n");
+
+    const upload = (documentType, contentType, body) => request(app).put(`/api/merchant/kyc/documents/${documentType}`).set("Authorization", `Bearer ${authToken}`).set("Content-Type", contentType).send(body);
+
+    test("Should reject a file whose content does not match its type", async () => {
+        await upload("ktp", "image/jpeg", png).expect(415);
+        await upload("passport", "image/png", png).expect(400);
+    });
+
+    test("Should not submit before all documents are uploaded", async () => {
+        await upload("ktp", "image/png", png).expect(200);
+
+        const response = await request(app).post("/api/merchant/kyc/submit").set("Authorization", `Bearer ${authToken}`).expect(400);
+        expect(response.body.message).toContain("npwp");
+    });
+
+    test("Should submit once KTP, NPWP and NIB are uploaded", async () => {
+        await upload("npwp", "application/pdf", pdf).expect(200);
+        await upload("nib", "application/pdf", pdf).expect(200);
+
+        const response = await request(app).post("/api/merchant/kyc/submit").set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        expect(response.body.data.status).toBe("Submitted");
+        expect(response.body.data.missingDocuments).toEqual([]);
+    });
+
+    test("Should lock documents and identity fields while under review", async () => {
+        await upload("ktp", "image/png", png).expect(409);
+        await request(app).patch("/api/merchant/profile").set("Authorization", `Bearer ${authToken}`).send({ taxId: "987654321012000" }).expect(409);
+    });
+
+    test("Should show the review decision to the merchant", async () => {
+        const merchant = await Merchant.findOne({ where: { userId: (await User.findOne({ where: { email: testUser.email } })).id } });
+        await reviewKyc(merchant.merchantId, { status: "Verified" }, { userId: merchant.userId });
+
+        const response = await request(app).get("/api/merchant/kyc").set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(response.body.data.status).toBe("Verified");
+        expect(response.body.data.documents).toHaveLength(3);
+        expect(readLatestMail(testUser.email).subject).toContain("disetujui");
+    });
+});
+
+describe("Merchant members", () => {
+    const cashier = {
+        email: `cashier-${uniqueId}@merchant.com`,
+        password: "Cashier@123456",
+        fullName: "Test Cashier",
+        phoneNumber: "081234567892",
+    };
+    let cashierMemberId = "";
+    let cashierToken = "";
+    let cashierRefreshToken = "";
+
+    test("Owner should invite a cashier by email", async () => {
+        const response = await request(app).post("/api/merchant/members/invite").set("Authorization", `Bearer ${authToken}`).send({ email: cashier.email, role: "cashier" }).expect(201);
+
+        expect(response.body.data.status).toBe("Invited");
+        expect(response.body.data.role).toBe("cashier");
+        cashierMemberId = response.body.data.memberId;
+    });
+
+    test("Should reject inviting an owner role", async () => {
+        await request(app).post("/api/merchant/members/invite").set("Authorization", `Bearer ${authToken}`).send({ email: `other-${uniqueId}@merchant.com`, role: "owner" }).expect(400);
+    });
+
+    test("Should require account details when accepting as a new user", async () => {
+        const token = readLatestMail(cashier.email).text.match(/token=([a-f0-9]{64})/)[1];
+
+        await request(app).post("/api/auth/accept-invite").send({ token }).expect(400);
+
+        const response = await request(app)
+            .post("/api/auth/accept-invite")
+            .send({ token, password: cashier.password, fullName: cashier.fullName, phoneNumber: cashier.phoneNumber })
+            .expect(200);
+
+        expect(response.body.data.accountCreated).toBe(true);
+        expect(response.body.data.role).toBe("cashier");
+
+        // Token undangan sekali pakai
+        await request(app).post("/api/auth/accept-invite").send({ token }).expect(400);
+    });
+
+    test("Cashier should only be able to create transactions", async () => {
+        const login = await request(app).post("/api/auth/login").send({ email: cashier.email, password: cashier.password }).expect(200);
+        cashierToken = login.body.data.accessToken;
+        cashierRefreshToken = login.body.data.refreshToken;
+        expect(login.body.data.user.role).toBe("merchant_staff");
+
+        const profile = await request(app).get("/api/merchant/profile").set("Authorization", `Bearer ${cashierToken}`).expect(200);
+        const owner = await request(app).get("/api/merchant/profile").set("Authorization", `Bearer ${authToken}`).expect(200);
+        expect(profile.body.data.membership.role).toBe("cashier");
+        expect(profile.body.data.merchant.merchantId).toBe(owner.body.data.merchant.merchantId);
+
+        // Lolos cek role → sampai ke validasi body
+        await request(app).post("/api/transactions/create").set("Authorization", `Bearer ${cashierToken}`).send({}).expect(400);
+
+        await request(app).get("/api/transactions").set("Authorization", `Bearer ${cashierToken}`).expect(403);
+        await request(app).post("/api/transactions/TXN-UNKNOWN/refund").set("Authorization", `Bearer ${cashierToken}`).send({ reason: "Salah pesanan" }).expect(403);
+        await request(app).get("/api/merchant/dashboard").set("Authorization", `Bearer ${cashierToken}`).expect(403);
+        await request(app).post("/api/merchant/members/invite").set("Authorization", `Bearer ${cashierToken}`).send({ email: `other-${uniqueId}@merchant.com`, role: "viewer" }).expect(403);
+    });
+
+    test("Owner should list members including the cashier", async () => {
+        const response = await request(app).get("/api/merchant/members").set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        const roles = response.body.data.map((member) => `${member.email}:${member.role}:${member.status}`);
+        expect(roles).toContain(`${testUser.email}:owner:Active`);
+        expect(roles).toContain(`${cashier.email}:cashier:Active`);
+    });
+
+    test("Owner should not be able to revoke the owner membership", async () => {
+        const response = await request(app).get("/api/merchant/members").set("Authorization", `Bearer ${authToken}`).expect(200);
+        const owner = response.body.data.find((member) => member.role === "owner");
+
+        await request(app).delete(`/api/merchant/members/${owner.memberId}`).set("Authorization", `Bearer ${authToken}`).expect(400);
+    });
+
+    test("Revoking a member should cut off access immediately", async () => {
+        await request(app).delete(`/api/merchant/members/${cashierMemberId}`).set("Authorization", `Bearer ${authToken}`).expect(200);
+
+        await request(app).get("/api/merchant/profile").set("Authorization", `Bearer ${cashierToken}`).expect(404);
+        await request(app).post("/api/auth/refresh").send({ refreshToken: cashierRefreshToken }).expect(401);
+    });
+});
+
 describe("Bank API", () => {
+    let bankApiKey = "";
+    let alertsOnlyKey = "";
+
+    beforeAll(async () => {
+        await Bank.findOrCreate({ where: { bankId: "TESTBANK" }, defaults: { bankId: "TESTBANK", name: "Test Bank" } });
+        bankApiKey = (await issueApiKey("TESTBANK", { name: "Test integration" })).apiKey;
+        alertsOnlyKey = (await issueApiKey("TESTBANK", { name: "Alerts only", scopes: ["alerts:read"] })).apiKey;
+    });
+
+    describe("Bank API keys", () => {
+        test("Should return 403 when the key lacks the route scope", async () => {
+            const response = await request(app).post("/api/bank/merchants/search").set("X-API-Key", alertsOnlyKey).send({ minCreditScore: 0, maxCreditScore: 100 }).expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test("Should return 403 when managing keys with an API key", async () => {
+            const response = await request(app).get("/api/bank/api-keys").set("X-API-Key", bankApiKey).expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test("Should return 401 for a revoked key", async () => {
+            const { apiKey, key } = await issueApiKey("TESTBANK", { name: "Revoked" });
+            await revokeApiKey(key.id);
+
+            const response = await request(app).post("/api/bank/merchants/search").set("X-API-Key", apiKey).send({ minCreditScore: 0, maxCreditScore: 100 }).expect(401);
+
+            expect(response.body.success).toBe(false);
+        });
+    });
+
+    describe("Role-based access", () => {
+        test("Should return 403 for bank routes with a merchant token", async () => {
+            const response = await request(app).get("/api/bank/merchants/all").set("Authorization", `Bearer ${authToken}`).expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test("Should return 403 when a merchant creates a loan application", async () => {
+            const response = await request(app)
+                .post("/api/bank/loan-applications")
+                .set("Authorization", `Bearer ${authToken}`)
+                .send({ merchantId: "M001", amount: 1000000, tenor: 6 })
+                .expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test("Should return 403 for admin routes with a merchant token", async () => {
+            const response = await request(app).get("/api/admin/users").set("Authorization", `Bearer ${authToken}`).expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test("Should return 403 for settlement import with a merchant token", async () => {
+            const response = await request(app)
+                .post("/api/admin/settlements")
+                .set("Authorization", `Bearer ${authToken}`)
+                .set("Content-Type", "text/csv")
+                .send("merchantTradeNo,amount,fee,settlementTime\nTXN1,1000,7,2024-07-02 10:15:00")
+                .expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+    });
+
     describe("POST /api/bank/merchants/search", () => {
         test("Should search merchants with valid API key", async () => {
-            const response = await request(app).post("/api/bank/merchants/search").set("X-API-Key", "bank-secret-key-123").send({ minCreditScore: 0, maxCreditScore: 100 }).expect(200);
+            const response = await request(app).post("/api/bank/merchants/search").set("X-API-Key", bankApiKey).send({ minCreditScore: 0, maxCreditScore: 100 }).expect(200);
 
             expect(response.body.success).toBe(true);
             expect(response.body.data).toHaveProperty("count");
@@ -237,15 +1025,36 @@ describe("Bank API", () => {
         });
 
         test("Should filter merchants by credit score", async () => {
-            const response = await request(app).post("/api/bank/merchants/search").set("X-API-Key", "bank-secret-key-123").send({ minCreditScore: 80, maxCreditScore: 100 }).expect(200);
+            const response = await request(app).post("/api/bank/merchants/search").set("X-API-Key", bankApiKey).send({ minCreditScore: 80, maxCreditScore: 100 }).expect(200);
 
             expect(response.body.success).toBe(true);
             expect(response.body.data).toHaveProperty("merchants");
         });
+
+        test("Should filter merchants by KYC status", async () => {
+            const response = await request(app).post("/api/bank/merchants/search").set("X-API-Key", bankApiKey).send({ kycStatus: "Verified" }).expect(200);
+
+            expect(response.body.data.merchants.every((m) => m.kycStatus === "Verified")).toBe(true);
+
+            await request(app).post("/api/bank/merchants/search").set("X-API-Key", bankApiKey).send({ kycStatus: "Approved" }).expect(400);
+        });
     });
 
     describe("GET /api/bank/merchants/:merchantId", () => {
         let merchantId = "";
+        const consentExpiry = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+        test("Should return 403 without merchant consent", async () => {
+            const merchant = await Merchant.findOne({
+                where: { userId: (await User.findOne({ where: { email: testUser.email } })).id },
+            });
+
+            if (merchant) {
+                const response = await request(app).get(`/api/bank/merchants/${merchant.merchantId}`).set("X-API-Key", bankApiKey).expect(403);
+
+                expect(response.body.success).toBe(false);
+            }
+        });
 
         test("Should get merchant detail by ID", async () => {
             // First get the merchant ID
@@ -255,25 +1064,95 @@ describe("Bank API", () => {
 
             if (merchant) {
                 merchantId = merchant.merchantId;
-                const response = await request(app).get(`/api/bank/merchants/${merchantId}`).set("X-API-Key", "bank-secret-key-123").expect(200);
+                await request(app).post("/api/merchant/consents").set("Authorization", `Bearer ${authToken}`).send({ bankId: "TESTBANK", scope: "score", expiresAt: consentExpiry }).expect(201);
+
+                const response = await request(app).get(`/api/bank/merchants/${merchantId}`).set("X-API-Key", bankApiKey).expect(200);
 
                 expect(response.body.success).toBe(true);
                 expect(response.body.data.merchantId).toBe(merchantId);
+                // Consent score saja → metrik keuangan tidak dibagikan
+                expect(response.body.data.financialMetrics).toBeNull();
+                expect(response.body.data.kycStatus).toBe("Verified");
+            }
+        });
+
+        test("Should show the bank access in the merchant's data access log", async () => {
+            if (merchantId) {
+                const access = await waitFor(async () => {
+                    const response = await request(app).get("/api/merchant/data-access").set("Authorization", `Bearer ${authToken}`).expect(200);
+                    return response.body.data.accesses.find((a) => a.action === "bank.merchant.view" && a.bankId === "TESTBANK");
+                });
+
+                expect(access).toBeTruthy();
+                expect(access.actorType).toBe("api_key");
+                expect(access).not.toHaveProperty("ipAddress");
             }
         });
 
-        test("Should return 404 for non-existent merchant", async () => {
-            const response = await request(app).get("/api/bank/merchants/NONEXISTENT").set("X-API-Key", "bank-secret-key-123").expect(404);
+        test("Should show identity changes in the bank profile history", async () => {
+            if (merchantId) {
+                const response = await request(app).get(`/api/bank/merchants/${merchantId}/profile-history`).set("X-API-Key", bankApiKey).expect(200);
+
+                expect(response.body.data.changes.some((c) => c.field === "taxId")).toBe(true);
+            }
+        });
+
+        test("Should block alerts after consent is revoked", async () => {
+            if (merchantId) {
+                const consents = await request(app).get("/api/merchant/consents").set("Authorization", `Bearer ${authToken}`).expect(200);
+                const active = consents.body.data.find((c) => c.bankId === "TESTBANK" && c.status === "Active");
+
+                await request(app).delete(`/api/merchant/consents/${active.consentId}`).set("Authorization", `Bearer ${authToken}`).expect(200);
+
+                const response = await request(app).get(`/api/bank/alerts/${merchantId}`).set("X-API-Key", bankApiKey).expect(403);
+                expect(response.body.success).toBe(false);
+            }
+        });
+
+        test("Should not reveal whether an unconsented merchant exists", async () => {
+            const response = await request(app).get("/api/bank/merchants/NONEXISTENT").set("X-API-Key", bankApiKey).expect(403);
 
             expect(response.body.success).toBe(false);
         });
     });
 
+    describe("GET /api/bank/merchants/:merchantId/profile-history", () => {
+        test("Should not reveal whether an unconsented merchant exists", async () => {
+            const response = await request(app).get("/api/bank/merchants/NONEXISTENT/profile-history").set("X-API-Key", bankApiKey).expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+    });
+
+    describe("POST /api/bank/alerts/:merchantId/sweep", () => {
+        test("Should not reveal whether an unconsented merchant exists", async () => {
+            const response = await request(app).post("/api/bank/alerts/NONEXISTENT/sweep").set("X-API-Key", bankApiKey).expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+    });
+
+    describe("GET /api/bank/loan-applications/:merchantId", () => {
+        test("Should require merchant consent", async () => {
+            const response = await request(app).get("/api/bank/loan-applications/NONEXISTENT").set("X-API-Key", bankApiKey).expect(403);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        test("Should only list the calling bank's applications", async () => {
+            if (merchantId) {
+                const response = await request(app).get(`/api/bank/loan-applications/${merchantId}`).set("X-API-Key", bankApiKey).expect(200);
+
+                expect(response.body.data.applications.every((a) => a.bankId === "TESTBANK")).toBe(true);
+            }
+        });
+    });
+
     describe("POST /api/bank/batch-assessment", () => {
         test("Should assess multiple merchants", async () => {
             const response = await request(app)
                 .post("/api/bank/batch-assessment")
-                .set("X-API-Key", "bank-secret-key-123")
+                .set("X-API-Key", bankApiKey)
                 .send({ merchantIds: ["M001", "M002"] })
                 .expect(200);
 
@@ -282,13 +1161,23 @@ describe("Bank API", () => {
         });
 
         test("Should return 400 for empty merchant list", async () => {
-            const response = await request(app).post("/api/bank/batch-assessment").set("X-API-Key", "bank-secret-key-123").send({ merchantIds: [] }).expect(400);
+            const response = await request(app).post("/api/bank/batch-assessment").set("X-API-Key", bankApiKey).send({ merchantIds: [] }).expect(400);
 
             expect(response.body.success).toBe(false);
         });
     });
 });
 
+describe("Request id", () => {
+    test("Should echo a valid X-Request-Id and generate one otherwise", async () => {
+        const echoed = await request(app).get("/health").set("X-Request-Id", "test-request-0001").expect(200);
+        expect(echoed.headers["x-request-id"]).toBe("test-request-0001");
+
+        const generated = await request(app).get("/health").set("X-Request-Id", "bad id!").expect(200);
+        expect(generated.headers["x-request-id"]).not.toBe("bad id!");
+    });
+});
+
 describe("Health Check", () => {
     test("GET /health should return 200", async () => {
         const response = await request(app).get("/health").expect(200);
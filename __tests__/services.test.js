@@ -1,7 +1,30 @@
+import fs from "fs";
+import path from "path";
+import { Op } from "sequelize";
 import { authService } from "../src/services/authService.js";
 import creditScoringService from "../src/services/creditScoringService.js";
 import User from "../src/models/User.js";
 import Merchant from "../src/models/Merchant.js";
+import EarlyWarningAlert from "../src/models/EarlyWarningAlert.js";
+import AuditLog from "../src/models/AuditLog.js";
+import Transaction from "../src/models/Transaction.js";
+import { applyAlertLifecycle } from "../src/services/earlyWarningService.js";
+import { mapWithConcurrency } from "../src/utils/concurrency.js";
+import { scopeIncludes, consentAllows } from "../src/services/consentService.js";
+import { parsePrefix } from "../src/services/bankApiKeyService.js";
+import { detectContentType } from "../src/services/kycService.js";
+import { hashRequest } from "../src/services/idempotencyService.js";
+import { summarizePaymentMix } from "../src/services/merchantService.js";
+import { mapPaylabsStatus } from "../src/services/paymentStatusService.js";
+import { refundFor, refundableAmount, startRefund, completeRefund } from "../src/services/refundService.js";
+import { dedupeKeyFor, recordWebhookEvent, handleWebhookEvent, replayWebhookEvent } from "../src/services/webhookEventService.js";
+import { selectFeeSchedule, calculateFee, dailyRevenueAmount } from "../src/services/feeService.js";
+import { parseSettlementFile, settlementIssues } from "../src/services/settlementService.js";
+import { buildTransactionFilter, transactionCursor, cursorCondition } from "../src/services/transactionListService.js";
+import { PaylabsClient } from "../src/utils/Paylabs.js";
+import { PaylabsSimulator } from "../src/utils/PaylabsSimulator.js";
+import { parseCsv } from "../src/utils/csv.js";
+import { base32Encode, generateCode, verifyCode } from "../src/utils/totp.js";
 
 const testUser = {
     email: "service-test-" + Date.now() + "@merchant.com",
@@ -15,6 +38,17 @@ const testUser = {
 
 let createdMerchantId = null;
 
+// Email terakhir untuk penerima dari file transport (default transport di test)
+const readLatestMail = (to) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join("tmp", "mail");
+    const files = fs.readdirSync(dir).sort().reverse();
+    for (const file of files) {
+        const mail = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+        if (mail.to === to) return mail;
+    }
+    return null;
+};
+
 describe("Auth Service", () => {
     describe("register()", () => {
         test("Should register new user successfully", async () => {
@@ -92,6 +126,19 @@ describe("Auth Service", () => {
             }
         });
     });
+
+    describe("resetPassword()", () => {
+        test("Should revoke existing sessions", async () => {
+            const loginResult = await authService.login(testUser.email, testUser.password);
+            const result = await authService.requestPasswordReset(testUser.email);
+            expect(result).not.toHaveProperty("resetToken");
+
+            const resetToken = readLatestMail(testUser.email).text.match(/token=([a-f0-9]{64})/)[1];
+            await authService.resetPassword(resetToken, testUser.password);
+
+            await expect(authService.refreshToken(loginResult.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+        });
+    });
 });
 
 describe("Credit Scoring Service", () => {
@@ -129,6 +176,48 @@ describe("Credit Scoring Service", () => {
     });
 });
 
+describe("Early Warning Alert Lifecycle", () => {
+    const revenueDrop = (deviationPercentage) => ({
+        merchantId: createdMerchantId,
+        alertType: "Revenue Drop",
+        severity: "Medium",
+        metricName: "Daily Revenue",
+        metricValue: 500000,
+        thresholdValue: 700000,
+        deviationPercentage,
+        description: `Revenue rata-rata turun ${deviationPercentage}%`,
+        detectedDate: new Date(),
+        isResolved: false,
+    });
+
+    test("Should update the open alert instead of creating a duplicate", async () => {
+        await applyAlertLifecycle(createdMerchantId, revenueDrop(45));
+        const alert = await applyAlertLifecycle(createdMerchantId, revenueDrop(45));
+
+        const count = await EarlyWarningAlert.count({ where: { merchantId: createdMerchantId, alertType: "Revenue Drop" } });
+        expect(count).toBe(1);
+        expect(alert.occurrenceCount).toBe(2);
+        expect(alert.status).toBe("Active");
+    });
+
+    test("Should move to Monitoring when the deviation improves", async () => {
+        const alert = await applyAlertLifecycle(createdMerchantId, revenueDrop(35));
+        expect(alert.status).toBe("Monitoring");
+    });
+
+    test("Should auto-resolve after enough runs back inside threshold", async () => {
+        const recovered = { alertType: "Revenue Drop", withinThreshold: true, metricValue: 800000, deviationPercentage: 5 };
+        let alert;
+        for (let i = 0; i < 3; i++) {
+            alert = await applyAlertLifecycle(createdMerchantId, recovered);
+        }
+
+        expect(alert.status).toBe("Resolved");
+        expect(alert.isResolved).toBe(true);
+        expect(alert.resolvedBy).toBe("system");
+    });
+});
+
 describe("Service Layer Utilities", () => {
     test("Should validate email format", () => {
         const validEmails = ["test@example.com", "user.name@company.co.id"];
@@ -181,3 +270,315 @@ describe("Service Layer Utilities", () => {
         expect(result).toBe(5000);
     });
 });
+
+describe("Audit Log", () => {
+    test("Should reject updates and deletes", async () => {
+        const log = await AuditLog.create({
+            action: "test.audit",
+            category: "read",
+            outcome: "success",
+            statusCode: 200,
+            actorType: "anonymous",
+            method: "GET",
+            route: "/test",
+        });
+
+        await expect(log.update({ action: "test.tampered" })).rejects.toThrow("append-only");
+        await expect(AuditLog.destroy({ where: { id: log.id } })).rejects.toThrow("append-only");
+    });
+});
+
+describe("Concurrency Utilities", () => {
+    test("Should never run more workers than the limit", async () => {
+        let running = 0;
+        let peak = 0;
+
+        await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+            running += 1;
+            peak = Math.max(peak, running);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            running -= 1;
+        });
+
+        expect(peak).toBe(2);
+    });
+
+    test("Should keep going when one item fails", async () => {
+        const results = await mapWithConcurrency(["a", "b", "c"], 3, async (item) => {
+            if (item === "b") throw new Error("boom");
+            return item.toUpperCase();
+        });
+
+        expect(results.map((r) => r.status)).toEqual(["fulfilled", "rejected", "fulfilled"]);
+        expect(results[0].value).toBe("A");
+        expect(results[1].reason.message).toBe("boom");
+    });
+});
+
+describe("Bank API Keys", () => {
+    test("Should read the prefix even when the secret contains underscores", () => {
+        expect(parsePrefix("pbk_0a1b2c3d4e5f_ab_cd-ef")).toBe("0a1b2c3d4e5f");
+        expect(parsePrefix("pbk_0a1b2c3d4e5f_secret")).toBe("0a1b2c3d4e5f");
+        expect(parsePrefix("pbk_0a1b2c3d4e5f_")).toBeNull();
+        expect(parsePrefix("xyz_0a1b2c3d4e5f_secret")).toBeNull();
+        expect(parsePrefix(undefined)).toBeNull();
+    });
+});
+
+describe("Consent Scopes", () => {
+    test("Higher scope should include lower scopes", () => {
+        expect(scopeIncludes("transactions", "score")).toBe(true);
+        expect(scopeIncludes("financials", "financials")).toBe(true);
+        expect(scopeIncludes("score", "financials")).toBe(false);
+    });
+
+    test("Should deny merchants without consent and allow everything when unrestricted", () => {
+        const consents = new Map([["M001", "financials"]]);
+
+        expect(consentAllows(consents, "M001", "financials")).toBe(true);
+        expect(consentAllows(consents, "M001", "transactions")).toBe(false);
+        expect(consentAllows(consents, "M002", "score")).toBe(false);
+        expect(consentAllows(null, "M002", "transactions")).toBe(true);
+    });
+});
+
+describe("KYC Documents", () => {
+    test("Should detect the file type from its content", () => {
+        expect(detectContentType(Buffer.from("%PDF-1.7\n"))).toBe("application/pdf");
+        expect(detectContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe("image/jpeg");
+        expect(detectContentType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe("image/png");
+        expect(detectContentType(Buffer.from("GIF89a"))).toBeNull();
+    });
+});
+
+describe("Idempotency", () => {
+    test("Should hash request bodies independent of key order", () => {
+        expect(hashRequest({ type: "CASH", amount: 15000, productInfo: [{ name: "Kopi", price: 5000 }] })).toBe(hashRequest({ productInfo: [{ price: 5000, name: "Kopi" }], amount: 15000, type: "CASH" }));
+        expect(hashRequest({ type: "CASH", amount: 15000 })).not.toBe(hashRequest({ type: "CASH", amount: 20000 }));
+    });
+});
+
+describe("Payment Methods", () => {
+    test("Should summarize successful revenue per payment method and channel", () => {
+        const mix = summarizePaymentMix([
+            { status: "Success", amount: "60000.00", paymentMethod: "QRIS", paymentChannel: null },
+            { status: "Success", amount: "30000.00", paymentMethod: "E-Wallet", paymentChannel: "DANA" },
+            { status: "Success", amount: "10000.00", paymentMethod: "E-Wallet", paymentChannel: "OVO" },
+            { status: "Failed", amount: "50000.00", paymentMethod: "Virtual Account", paymentChannel: "BCA" },
+        ]);
+
+        expect(mix.map((m) => m.paymentMethod)).toEqual(["QRIS", "E-Wallet"]);
+        expect(mix[0].revenueShare).toBe(60);
+        expect(mix[1].transactionCount).toBe(2);
+        expect(mix[1].channels).toEqual([
+            { channel: "DANA", revenue: 30000, transactionCount: 1, revenueShare: 30 },
+            { channel: "OVO", revenue: 10000, transactionCount: 1, revenueShare: 10 },
+        ]);
+        expect(summarizePaymentMix([])).toEqual([]);
+    });
+
+    test("Should map Paylabs order status the same way for polling and callbacks", () => {
+        expect(mapPaylabsStatus("Pending", { status: "02" })).toBe("Success");
+        expect(mapPaylabsStatus("Pending", { status: "02", errCode: "1" })).toBe("Pending");
+        expect(mapPaylabsStatus("Pending", { status: "09" })).toBe("Failed");
+        expect(mapPaylabsStatus("Pending", { status: "01" })).toBe("Pending");
+        expect(mapPaylabsStatus("Refunded", { status: "02" })).toBe("Refunded");
+    });
+
+    test("Should route refunds to the Paylabs endpoint of the payment method", () => {
+        expect(refundFor({ paymentMethod: "CASH" })).toBeNull();
+        expect(refundFor({ paymentMethod: "QRIS" })).toEqual({ path: "/payment/v2.3/qris/refund", paymentType: "QRIS" });
+        expect(refundFor({ paymentMethod: "Virtual Account", paymentChannel: "BRI" }).paymentType).toBe("BRIVA");
+        expect(refundFor({ paymentMethod: "E-Wallet", paymentChannel: "SHOPEEPAY" }).path).toBe("/payment/v2.3/ewallet/refund");
+        expect(refundableAmount({ amount: "40000.00", refundAmount: "15000.00" })).toBe(25000);
+    });
+
+    test("Should not start a refund from a stale refunded amount", async () => {
+        const transactionId = `TXN${Date.now()}RFD`;
+        await Transaction.create({ transactionId, merchantId: createdMerchantId, amount: 40000, paymentMethod: "CASH", status: "Success" });
+        const actor = { userId: null, email: "owner@test" };
+
+        // Dua request membaca transaksi yang sama; request pertama selesai lebih dulu
+        const stale = await Transaction.findByPk(transactionId);
+        const fresh = await Transaction.findByPk(transactionId);
+        await completeRefund(fresh, await startRefund(fresh, { amount: 30000, reason: "Barang rusak" }, actor));
+
+        await expect(startRefund(stale, { amount: 30000, reason: "Barang rusak" }, actor)).rejects.toMatchObject({ statusCode: 409 });
+        expect(refundableAmount(await Transaction.findByPk(transactionId))).toBe(10000);
+    });
+});
+
+describe("Webhook Events", () => {
+    const transactionId = `TXN${Date.now()}WHK`;
+    const callback = { merchantTradeNo: transactionId, platformTradeNo: `PL${Date.now()}`, status: "02", errCode: "0", amount: "20000.00" };
+    const receive = (body) => recordWebhookEvent({ headers: { "x-signature": "test" }, rawBody: JSON.stringify(body), body, signatureValid: true });
+
+    test("Should build the dedupe key from Paylabs identifiers", () => {
+        expect(dedupeKeyFor({ merchantTradeNo: "TXN1", platformTradeNo: "PL1", status: "02" })).toBe("TXN1:PL1:02");
+        expect(dedupeKeyFor({})).toBeNull();
+    });
+
+    test("Should keep a callback for an unknown transaction as Failed and replay it later", async () => {
+        const event = await receive(callback);
+        const outcome = await handleWebhookEvent(event);
+        expect(outcome.statusCode).toBe(404);
+        expect(event.status).toBe("Failed");
+
+        await Transaction.create({ transactionId, merchantId: createdMerchantId, amount: 20000, paymentMethod: "QRIS", status: "Pending" });
+
+        const { event: replayed } = await replayWebhookEvent(event.id, { userId: null, email: "admin@test" });
+        expect(replayed.status).toBe("Processed");
+        expect(replayed.attempts).toBe(2);
+
+        const transaction = await Transaction.findByPk(transactionId);
+        expect(transaction.status).toBe("Success");
+    });
+
+    test("Should not process a retried callback twice", async () => {
+        const retry = await receive(callback);
+        const outcome = await handleWebhookEvent(retry);
+
+        expect(outcome.duplicate).toBe(true);
+        expect(retry.status).toBe("Duplicate");
+        await expect(replayWebhookEvent(retry.id, { userId: null, email: "admin@test" })).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe("MDR Fees", () => {
+    const schedules = [
+        { id: "default", merchantId: null, paymentMethod: "QRIS", paymentChannel: null, percentageFee: "0.7000", fixedFee: "0.00", effectiveFrom: "2024-01-01", effectiveTo: null },
+        { id: "default-2025", merchantId: null, paymentMethod: "QRIS", paymentChannel: null, percentageFee: "0.6000", fixedFee: "0.00", effectiveFrom: "2025-01-01", effectiveTo: null },
+        { id: "micro", merchantId: "M001", paymentMethod: "QRIS", paymentChannel: null, percentageFee: "0.3000", fixedFee: "0.00", effectiveFrom: "2024-06-01", effectiveTo: "2024-12-31" },
+        { id: "va-bca", merchantId: null, paymentMethod: "Virtual Account", paymentChannel: "BCA", percentageFee: "0.0000", fixedFee: "4000.00", effectiveFrom: "2024-01-01", effectiveTo: null },
+    ];
+
+    test("Should pick the schedule in effect on the transaction date", () => {
+        expect(selectFeeSchedule(schedules, { paymentMethod: "QRIS", merchantId: "M002", date: "2024-03-01" }).id).toBe("default");
+        expect(selectFeeSchedule(schedules, { paymentMethod: "QRIS", merchantId: "M002", date: "2025-03-01" }).id).toBe("default-2025");
+        expect(selectFeeSchedule(schedules, { paymentMethod: "QRIS", merchantId: "M002", date: "2023-12-31" })).toBeNull();
+    });
+
+    test("Should prefer merchant overrides and channel-specific schedules", () => {
+        expect(selectFeeSchedule(schedules, { paymentMethod: "QRIS", merchantId: "M001", date: "2024-07-01" }).id).toBe("micro");
+        // Override sudah berakhir → kembali ke tarif default
+        expect(selectFeeSchedule(schedules, { paymentMethod: "QRIS", merchantId: "M001", date: "2025-02-01" }).id).toBe("default-2025");
+        expect(selectFeeSchedule(schedules, { paymentMethod: "Virtual Account", paymentChannel: "BCA", merchantId: "M001", date: "2024-07-01" }).id).toBe("va-bca");
+        expect(selectFeeSchedule(schedules, { paymentMethod: "Virtual Account", paymentChannel: "BRI", merchantId: "M001", date: "2024-07-01" })).toBeNull();
+    });
+
+    test("Should calculate fee and net amount", () => {
+        expect(calculateFee("100000.00", { percentageFee: "0.7000", fixedFee: "0.00" })).toEqual({ feeAmount: 700, netAmount: 99300 });
+        expect(calculateFee(50000, { percentageFee: 1.5, fixedFee: 500 })).toEqual({ feeAmount: 1250, netAmount: 48750 });
+        expect(calculateFee(3000, { percentageFee: 0, fixedFee: 4000 })).toEqual({ feeAmount: 3000, netAmount: 0 });
+        expect(calculateFee(25000, null)).toEqual({ feeAmount: 0, netAmount: 25000 });
+    });
+
+    test("Should read daily revenue as gross or net", () => {
+        expect(dailyRevenueAmount({ totalAmount: "100000.00", netAmount: "99300.00" }, "net")).toBe(99300);
+        expect(dailyRevenueAmount({ totalAmount: "100000.00", netAmount: "99300.00" }, "gross")).toBe(100000);
+        expect(dailyRevenueAmount({ totalAmount: "100000.00", netAmount: null }, "net")).toBe(100000);
+    });
+});
+
+describe("Transaction List", () => {
+    test("Should treat date-only bounds as whole days in WIB", () => {
+        const where = buildTransactionFilter("M001", { from: "2025-03-01", to: "2025-03-01", status: ["Success"] });
+
+        expect(where.transactionDate[Op.gte].toISOString()).toBe("2025-02-28T17:00:00.000Z");
+        expect(where.transactionDate[Op.lte].toISOString()).toBe("2025-03-01T16:59:59.999Z");
+        expect(where.status[Op.in]).toEqual(["Success"]);
+    });
+
+    test("Should only accept cursors made for the same sort", () => {
+        const cursor = transactionCursor({ transactionId: "TXN1", amount: "25000.00" }, "-amount");
+
+        expect(cursorCondition(cursor, "-amount")[Op.or]).toEqual([{ amount: { [Op.lt]: "25000.00" } }, { amount: "25000.00", transactionId: { [Op.lt]: "TXN1" } }]);
+        expect(() => cursorCondition(cursor, "amount")).toThrow(expect.objectContaining({ statusCode: 400 }));
+        expect(() => cursorCondition("not-a-cursor", "-amount")).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+});
+
+describe("Settlement Reconciliation", () => {
+    test("Should parse quoted CSV fields and skip blank lines", () => {
+        expect(parseCsv('\ufeffa,b\r\n"x, y","say ""hi"""\r\n\r\n1,2')).toEqual([
+            ["a", "b"],
+            ["x, y", 'say "hi"'],
+            ["1", "2"],
+        ]);
+    });
+
+    test("Should read settlement lines and flag invalid values", () => {
+        const csv = ["MerchantTradeNo,amount,fee,settlementTime", "TXN1,100000.00,700.00,2024-07-02 10:15:00", "TXN2,abc,700,20240702101500", ",5000,0,yesterday"].join("\n");
+        const [valid, badAmount, invalid] = parseSettlementFile(Buffer.from(csv));
+
+        expect(valid).toMatchObject({ lineNumber: 2, merchantTradeNo: "TXN1", amount: 100000, feeAmount: 700, netAmount: 99300, issues: [] });
+        expect(valid.settledAt.toISOString()).toBe("2024-07-02T03:15:00.000Z");
+        expect(badAmount.issues).toHaveLength(1);
+        expect(invalid.issues).toHaveLength(2);
+
+        expect(() => parseSettlementFile(Buffer.from("merchantTradeNo,amount\nTXN1,1000"))).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    test("Should detect differences between a line and its transaction", () => {
+        const transaction = { paymentMethod: "QRIS", status: "Success", amount: "100000.00", feeAmount: "700.00", metadata: { paylabsRef: "PL-1" } };
+        const line = { amount: 100000, feeAmount: 700, platformTradeNo: "PL-1" };
+
+        expect(settlementIssues(transaction, line)).toEqual([]);
+        expect(settlementIssues(transaction, { ...line, amount: 90000, feeAmount: 630 })).toHaveLength(2);
+        expect(settlementIssues({ ...transaction, status: "Pending" }, line)).toHaveLength(1);
+        expect(settlementIssues({ ...transaction, paymentMethod: "CASH" }, line)).toHaveLength(1);
+    });
+});
+
+describe("Paylabs Simulator", () => {
+    const simulator = new PaylabsSimulator({ mid: "010001" });
+    const client = new PaylabsClient({ server: "MOCK", simulator });
+
+    test("Should answer signed requests and reject foreign signatures", async () => {
+        const created = await client.request("/payment/v2.3/qris/create", { merchantId: "010001", merchantTradeNo: "TXN-SIM-1", paymentType: "QRIS", amount: "10000.00" });
+        expect(created.errCode).toBe("0");
+        expect(created.status).toBe("01");
+
+        // Request yang ditandatangani key merchant lain ditolak
+        const stranger = new PaylabsClient({ server: "MOCK", simulator });
+        stranger.privateKey = new PaylabsSimulator().merchantPrivateKey;
+        const rejected = await stranger.request("/payment/v2.3/qris/query", { merchantTradeNo: "TXN-SIM-1" });
+        expect(rejected.errCode).toBe("401");
+    });
+
+    test("Should sign callbacks the client can verify", () => {
+        simulator.markPaid("TXN-SIM-1");
+        const { headers, body, rawBody } = simulator.buildCallback("TXN-SIM-1");
+
+        expect(body.status).toBe("02");
+        expect(client.verifySignature("/api/webhook/paylabs", rawBody, headers["X-SIGNATURE"], headers["X-TIMESTAMP"])).toBe(true);
+        expect(client.verifySignature("/api/webhook/paylabs", rawBody.replace("10000.00", "1.00"), headers["X-SIGNATURE"], headers["X-TIMESTAMP"])).toBe(false);
+    });
+
+    test("Should only refund paid orders up to the paid amount", async () => {
+        const refund = (refundAmount) => client.request("/payment/v2.3/qris/refund", { merchantTradeNo: "TXN-SIM-1", merchantRefundNo: `RF${refundAmount}`, refundAmount });
+
+        expect((await refund("4000.00")).errCode).toBe("0");
+        expect((await refund("7000.00")).errCode).toBe("400");
+    });
+});
+
+describe("TOTP", () => {
+    // RFC 6238 Appendix B (SHA1), 6 digit terakhir
+    const secret = base32Encode(Buffer.from("12345678901234567890"));
+
+    test("Should match the RFC 6238 test vectors", () => {
+        expect(generateCode(secret, Math.floor(59 / 30))).toBe("287082");
+        expect(generateCode(secret, Math.floor(1111111109 / 30))).toBe("081804");
+        expect(generateCode(secret, Math.floor(2000000000 / 30))).toBe("279037");
+    });
+
+    test("Should accept codes within one step of clock drift only", () => {
+        const now = 1111111109 * 1000;
+        const step = Math.floor(1111111109 / 30);
+
+        expect(verifyCode(secret, generateCode(secret, step - 1), { now })).toBe(step - 1);
+        expect(verifyCode(secret, generateCode(secret, step + 2), { now })).toBeNull();
+        expect(verifyCode(secret, "abc123", { now })).toBeNull();
+    });
+});
@@ -8,7 +8,6 @@ process.env.JWT_ACCESS_SECRET = "test-secret-key";
 process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
 process.env.QWEN_API_KEY = "test-qwen-api-key";
 process.env.OPENAI_API_KEY = "test-api-key";
-process.env.BANK_API_KEY = "bank-secret-key-123";
 
 // Suppress logs during tests
 logger.silent = true;
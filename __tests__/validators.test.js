@@ -1,4 +1,4 @@
-import { registerSchema, loginSchema, createTransactionSchema, resetPasswordSchema, setNewPasswordSchema } from "../src/utils/validators.js";
+import { registerSchema, loginSchema, createTransactionSchema, resetPasswordSchema, setNewPasswordSchema, alertActionSchema, alertNoteSchema, updateUserRoleSchema, createBankSchema, createApiKeySchema, grantConsentSchema, verifyEmailSchema, updateUserStatusSchema, twoFactorLoginSchema, auditLogQuerySchema, inviteMemberSchema, acceptInviteSchema, updateOutletSchema, updateBusinessProfileSchema, kycReviewSchema, refundTransactionSchema, createFeeScheduleSchema, dashboardQuerySchema, settlementReviewSchema, settlementReviewQueueQuerySchema, transactionListQuerySchema } from "../src/utils/validators.js";
 
 describe("Input Validators", () => {
     describe("registerSchema", () => {
@@ -131,6 +131,51 @@ describe("Input Validators", () => {
                 expect(error).toBeUndefined();
             });
         });
+
+        test("Should reject a non-uuid outletId", () => {
+            const { error } = createTransactionSchema.validate({
+                ...validData,
+                outletId: "outlet-1",
+            });
+            expect(error).toBeDefined();
+        });
+
+        test("Should require a supported bank for VA transactions", () => {
+            const { error, value } = createTransactionSchema.validate({ ...validData, type: "VA", bank: "bca", customerName: "Budi Santoso" });
+            expect(error).toBeUndefined();
+            expect(value.bank).toBe("BCA");
+
+            expect(createTransactionSchema.validate({ ...validData, type: "VA" }).error).toBeDefined();
+            expect(createTransactionSchema.validate({ ...validData, type: "VA", bank: "JAGO" }).error).toBeDefined();
+        });
+
+        test("Should reject VA fields on non-VA transactions", () => {
+            expect(createTransactionSchema.validate({ ...validData, bank: "BCA" }).error).toBeDefined();
+            expect(createTransactionSchema.validate({ ...validData, customerName: "Budi Santoso" }).error).toBeDefined();
+        });
+
+        test("Should require a phone number for push e-wallets", () => {
+            const { error, value } = createTransactionSchema.validate({ ...validData, type: "EWALLET", wallet: "ovo", phoneNumber: "081234567890" });
+            expect(error).toBeUndefined();
+            expect(value.wallet).toBe("OVO");
+
+            expect(createTransactionSchema.validate({ ...validData, type: "EWALLET", wallet: "OVO" }).error).toBeDefined();
+            expect(createTransactionSchema.validate({ ...validData, type: "EWALLET", wallet: "OVO", redirectUrl: "https://toko.id/selesai" }).error).toBeDefined();
+        });
+
+        test("Should accept redirect e-wallets with an optional redirect URL", () => {
+            expect(createTransactionSchema.validate({ ...validData, type: "EWALLET", wallet: "DANA" }).error).toBeUndefined();
+            expect(createTransactionSchema.validate({ ...validData, type: "EWALLET", wallet: "SHOPEEPAY", redirectUrl: "https://toko.id/selesai" }).error).toBeUndefined();
+            expect(createTransactionSchema.validate({ ...validData, type: "EWALLET", wallet: "LINKAJA", phoneNumber: "081234567890" }).error).toBeDefined();
+            expect(createTransactionSchema.validate({ ...validData, type: "EWALLET", wallet: "GOPAY" }).error).toBeDefined();
+            expect(createTransactionSchema.validate({ ...validData, type: "EWALLET" }).error).toBeDefined();
+        });
+
+        test("Should reject e-wallet fields on non-e-wallet transactions", () => {
+            expect(createTransactionSchema.validate({ ...validData, wallet: "DANA" }).error).toBeDefined();
+            expect(createTransactionSchema.validate({ ...validData, phoneNumber: "081234567890" }).error).toBeDefined();
+            expect(createTransactionSchema.validate({ ...validData, redirectUrl: "https://toko.id/selesai" }).error).toBeDefined();
+        });
     });
 
     describe("resetPasswordSchema", () => {
@@ -184,6 +229,315 @@ describe("Input Validators", () => {
         });
     });
 
+    describe("alertNoteSchema", () => {
+        test("Should accept a note", () => {
+            const { error } = alertNoteSchema.validate({ note: "Sudah ditindaklanjuti" });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject missing note", () => {
+            const { error } = alertNoteSchema.validate({});
+            expect(error).toBeDefined();
+        });
+
+        test("Should reject note longer than 1000 characters", () => {
+            const { error } = alertNoteSchema.validate({ note: "a".repeat(1001) });
+            expect(error).toBeDefined();
+        });
+
+        test("Should allow alert actions without note", () => {
+            const { error } = alertActionSchema.validate({});
+            expect(error).toBeUndefined();
+        });
+    });
+
+    describe("updateUserRoleSchema", () => {
+        test("Should accept known roles", () => {
+            ["merchant_owner", "bank_officer", "bank_admin", "platform_admin"].forEach((role) => {
+                const { error } = updateUserRoleSchema.validate({ role, bankId: "BCA" });
+                expect(error).toBeUndefined();
+            });
+        });
+
+        test("Should require bankId for bank roles", () => {
+            const { error } = updateUserRoleSchema.validate({ role: "bank_officer" });
+            expect(error).toBeDefined();
+        });
+
+        test("Should drop bankId for non-bank roles", () => {
+            const { error, value } = updateUserRoleSchema.validate({ role: "merchant_owner", bankId: "BCA" });
+            expect(error).toBeUndefined();
+            expect(value.bankId).toBeUndefined();
+        });
+
+        test("Should reject unknown role", () => {
+            const { error } = updateUserRoleSchema.validate({ role: "superuser" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("createBankSchema", () => {
+        test("Should accept uppercase bankId", () => {
+            const { error } = createBankSchema.validate({ bankId: "BCA", name: "PT Bank Central Asia" });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject lowercase bankId", () => {
+            const { error } = createBankSchema.validate({ bankId: "bca", name: "PT Bank Central Asia" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("createApiKeySchema", () => {
+        test("Should accept name with known scopes", () => {
+            const { error } = createApiKeySchema.validate({ name: "Core banking", scopes: ["merchants:read", "loans:write"] });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject unknown scope", () => {
+            const { error } = createApiKeySchema.validate({ name: "Core banking", scopes: ["merchants:delete"] });
+            expect(error).toBeDefined();
+        });
+
+        test("Should reject expiry in the past", () => {
+            const { error } = createApiKeySchema.validate({ name: "Core banking", expiresAt: "2020-01-01T00:00:00Z" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("grantConsentSchema", () => {
+        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+        test("Should accept a known scope with future expiry", () => {
+            const { error } = grantConsentSchema.validate({ bankId: "BCA", scope: "financials", expiresAt });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject unknown scope", () => {
+            const { error } = grantConsentSchema.validate({ bankId: "BCA", scope: "everything", expiresAt });
+            expect(error).toBeDefined();
+        });
+
+        test("Should require expiry", () => {
+            const { error } = grantConsentSchema.validate({ bankId: "BCA", scope: "score" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("verifyEmailSchema", () => {
+        test("Should accept a 64-char hex token", () => {
+            const { error } = verifyEmailSchema.validate({ token: "ab".repeat(32) });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject malformed token", () => {
+            const { error } = verifyEmailSchema.validate({ token: "not-a-token" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("updateUserStatusSchema", () => {
+        test("Should accept known statuses", () => {
+            const { error } = updateUserStatusSchema.validate({ status: "Suspended" });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject unknown status", () => {
+            const { error } = updateUserStatusSchema.validate({ status: "Banned" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("twoFactorLoginSchema", () => {
+        test("Should accept a 6-digit code", () => {
+            const { error } = twoFactorLoginSchema.validate({ challengeToken: "token", code: "123456" });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should accept a recovery code", () => {
+            const { error } = twoFactorLoginSchema.validate({ challengeToken: "token", recoveryCode: "a1b2c-3d4e5" });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject both code and recovery code", () => {
+            const { error } = twoFactorLoginSchema.validate({ challengeToken: "token", code: "123456", recoveryCode: "a1b2c-3d4e5" });
+            expect(error).toBeDefined();
+        });
+
+        test("Should reject non-numeric code", () => {
+            const { error } = twoFactorLoginSchema.validate({ challengeToken: "token", code: "12ab56" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("auditLogQuerySchema", () => {
+        test("Should convert query strings and apply defaults", () => {
+            const { error, value } = auditLogQuerySchema.validate({ outcome: "denied", from: "2026-01-01T00:00:00Z" });
+            expect(error).toBeUndefined();
+            expect(value.from).toBeInstanceOf(Date);
+            expect(value.limit).toBe(50);
+        });
+
+        test("Should reject unknown outcome", () => {
+            const { error } = auditLogQuerySchema.validate({ outcome: "maybe" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("inviteMemberSchema", () => {
+        test("Should accept a staff role", () => {
+            const { error } = inviteMemberSchema.validate({ email: "kasir@merchant.com", role: "cashier" });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject inviting an owner", () => {
+            const { error } = inviteMemberSchema.validate({ email: "kasir@merchant.com", role: "owner" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("acceptInviteSchema", () => {
+        test("Should accept a token alone (existing account)", () => {
+            const { error } = acceptInviteSchema.validate({ token: "ab".repeat(32) });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should require all new-account fields together", () => {
+            const { error } = acceptInviteSchema.validate({ token: "ab".repeat(32), password: "Password123" });
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("updateOutletSchema", () => {
+        test("Should accept deactivating an outlet", () => {
+            const { error } = updateOutletSchema.validate({ status: "Inactive" });
+            expect(error).toBeUndefined();
+        });
+
+        test("Should reject an empty update", () => {
+            const { error } = updateOutletSchema.validate({});
+            expect(error).toBeDefined();
+        });
+    });
+
+    describe("Business profile validation", () => {
+        test("Should normalise a formatted NPWP to digits", () => {
+            const { error, value } = updateBusinessProfileSchema.validate({ taxId: "01.234.567.8-901.000" });
+            expect(error).toBeUndefined();
+            expect(value.taxId).toBe("012345678901000");
+        });
+
+        test("Should reject an NPWP with the wrong length", () => {
+            const { error } = updateBusinessProfileSchema.validate({ taxId: "1234567890" });
+            expect(error).toBeDefined();
+        });
+
+        test("Should accept a 13-digit NIB and a SIUP number", () => {
+            expect(updateBusinessProfileSchema.validate({ businessLicenseNumber: "9120001234567" }).error).toBeUndefined();
+            const { error, value } = updateBusinessProfileSchema.validate({ businessLicenseNumber: "510/siup/pk/2020" });
+            expect(error).toBeUndefined();
+            expect(value.businessLicenseNumber).toBe("510/SIUP/PK/2020");
+        });
+
+        test("Should require a reason for a business scale change", () => {
+            expect(updateBusinessProfileSchema.validate({ businessScale: "Medium" }).error).toBeDefined();
+            expect(updateBusinessProfileSchema.validate({ businessScale: "Medium", scaleChangeReason: "Omzet tahunan sudah melewati batas usaha kecil" }).error).toBeUndefined();
+            expect(updateBusinessProfileSchema.validate({ taxId: "012345678901000", scaleChangeReason: "Omzet tahunan sudah melewati batas usaha kecil" }).error).toBeDefined();
+        });
+
+        test("Should reject an empty update", () => {
+            expect(updateBusinessProfileSchema.validate({}).error).toBeDefined();
+        });
+    });
+
+    describe("KYC review validation", () => {
+        test("Should require a reason when rejecting", () => {
+            expect(kycReviewSchema.validate({ status: "Rejected" }).error).toBeDefined();
+            expect(kycReviewSchema.validate({ status: "Rejected", reason: "Foto KTP buram" }).error).toBeUndefined();
+        });
+
+        test("Should not accept a reason when verifying", () => {
+            expect(kycReviewSchema.validate({ status: "Verified" }).error).toBeUndefined();
+            expect(kycReviewSchema.validate({ status: "Verified", reason: "OK" }).error).toBeDefined();
+        });
+
+        test("Should only allow Verified or Rejected", () => {
+            expect(kycReviewSchema.validate({ status: "Submitted" }).error).toBeDefined();
+        });
+    });
+
+    describe("refundTransactionSchema", () => {
+        test("Should accept a full refund with only a reason", () => {
+            const { error, value } = refundTransactionSchema.validate({ reason: "  Barang rusak " });
+            expect(error).toBeUndefined();
+            expect(value.reason).toBe("Barang rusak");
+            expect(value.amount).toBeUndefined();
+        });
+
+        test("Should reject a missing reason or a non-positive amount", () => {
+            expect(refundTransactionSchema.validate({ amount: 5000 }).error).toBeDefined();
+            expect(refundTransactionSchema.validate({ amount: 0, reason: "Barang rusak" }).error).toBeDefined();
+        });
+    });
+
+    describe("MDR fee schedule validation", () => {
+        test("Should accept a merchant override and apply defaults", () => {
+            const { error, value } = createFeeScheduleSchema.validate({ merchantId: "M001", paymentMethod: "QRIS", percentageFee: 0.3, effectiveFrom: "2025-01-01" });
+            expect(error).toBeUndefined();
+            expect(value.fixedFee).toBe(0);
+        });
+
+        test("Should uppercase the payment channel", () => {
+            const { error, value } = createFeeScheduleSchema.validate({ paymentMethod: "Virtual Account", paymentChannel: "bca", fixedFee: 4000, effectiveFrom: "2025-01-01" });
+            expect(error).toBeUndefined();
+            expect(value.paymentChannel).toBe("BCA");
+        });
+
+        test("Should reject unknown methods, negative fees and inverted date ranges", () => {
+            expect(createFeeScheduleSchema.validate({ paymentMethod: "Paylater", percentageFee: 1, effectiveFrom: "2025-01-01" }).error).toBeDefined();
+            expect(createFeeScheduleSchema.validate({ paymentMethod: "QRIS", percentageFee: -1, effectiveFrom: "2025-01-01" }).error).toBeDefined();
+            expect(createFeeScheduleSchema.validate({ paymentMethod: "QRIS", percentageFee: 0.7 }).error).toBeDefined();
+            expect(createFeeScheduleSchema.validate({ paymentMethod: "QRIS", percentageFee: 0.7, effectiveFrom: "2025-02-01", effectiveTo: "2025-01-01" }).error).toBeDefined();
+        });
+
+        test("Should default the dashboard revenue basis to gross", () => {
+            expect(dashboardQuerySchema.validate({}).value.revenueBasis).toBe("gross");
+            expect(dashboardQuerySchema.validate({ revenueBasis: "net" }).error).toBeUndefined();
+            expect(dashboardQuerySchema.validate({ revenueBasis: "after-tax" }).error).toBeDefined();
+        });
+    });
+
+    describe("Settlement reconciliation validation", () => {
+        test("Should require a review action", () => {
+            expect(settlementReviewSchema.validate({ action: "accept", transactionId: "TXN1" }).error).toBeUndefined();
+            expect(settlementReviewSchema.validate({ action: "dismiss", note: "Transaksi uji coba" }).error).toBeUndefined();
+            expect(settlementReviewSchema.validate({ note: "tanpa aksi" }).error).toBeDefined();
+            expect(settlementReviewSchema.validate({ action: "approve" }).error).toBeDefined();
+        });
+
+        test("Should not list matched lines in the review queue", () => {
+            expect(settlementReviewQueueQuerySchema.validate({ status: "Mismatch" }).error).toBeUndefined();
+            expect(settlementReviewQueueQuerySchema.validate({ status: "Matched" }).error).toBeDefined();
+        });
+    });
+
+    describe("Transaction list query validation", () => {
+        test("Should accept filters and default the sort", () => {
+            const { error, value } = transactionListQuerySchema.validate({ status: "Success", paymentMethod: ["QRIS", "CASH"], paymentChannel: "bca", from: "2025-03-01", minAmount: "1000" });
+
+            expect(error).toBeUndefined();
+            expect(value).toMatchObject({ status: ["Success"], paymentMethod: ["QRIS", "CASH"], paymentChannel: ["BCA"], sort: "-createdAt", limit: 20, minAmount: 1000 });
+        });
+
+        test("Should reject unknown sort, bad amount range and page with cursor", () => {
+            expect(transactionListQuerySchema.validate({ sort: "productName" }).error).toBeDefined();
+            expect(transactionListQuerySchema.validate({ status: "Done" }).error).toBeDefined();
+            expect(transactionListQuerySchema.validate({ minAmount: 5000, maxAmount: 1000 }).error).toBeDefined();
+            expect(transactionListQuerySchema.validate({ page: 2, cursor: "abc" }).error).toBeDefined();
+            expect(transactionListQuerySchema.validate({ from: "01/03/2025" }).error).toBeDefined();
+        });
+    });
+
     describe("Email validation", () => {
         test("Should accept valid email formats", () => {
             const validEmails = ["merchant@example.com", "test.user@domain.co.uk", "user+tag@example.com"];
@@ -3,6 +3,7 @@ import app from "./src/app.js";
 import initDatabase from "./src/database/init.js";
 import seedDatabase from "./src/database/seed.js";
 import logger from "./src/utils/logger.js";
+import { startScheduler, stopScheduler } from "./src/jobs/scheduler.js";
 
 dotenv.config();
 
@@ -17,6 +18,9 @@ const startServer = async () => {
         // Seed database (commented out after first run)
         // await seedDatabase();
 
+        // Start cron jobs (credit scoring, dst)
+        startScheduler();
+
         // Start server
         app.listen(PORT, () => {
             logger.info(`🚀 PayBaba API server running on http://localhost:${PORT}`);
@@ -32,13 +36,15 @@ const startServer = async () => {
 };
 
 // Handle graceful shutdown
-process.on("SIGTERM", () => {
+process.on("SIGTERM", async () => {
     logger.info("SIGTERM signal received: closing HTTP server");
+    await stopScheduler();
     process.exit(0);
 });
 
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
     logger.info("SIGINT signal received: closing HTTP server");
+    await stopScheduler();
     process.exit(0);
 });
 
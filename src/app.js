@@ -6,12 +6,15 @@ import dotenv from "dotenv";
 import swaggerUi from "swagger-ui-express";
 
 import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+import { requestId } from "./middleware/requestId.js";
 import authRoutes from "./routes/auth.js";
 import merchantRoutes from "./routes/merchant.js";
 import transactionRoutes from "./routes/transaction.js";
 import bankRoutes from "./routes/bank.js";
+import adminRoutes from "./routes/admin.js";
 import logger from "./utils/logger.js";
 import { swaggerSpec } from "./config/swagger.js";
+import { frontendBaseUrl } from "./config/frontend.js";
 
 dotenv.config();
 
@@ -24,7 +27,7 @@ const corsOptions = {
             ? [
                   "https://paybaba.id",
                   "https://www.paybaba.id",
-                  process.env.FRONTEND_URL || "https://app.paybaba.id",
+                  frontendBaseUrl(),
                   "https://paybaba.vercel.app",
                   "http://localhost:5173", // Vite
                   "http://localhost:5174", // Vite
@@ -44,7 +47,8 @@ const corsOptions = {
               ],
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id", "Idempotency-Key"],
+    exposedHeaders: ["X-Request-Id", "Retry-After", "Idempotent-Replayed"],
     maxAge: 86400, // 24 hours
 };
 
@@ -63,14 +67,22 @@ const helmetOptions = {
 };
 
 // Middleware
+app.use(requestId);
 app.use(helmet(helmetOptions));
 app.use(cors(corsOptions));
-app.use(express.json());
+// Body mentah callback payment gateway: dipakai untuk verifikasi signature & disimpan di webhook_events
+app.use(
+    express.json({
+        verify: (req, res, buf) => {
+            if (req.originalUrl.includes("/webhook/")) req.rawBody = buf.toString("utf8");
+        },
+    }),
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
 app.use((req, res, next) => {
-    logger.info(`${req.method} ${req.path}`);
+    logger.info(`${req.method} ${req.path} [${req.requestId}]`);
     next();
 });
 
@@ -152,6 +164,7 @@ app.use("/api/auth", authRoutes);
 app.use("/api/merchant", merchantRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/bank", bankRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Error handling
 app.use(notFoundHandler);
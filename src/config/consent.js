@@ -0,0 +1,15 @@
+/**
+ * Scope consent merchant → bank, berjenjang (setiap level mencakup level sebelumnya):
+ * - score        : identitas & kontak, credit score, risk band, estimasi limit
+ * - financials   : + revenue, metrik keuangan, early warning alerts
+ * - transactions : + data transaksi
+ */
+export const CONSENT_SCOPES = {
+    SCORE: "score",
+    FINANCIALS: "financials",
+    TRANSACTIONS: "transactions",
+};
+
+export const CONSENT_SCOPE_LEVELS = [CONSENT_SCOPES.SCORE, CONSENT_SCOPES.FINANCIALS, CONSENT_SCOPES.TRANSACTIONS];
+
+export default CONSENT_SCOPES;
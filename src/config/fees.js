@@ -0,0 +1,28 @@
+/**
+ * Metode pembayaran yang bisa diberi MDR (sama dengan Transaction.paymentMethod)
+ */
+export const FEE_PAYMENT_METHODS = ["QRIS", "Virtual Account", "E-Wallet", "Credit Card", "Debit Card", "CASH"];
+
+/**
+ * Dasar revenue untuk dashboard & credit scoring:
+ * - gross : nominal transaksi
+ * - net   : nominal setelah MDR (yang benar-benar diterima merchant)
+ */
+export const REVENUE_BASES = {
+    GROSS: "gross",
+    NET: "net",
+};
+
+export const CREDIT_SCORE_REVENUE_BASIS = process.env.CREDIT_SCORE_REVENUE_BASIS === REVENUE_BASES.NET ? REVENUE_BASES.NET : REVENUE_BASES.GROSS;
+
+/**
+ * MDR default platform (di-seed). percentageFee dalam persen, fixedFee dalam Rupiah per transaksi.
+ * Override per merchant (mis. QRIS 0.3% untuk usaha mikro) dibuat admin lewat /api/admin/fee-schedules.
+ */
+export const DEFAULT_FEE_SCHEDULES = [
+    { paymentMethod: "QRIS", paymentChannel: null, percentageFee: 0.7, fixedFee: 0, description: "MDR QRIS reguler" },
+    { paymentMethod: "Virtual Account", paymentChannel: null, percentageFee: 0, fixedFee: 4000, description: "Biaya VA per transaksi" },
+    { paymentMethod: "E-Wallet", paymentChannel: null, percentageFee: 1.5, fixedFee: 0, description: "MDR e-wallet" },
+];
+
+export default REVENUE_BASES;
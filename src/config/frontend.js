@@ -0,0 +1,9 @@
+/**
+ * URL aplikasi frontend (CORS & link di email). Satu default untuk semua pemakai,
+ * set FRONTEND_URL di .env untuk development (mis. http://localhost:5173).
+ */
+export const DEFAULT_FRONTEND_URL = "https://app.paybaba.id";
+
+export const frontendBaseUrl = () => (process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL).replace(/\/$/, "");
+
+export default frontendBaseUrl;
@@ -0,0 +1,36 @@
+/**
+ * Status onboarding KYC merchant:
+ * Draft → Submitted → Verified / Rejected. Merchant yang ditolak bisa upload ulang dan submit lagi;
+ * merchant Verified kembali ke Draft jika NPWP / NIB diubah.
+ */
+export const KYC_STATUSES = {
+    DRAFT: "Draft",
+    SUBMITTED: "Submitted",
+    VERIFIED: "Verified",
+    REJECTED: "Rejected",
+};
+
+export const KYC_TRANSITIONS = {
+    [KYC_STATUSES.DRAFT]: [KYC_STATUSES.SUBMITTED],
+    [KYC_STATUSES.SUBMITTED]: [KYC_STATUSES.VERIFIED, KYC_STATUSES.REJECTED],
+    [KYC_STATUSES.REJECTED]: [KYC_STATUSES.SUBMITTED],
+    [KYC_STATUSES.VERIFIED]: [KYC_STATUSES.DRAFT],
+};
+
+// Dokumen wajib sebelum submit
+export const KYC_DOCUMENT_TYPES = {
+    KTP: "ktp",
+    NPWP: "npwp",
+    NIB: "nib",
+};
+
+// Content-Type yang diterima → ekstensi file di storage
+export const KYC_CONTENT_TYPES = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "application/pdf": "pdf",
+};
+
+export const KYC_MAX_FILE_SIZE_MB = parseFloat(process.env.KYC_MAX_FILE_SIZE_MB) || 5;
+
+export default KYC_STATUSES;
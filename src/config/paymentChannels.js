@@ -0,0 +1,34 @@
+/**
+ * Bank Virtual Account yang didukung → paymentType Paylabs (/payment/v2.3/va/create)
+ */
+export const VIRTUAL_ACCOUNT_BANKS = {
+    BCA: "BCAVA",
+    BRI: "BRIVA",
+    MANDIRI: "MandiriVA",
+    BNI: "BNIVA",
+    PERMATA: "PermataVA",
+    CIMB: "CIMBVA",
+    BSI: "BSIVA",
+    DANAMON: "DanamonVA",
+    MAYBANK: "MaybankVA",
+};
+
+export const VIRTUAL_ACCOUNT_BANK_CODES = Object.keys(VIRTUAL_ACCOUNT_BANKS);
+
+/**
+ * E-wallet yang didukung → paymentType Paylabs (/payment/v2.3/ewallet/create).
+ * flow "push": tagihan dikirim ke aplikasi wallet lewat nomor HP pembayar.
+ * flow "redirect": pembayar diarahkan ke halaman / deeplink wallet.
+ */
+export const EWALLETS = {
+    OVO: { paymentType: "OVOBALANCE", flow: "push" },
+    DANA: { paymentType: "DANABALANCE", flow: "redirect" },
+    SHOPEEPAY: { paymentType: "SHOPEEBALANCE", flow: "redirect" },
+    LINKAJA: { paymentType: "LINKAJABALANCE", flow: "redirect" },
+};
+
+export const EWALLET_CODES = Object.keys(EWALLETS);
+export const PUSH_EWALLET_CODES = EWALLET_CODES.filter((code) => EWALLETS[code].flow === "push");
+export const REDIRECT_EWALLET_CODES = EWALLET_CODES.filter((code) => EWALLETS[code].flow === "redirect");
+
+export default VIRTUAL_ACCOUNT_BANKS;
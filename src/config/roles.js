@@ -0,0 +1,40 @@
+/**
+ * User roles — dibawa di access token (claim `role`)
+ */
+export const ROLES = {
+    MERCHANT_OWNER: "merchant_owner",
+    // User yang bergabung ke merchant lewat undangan — hak aksesnya ditentukan role membership
+    MERCHANT_STAFF: "merchant_staff",
+    BANK_OFFICER: "bank_officer",
+    BANK_ADMIN: "bank_admin",
+    PLATFORM_ADMIN: "platform_admin",
+};
+
+export const MERCHANT_ROLES = [ROLES.MERCHANT_OWNER, ROLES.MERCHANT_STAFF];
+export const BANK_ROLES = [ROLES.BANK_OFFICER, ROLES.BANK_ADMIN];
+
+/**
+ * Role user di dalam 1 merchant (tabel merchant_members)
+ */
+export const MERCHANT_MEMBER_ROLES = {
+    OWNER: "owner",
+    MANAGER: "manager",
+    CASHIER: "cashier",
+    VIEWER: "viewer",
+};
+
+// Owner hanya pemilik merchant; role lain bisa diundang oleh owner
+export const INVITABLE_MEMBER_ROLES = [MERCHANT_MEMBER_ROLES.MANAGER, MERCHANT_MEMBER_ROLES.CASHIER, MERCHANT_MEMBER_ROLES.VIEWER];
+
+/**
+ * Scope yang bisa diberikan ke bank API key
+ */
+export const API_KEY_SCOPES = {
+    MERCHANTS_READ: "merchants:read",
+    ALERTS_READ: "alerts:read",
+    ALERTS_WRITE: "alerts:write",
+    LOANS_READ: "loans:read",
+    LOANS_WRITE: "loans:write",
+};
+
+export default ROLES;
@@ -0,0 +1,37 @@
+/**
+ * Status baris file settlement Paylabs setelah dicocokkan ke transaksi:
+ * - Matched   : cocok, settlement diterapkan ke transaksi
+ * - Mismatch  : transaksi ada tapi nominal / fee / status berbeda (disputed)
+ * - Unmatched : tidak ada transaksi dengan merchantTradeNo tersebut
+ * - Duplicate : transaksi sudah disettle (file lain atau baris sebelumnya)
+ * - Invalid   : baris tidak bisa dibaca (nominal / waktu tidak valid)
+ * Selain Matched, baris masuk review queue (reviewStatus Open).
+ */
+export const SETTLEMENT_LINE_STATUSES = {
+    MATCHED: "Matched",
+    MISMATCH: "Mismatch",
+    UNMATCHED: "Unmatched",
+    DUPLICATE: "Duplicate",
+    INVALID: "Invalid",
+};
+
+export const SETTLEMENT_REVIEW_STATUSES = {
+    OPEN: "Open",
+    ACCEPTED: "Accepted",
+    DISMISSED: "Dismissed",
+};
+
+/**
+ * Kolom CSV settlement (header wajib, urutan bebas, tidak case-sensitive).
+ * settlementTime: "YYYY-MM-DD HH:mm:ss" atau "YYYYMMDDHHmmss" (Asia/Jakarta) atau ISO 8601.
+ */
+export const SETTLEMENT_COLUMNS = ["merchantTradeNo", "platformTradeNo", "paymentType", "amount", "fee", "netAmount", "settlementTime"];
+export const SETTLEMENT_REQUIRED_COLUMNS = ["merchantTradeNo", "amount", "fee", "settlementTime"];
+
+export const SETTLEMENT_TIME_FORMATS = ["YYYY-MM-DD HH:mm:ss", "YYYYMMDDHHmmss", "YYYY-MM-DDTHH:mm:ssZ", "YYYY-MM-DDTHH:mm:ss.SSSZ"];
+
+export const SETTLEMENT_CONTENT_TYPES = ["text/csv", "text/plain", "application/vnd.ms-excel"];
+
+export const SETTLEMENT_MAX_FILE_SIZE_MB = parseFloat(process.env.SETTLEMENT_MAX_FILE_SIZE_MB) || 10;
+
+export default SETTLEMENT_LINE_STATUSES;
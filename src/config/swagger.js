@@ -52,6 +52,21 @@ const options = {
                         address: { type: "string" },
                         phoneNumber: { type: "string" },
                         status: { type: "string", enum: ["Active", "Inactive", "Suspended"] },
+                        role: { type: "string", enum: ["merchant_owner", "merchant_staff", "bank_officer", "bank_admin", "platform_admin"] },
+                        bankId: { type: "string", nullable: true },
+                    },
+                },
+                CreateApiKeyRequest: {
+                    type: "object",
+                    required: ["name"],
+                    properties: {
+                        name: { type: "string", example: "Core banking integration" },
+                        scopes: {
+                            type: "array",
+                            description: "Default: semua scope",
+                            items: { type: "string", enum: ["merchants:read", "alerts:read", "alerts:write", "loans:read", "loans:write"] },
+                        },
+                        expiresAt: { type: "string", format: "date-time" },
                     },
                 },
                 Merchant: {
@@ -60,7 +75,11 @@ const options = {
                         merchantId: { type: "string" },
                         userId: { type: "string", format: "uuid" },
                         businessCategory: { type: "string" },
+                        subCategory: { type: "string" },
                         businessScale: { type: "string", enum: ["Micro", "Small", "Medium", "Large"] },
+                        taxId: { type: "string", description: "NPWP (15/16 digit, tanpa tanda baca)" },
+                        businessLicenseNumber: { type: "string", description: "NIB 13 digit atau nomor SIUP" },
+                        kycStatus: { type: "string", enum: ["Draft", "Submitted", "Verified", "Rejected"] },
                         joinDate: { type: "string", format: "date-time" },
                     },
                 },
@@ -73,6 +92,8 @@ const options = {
                         riskBand: { type: "string", enum: ["Low", "Medium", "High"] },
                         estimatedMinLimit: { type: "number" },
                         estimatedMaxLimit: { type: "number" },
+                        paymentMethodMix: { type: "array", items: { type: "object" }, description: "Komposisi metode pembayaran transaksi sukses 3 bulan" },
+                        revenueBasis: { type: "string", enum: ["gross", "net"], description: "Revenue yang dipakai scoring: gross atau net (setelah MDR & refund)" },
                         calculationDate: { type: "string", format: "date-time" },
                     },
                 },
@@ -96,7 +117,7 @@ const options = {
             },
         },
     },
-    apis: ["src/routes/auth.js", "src/routes/merchant.js", "src/routes/transaction.js", "src/routes/bank.js"],
+    apis: ["src/routes/auth.js", "src/routes/merchant.js", "src/routes/transaction.js", "src/routes/bank.js", "src/routes/admin.js"],
 };
 
 export const swaggerSpec = swaggerJsdoc(options);
@@ -0,0 +1,16 @@
+/**
+ * Nilai enum kolom transaksi (sama dengan model Transaction), dipakai untuk filter list transaksi
+ */
+export const TRANSACTION_STATUSES = ["Success", "Pending", "Failed", "Refunded"];
+export const TRANSACTION_REFUND_STATUSES = ["None", "Requested", "Processed", "Rejected"];
+export const TRANSACTION_PAYMENT_METHODS = ["QRIS", "Virtual Account", "E-Wallet", "Credit Card", "Debit Card", "CASH"];
+
+/**
+ * Kolom yang bisa dipakai untuk sort list transaksi. "-" di depan = descending, mis. "-amount".
+ * transactionId selalu jadi tie-breaker agar cursor pagination stabil.
+ */
+export const TRANSACTION_SORT_FIELDS = ["createdAt", "transactionDate", "amount"];
+export const TRANSACTION_SORT_OPTIONS = TRANSACTION_SORT_FIELDS.flatMap((field) => [field, `-${field}`]);
+export const TRANSACTION_DEFAULT_SORT = "-createdAt";
+
+export default TRANSACTION_SORT_OPTIONS;
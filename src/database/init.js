@@ -1,11 +1,31 @@
 import sequelize from "../database/connection.js";
 import User from "../models/User.js";
 import Merchant from "../models/Merchant.js";
+import MerchantMember from "../models/MerchantMember.js";
+import MerchantProfileChange from "../models/MerchantProfileChange.js";
+import KycDocument from "../models/KycDocument.js";
+import Outlet from "../models/Outlet.js";
 import Transaction from "../models/Transaction.js";
 import CreditScore from "../models/CreditScore.js";
 import DailyRevenue from "../models/DailyRevenue.js";
+import OutletDailyRevenue from "../models/OutletDailyRevenue.js";
 import LoanApplication from "../models/LoanApplication.js";
 import EarlyWarningAlert from "../models/EarlyWarningAlert.js";
+import AlertHistory from "../models/AlertHistory.js";
+import Bank from "../models/Bank.js";
+import BankApiKey from "../models/BankApiKey.js";
+import MerchantConsent from "../models/MerchantConsent.js";
+import RefreshToken from "../models/RefreshToken.js";
+import LoginThrottle from "../models/LoginThrottle.js";
+import TwoFactorCredential from "../models/TwoFactorCredential.js";
+import MailOutbox from "../models/MailOutbox.js";
+import AuditLog from "../models/AuditLog.js";
+import JobRun from "../models/JobRun.js";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import FeeSchedule from "../models/FeeSchedule.js";
+import SettlementReport from "../models/SettlementReport.js";
+import SettlementLine from "../models/SettlementLine.js";
 import logger from "../utils/logger.js";
 
 export const initDatabase = async () => {
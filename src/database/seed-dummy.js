@@ -6,8 +6,14 @@ import DailyRevenue from "../models/DailyRevenue.js";
 import Transaction from "../models/Transaction.js";
 import CreditScore from "../models/CreditScore.js";
 import EarlyWarningAlert from "../models/EarlyWarningAlert.js";
+import Bank from "../models/Bank.js";
+import MerchantConsent from "../models/MerchantConsent.js";
 import bcryptjs from "bcryptjs";
 import logger from "../utils/logger.js";
+import { ROLES } from "../config/roles.js";
+import { calculateFee } from "../services/feeService.js";
+import FeeSchedule from "../models/FeeSchedule.js";
+import { DEFAULT_FEE_SCHEDULES } from "../config/fees.js";
 import { v4 as uuidv4 } from "uuid";
 
 dotenv.config();
@@ -210,6 +216,11 @@ async function seedDummyData() {
         logger.info("✅ Database schema created");
 
         const today = new Date();
+        const seededMerchantIds = [];
+
+        // Tarif MDR default platform (fee transaksi dummy di bawah memakai tarif yang sama)
+        const feeEffectiveFrom = "2024-01-01";
+        await FeeSchedule.bulkCreate(DEFAULT_FEE_SCHEDULES.map((schedule) => ({ ...schedule, effectiveFrom: feeEffectiveFrom })));
 
         // ═══════════════════════════════════════════════════════════
         // 1️⃣ CREATE 3 MERCHANTS + TRANSACTIONS + REVENUE
@@ -246,6 +257,11 @@ async function seedDummyData() {
                     joinDate: new Date(),
                 });
             }
+            seededMerchantIds.push(merchant.merchantId);
+
+            if (cfg.scale === "Micro") {
+                await FeeSchedule.create({ merchantId: merchant.merchantId, paymentMethod: "QRIS", percentageFee: 0.3, fixedFee: 0, effectiveFrom: feeEffectiveFrom, description: "MDR QRIS usaha mikro" });
+            }
 
             await Transaction.destroy({ where: { merchantId: merchant.merchantId } });
             await DailyRevenue.destroy({ where: { merchantId: merchant.merchantId } });
@@ -262,6 +278,7 @@ async function seedDummyData() {
 
                 const txCount = rand(cfg.txPerDay[0], cfg.txPerDay[1]);
                 let dailyTotal = 0;
+                let dailyFee = 0;
                 let dailySuccess = 0;
                 let dailyFail = 0;
 
@@ -272,6 +289,8 @@ async function seedDummyData() {
                     const quantity = rand(1, 5);
                     const calculatedTotal = product.unitPrice * quantity;
                     const finalAmount = isSuccess ? calculatedTotal : 0;
+                    // MDR QRIS: 0.3% untuk usaha mikro, 0.7% reguler (sama dengan tarif seed)
+                    const { feeAmount, netAmount } = calculateFee(finalAmount, { percentageFee: cfg.scale === "Micro" ? 0.3 : 0.7, fixedFee: 0 });
 
                     await Transaction.create({
                         transactionId: `TXN-${uuidv4()}`,
@@ -280,6 +299,8 @@ async function seedDummyData() {
                         amount: finalAmount,
                         paymentMethod: "QRIS",
                         status: isSuccess ? "Success" : "Failed",
+                        feeAmount: isSuccess ? feeAmount : null,
+                        netAmount: isSuccess ? netAmount : null,
                         metadata: {
                             description: `Pembayaran ${quantity}x ${product.name}`,
                             productInfo: [
@@ -299,6 +320,7 @@ async function seedDummyData() {
 
                     if (isSuccess) {
                         dailyTotal += finalAmount;
+                        dailyFee += feeAmount;
                         dailySuccess++;
                         successTx++;
                     } else {
@@ -313,6 +335,8 @@ async function seedDummyData() {
                         merchantId: merchant.merchantId,
                         transactionDate: date,
                         totalAmount: dailyTotal,
+                        feeAmount: parseFloat(dailyFee.toFixed(2)),
+                        netAmount: parseFloat((dailyTotal - dailyFee).toFixed(2)),
                         transactionCount: txCount,
                         successfulCount: dailySuccess,
                         failedCount: dailyFail,
@@ -366,12 +390,24 @@ async function seedDummyData() {
         }
 
         // ═══════════════════════════════════════════════════════════
-        // 4️⃣ CREATE DUMMY BANK USERS
+        // 4️⃣ CREATE DUMMY BANKS, BANK & PLATFORM ADMIN USERS
         // ═══════════════════════════════════════════════════════════
+        const banks = [
+            { bankId: "BCA", name: "PT Bank Central Asia" },
+            { bankId: "MANDIRI", name: "PT Bank Mandiri" },
+            { bankId: "BNI", name: "PT Bank BNI" },
+        ];
+
+        for (const bank of banks) {
+            await Bank.findOrCreate({ where: { bankId: bank.bankId }, defaults: bank });
+        }
+
         const bankUsers = [
             {
                 email: "bank1@bca.com",
                 password: "BankPass123",
+                bankId: "BCA",
+                role: ROLES.BANK_ADMIN,
                 companyName: "PT Bank Central Asia",
                 fullName: "Dina Kusuma",
                 city: "Jakarta",
@@ -381,6 +417,8 @@ async function seedDummyData() {
             {
                 email: "bank2@mandiri.com",
                 password: "BankPass123",
+                bankId: "MANDIRI",
+                role: ROLES.BANK_OFFICER,
                 companyName: "PT Bank Mandiri",
                 fullName: "Rudi Hermawan",
                 city: "Jakarta",
@@ -390,12 +428,24 @@ async function seedDummyData() {
             {
                 email: "bank3@bni.com",
                 password: "BankPass123",
+                bankId: "BNI",
+                role: ROLES.BANK_OFFICER,
                 companyName: "PT Bank BNI",
                 fullName: "Siti Nurhaliza",
                 city: "Jakarta",
                 address: "Jl. Sudirman Kav No 7, Jakarta Pusat",
                 phoneNumber: "081777888999",
             },
+            {
+                email: "admin@paybaba.id",
+                password: "AdminPass123",
+                role: ROLES.PLATFORM_ADMIN,
+                companyName: "PayBaba",
+                fullName: "PayBaba Admin",
+                city: "Jakarta",
+                address: "Jl. Jend. Sudirman Kav 52-53, Jakarta Selatan",
+                phoneNumber: "081888999000",
+            },
         ];
 
         for (const bankData of bankUsers) {
@@ -410,13 +460,29 @@ async function seedDummyData() {
                     city: bankData.city,
                     address: bankData.address,
                     phoneNumber: bankData.phoneNumber,
+                    role: bankData.role,
+                    bankId: bankData.bankId || null,
                     status: "Active",
                     isEmailVerified: true,
                 });
-                logger.info(`✅ Bank user seeded: ${bankData.email}`);
+                logger.info(`✅ Bank user seeded: ${bankData.email} (${bankData.role})`);
             }
         }
 
+        // ═══════════════════════════════════════════════════════════
+        // 5️⃣ CONSENT MERCHANT → BANK (berlaku 1 tahun)
+        //    BCA: transactions, Mandiri: score, BNI: tidak ada consent
+        // ═══════════════════════════════════════════════════════════
+        const consentExpiry = new Date(today.getFullYear() + 1, today.getMonth(), today.getDate());
+        for (const merchantId of seededMerchantIds) {
+            await MerchantConsent.destroy({ where: { merchantId } });
+            await MerchantConsent.bulkCreate([
+                { merchantId, bankId: "BCA", scope: "transactions", expiresAt: consentExpiry },
+                { merchantId, bankId: "MANDIRI", scope: "score", expiresAt: consentExpiry },
+            ]);
+        }
+        logger.info(`✅ Consent seeded untuk ${seededMerchantIds.length} merchant`);
+
         logger.info("\n🎉 DUMMY DATA CREATED SUCCESSFULLY");
         logger.info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
         logger.info("📊 Credit Score History: 6 bulan per merchant");
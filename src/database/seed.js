@@ -1,6 +1,8 @@
 import sequelize from "../database/connection.js";
 import User from "../models/User.js";
 import Merchant from "../models/Merchant.js";
+import FeeSchedule from "../models/FeeSchedule.js";
+import { DEFAULT_FEE_SCHEDULES } from "../config/fees.js";
 import bcrypt from "bcryptjs";
 import logger from "../utils/logger.js";
 
@@ -81,6 +83,21 @@ const seedDatabase = async () => {
 
         logger.info(`Created merchant 3: ${merchant3.merchantId}`);
 
+        // Tarif MDR default platform + override QRIS usaha mikro untuk merchant 1
+        const effectiveFrom = "2024-01-01";
+        for (const schedule of DEFAULT_FEE_SCHEDULES) {
+            await FeeSchedule.findOrCreate({
+                where: { merchantId: null, paymentMethod: schedule.paymentMethod, paymentChannel: schedule.paymentChannel, effectiveFrom },
+                defaults: { ...schedule, effectiveFrom },
+            });
+        }
+        await FeeSchedule.findOrCreate({
+            where: { merchantId: merchant1.merchantId, paymentMethod: "QRIS", paymentChannel: null, effectiveFrom },
+            defaults: { percentageFee: 0.3, fixedFee: 0, description: "MDR QRIS usaha mikro" },
+        });
+
+        logger.info("Seeded MDR fee schedules");
+
         logger.info("Database seed completed successfully");
     } catch (error) {
         logger.error(`Seed error: ${error.message}`);
@@ -0,0 +1,36 @@
+import Merchant from "../models/Merchant.js";
+import { calculateAndSaveCreditScore } from "../services/creditScoringService.js";
+import { runTrackedJob, processMerchantsInBatches } from "./jobRunner.js";
+
+export const CREDIT_SCORING_JOB = "credit-scoring";
+
+/* =====================================================
+   NIGHTLY CREDIT SCORING
+   - Ambil merchant per batch (CREDIT_SCORING_BATCH_SIZE)
+   - Dalam 1 batch, maksimal CREDIT_SCORING_CONCURRENCY merchant diproses bersamaan
+   - Merchant tanpa transaksi = skipped, error = failed (run tetap lanjut)
+===================================================== */
+
+export const runCreditScoringJob = async () => {
+    return await runTrackedJob(CREDIT_SCORING_JOB, () =>
+        processMerchantsInBatches({
+            label: "Credit Scoring Job",
+            batchSize: parseInt(process.env.CREDIT_SCORING_BATCH_SIZE) || 50,
+            concurrency: parseInt(process.env.CREDIT_SCORING_CONCURRENCY) || 5,
+            fetchBatch: (limit, offset) =>
+                Merchant.findAll({
+                    attributes: ["merchantId"],
+                    order: [["merchantId", "ASC"]],
+                    limit,
+                    offset,
+                    raw: true,
+                }),
+            // Early warning tidak dijalankan per merchant: sweep EARLY_WARNING_CRON (setelah job ini) sudah mendeteksi semua merchant
+            worker: (merchantId) => calculateAndSaveCreditScore(merchantId, { runEarlyWarning: false }),
+        }),
+    );
+};
+
+export default {
+    runCreditScoringJob,
+};
@@ -0,0 +1,40 @@
+import Merchant from "../models/Merchant.js";
+import User from "../models/User.js";
+import { runAnomalyDetection } from "../services/earlyWarningService.js";
+import { runTrackedJob, processMerchantsInBatches } from "./jobRunner.js";
+
+export const EARLY_WARNING_JOB = "early-warning-sweep";
+
+/* =====================================================
+   EARLY WARNING SWEEP
+   Jalankan detectAnomalies untuk semua merchant dengan user status Active.
+   Dijadwalkan setelah credit scoring supaya Score Drop membaca skor terbaru.
+===================================================== */
+
+export const runEarlyWarningJob = async () => {
+    return await runTrackedJob(EARLY_WARNING_JOB, () =>
+        processMerchantsInBatches({
+            label: "Early Warning Job",
+            batchSize: parseInt(process.env.EARLY_WARNING_BATCH_SIZE) || 50,
+            concurrency: parseInt(process.env.EARLY_WARNING_CONCURRENCY) || 3,
+            fetchBatch: (limit, offset) =>
+                Merchant.findAll({
+                    attributes: ["merchantId"],
+                    include: [{ model: User, attributes: [], where: { status: "Active" } }],
+                    order: [["merchantId", "ASC"]],
+                    limit,
+                    offset,
+                    raw: true,
+                }),
+            // Sweep tanpa anomali tetap dihitung succeeded
+            worker: async (merchantId) => {
+                await runAnomalyDetection(merchantId);
+                return true;
+            },
+        }),
+    );
+};
+
+export default {
+    runEarlyWarningJob,
+};
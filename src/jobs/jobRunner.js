@@ -0,0 +1,96 @@
+import JobRun from "../models/JobRun.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import logger from "../utils/logger.js";
+
+// Nama job yang sedang berjalan di proses ini — cegah run overlap
+const runningJobs = new Set();
+
+/**
+ * Jalankan handler job dan simpan ringkasan run ke tabel job_runs.
+ * Handler harus mengembalikan { total, succeeded, skipped, failed, failures }.
+ * Return null jika job dengan nama yang sama masih berjalan atau run gagal dicatat.
+ */
+export const runTrackedJob = async (jobName, handler) => {
+    if (runningJobs.has(jobName)) {
+        logger.warn(`[Job] ${jobName} masih berjalan, run baru dilewati`);
+        return null;
+    }
+
+    runningJobs.add(jobName);
+    let run = null;
+
+    // JobRun.create di dalam try: jika insert gagal, finally tetap melepas nama job
+    try {
+        run = await JobRun.create({ jobName, startedAt: new Date() });
+        logger.info(`[Job] ${jobName} started (run: ${run.id})`);
+
+        const result = await handler();
+
+        await run.update({
+            status: "Completed",
+            finishedAt: new Date(),
+            totalCount: result.total,
+            succeededCount: result.succeeded,
+            skippedCount: result.skipped,
+            failedCount: result.failed,
+            failures: result.failures?.length ? result.failures : null,
+        });
+
+        logger.info(`[Job] ${jobName} finished — total: ${result.total}, succeeded: ${result.succeeded}, skipped: ${result.skipped}, failed: ${result.failed}`);
+        return run;
+    } catch (error) {
+        logger.error(`[Job] ${jobName} failed: ${error.message}`);
+
+        if (run) {
+            await run.update({
+                status: "Failed",
+                finishedAt: new Date(),
+                errorMessage: error.message,
+            });
+        }
+        return run;
+    } finally {
+        runningJobs.delete(jobName);
+    }
+};
+
+/**
+ * Proses semua merchant per batch dengan batas concurrency.
+ * - fetchBatch(limit, offset) → array merchant ({ merchantId })
+ * - worker(merchantId) → truthy = succeeded, falsy = skipped, throw = failed
+ * Satu merchant gagal tidak menghentikan merchant lainnya.
+ */
+export const processMerchantsInBatches = async ({ fetchBatch, worker, batchSize = 50, concurrency = 5, label = "Job" }) => {
+    const summary = { total: 0, succeeded: 0, skipped: 0, failed: 0, failures: [] };
+    let offset = 0;
+
+    while (true) {
+        const merchants = await fetchBatch(batchSize, offset);
+        if (merchants.length === 0) break;
+
+        const results = await mapWithConcurrency(merchants, concurrency, (m) => worker(m.merchantId));
+
+        for (const result of results) {
+            summary.total += 1;
+            if (result.status === "rejected") {
+                summary.failed += 1;
+                summary.failures.push({ merchantId: result.item.merchantId, error: result.reason?.message || String(result.reason) });
+                logger.warn(`[${label}] Gagal untuk merchant ${result.item.merchantId}: ${result.reason?.message}`);
+            } else if (!result.value) {
+                summary.skipped += 1;
+            } else {
+                summary.succeeded += 1;
+            }
+        }
+
+        offset += merchants.length;
+        if (merchants.length < batchSize) break;
+    }
+
+    return summary;
+};
+
+export default {
+    runTrackedJob,
+    processMerchantsInBatches,
+};
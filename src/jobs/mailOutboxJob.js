@@ -0,0 +1,35 @@
+import { findPendingMails, deliverMail } from "../services/mailService.js";
+import { runTrackedJob } from "./jobRunner.js";
+
+export const MAIL_OUTBOX_JOB = "mail-outbox";
+
+/* =====================================================
+   MAIL OUTBOX RETRY
+   Kirim ulang email Pending. Tidak membuat job run jika outbox kosong
+   (job ini jalan tiap beberapa menit).
+===================================================== */
+
+export const runMailOutboxJob = async () => {
+    const mails = await findPendingMails(parseInt(process.env.MAIL_OUTBOX_BATCH_SIZE) || 50);
+    if (mails.length === 0) return null;
+
+    return await runTrackedJob(MAIL_OUTBOX_JOB, async () => {
+        const summary = { total: mails.length, succeeded: 0, skipped: 0, failed: 0, failures: [] };
+
+        // Berurutan — volume kecil dan menjaga rate limit SMTP
+        for (const mail of mails) {
+            if (await deliverMail(mail)) {
+                summary.succeeded += 1;
+            } else {
+                summary.failed += 1;
+                summary.failures.push({ mailId: mail.id, template: mail.template, error: mail.lastError });
+            }
+        }
+
+        return summary;
+    });
+};
+
+export default {
+    runMailOutboxJob,
+};
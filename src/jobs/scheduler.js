@@ -0,0 +1,50 @@
+import schedule from "node-schedule";
+import logger from "../utils/logger.js";
+import { CREDIT_SCORING_JOB, runCreditScoringJob } from "./creditScoringJob.js";
+import { EARLY_WARNING_JOB, runEarlyWarningJob } from "./earlyWarningJob.js";
+import { MAIL_OUTBOX_JOB, runMailOutboxJob } from "./mailOutboxJob.js";
+
+const TIMEZONE = "Asia/Jakarta";
+
+/**
+ * Daftarkan 1 job cron. Cron expression yang tidak valid hanya di-log,
+ * tidak menggagalkan startup server.
+ */
+const registerJob = (name, cronExpression, handler) => {
+    const job = schedule.scheduleJob(name, { rule: cronExpression, tz: TIMEZONE }, async () => {
+        try {
+            await handler();
+        } catch (error) {
+            logger.error(`[Scheduler] ${name} error: ${error.message}`);
+        }
+    });
+
+    if (!job) {
+        logger.error(`[Scheduler] Cron expression tidak valid untuk ${name}: "${cronExpression}"`);
+        return null;
+    }
+
+    logger.info(`[Scheduler] ${name} dijadwalkan (${cronExpression} ${TIMEZONE}), next run: ${job.nextInvocation()?.toISOString()}`);
+    return job;
+};
+
+export const startScheduler = () => {
+    if (process.env.SCHEDULER_ENABLED === "false") {
+        logger.info("[Scheduler] Disabled via SCHEDULER_ENABLED=false");
+        return;
+    }
+
+    registerJob(CREDIT_SCORING_JOB, process.env.CREDIT_SCORING_CRON || "0 2 * * *", runCreditScoringJob);
+    registerJob(EARLY_WARNING_JOB, process.env.EARLY_WARNING_CRON || "0 4 * * *", runEarlyWarningJob);
+    registerJob(MAIL_OUTBOX_JOB, process.env.MAIL_OUTBOX_CRON || "*/5 * * * *", runMailOutboxJob);
+};
+
+export const stopScheduler = async () => {
+    await schedule.gracefulShutdown();
+    logger.info("[Scheduler] Stopped");
+};
+
+export default {
+    startScheduler,
+    stopScheduler,
+};
@@ -0,0 +1,144 @@
+/* =====================================================
+   MAIL TEMPLATES
+   Setiap template: (data) → { subject, text, html }
+===================================================== */
+
+const escapeHtml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+const layout = (title, bodyHtml) => `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto;">
+    <h2 style="color: #0f766e;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">Email ini dikirim otomatis oleh PayBaba. Jangan balas email ini.</p>
+  </body>
+</html>`;
+
+const button = (url, label) => `<p><a href="${escapeHtml(url)}" style="background: #0f766e; color: #fff; padding: 10px 16px; border-radius: 6px; text-decoration: none;">${escapeHtml(label)}</a></p>
+    <p style="font-size: 12px;">Atau buka link ini: <br>${escapeHtml(url)}</p>`;
+
+export const templates = {
+    /**
+     * data: { fullName, verifyUrl, expiresInHours }
+     */
+    verifyEmail: ({ fullName, verifyUrl, expiresInHours }) => ({
+        subject: "Verifikasi email akun PayBaba Anda",
+        text: `Halo ${fullName},\n\nSilakan verifikasi email Anda dengan membuka link berikut (berlaku ${expiresInHours} jam):\n${verifyUrl}\n\nAbaikan email ini jika Anda tidak mendaftar di PayBaba.`,
+        html: layout(
+            "Verifikasi email Anda",
+            `<p>Halo ${escapeHtml(fullName)},</p>
+    <p>Silakan verifikasi email Anda (link berlaku ${escapeHtml(expiresInHours)} jam).</p>
+    ${button(verifyUrl, "Verifikasi email")}
+    <p>Abaikan email ini jika Anda tidak mendaftar di PayBaba.</p>`,
+        ),
+    }),
+
+    /**
+     * data: { fullName, resetUrl, expiresInMinutes }
+     */
+    passwordReset: ({ fullName, resetUrl, expiresInMinutes }) => ({
+        subject: "Reset password akun PayBaba",
+        text: `Halo ${fullName},\n\nKami menerima permintaan reset password. Buka link berikut untuk membuat password baru (berlaku ${expiresInMinutes} menit):\n${resetUrl}\n\nAbaikan email ini jika Anda tidak meminta reset password.`,
+        html: layout(
+            "Reset password",
+            `<p>Halo ${escapeHtml(fullName)},</p>
+    <p>Kami menerima permintaan reset password. Link berlaku ${escapeHtml(expiresInMinutes)} menit.</p>
+    ${button(resetUrl, "Buat password baru")}
+    <p>Abaikan email ini jika Anda tidak meminta reset password.</p>`,
+        ),
+    }),
+
+    /**
+     * data: { fullName, unlockUrl, lockedMinutes }
+     */
+    accountLocked: ({ fullName, unlockUrl, lockedMinutes }) => ({
+        subject: "Akun PayBaba Anda dikunci sementara",
+        text: `Halo ${fullName},\n\nAkun Anda dikunci selama ${lockedMinutes} menit karena terlalu banyak percobaan login gagal.\nJika itu Anda, buka kunci sekarang dengan link berikut:\n${unlockUrl}\n\nJika bukan Anda, segera reset password akun Anda.`,
+        html: layout(
+            "Akun dikunci sementara",
+            `<p>Halo ${escapeHtml(fullName)},</p>
+    <p>Akun Anda dikunci selama ${escapeHtml(lockedMinutes)} menit karena terlalu banyak percobaan login gagal.</p>
+    ${button(unlockUrl, "Buka kunci akun")}
+    <p>Jika bukan Anda yang mencoba login, segera reset password akun Anda.</p>`,
+        ),
+    }),
+
+    /**
+     * data: { companyName, inviterEmail, role, acceptUrl, expiresInDays }
+     */
+    merchantInvite: ({ companyName, inviterEmail, role, acceptUrl, expiresInDays }) => ({
+        subject: `Undangan bergabung ke ${companyName} di PayBaba`,
+        text: `Halo,\n\n${inviterEmail} mengundang Anda bergabung ke ${companyName} di PayBaba sebagai ${role}.\nTerima undangan dengan membuka link berikut (berlaku ${expiresInDays} hari):\n${acceptUrl}\n\nAbaikan email ini jika Anda tidak mengenal pengirimnya.`,
+        html: layout(
+            `Undangan bergabung ke ${companyName}`,
+            `<p>Halo,</p>
+    <p>${escapeHtml(inviterEmail)} mengundang Anda bergabung ke <strong>${escapeHtml(companyName)}</strong> di PayBaba sebagai <strong>${escapeHtml(role)}</strong>.</p>
+    <p>Link berlaku ${escapeHtml(expiresInDays)} hari.</p>
+    ${button(acceptUrl, "Terima undangan")}
+    <p>Abaikan email ini jika Anda tidak mengenal pengirimnya.</p>`,
+        ),
+    }),
+
+    /**
+     * data: { companyName, alertType, severity, description, dashboardUrl }
+     */
+    alertNotification: ({ companyName, alertType, severity, description, dashboardUrl }) => ({
+        subject: `[${severity}] Early warning: ${alertType}`,
+        text: `Halo ${companyName},\n\nSistem early warning PayBaba mendeteksi ${alertType} (severity ${severity}).\n${description}\n\nLihat detail di dashboard: ${dashboardUrl}`,
+        html: layout(
+            `Early warning: ${alertType}`,
+            `<p>Halo ${escapeHtml(companyName)},</p>
+    <p>Sistem early warning PayBaba mendeteksi <strong>${escapeHtml(alertType)}</strong> (severity <strong>${escapeHtml(severity)}</strong>).</p>
+    <p>${escapeHtml(description)}</p>
+    ${button(dashboardUrl, "Lihat dashboard")}`,
+        ),
+    }),
+
+    /**
+     * data: { companyName, approved, reason, kycUrl }
+     */
+    kycReviewed: ({ companyName, approved, reason, kycUrl }) => ({
+        subject: approved ? "Verifikasi KYC merchant Anda disetujui" : "Verifikasi KYC merchant Anda ditolak",
+        text: approved
+            ? `Halo ${companyName},
+
+Dokumen KYC Anda telah diverifikasi. Merchant Anda kini berstatus Verified.
+
+Lihat status KYC: ${kycUrl}`
+            : `Halo ${companyName},
+
+Dokumen KYC Anda ditolak dengan alasan:
+${reason}
+
+Perbaiki dokumen lalu submit ulang: ${kycUrl}`,
+        html: layout(
+            approved ? "KYC disetujui" : "KYC ditolak",
+            `<p>Halo ${escapeHtml(companyName)},</p>
+    ${approved ? "<p>Dokumen KYC Anda telah diverifikasi. Merchant Anda kini berstatus <strong>Verified</strong>.</p>" : `<p>Dokumen KYC Anda ditolak dengan alasan:</p>
+    <p>${escapeHtml(reason)}</p>
+    <p>Perbaiki dokumen lalu submit ulang.</p>`}
+    ${button(kycUrl, "Lihat status KYC")}`,
+        ),
+    }),
+};
+
+/**
+ * Render template berdasarkan nama. Throw jika template tidak dikenal.
+ */
+export const renderTemplate = (name, data) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown mail template: ${name}`);
+    }
+    return template(data);
+};
+
+export default {
+    templates,
+    renderTemplate,
+};
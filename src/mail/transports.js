@@ -0,0 +1,100 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   MAIL TRANSPORTS
+   Transport = { name, send(message) → { messageId } }
+   message   = { from, to, subject, text, html }
+   Dipilih lewat MAIL_TRANSPORT (default: smtp di production, file selain itu).
+===================================================== */
+
+/**
+ * SMTP via nodemailer. Untuk dev bisa diarahkan ke SMTP sink lokal
+ * (mis. MailHog / Mailpit di localhost:1025).
+ */
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port: parseInt(process.env.SMTP_PORT) || 1025,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+
+    return {
+        name: "smtp",
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+};
+
+/**
+ * Tulis setiap email sebagai file JSON ke MAIL_FILE_DIR (default tmp/mail) — untuk dev & test
+ */
+const createFileTransport = () => {
+    const dir = process.env.MAIL_FILE_DIR || path.join("tmp", "mail");
+
+    return {
+        name: "file",
+        dir,
+        send: async (message) => {
+            const messageId = crypto.randomUUID();
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, `${Date.now()}-${messageId}.json`), JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+            return { messageId };
+        },
+    };
+};
+
+/**
+ * Hanya log subject & penerima (isi email tidak di-log karena bisa berisi token)
+ */
+const createLogTransport = () => ({
+    name: "log",
+    send: async (message) => {
+        const messageId = crypto.randomUUID();
+        logger.info(`[Mail] ${message.to} — ${message.subject} (${messageId})`);
+        return { messageId };
+    },
+});
+
+const factories = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    log: createLogTransport,
+};
+
+let activeTransport = null;
+let activeName = null;
+
+/**
+ * Daftarkan transport tambahan (mis. provider API) — dipilih dengan MAIL_TRANSPORT=<name>
+ */
+export const registerTransport = (name, factory) => {
+    factories[name] = factory;
+    if (activeName === name) activeTransport = null;
+};
+
+export const getTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "file");
+
+    if (!activeTransport || activeName !== name) {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+        }
+        activeTransport = factory();
+        activeName = name;
+    }
+
+    return activeTransport;
+};
+
+export default {
+    registerTransport,
+    getTransport,
+};
@@ -0,0 +1,114 @@
+import { recordAudit } from "../services/auditService.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   AUDIT TRAIL
+   - auditTrail(): dipasang per router SEBELUM autentikasi, supaya request
+     yang ditolak (401/403) tetap tercatat
+   - audit(action): dipasang per route, memberi nama aksi
+   Handler boleh melengkapi req.audit.merchantIds / req.audit.metadata.
+===================================================== */
+
+const outcomeOf = (statusCode) => {
+    if (statusCode < 400) return "success";
+    if (statusCode === 401 || statusCode === 403) return "denied";
+    return "failure";
+};
+
+const actorOf = (req) => {
+    if (req.apiKey) {
+        return {
+            actorType: "api_key",
+            actorId: req.apiKey.id,
+            actorLabel: `${req.apiKey.bankId} API key ${req.apiKey.prefix}`,
+            role: null,
+            bankId: req.apiKey.bankId,
+        };
+    }
+
+    if (req.user) {
+        return {
+            actorType: "user",
+            actorId: req.user.userId,
+            actorLabel: req.user.email,
+            role: req.user.role,
+            bankId: req.user.bankId || null,
+        };
+    }
+
+    // Login / register / reset: catat email yang dipakai
+    return {
+        actorType: "anonymous",
+        actorId: null,
+        actorLabel: typeof req.body?.email === "string" ? req.body.email.slice(0, 150) : null,
+        role: null,
+        bankId: null,
+    };
+};
+
+const writeAuditEntry = async (req, res, { merchantFromUser }) => {
+    const outcome = outcomeOf(res.statusCode);
+
+    // Route tanpa nama aksi hanya dicatat jika ditolak (mis. 401 sebelum route cocok)
+    if (!req.audit.action && outcome !== "denied") return;
+
+    const actor = actorOf(req);
+    let merchantIds = req.audit.merchantIds;
+
+    // Route merchant: data yang disentuh adalah merchant user itu sendiri (di-resolve oleh resolveMerchant)
+    if (merchantFromUser && !merchantIds.length && req.merchant) {
+        merchantIds = [req.merchant.merchantId];
+    }
+
+    // Staf merchant: catat role membership (owner / manager / cashier / viewer)
+    const metadata = req.merchantMember ? { ...req.audit.metadata, memberRole: req.merchantMember.role } : req.audit.metadata;
+
+    await recordAudit({
+        action: req.audit.action || "unmatched",
+        category: req.audit.category || (req.method === "GET" ? "read" : "write"),
+        outcome,
+        statusCode: res.statusCode,
+        ...actor,
+        merchantIds,
+        method: req.method,
+        route: req.originalUrl.split("?")[0].slice(0, 255),
+        ipAddress: req.ip || null,
+        userAgent: req.get("user-agent")?.slice(0, 255) || null,
+        requestId: req.requestId || null,
+        metadata,
+    });
+};
+
+/**
+ * Pasang di level router. merchantFromUser: isi merchantIds dari merchant user (route merchant).
+ */
+export const auditTrail = ({ merchantFromUser = false } = {}) => {
+    return (req, res, next) => {
+        req.audit = { action: null, category: null, merchantIds: [], metadata: null };
+
+        res.on("finish", () => {
+            writeAuditEntry(req, res, { merchantFromUser }).catch((error) => logger.error(`Audit trail error: ${error.message}`));
+        });
+
+        next();
+    };
+};
+
+/**
+ * Nama aksi untuk 1 route. category default: GET = read, lainnya = write.
+ */
+export const audit = (action, { category } = {}) => {
+    return (req, res, next) => {
+        if (req.audit) {
+            req.audit.action = action;
+            req.audit.category = category || null;
+            if (req.params.merchantId) req.audit.merchantIds = [req.params.merchantId];
+        }
+        next();
+    };
+};
+
+export default {
+    auditTrail,
+    audit,
+};
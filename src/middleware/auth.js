@@ -1,7 +1,15 @@
 import jwt from "jsonwebtoken";
 import logger from "../utils/logger.js";
+import { ROLES, BANK_ROLES } from "../config/roles.js";
+import { verifyApiKey } from "../services/bankApiKeyService.js";
+import { inactiveAccountError } from "../services/authService.js";
+import User from "../models/User.js";
 
-export const authenticateToken = (req, res, next) => {
+/**
+ * Verifikasi Bearer token + cek status akun di DB (akun Suspended / Inactive langsung ditolak
+ * walaupun access token-nya belum kadaluarsa).
+ */
+export const authenticateToken = async (req, res, next) => {
     try {
         const authHeader = req.headers["authorization"];
         const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
@@ -13,18 +21,35 @@ export const authenticateToken = (req, res, next) => {
             });
         }
 
-        jwt.verify(token, process.env.JWT_ACCESS_TOKEN_SECRET, (err, user) => {
-            if (err) {
-                logger.warn(`Token verification failed: ${err.message}`);
-                return res.status(401).json({
-                    success: false,
-                    message: "Token tidak valid atau sudah kadaluarsa",
-                });
-            }
+        let user;
+        try {
+            user = jwt.verify(token, process.env.JWT_ACCESS_TOKEN_SECRET);
+        } catch (err) {
+            logger.warn(`Token verification failed: ${err.message}`);
+            return res.status(401).json({
+                success: false,
+                message: "Token tidak valid atau sudah kadaluarsa",
+            });
+        }
 
-            req.user = user;
-            next();
-        });
+        const account = await User.findByPk(user.userId, { attributes: ["status"] });
+        if (!account) {
+            return res.status(401).json({
+                success: false,
+                message: "Token tidak valid atau sudah kadaluarsa",
+            });
+        }
+
+        if (account.status !== "Active") {
+            const { statusCode, message } = inactiveAccountError(account.status);
+            return res.status(statusCode).json({
+                success: false,
+                message,
+            });
+        }
+
+        req.user = user;
+        next();
     } catch (error) {
         logger.error(`Auth middleware error: ${error.message}`);
         res.status(500).json({
@@ -34,10 +59,51 @@ export const authenticateToken = (req, res, next) => {
     }
 };
 
-export const authenticateApiKey = (req, res, next) => {
+/**
+ * Batasi route ke role tertentu. Harus dipasang setelah authenticateToken.
+ */
+export const authorizeRoles = (...allowedRoles) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: "Token tidak ditemukan",
+            });
+        }
+
+        if (!allowedRoles.includes(req.user.role)) {
+            logger.warn(`Access denied for ${req.user.email} (role: ${req.user.role}) on ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({
+                success: false,
+                message: "Akses ditolak untuk role ini",
+            });
+        }
+
+        next();
+    };
+};
+
+/**
+ * Aksi sensitif hanya untuk user yang emailnya sudah terverifikasi (claim emailVerified).
+ * Harus dipasang setelah authenticateToken.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user?.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: "Verifikasi email Anda terlebih dahulu",
+        });
+    }
+    next();
+};
+
+/**
+ * Bank API key (header X-API-Key). Key di-hash di DB; yang di-log hanya prefix.
+ * Set req.apiKey = { id, bankId, scopes, prefix } dan req.bank.
+ */
+export const authenticateApiKey = async (req, res, next) => {
     try {
         const apiKey = req.headers["x-api-key"];
-        const expectedApiKey = process.env.BANK_API_KEY || "bank-secret-key-123";
 
         if (!apiKey) {
             return res.status(401).json({
@@ -46,14 +112,23 @@ export const authenticateApiKey = (req, res, next) => {
             });
         }
 
-        if (apiKey !== expectedApiKey) {
-            logger.warn(`Invalid API key attempted: ${apiKey}`);
+        const verified = await verifyApiKey(apiKey);
+        if (!verified) {
+            const prefix = typeof apiKey === "string" ? apiKey.split("_")[1] : undefined;
+            logger.warn(`Invalid API key attempted (prefix: ${prefix || "-"}) on ${req.method} ${req.originalUrl}`);
             return res.status(401).json({
                 success: false,
                 message: "API key tidak valid",
             });
         }
 
+        req.apiKey = {
+            id: verified.key.id,
+            bankId: verified.key.bankId,
+            scopes: verified.key.scopes,
+            prefix: verified.key.keyPrefix,
+        };
+        req.bank = verified.bank;
         next();
     } catch (error) {
         logger.error(`API key auth middleware error: ${error.message}`);
@@ -64,6 +139,39 @@ export const authenticateApiKey = (req, res, next) => {
     }
 };
 
+/**
+ * Bank routes: X-API-Key (integrasi sistem bank) atau Bearer token
+ * (user bank / platform admin). Kalau header X-API-Key ada, itu yang dipakai.
+ */
+export const authenticateBank = (req, res, next) => {
+    if (req.headers["x-api-key"]) {
+        return authenticateApiKey(req, res, next);
+    }
+
+    authenticateToken(req, res, () => authorizeRoles(...BANK_ROLES, ROLES.PLATFORM_ADMIN)(req, res, next));
+};
+
+/**
+ * Otorisasi per route bank: request API key dicek scope-nya,
+ * request user dicek role-nya (default: semua role bank + platform admin).
+ */
+export const authorizeBank = ({ scope, roles = [...BANK_ROLES, ROLES.PLATFORM_ADMIN] } = {}) => {
+    return (req, res, next) => {
+        if (req.apiKey) {
+            if (!scope || !req.apiKey.scopes.includes(scope)) {
+                logger.warn(`API key ${req.apiKey.prefix} missing scope ${scope || "(user only)"} on ${req.method} ${req.originalUrl}`);
+                return res.status(403).json({
+                    success: false,
+                    message: scope ? `API key tidak memiliki scope ${scope}` : "Endpoint ini tidak bisa diakses dengan API key",
+                });
+            }
+            return next();
+        }
+
+        authorizeRoles(...roles)(req, res, next);
+    };
+};
+
 export const optionalAuth = (req, res, next) => {
     try {
         const authHeader = req.headers["authorization"];
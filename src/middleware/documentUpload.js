@@ -0,0 +1,41 @@
+import express from "express";
+import { KYC_MAX_FILE_SIZE_MB } from "../config/kyc.js";
+import { SETTLEMENT_MAX_FILE_SIZE_MB } from "../config/settlement.js";
+
+/**
+ * Body request = isi file (bukan multipart), Content-Type = tipe file.
+ * Set req.file = { buffer, contentType }. Ukuran dibatasi maxSizeMb.
+ */
+const rawFileUpload = (maxSizeMb, emptyMessage) => {
+    const rawBody = express.raw({ type: () => true, limit: `${maxSizeMb}mb` });
+
+    return (req, res, next) => {
+        rawBody(req, res, (err) => {
+            if (err?.type === "entity.too.large") {
+                return res.status(413).json({
+                    success: false,
+                    message: `Ukuran file maksimal ${maxSizeMb} MB`,
+                });
+            }
+            if (err) return next(err);
+
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: emptyMessage,
+                });
+            }
+
+            req.file = { buffer: req.body, contentType: req.headers["content-type"]?.split(";")[0].trim().toLowerCase() };
+            next();
+        });
+    };
+};
+
+// Dokumen KYC, dibatasi KYC_MAX_FILE_SIZE_MB
+export const documentUpload = rawFileUpload(KYC_MAX_FILE_SIZE_MB, "File dokumen wajib dikirim sebagai body request");
+
+// File settlement Paylabs (CSV), dibatasi SETTLEMENT_MAX_FILE_SIZE_MB
+export const settlementUpload = rawFileUpload(SETTLEMENT_MAX_FILE_SIZE_MB, "File settlement wajib dikirim sebagai body request");
+
+export default documentUpload;
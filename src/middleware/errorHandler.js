@@ -43,6 +43,11 @@ export const errorHandler = (err, req, res, next) => {
         });
     }
 
+    // Throttling / lockout (429, 423)
+    if (err.retryAfter) {
+        res.set("Retry-After", String(err.retryAfter));
+    }
+
     // Default error
     res.status(err.statusCode || 500).json({
         success: false,
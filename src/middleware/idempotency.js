@@ -0,0 +1,53 @@
+import logger from "../utils/logger.js";
+import { hashRequest, reserveIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } from "../services/idempotencyService.js";
+
+// ASCII printable tanpa spasi, mis. UUID dari client
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Dukungan header Idempotency-Key (opsional) untuk endpoint create.
+ * Harus dipasang setelah resolveMerchant & validateRequest — key di-scope per merchant,
+ * hash dihitung dari req.validatedData. Hanya response 2xx yang disimpan; response gagal melepas key.
+ */
+export const idempotent = (scope) => {
+    return async (req, res, next) => {
+        const key = req.get("Idempotency-Key");
+        if (key === undefined) return next();
+
+        if (!KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                success: false,
+                message: "Idempotency-Key harus 1-255 karakter ASCII tanpa spasi",
+            });
+        }
+
+        try {
+            const { record, replay } = await reserveIdempotencyKey({
+                merchantId: req.merchant.merchantId,
+                key,
+                scope,
+                requestHash: hashRequest(req.validatedData),
+            });
+
+            if (replay) {
+                if (req.audit) req.audit.metadata = { ...req.audit.metadata, idempotentReplay: true };
+                res.set("Idempotent-Replayed", "true");
+                return res.status(replay.responseStatus).json(replay.responseBody);
+            }
+
+            // Simpan / lepas key dulu, baru kirim response
+            const sendJson = res.json.bind(res);
+            res.json = (body) => {
+                const settle = res.statusCode < 300 ? completeIdempotencyKey(record, res.statusCode, body) : releaseIdempotencyKey(record);
+                settle.catch((error) => logger.error(`Idempotency key error: ${error.message}`)).finally(() => sendJson(body));
+                return res;
+            };
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+export default idempotent;
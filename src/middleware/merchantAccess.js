@@ -0,0 +1,53 @@
+import logger from "../utils/logger.js";
+import { resolveMembership } from "../services/merchantMemberService.js";
+
+/**
+ * Resolve merchant milik user yang login lewat membership aktif.
+ * Set req.merchant & req.merchantMember. Harus dipasang setelah authenticateToken.
+ */
+export const resolveMerchant = async (req, res, next) => {
+    try {
+        const membership = await resolveMembership(req.user.userId);
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: "Merchant tidak ditemukan",
+            });
+        }
+
+        req.merchant = membership.merchant;
+        req.merchantMember = membership.member;
+        next();
+    } catch (error) {
+        logger.error(`Merchant access middleware error: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+        });
+    }
+};
+
+/**
+ * Batasi route ke role membership tertentu (owner / manager / cashier / viewer).
+ * Harus dipasang setelah resolveMerchant.
+ */
+export const requireMemberRole = (...allowedRoles) => {
+    return (req, res, next) => {
+        const role = req.merchantMember?.role;
+
+        if (!allowedRoles.includes(role)) {
+            logger.warn(`Merchant access denied for ${req.user?.email} (member role: ${role}) on ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({
+                success: false,
+                message: "Akses ditolak untuk role Anda di merchant ini",
+            });
+        }
+
+        next();
+    };
+};
+
+export default {
+    resolveMerchant,
+    requireMemberRole,
+};
@@ -0,0 +1,14 @@
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Request id untuk korelasi log & audit trail. Pakai header X-Request-Id dari client / gateway
+ * kalau formatnya aman, selain itu generate baru. Dikembalikan di header response.
+ */
+export const requestId = (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.requestId = incoming && /^[A-Za-z0-9._-]{8,64}$/.test(incoming) ? incoming : uuidv4();
+    res.set("X-Request-Id", req.requestId);
+    next();
+};
+
+export default requestId;
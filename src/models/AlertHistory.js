@@ -0,0 +1,57 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import EarlyWarningAlert from "./EarlyWarningAlert.js";
+
+const AlertHistory = sequelize.define(
+    "AlertHistory",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        alertId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+        action: {
+            type: DataTypes.ENUM("Created", "Acknowledged", "Monitoring", "Reactivated", "Resolved", "Comment"),
+            allowNull: false,
+        },
+        fromStatus: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+        },
+        toStatus: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+        },
+        // "system" atau role user (bank_officer, merchant_owner, ...)
+        actorType: {
+            type: DataTypes.STRING(30),
+            allowNull: false,
+        },
+        actorUserId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        actorName: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+        },
+        note: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "alert_history",
+        timestamps: true,
+        updatedAt: false,
+    },
+);
+
+AlertHistory.belongsTo(EarlyWarningAlert, { foreignKey: "alertId" });
+EarlyWarningAlert.hasMany(AlertHistory, { foreignKey: "alertId" });
+
+export default AlertHistory;
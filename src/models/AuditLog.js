@@ -0,0 +1,109 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+
+/**
+ * Audit trail akses data & mutasi. Append-only: update / delete ditolak oleh hook di bawah.
+ */
+const AuditLog = sequelize.define(
+    "AuditLog",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        // Contoh: bank.merchant.view, bank.loan_application.create, auth.login
+        action: {
+            type: DataTypes.STRING(60),
+            allowNull: false,
+        },
+        category: {
+            type: DataTypes.ENUM("auth", "read", "write"),
+            allowNull: false,
+        },
+        outcome: {
+            type: DataTypes.ENUM("success", "denied", "failure"),
+            allowNull: false,
+        },
+        statusCode: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+        actorType: {
+            type: DataTypes.ENUM("user", "api_key", "anonymous"),
+            allowNull: false,
+        },
+        // userId atau id API key
+        actorId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        // Email user, label API key, atau email yang dipakai saat login
+        actorLabel: {
+            type: DataTypes.STRING(150),
+            allowNull: true,
+        },
+        role: {
+            type: DataTypes.STRING(30),
+            allowNull: true,
+        },
+        bankId: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+        },
+        // Merchant yang datanya diakses / diubah (list endpoint bisa lebih dari 1)
+        merchantIds: {
+            type: DataTypes.ARRAY(DataTypes.STRING(50)),
+            allowNull: false,
+            defaultValue: [],
+        },
+        method: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+        },
+        route: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+        },
+        userAgent: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        requestId: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+        },
+        metadata: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "audit_logs",
+        timestamps: true,
+        updatedAt: false,
+        indexes: [
+            { fields: ["created_at"] },
+            { fields: ["actor_id"] },
+            { fields: ["bank_id"] },
+            { fields: ["action"] },
+            { fields: ["request_id"] },
+            { fields: ["merchant_ids"], using: "gin" },
+        ],
+    },
+);
+
+const appendOnly = () => {
+    throw new Error("Audit log is append-only");
+};
+
+AuditLog.addHook("beforeUpdate", appendOnly);
+AuditLog.addHook("beforeBulkUpdate", appendOnly);
+AuditLog.addHook("beforeDestroy", appendOnly);
+AuditLog.addHook("beforeBulkDestroy", appendOnly);
+
+export default AuditLog;
@@ -0,0 +1,32 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import User from "./User.js";
+
+const Bank = sequelize.define(
+    "Bank",
+    {
+        bankId: {
+            type: DataTypes.STRING(20),
+            primaryKey: true,
+            allowNull: false,
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+        },
+        status: {
+            type: DataTypes.ENUM("Active", "Inactive"),
+            defaultValue: "Active",
+        },
+    },
+    {
+        tableName: "banks",
+        timestamps: true,
+    },
+);
+
+// Bank officer / bank admin terhubung ke 1 bank
+User.belongsTo(Bank, { foreignKey: "bankId" });
+Bank.hasMany(User, { foreignKey: "bankId" });
+
+export default Bank;
@@ -0,0 +1,71 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import Bank from "./Bank.js";
+
+const BankApiKey = sequelize.define(
+    "BankApiKey",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        bankId: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+        },
+        // Bagian publik dari key, dipakai untuk lookup & ditampilkan di UI
+        keyPrefix: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            unique: true,
+        },
+        // SHA-256 dari key lengkap — key asli hanya ditampilkan sekali saat issue/rotate
+        keyHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+        scopes: {
+            type: DataTypes.ARRAY(DataTypes.STRING(30)),
+            allowNull: false,
+            defaultValue: [],
+        },
+        status: {
+            type: DataTypes.ENUM("Active", "Rotated", "Revoked"),
+            defaultValue: "Active",
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        rotatedFromId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        createdBy: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "bank_api_keys",
+        timestamps: true,
+    },
+);
+
+BankApiKey.belongsTo(Bank, { foreignKey: "bankId" });
+Bank.hasMany(BankApiKey, { foreignKey: "bankId" });
+
+export default BankApiKey;
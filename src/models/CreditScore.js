@@ -85,6 +85,17 @@ const CreditScore = sequelize.define(
             type: DataTypes.INTEGER,
             allowNull: false,
         },
+        // Dasar revenue untuk volatility, growth & limit: gross atau net (setelah MDR)
+        revenueBasis: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            defaultValue: "gross",
+        },
+        // Komposisi metode pembayaran (transaksi sukses 3 bulan) — konteks scoring, tidak berbobot
+        paymentMethodMix: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+        },
         // Explainability
         featureImportance: {
             type: DataTypes.JSONB,
@@ -42,6 +42,15 @@ const DailyRevenue = sequelize.define(
             type: DataTypes.DECIMAL(15, 2),
             defaultValue: 0,
         },
+        // MDR & revenue bersih (totalAmount - fee - refund). Null untuk hari yang tercatat sebelum MDR dihitung.
+        feeAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+        },
+        netAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+        },
     },
     {
         tableName: "daily_revenue",
@@ -54,10 +54,31 @@ const EarlyWarningAlert = sequelize.define(
             type: DataTypes.ENUM("Active", "Monitoring", "Resolved"),
             defaultValue: "Active",
         },
+        // Lifecycle tracking
+        lastDetectedDate: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        occurrenceCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 1,
+        },
+        recoveryStreak: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
         isResolved: {
             type: DataTypes.BOOLEAN,
             defaultValue: false,
         },
+        acknowledgedDate: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        acknowledgedBy: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
         resolvedDate: {
             type: DataTypes.DATE,
             allowNull: true,
@@ -0,0 +1,72 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import Merchant from "./Merchant.js";
+import { FEE_PAYMENT_METHODS } from "../config/fees.js";
+
+/**
+ * MDR per metode pembayaran (opsional per channel: bank VA / wallet).
+ * merchantId null = tarif default platform, terisi = override untuk merchant tersebut.
+ * Versi tidak diubah setelah dibuat: tarif baru = row baru dengan effectiveFrom baru,
+ * sehingga fee transaksi lama tetap bisa ditelusuri.
+ */
+const FeeSchedule = sequelize.define(
+    "FeeSchedule",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: true,
+        },
+        paymentMethod: {
+            type: DataTypes.ENUM(...FEE_PAYMENT_METHODS),
+            allowNull: false,
+        },
+        // Null = semua channel untuk metode ini
+        paymentChannel: {
+            type: DataTypes.STRING(50),
+            allowNull: true,
+        },
+        // Persen dari nominal, mis. 0.7 = 0.7%
+        percentageFee: {
+            type: DataTypes.DECIMAL(7, 4),
+            allowNull: false,
+            defaultValue: 0,
+        },
+        fixedFee: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+        },
+        effectiveFrom: {
+            type: DataTypes.DATEONLY,
+            allowNull: false,
+        },
+        // Null = berlaku sampai digantikan versi yang lebih baru
+        effectiveTo: {
+            type: DataTypes.DATEONLY,
+            allowNull: true,
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "fee_schedules",
+        timestamps: true,
+        indexes: [{ fields: ["payment_method", "effective_from"] }, { fields: ["merchant_id"] }],
+    },
+);
+
+FeeSchedule.belongsTo(Merchant, { foreignKey: "merchantId" });
+Merchant.hasMany(FeeSchedule, { foreignKey: "merchantId" });
+
+export default FeeSchedule;
@@ -0,0 +1,59 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+
+/**
+ * Idempotency-Key per merchant. Processing = request pertama masih berjalan,
+ * Completed = response tersimpan dan dikembalikan apa adanya untuk retry dengan body yang sama.
+ */
+const IdempotencyKey = sequelize.define(
+    "IdempotencyKey",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        key: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        // Endpoint pemakai key (mis. transaction.create)
+        scope: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        // SHA-256 body request (setelah validasi)
+        requestHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+        status: {
+            type: DataTypes.ENUM("Processing", "Completed"),
+            allowNull: false,
+            defaultValue: "Processing",
+        },
+        responseStatus: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+        },
+        responseBody: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+    },
+    {
+        tableName: "idempotency_keys",
+        timestamps: true,
+        indexes: [{ unique: true, fields: ["merchant_id", "key"] }],
+    },
+);
+
+export default IdempotencyKey;
@@ -0,0 +1,62 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+
+const JobRun = sequelize.define(
+    "JobRun",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        jobName: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        status: {
+            type: DataTypes.ENUM("Running", "Completed", "Failed"),
+            defaultValue: "Running",
+        },
+        startedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+        },
+        finishedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        // Counters
+        totalCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        succeededCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        skippedCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        failedCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        // Daftar item yang gagal + pesan error
+        failures: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+        },
+        errorMessage: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "job_runs",
+        timestamps: true,
+    },
+);
+
+export default JobRun;
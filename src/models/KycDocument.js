@@ -0,0 +1,58 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import Merchant from "./Merchant.js";
+import { KYC_DOCUMENT_TYPES, KYC_CONTENT_TYPES } from "../config/kyc.js";
+
+/**
+ * Dokumen KYC merchant (KTP, NPWP, NIB). 1 row per jenis dokumen — upload ulang mengganti file lama.
+ * File disimpan lewat document storage, di sini hanya key & metadata.
+ */
+const KycDocument = sequelize.define(
+    "KycDocument",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        documentType: {
+            type: DataTypes.ENUM(...Object.values(KYC_DOCUMENT_TYPES)),
+            allowNull: false,
+        },
+        storageKey: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        contentType: {
+            type: DataTypes.ENUM(...Object.keys(KYC_CONTENT_TYPES)),
+            allowNull: false,
+        },
+        size: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+        // SHA-256 isi file
+        checksum: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+        },
+        uploadedBy: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+    },
+    {
+        tableName: "kyc_documents",
+        timestamps: true,
+        indexes: [{ unique: true, fields: ["merchant_id", "document_type"] }],
+    },
+);
+
+KycDocument.belongsTo(Merchant, { foreignKey: "merchantId" });
+Merchant.hasMany(KycDocument, { foreignKey: "merchantId" });
+
+export default KycDocument;
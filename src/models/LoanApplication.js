@@ -1,6 +1,7 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../database/connection.js";
 import Merchant from "./Merchant.js";
+import Bank from "./Bank.js";
 
 const LoanApplication = sequelize.define(
     "LoanApplication",
@@ -79,5 +80,8 @@ const LoanApplication = sequelize.define(
 
 LoanApplication.belongsTo(Merchant, { foreignKey: "merchantId" });
 Merchant.hasMany(LoanApplication, { foreignKey: "merchantId" });
+// constraints: false — data lama masih berisi bankId free-form
+LoanApplication.belongsTo(Bank, { foreignKey: "bankId", constraints: false });
+Bank.hasMany(LoanApplication, { foreignKey: "bankId", constraints: false });
 
 export default LoanApplication;
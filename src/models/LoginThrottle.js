@@ -0,0 +1,51 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+
+/**
+ * Hitungan login gagal per email dan per IP.
+ * Email yang tidak terdaftar juga dicatat supaya respons tidak membocorkan email mana yang ada.
+ */
+const LoginThrottle = sequelize.define(
+    "LoginThrottle",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        scope: {
+            type: DataTypes.ENUM("email", "ip"),
+            allowNull: false,
+        },
+        // Email (lowercase) atau alamat IP
+        key: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+        },
+        failedCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        lastFailedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        // SHA-256 hash token unlock yang dikirim ke email (hanya scope email)
+        unlockToken: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "login_throttles",
+        timestamps: true,
+        indexes: [{ unique: true, fields: ["scope", "key"] }, { fields: ["unlock_token"] }],
+    },
+);
+
+export default LoginThrottle;
@@ -0,0 +1,69 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+
+/**
+ * Outbox email transaksional. Email dikirim langsung saat dibuat; yang gagal
+ * dicoba ulang oleh job mail-outbox sampai MAIL_MAX_ATTEMPTS.
+ */
+const MailOutbox = sequelize.define(
+    "MailOutbox",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        recipient: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        template: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        subject: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        // Isi email dikosongkan setelah terkirim (bisa berisi token verifikasi / reset)
+        textBody: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        htmlBody: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        status: {
+            type: DataTypes.ENUM("Pending", "Sent", "Failed"),
+            defaultValue: "Pending",
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        lastError: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        transport: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+        },
+        messageId: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        sentAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "mail_outbox",
+        timestamps: true,
+        indexes: [{ fields: ["status"] }],
+    },
+);
+
+export default MailOutbox;
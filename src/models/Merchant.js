@@ -1,6 +1,7 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../database/connection.js";
 import User from "./User.js";
+import { KYC_STATUSES } from "../config/kyc.js";
 
 const Merchant = sequelize.define(
     "Merchant",
@@ -38,10 +39,33 @@ const Merchant = sequelize.define(
             type: DataTypes.STRING(50),
             allowNull: true,
         },
+        // Onboarding KYC (lihat config/kyc.js)
+        kycStatus: {
+            type: DataTypes.ENUM(...Object.values(KYC_STATUSES)),
+            allowNull: false,
+            defaultValue: KYC_STATUSES.DRAFT,
+        },
+        kycSubmittedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        kycReviewedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        kycReviewedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        kycRejectionReason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
     },
     {
         tableName: "merchants",
         timestamps: true,
+        indexes: [{ fields: ["kyc_status"] }],
     },
 );
 
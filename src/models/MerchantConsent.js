@@ -0,0 +1,62 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import Merchant from "./Merchant.js";
+import Bank from "./Bank.js";
+import { CONSENT_SCOPE_LEVELS } from "../config/consent.js";
+
+const MerchantConsent = sequelize.define(
+    "MerchantConsent",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        bankId: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+        },
+        scope: {
+            type: DataTypes.ENUM(...CONSENT_SCOPE_LEVELS),
+            allowNull: false,
+        },
+        status: {
+            type: DataTypes.ENUM("Active", "Revoked"),
+            defaultValue: "Active",
+        },
+        grantedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW,
+        },
+        // Consent selalu punya masa berlaku
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        grantedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "merchant_consents",
+        timestamps: true,
+        indexes: [{ fields: ["bank_id", "merchant_id"] }],
+    },
+);
+
+MerchantConsent.belongsTo(Merchant, { foreignKey: "merchantId" });
+Merchant.hasMany(MerchantConsent, { foreignKey: "merchantId" });
+MerchantConsent.belongsTo(Bank, { foreignKey: "bankId" });
+Bank.hasMany(MerchantConsent, { foreignKey: "bankId" });
+
+export default MerchantConsent;
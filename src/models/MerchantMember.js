@@ -0,0 +1,83 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import User from "./User.js";
+import Merchant from "./Merchant.js";
+import { MERCHANT_MEMBER_ROLES } from "../config/roles.js";
+
+/**
+ * Anggota merchant (owner & staf). Invited = undangan terkirim, userId baru terisi saat diterima.
+ */
+const MerchantMember = sequelize.define(
+    "MerchantMember",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        // Email tujuan undangan (untuk owner: email akun owner)
+        email: {
+            type: DataTypes.STRING(255),
+            allowNull: false,
+        },
+        role: {
+            type: DataTypes.ENUM(...Object.values(MERCHANT_MEMBER_ROLES)),
+            allowNull: false,
+        },
+        status: {
+            type: DataTypes.ENUM("Invited", "Active", "Revoked"),
+            allowNull: false,
+            defaultValue: "Invited",
+        },
+        // SHA-256 hash token undangan (token asli hanya ada di email)
+        inviteToken: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+        },
+        inviteExpiry: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        invitedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        joinedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        revokedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "merchant_members",
+        timestamps: true,
+        indexes: [
+            { fields: ["merchant_id"] },
+            { fields: ["invite_token"] },
+            // 1 user hanya aktif di 1 merchant
+            { unique: true, fields: ["user_id"], where: { status: "Active" } },
+        ],
+    },
+);
+
+MerchantMember.belongsTo(Merchant, { foreignKey: "merchantId" });
+Merchant.hasMany(MerchantMember, { foreignKey: "merchantId" });
+MerchantMember.belongsTo(User, { foreignKey: "userId" });
+User.hasMany(MerchantMember, { foreignKey: "userId" });
+
+export default MerchantMember;
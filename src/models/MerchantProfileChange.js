@@ -0,0 +1,64 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import Merchant from "./Merchant.js";
+
+/**
+ * Riwayat perubahan profil bisnis merchant (1 row per field). Append-only, bisa dilihat bank
+ * untuk mengetahui kapan identitas usaha (NPWP, NIB, skala) diubah.
+ */
+const MerchantProfileChange = sequelize.define(
+    "MerchantProfileChange",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        // businessCategory, subCategory, businessScale, taxId, businessLicenseNumber
+        field: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        oldValue: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        newValue: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        // Wajib untuk perubahan businessScale
+        reason: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        changedBy: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+    },
+    {
+        tableName: "merchant_profile_changes",
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ["merchant_id", "created_at"] }],
+    },
+);
+
+const appendOnly = () => {
+    throw new Error("Merchant profile history is append-only");
+};
+
+MerchantProfileChange.addHook("beforeUpdate", appendOnly);
+MerchantProfileChange.addHook("beforeBulkUpdate", appendOnly);
+MerchantProfileChange.addHook("beforeDestroy", appendOnly);
+MerchantProfileChange.addHook("beforeBulkDestroy", appendOnly);
+
+MerchantProfileChange.belongsTo(Merchant, { foreignKey: "merchantId" });
+Merchant.hasMany(MerchantProfileChange, { foreignKey: "merchantId" });
+
+export default MerchantProfileChange;
@@ -0,0 +1,49 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import Merchant from "./Merchant.js";
+
+/**
+ * Outlet / lapak milik merchant. Transaksi bisa di-tag ke outlet untuk laporan per outlet.
+ * Outlet tidak dihapus (transaksi lama tetap merujuk) — cukup dinonaktifkan.
+ */
+const Outlet = sequelize.define(
+    "Outlet",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+        },
+        address: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        city: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        status: {
+            type: DataTypes.ENUM("Active", "Inactive"),
+            allowNull: false,
+            defaultValue: "Active",
+        },
+    },
+    {
+        tableName: "outlets",
+        timestamps: true,
+        indexes: [{ unique: true, fields: ["merchant_id", "name"] }],
+    },
+);
+
+Outlet.belongsTo(Merchant, { foreignKey: "merchantId" });
+Merchant.hasMany(Outlet, { foreignKey: "merchantId" });
+
+export default Outlet;
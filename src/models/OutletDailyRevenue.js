@@ -0,0 +1,75 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import Merchant from "./Merchant.js";
+import Outlet from "./Outlet.js";
+
+/**
+ * Revenue harian per outlet. DailyRevenue tetap menyimpan total per merchant
+ * (termasuk transaksi tanpa outlet) dan menjadi dasar credit scoring.
+ */
+const OutletDailyRevenue = sequelize.define(
+    "OutletDailyRevenue",
+    {
+        id: {
+            type: DataTypes.BIGINT,
+            primaryKey: true,
+            autoIncrement: true,
+        },
+        outletId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+        merchantId: {
+            type: DataTypes.STRING(50),
+            allowNull: false,
+        },
+        transactionDate: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+        totalAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+        },
+        transactionCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+        successfulCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        failedCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        refundedCount: {
+            type: DataTypes.INTEGER,
+            defaultValue: 0,
+        },
+        refundAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            defaultValue: 0,
+        },
+        // MDR & revenue bersih (totalAmount - fee - refund). Null untuk hari yang tercatat sebelum MDR dihitung.
+        feeAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+        },
+        netAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "outlet_daily_revenue",
+        timestamps: true,
+        indexes: [{ unique: true, fields: ["outlet_id", "transaction_date"] }, { fields: ["merchant_id", "transaction_date"] }],
+    },
+);
+
+OutletDailyRevenue.belongsTo(Outlet, { foreignKey: "outletId" });
+Outlet.hasMany(OutletDailyRevenue, { foreignKey: "outletId" });
+OutletDailyRevenue.belongsTo(Merchant, { foreignKey: "merchantId" });
+
+export default OutletDailyRevenue;
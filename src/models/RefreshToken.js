@@ -0,0 +1,66 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import User from "./User.js";
+
+/**
+ * 1 baris per refresh token yang pernah diterbitkan.
+ * Token-token hasil rotasi dari 1 login berbagi familyId (= 1 sesi / device).
+ */
+const RefreshToken = sequelize.define(
+    "RefreshToken",
+    {
+        // Dipakai sebagai claim `jti` di refresh token
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+        familyId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+        // Terisi saat token ditukar di /refresh — token yang sudah dirotasi tidak boleh dipakai lagi
+        rotatedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        replacedById: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        revokedReason: {
+            type: DataTypes.ENUM("logout", "logout_all", "password_reset", "reuse_detected", "account_disabled", "membership_revoked", "role_changed"),
+            allowNull: true,
+        },
+        userAgent: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "refresh_tokens",
+        timestamps: true,
+        indexes: [{ fields: ["user_id"] }, { fields: ["family_id"] }],
+    },
+);
+
+RefreshToken.belongsTo(User, { foreignKey: "userId" });
+User.hasMany(RefreshToken, { foreignKey: "userId" });
+
+export default RefreshToken;
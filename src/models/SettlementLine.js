@@ -0,0 +1,101 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import SettlementReport from "./SettlementReport.js";
+import { SETTLEMENT_LINE_STATUSES, SETTLEMENT_REVIEW_STATUSES } from "../config/settlement.js";
+
+/**
+ * Satu baris file settlement beserta hasil pencocokan ke transaksi.
+ * reviewStatus null untuk baris Matched; Open → Accepted / Dismissed untuk baris di review queue.
+ */
+const SettlementLine = sequelize.define(
+    "SettlementLine",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        reportId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+        // Nomor baris di file (header = baris 1)
+        lineNumber: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+        },
+        merchantTradeNo: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        platformTradeNo: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        paymentType: {
+            type: DataTypes.STRING(50),
+            allowNull: true,
+        },
+        amount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+        },
+        feeAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+        },
+        netAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: true,
+        },
+        settledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        // Transaksi yang dicocokkan (atau ditautkan admin saat review)
+        transactionId: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        status: {
+            type: DataTypes.ENUM(...Object.values(SETTLEMENT_LINE_STATUSES)),
+            allowNull: false,
+        },
+        // Alasan Mismatch / Duplicate / Invalid, mis. ["amount: file 100000, transaksi 90000"]
+        issues: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+        },
+        raw: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+        },
+        reviewStatus: {
+            type: DataTypes.ENUM(...Object.values(SETTLEMENT_REVIEW_STATUSES)),
+            allowNull: true,
+        },
+        reviewNote: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        reviewedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        reviewedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "settlement_lines",
+        timestamps: true,
+        indexes: [{ fields: ["report_id", "line_number"] }, { fields: ["review_status", "status"] }, { fields: ["transaction_id"] }],
+    },
+);
+
+SettlementLine.belongsTo(SettlementReport, { foreignKey: "reportId" });
+SettlementReport.hasMany(SettlementLine, { foreignKey: "reportId" });
+
+export default SettlementLine;
@@ -0,0 +1,62 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+
+/**
+ * File settlement Paylabs yang diupload admin. File yang sama (checksum) tidak bisa diimport dua kali.
+ * Total diambil dari isi file; statusCounts = jumlah baris per status hasil pencocokan.
+ */
+const SettlementReport = sequelize.define(
+    "SettlementReport",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        fileName: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        // sha256 isi file
+        checksum: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true,
+        },
+        lineCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        statusCounts: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+        },
+        totalAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+        },
+        totalFeeAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+        },
+        totalNetAmount: {
+            type: DataTypes.DECIMAL(15, 2),
+            allowNull: false,
+            defaultValue: 0,
+        },
+        uploadedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "settlement_reports",
+        timestamps: true,
+    },
+);
+
+export default SettlementReport;
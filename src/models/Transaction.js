@@ -1,6 +1,7 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../database/connection.js";
 import Merchant from "./Merchant.js";
+import Outlet from "./Outlet.js";
 
 const Transaction = sequelize.define(
     "Transaction",
@@ -14,6 +15,11 @@ const Transaction = sequelize.define(
             type: DataTypes.STRING(50),
             allowNull: false,
         },
+        // Opsional: outlet tempat transaksi terjadi
+        outletId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
         transactionDate: {
             type: DataTypes.DATE,
             allowNull: false,
@@ -75,10 +81,14 @@ const Transaction = sequelize.define(
     {
         tableName: "transactions",
         timestamps: true,
+        // merchantId + kolom sort: list transaksi (filter & cursor pagination)
+        indexes: [{ fields: ["outlet_id"] }, { fields: ["merchant_id", "created_at"] }, { fields: ["merchant_id", "transaction_date"] }],
     },
 );
 
 Transaction.belongsTo(Merchant, { foreignKey: "merchantId" });
 Merchant.hasMany(Transaction, { foreignKey: "merchantId" });
+Transaction.belongsTo(Outlet, { foreignKey: "outletId" });
+Outlet.hasMany(Transaction, { foreignKey: "outletId" });
 
 export default Transaction;
@@ -0,0 +1,56 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+import User from "./User.js";
+
+/**
+ * TOTP 2FA per user. Pending = secret sudah dibuat tapi belum dikonfirmasi dengan kode.
+ */
+const TwoFactorCredential = sequelize.define(
+    "TwoFactorCredential",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        userId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            unique: true,
+        },
+        // Secret base32, dienkripsi AES-256-GCM (iv:tag:ciphertext)
+        secret: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+        status: {
+            type: DataTypes.ENUM("Pending", "Enabled"),
+            allowNull: false,
+            defaultValue: "Pending",
+        },
+        enabledAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        // Time step TOTP terakhir yang dipakai — kode yang sama tidak bisa dipakai 2x
+        lastUsedStep: {
+            type: DataTypes.BIGINT,
+            allowNull: true,
+        },
+        // [{ hash, usedAt }] — SHA-256 hash recovery code, masing-masing sekali pakai
+        recoveryCodes: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: [],
+        },
+    },
+    {
+        tableName: "two_factor_credentials",
+        timestamps: true,
+    },
+);
+
+TwoFactorCredential.belongsTo(User, { foreignKey: "userId" });
+User.hasOne(TwoFactorCredential, { foreignKey: "userId" });
+
+export default TwoFactorCredential;
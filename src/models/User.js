@@ -1,5 +1,6 @@
 import { DataTypes } from "sequelize";
 import sequelize from "../database/connection.js";
+import { ROLES } from "../config/roles.js";
 
 const User = sequelize.define(
     "User",
@@ -45,6 +46,16 @@ const User = sequelize.define(
             type: DataTypes.BOOLEAN,
             defaultValue: false,
         },
+        // SHA-256 hash token verifikasi (token asli hanya dikirim lewat email)
+        emailVerificationToken: {
+            type: DataTypes.STRING(64),
+            allowNull: true,
+        },
+        emailVerificationExpiry: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        // SHA-256 hash token reset password (token asli hanya dikirim lewat email)
         resetPasswordToken: {
             type: DataTypes.STRING(500),
             allowNull: true,
@@ -57,6 +68,16 @@ const User = sequelize.define(
             type: DataTypes.ENUM("Active", "Inactive", "Suspended"),
             defaultValue: "Active",
         },
+        role: {
+            type: DataTypes.ENUM(...Object.values(ROLES)),
+            allowNull: false,
+            defaultValue: ROLES.MERCHANT_OWNER,
+        },
+        // Hanya untuk bank_officer / bank_admin
+        bankId: {
+            type: DataTypes.STRING(20),
+            allowNull: true,
+        },
     },
     {
         tableName: "users",
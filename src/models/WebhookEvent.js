@@ -0,0 +1,95 @@
+import { DataTypes } from "sequelize";
+import sequelize from "../database/connection.js";
+
+/**
+ * Setiap callback yang masuk dari payment gateway, disimpan sebelum diproses.
+ * Received = belum selesai diproses, Processed = sukses, Failed = error / ditolak (bisa di-replay admin),
+ * Duplicate = callback yang sama sudah pernah diproses, InvalidSignature = signature tidak valid.
+ */
+const WebhookEvent = sequelize.define(
+    "WebhookEvent",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: DataTypes.UUIDV4,
+            primaryKey: true,
+        },
+        provider: {
+            type: DataTypes.STRING(20),
+            allowNull: false,
+            defaultValue: "paylabs",
+        },
+        // merchantTradeNo:platformTradeNo:status — callback dengan key yang sama dianggap duplikat
+        dedupeKey: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+        },
+        merchantTradeNo: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        platformTradeNo: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+        },
+        paylabsStatus: {
+            type: DataTypes.STRING(10),
+            allowNull: true,
+        },
+        headers: {
+            type: DataTypes.JSONB,
+            allowNull: true,
+        },
+        rawBody: {
+            type: DataTypes.TEXT,
+            allowNull: false,
+        },
+        signatureValid: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+        },
+        status: {
+            type: DataTypes.ENUM("Received", "Processed", "Failed", "Duplicate", "InvalidSignature"),
+            allowNull: false,
+            defaultValue: "Received",
+        },
+        // HTTP status yang dikembalikan ke gateway pada pemrosesan terakhir
+        responseStatus: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+        },
+        errorMessage: {
+            type: DataTypes.TEXT,
+            allowNull: true,
+        },
+        // Event asli yang sudah diproses (untuk Duplicate)
+        duplicateOf: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+        attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+        },
+        processedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        lastReplayedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        lastReplayedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+        },
+    },
+    {
+        tableName: "webhook_events",
+        timestamps: true,
+        indexes: [{ fields: ["dedupe_key"] }, { fields: ["status", "created_at"] }, { fields: ["merchant_trade_no"] }],
+    },
+);
+
+export default WebhookEvent;
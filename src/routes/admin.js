@@ -0,0 +1,1281 @@
+import express from "express";
+import User from "../models/User.js";
+import Bank from "../models/Bank.js";
+import logger from "../utils/logger.js";
+import { authenticateToken, authorizeRoles } from "../middleware/auth.js";
+import { auditTrail, audit } from "../middleware/audit.js";
+import { ROLES } from "../config/roles.js";
+import { authService } from "../services/authService.js";
+import { validateRequest, validateQuery, auditLogQuerySchema, updateUserRoleSchema, updateUserStatusSchema, createBankSchema, createApiKeySchema, kycReviewSchema, kycQueueQuerySchema, webhookEventQuerySchema, createFeeScheduleSchema, feeScheduleQuerySchema, settlementUploadQuerySchema, settlementReportQuerySchema, settlementLineQuerySchema, settlementReviewQueueQuerySchema, settlementReviewSchema } from "../utils/validators.js";
+import { issueApiKey, rotateApiKey, revokeApiKey, listApiKeys } from "../services/bankApiKeyService.js";
+import { queryAuditLogs } from "../services/auditService.js";
+import { listKycMerchants, getKycMerchantOrFail, listKycDocuments, getKycDocumentFile, reviewKyc, serializeKyc } from "../services/kycService.js";
+import { listWebhookEvents, getWebhookEventOrFail, replayWebhookEvent, serializeWebhookEvent } from "../services/webhookEventService.js";
+import { listFeeSchedules, createFeeSchedule, serializeFeeSchedule } from "../services/feeService.js";
+import { importSettlementReport, listSettlementReports, getSettlementReportOrFail, listSettlementLines, listReviewQueue, reviewSettlementLine, serializeSettlementReport, serializeSettlementLine } from "../services/settlementService.js";
+import { settlementUpload } from "../middleware/documentUpload.js";
+import { SETTLEMENT_CONTENT_TYPES } from "../config/settlement.js";
+import { KYC_CONTENT_TYPES } from "../config/kyc.js";
+
+const router = express.Router();
+
+/**
+ * Platform admin only
+ */
+router.use(auditTrail(), authenticateToken, authorizeRoles(ROLES.PLATFORM_ADMIN));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users
+ *     description: List user accounts with their role and status (platform admin only)
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [merchant_owner, merchant_staff, bank_officer, bank_admin, platform_admin]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Users retrieved
+ *       403:
+ *         description: Not a platform admin
+ */
+router.get("/users", audit("admin.users.list"), async (req, res, next) => {
+    try {
+        const { role, limit = 50, offset = 0 } = req.query;
+
+        if (role && !Object.values(ROLES).includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role harus salah satu dari: ${Object.values(ROLES).join(", ")}`,
+            });
+        }
+
+        const where = {};
+        if (role) where.role = role;
+
+        const { count, rows } = await User.findAndCountAll({
+            where,
+            attributes: ["id", "email", "fullName", "companyName", "role", "bankId", "status", "createdAt"],
+            order: [["createdAt", "DESC"]],
+            limit,
+            offset,
+        });
+
+        res.json({
+            success: true,
+            data: {
+                total: count,
+                users: rows,
+            },
+        });
+    } catch (error) {
+        logger.error(`List users error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   patch:
+ *     summary: Change user role
+ *     description: |
+ *       Ubah role user. Semua sesi user dicabut sehingga role baru berlaku setelah login ulang.
+ *       Role bank wajib menyertakan bankId; role lain otomatis dilepas dari bank.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [merchant_owner, merchant_staff, bank_officer, bank_admin, platform_admin]
+ *                 example: bank_officer
+ *               bankId:
+ *                 type: string
+ *                 description: Wajib untuk bank_officer / bank_admin
+ *                 example: BCA
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role or unknown bank
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:userId/role", audit("admin.user.role_change"), validateRequest(updateUserRoleSchema), async (req, res, next) => {
+    try {
+        const result = await authService.updateRole(req.params.userId, req.validatedData, req.user.email);
+
+        res.json({
+            success: true,
+            message: "Role user berhasil diubah",
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Update user role error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/status:
+ *   patch:
+ *     summary: Change account status
+ *     description: |
+ *       Suspended / Inactive langsung menolak login, refresh token, dan semua request Bearer token;
+ *       semua sesi user dicabut.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Active, Inactive, Suspended]
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       400:
+ *         description: Invalid status or changing own account
+ *       404:
+ *         description: User not found
+ */
+router.patch("/users/:userId/status", audit("admin.user.status_change"), validateRequest(updateUserStatusSchema), async (req, res, next) => {
+    try {
+        if (req.params.userId === req.user.userId) {
+            return res.status(400).json({
+                success: false,
+                message: "Tidak bisa mengubah status akun sendiri",
+            });
+        }
+
+        const result = await authService.updateStatus(req.params.userId, req.validatedData.status, req.user.email);
+
+        res.json({
+            success: true,
+            message: "Status user berhasil diubah",
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Update user status error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock login of a user
+ *     description: Hapus lockout & hitungan login gagal untuk email user (lock per IP tidak ikut dibuka).
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Login unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:userId/unlock", audit("admin.user.unlock"), async (req, res, next) => {
+    try {
+        const result = await authService.adminUnlock(req.params.userId, req.user.email);
+
+        res.json({
+            success: true,
+            message: result.wasLocked ? "Akun berhasil dibuka" : "Akun tidak sedang terkunci",
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Unlock user error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   BANKS & BANK API KEYS
+===================================================== */
+
+/**
+ * @swagger
+ * /api/admin/banks:
+ *   get:
+ *     summary: List banks
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Banks retrieved
+ *   post:
+ *     summary: Register a bank
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bankId
+ *               - name
+ *             properties:
+ *               bankId:
+ *                 type: string
+ *                 example: BCA
+ *               name:
+ *                 type: string
+ *                 example: Bank Central Asia
+ *     responses:
+ *       201:
+ *         description: Bank created
+ *       409:
+ *         description: bankId already registered
+ */
+router.get("/banks", audit("admin.banks.list"), async (req, res, next) => {
+    try {
+        const banks = await Bank.findAll({ order: [["bankId", "ASC"]] });
+
+        res.json({
+            success: true,
+            data: banks,
+        });
+    } catch (error) {
+        logger.error(`List banks error: ${error.message}`);
+        next(error);
+    }
+});
+
+router.post("/banks", audit("admin.bank.create"), validateRequest(createBankSchema), async (req, res, next) => {
+    try {
+        const { bankId, name } = req.validatedData;
+
+        if (await Bank.findByPk(bankId)) {
+            return res.status(409).json({
+                success: false,
+                message: "bankId sudah terdaftar",
+            });
+        }
+
+        const bank = await Bank.create({ bankId, name });
+        logger.info(`Bank ${bankId} registered by ${req.user.email}`);
+
+        res.status(201).json({
+            success: true,
+            message: "Bank berhasil didaftarkan",
+            data: bank,
+        });
+    } catch (error) {
+        logger.error(`Create bank error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/banks/{bankId}/api-keys:
+ *   get:
+ *     summary: List API keys of a bank
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bankId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API keys retrieved (hash tidak pernah dikembalikan)
+ *   post:
+ *     summary: Issue an API key for a bank
+ *     description: Key asli hanya dikembalikan sekali di response ini.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bankId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: API key issued
+ *       404:
+ *         description: Bank not found
+ */
+router.get("/banks/:bankId/api-keys", audit("admin.api_keys.list"), async (req, res, next) => {
+    try {
+        const keys = await listApiKeys(req.params.bankId);
+
+        res.json({
+            success: true,
+            data: keys,
+        });
+    } catch (error) {
+        logger.error(`List API keys error: ${error.message}`);
+        next(error);
+    }
+});
+
+router.post("/banks/:bankId/api-keys", audit("admin.api_key.issue"), validateRequest(createApiKeySchema), async (req, res, next) => {
+    try {
+        const result = await issueApiKey(req.params.bankId, { ...req.validatedData, createdBy: req.user.email });
+
+        res.status(201).json({
+            success: true,
+            message: "API key berhasil dibuat. Simpan key ini, tidak akan ditampilkan lagi.",
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Issue API key error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate any bank API key
+ *     description: Key lama tetap berlaku sampai masa grace (BANK_API_KEY_ROTATION_GRACE_HOURS) habis.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Replacement key issued
+ *       404:
+ *         description: API key not found
+ */
+router.post("/api-keys/:keyId/rotate", audit("admin.api_key.rotate"), async (req, res, next) => {
+    try {
+        const result = await rotateApiKey(req.params.keyId, { actor: req.user.email });
+
+        res.status(201).json({
+            success: true,
+            message: "API key berhasil di-rotate. Simpan key baru ini, tidak akan ditampilkan lagi.",
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Rotate API key error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke any bank API key
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete("/api-keys/:keyId", audit("admin.api_key.revoke"), async (req, res, next) => {
+    try {
+        const key = await revokeApiKey(req.params.keyId, { actor: req.user.email });
+
+        res.json({
+            success: true,
+            message: "API key berhasil di-revoke",
+            data: key,
+        });
+    } catch (error) {
+        logger.error(`Revoke API key error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   KYC REVIEW
+===================================================== */
+
+/**
+ * @swagger
+ * /api/admin/kyc:
+ *   get:
+ *     summary: KYC review queue
+ *     description: Merchant per status KYC (default Submitted), terlama submit dulu
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Submitted, Verified, Rejected]
+ *           default: Submitted
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ total, merchants: [{ merchantId, companyName, email, status, submittedAt, reviewedAt }] }"
+ */
+router.get("/kyc", audit("admin.kyc.list"), validateQuery(kycQueueQuerySchema), async (req, res, next) => {
+    try {
+        const { total, merchants } = await listKycMerchants(req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: {
+                total,
+                merchants: merchants.map((merchant) => ({
+                    merchantId: merchant.merchantId,
+                    companyName: merchant.User?.companyName,
+                    email: merchant.User?.email,
+                    status: merchant.kycStatus,
+                    submittedAt: merchant.kycSubmittedAt,
+                    reviewedAt: merchant.kycReviewedAt,
+                })),
+            },
+        });
+    } catch (error) {
+        logger.error(`List KYC error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/kyc/{merchantId}:
+ *   get:
+ *     summary: KYC detail of a merchant
+ *     description: Status KYC, NPWP & NIB di profil bisnis, dan daftar dokumen yang diupload
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: KYC detail
+ *       404:
+ *         description: Merchant not found
+ */
+router.get("/kyc/:merchantId", audit("admin.kyc.view"), async (req, res, next) => {
+    try {
+        const merchant = await getKycMerchantOrFail(req.params.merchantId);
+        const documents = await listKycDocuments(merchant.merchantId);
+
+        res.json({
+            success: true,
+            data: {
+                ...serializeKyc(merchant, documents),
+                companyName: merchant.User?.companyName,
+                email: merchant.User?.email,
+                taxId: merchant.taxId,
+                businessLicenseNumber: merchant.businessLicenseNumber,
+            },
+        });
+    } catch (error) {
+        logger.error(`Get KYC detail error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/kyc/{merchantId}/documents/{documentId}:
+ *   get:
+ *     summary: Download a KYC document
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Isi file (image/jpeg, image/png atau application/pdf)
+ *       404:
+ *         description: Document not found
+ */
+router.get("/kyc/:merchantId/documents/:documentId", audit("admin.kyc.document_view"), async (req, res, next) => {
+    try {
+        const { document, buffer } = await getKycDocumentFile(req.params.merchantId, req.params.documentId);
+
+        res.set("Content-Disposition", `inline; filename="${document.merchantId}-${document.documentType}.${KYC_CONTENT_TYPES[document.contentType]}"`);
+        res.type(document.contentType).send(buffer);
+    } catch (error) {
+        logger.error(`Get KYC document error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/kyc/{merchantId}/review:
+ *   post:
+ *     summary: Approve or reject a submitted KYC
+ *     description: Owner merchant diberi tahu lewat email. Alasan wajib untuk penolakan.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Verified, Rejected]
+ *               reason:
+ *                 type: string
+ *                 example: Foto KTP buram, mohon upload ulang
+ *     responses:
+ *       200:
+ *         description: KYC reviewed
+ *       404:
+ *         description: Merchant not found
+ *       409:
+ *         description: KYC belum disubmit / sudah direview
+ */
+router.post("/kyc/:merchantId/review", audit("admin.kyc.review"), validateRequest(kycReviewSchema), async (req, res, next) => {
+    try {
+        const merchant = await reviewKyc(req.params.merchantId, req.validatedData, req.user);
+        req.audit.metadata = { status: merchant.kycStatus };
+
+        logger.info(`KYC ${merchant.merchantId} ${merchant.kycStatus} by ${req.user.email}`);
+
+        res.json({
+            success: true,
+            message: `KYC merchant ${merchant.kycStatus}`,
+            data: {
+                merchantId: merchant.merchantId,
+                status: merchant.kycStatus,
+                reviewedAt: merchant.kycReviewedAt,
+                rejectionReason: merchant.kycRejectionReason,
+            },
+        });
+    } catch (error) {
+        logger.error(`Review KYC error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   WEBHOOK EVENTS
+===================================================== */
+
+/**
+ * @swagger
+ * /api/admin/webhook-events:
+ *   get:
+ *     summary: List stored payment gateway callbacks
+ *     description: Callback Paylabs yang tersimpan, terbaru dulu. Default hanya yang Failed (kandidat replay).
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Received, Processed, Failed, Duplicate, InvalidSignature]
+ *           default: Failed
+ *       - in: query
+ *         name: merchantTradeNo
+ *         schema:
+ *           type: string
+ *           example: TXN1719999999999
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ total, events: [{ eventId, merchantTradeNo, platformTradeNo, paylabsStatus, signatureValid, status, responseStatus, errorMessage, attempts, receivedAt, processedAt }] }"
+ */
+router.get("/webhook-events", audit("admin.webhook_events.list"), validateQuery(webhookEventQuerySchema), async (req, res, next) => {
+    try {
+        const { total, events } = await listWebhookEvents(req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: {
+                total,
+                events: events.map((event) => serializeWebhookEvent(event)),
+            },
+        });
+    } catch (error) {
+        logger.error(`List webhook events error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhook-events/{eventId}:
+ *   get:
+ *     summary: Stored callback detail
+ *     description: Termasuk header & raw body persis seperti diterima
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Webhook event
+ *       404:
+ *         description: Event not found
+ */
+router.get("/webhook-events/:eventId", audit("admin.webhook_event.view"), async (req, res, next) => {
+    try {
+        const event = await getWebhookEventOrFail(req.params.eventId);
+
+        res.json({
+            success: true,
+            data: serializeWebhookEvent(event, { includePayload: true }),
+        });
+    } catch (error) {
+        logger.error(`Get webhook event error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/webhook-events/{eventId}/replay:
+ *   post:
+ *     summary: Replay a failed callback
+ *     description: |
+ *       Proses ulang event Failed lewat handler yang sama dengan webhook Paylabs.
+ *       Jika callback yang sama sudah pernah diproses, event ditandai Duplicate.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Replay selesai — cek `data.status` (Processed, Duplicate atau Failed lagi)
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event bukan Failed
+ */
+router.post("/webhook-events/:eventId/replay", audit("admin.webhook_event.replay"), async (req, res, next) => {
+    try {
+        const { event } = await replayWebhookEvent(req.params.eventId, req.user);
+        req.audit.metadata = { eventId: event.id, merchantTradeNo: event.merchantTradeNo, status: event.status };
+
+        res.json({
+            success: true,
+            message: event.status === "Failed" ? "Replay gagal, event tetap Failed" : `Event ${event.status}`,
+            data: serializeWebhookEvent(event),
+        });
+    } catch (error) {
+        logger.error(`Replay webhook event error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   FEE SCHEDULES (MDR)
+===================================================== */
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules:
+ *   get:
+ *     summary: List MDR fee schedules
+ *     description: Semua versi tarif (default platform & override merchant), terbaru dulu per metode pembayaran
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: merchantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *           enum: [QRIS, Virtual Account, E-Wallet, Credit Card, Debit Card, CASH]
+ *     responses:
+ *       200:
+ *         description: "[{ feeScheduleId, merchantId, paymentMethod, paymentChannel, percentageFee, fixedFee, effectiveFrom, effectiveTo, description }]"
+ */
+router.get("/fee-schedules", audit("admin.fee_schedules.list"), validateQuery(feeScheduleQuerySchema), async (req, res, next) => {
+    try {
+        const schedules = await listFeeSchedules(req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: schedules.map(serializeFeeSchedule),
+        });
+    } catch (error) {
+        logger.error(`List fee schedules error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules:
+ *   post:
+ *     summary: Create an MDR fee schedule version
+ *     description: |
+ *       Tarif baru berlaku mulai `effectiveFrom` dan menggantikan versi sebelumnya untuk metode / channel / merchant yang sama.
+ *       Tanpa `merchantId` = tarif default; dengan `merchantId` = override (mis. QRIS 0.3% untuk usaha mikro).
+ *       Tanpa `paymentChannel` = semua bank VA / wallet. Fee = `percentageFee`% × nominal + `fixedFee`, dihitung saat transaksi sukses.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentMethod, effectiveFrom]
+ *             properties:
+ *               merchantId:
+ *                 type: string
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [QRIS, Virtual Account, E-Wallet, Credit Card, Debit Card, CASH]
+ *               paymentChannel:
+ *                 type: string
+ *                 example: BCA
+ *               percentageFee:
+ *                 type: number
+ *                 example: 0.3
+ *               fixedFee:
+ *                 type: number
+ *                 example: 0
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Fee schedule created
+ *       404:
+ *         description: Merchant not found
+ *       409:
+ *         description: Versi dengan effectiveFrom yang sama sudah ada
+ */
+router.post("/fee-schedules", audit("admin.fee_schedule.create"), validateRequest(createFeeScheduleSchema), async (req, res, next) => {
+    try {
+        const schedule = await createFeeSchedule(req.validatedData, req.user);
+        req.audit.metadata = { feeScheduleId: schedule.id, paymentMethod: schedule.paymentMethod, merchantId: schedule.merchantId };
+
+        res.status(201).json({
+            success: true,
+            message: "Tarif MDR berhasil dibuat",
+            data: serializeFeeSchedule(schedule),
+        });
+    } catch (error) {
+        logger.error(`Create fee schedule error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   SETTLEMENT RECONCILIATION
+===================================================== */
+
+/**
+ * @swagger
+ * /api/admin/settlements:
+ *   post:
+ *     summary: Import a Paylabs settlement file (CSV)
+ *     description: |
+ *       Body = isi file CSV (Content-Type `text/csv`). Header wajib: `merchantTradeNo`, `amount`, `fee`, `settlementTime`;
+ *       opsional: `platformTradeNo`, `paymentType`, `netAmount`. `settlementTime` format `YYYY-MM-DD HH:mm:ss` / `YYYYMMDDHHmmss` (WIB) atau ISO 8601.
+ *
+ *       Setiap baris dicocokkan ke transaksi lewat `merchantTradeNo`. Baris yang cocok mengisi `settlementDate`, `settlementTime`,
+ *       fee & net aktual transaksi. Baris Mismatch / Unmatched / Duplicate / Invalid masuk review queue.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fileName
+ *         schema:
+ *           type: string
+ *           example: settlement-20250301.csv
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               merchantTradeNo,platformTradeNo,paymentType,amount,fee,netAmount,settlementTime
+ *               TXN1719999999999,2024070112345,QRIS,100000.00,700.00,99300.00,2024-07-02 10:15:00
+ *     responses:
+ *       201:
+ *         description: "Report: { reportId, lineCount, statusCounts: { Matched, Mismatch, Unmatched, Duplicate, Invalid }, totalAmount, totalFeeAmount, totalNetAmount }"
+ *       400:
+ *         description: Header CSV kurang kolom wajib / file kosong
+ *       409:
+ *         description: File yang sama sudah pernah diimport
+ *       413:
+ *         description: File terlalu besar
+ *       415:
+ *         description: File bukan CSV
+ */
+router.post("/settlements", audit("admin.settlement.import"), validateQuery(settlementUploadQuerySchema), settlementUpload, async (req, res, next) => {
+    try {
+        if (!SETTLEMENT_CONTENT_TYPES.includes(req.file.contentType)) {
+            return res.status(415).json({ success: false, message: "File settlement harus CSV (Content-Type text/csv)" });
+        }
+
+        const report = await importSettlementReport({ buffer: req.file.buffer, fileName: req.validatedQuery.fileName }, req.user);
+        req.audit.metadata = { reportId: report.id, lineCount: report.lineCount, statusCounts: report.statusCounts };
+
+        res.status(201).json({
+            success: true,
+            message: "File settlement berhasil diimport",
+            data: serializeSettlementReport(report),
+        });
+    } catch (error) {
+        logger.error(`Import settlement error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/settlements:
+ *   get:
+ *     summary: List imported settlement files
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ total, reports: [...] }"
+ */
+router.get("/settlements", audit("admin.settlements.list"), validateQuery(settlementReportQuerySchema), async (req, res, next) => {
+    try {
+        const { total, reports } = await listSettlementReports(req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: {
+                total,
+                reports: reports.map(serializeSettlementReport),
+            },
+        });
+    } catch (error) {
+        logger.error(`List settlements error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/settlements/review-queue:
+ *   get:
+ *     summary: Settlement lines awaiting review
+ *     description: Baris Mismatch (disputed), Unmatched, Duplicate & Invalid yang belum direview, terlama dulu
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Mismatch, Unmatched, Duplicate, Invalid]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ total, lines: [{ lineId, reportId, lineNumber, merchantTradeNo, amount, feeAmount, netAmount, settledAt, transactionId, status, issues }] }"
+ */
+router.get("/settlements/review-queue", audit("admin.settlement_review_queue.list"), validateQuery(settlementReviewQueueQuerySchema), async (req, res, next) => {
+    try {
+        const { total, lines } = await listReviewQueue(req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: {
+                total,
+                lines: lines.map(serializeSettlementLine),
+            },
+        });
+    } catch (error) {
+        logger.error(`List settlement review queue error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/settlements/lines/{lineId}/review:
+ *   post:
+ *     summary: Resolve a settlement line in the review queue
+ *     description: |
+ *       `dismiss` = abaikan baris. `accept` = terapkan settlement dengan angka dari file (fee & net aktual, tanggal settlement).
+ *       Baris Unmatched butuh `transactionId`. Transaksi yang belum sukses (callback terlewat) ditandai Success.
+ *       Baris Invalid hanya bisa di-dismiss.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, dismiss]
+ *               transactionId:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Baris direview (reviewStatus Accepted / Dismissed)
+ *       400:
+ *         description: Baris Invalid / transactionId wajib / transaksi CASH
+ *       404:
+ *         description: Baris atau transaksi tidak ditemukan
+ *       409:
+ *         description: Baris sudah direview atau transaksi sudah disettle
+ */
+router.post("/settlements/lines/:lineId/review", audit("admin.settlement_line.review"), validateRequest(settlementReviewSchema), async (req, res, next) => {
+    try {
+        const line = await reviewSettlementLine(req.params.lineId, req.validatedData, req.user);
+        req.audit.metadata = { lineId: line.id, action: req.validatedData.action, transactionId: line.transactionId };
+
+        res.json({
+            success: true,
+            message: line.reviewStatus === "Accepted" ? "Settlement diterapkan ke transaksi" : "Baris settlement diabaikan",
+            data: serializeSettlementLine(line),
+        });
+    } catch (error) {
+        logger.error(`Review settlement line error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/admin/settlements/{reportId}:
+ *   get:
+ *     summary: Settlement report detail with its lines
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reportId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Matched, Mismatch, Unmatched, Duplicate, Invalid]
+ *     responses:
+ *       200:
+ *         description: "{ ...report, lines: [...] }"
+ *       404:
+ *         description: Report not found
+ */
+router.get("/settlements/:reportId", audit("admin.settlement.view"), validateQuery(settlementLineQuerySchema), async (req, res, next) => {
+    try {
+        const report = await getSettlementReportOrFail(req.params.reportId);
+        const lines = await listSettlementLines(report.id, req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: {
+                ...serializeSettlementReport(report),
+                lines: lines.map(serializeSettlementLine),
+            },
+        });
+    } catch (error) {
+        logger.error(`Get settlement report error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   AUDIT LOG
+===================================================== */
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Query the audit log
+ *     description: |
+ *       Audit trail append-only dari route auth, bank, merchant, transaksi, dan admin.
+ *       Setiap entry: actor, role, bank, merchant yang disentuh, route, aksi, outcome, IP, request id.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: userId atau id API key
+ *       - in: query
+ *         name: bankId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: merchantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: bank.merchant.view
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [auth, read, write]
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, denied, failure]
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit log entries (terbaru dulu)
+ *       400:
+ *         description: Invalid filter
+ */
+router.get("/audit-logs", audit("admin.audit_logs.view"), validateQuery(auditLogQuerySchema), async (req, res, next) => {
+    try {
+        const result = await queryAuditLogs(req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Query audit logs error: ${error.message}`);
+        next(error);
+    }
+});
+
+export default router;
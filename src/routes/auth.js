@@ -1,10 +1,31 @@
 import express from "express";
 import { authService } from "../services/authService.js";
-import { validateRequest, registerSchema, loginSchema, resetPasswordSchema, setNewPasswordSchema } from "../utils/validators.js";
+import {
+    validateRequest,
+    registerSchema,
+    loginSchema,
+    resetPasswordSchema,
+    setNewPasswordSchema,
+    verifyEmailSchema,
+    unlockAccountSchema,
+    acceptInviteSchema,
+    twoFactorLoginSchema,
+    twoFactorSetupSchema,
+    twoFactorEnableSchema,
+    twoFactorCodeSchema,
+    twoFactorDisableSchema,
+} from "../utils/validators.js";
 import logger from "../utils/logger.js";
+import { authenticateToken } from "../middleware/auth.js";
+import { auditTrail, audit } from "../middleware/audit.js";
 
 const router = express.Router();
 
+router.use(auditTrail());
+
+// Info device yang disimpan bersama refresh token
+const sessionContext = (req) => ({ userAgent: req.get("user-agent"), ipAddress: req.ip });
+
 /**
  * @swagger
  * /api/auth/register:
@@ -122,7 +143,7 @@ const router = express.Router();
  * POST /api/auth/register
  * Register new merchant user
  */
-router.post("/register", validateRequest(registerSchema), async (req, res, next) => {
+router.post("/register", audit("auth.register", { category: "auth" }), validateRequest(registerSchema), async (req, res, next) => {
     try {
         const result = await authService.register(req.validatedData);
         res.status(201).json({
@@ -140,7 +161,11 @@ router.post("/register", validateRequest(registerSchema), async (req, res, next)
  * /api/auth/login:
  *   post:
  *     summary: Login merchant user
- *     description: Authenticate merchant and receive JWT access and refresh tokens
+ *     description: |
+ *       Authenticate merchant and receive JWT access and refresh tokens.
+ *       Akun dengan 2FA aktif menerima `twoFactorRequired: true` + `challengeToken` (lanjut ke /login/2fa).
+ *       Role bank tanpa 2FA menerima `twoFactorSetupRequired: true` + `challengeToken`
+ *       (lanjut ke /2fa/setup lalu /2fa/enable, yang sekaligus menyelesaikan login).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -202,6 +227,14 @@ router.post("/register", validateRequest(registerSchema), async (req, res, next)
  *               properties:
  *                 success: { type: boolean, example: false }
  *                 message: { type: string, example: "Email atau password salah" }
+ *       403:
+ *         description: Account suspended or inactive
+ *       423:
+ *         description: |
+ *           Terlalu banyak login gagal — email atau IP dikunci sementara (LOGIN_LOCKOUT_MINUTES).
+ *           Link unlock dikirim ke email pemilik akun. Header `Retry-After` berisi sisa detik.
+ *       429:
+ *         description: Jeda progresif setelah beberapa login gagal. Header `Retry-After` berisi sisa detik.
  *       500:
  *         description: Server error
  *         content:
@@ -217,10 +250,58 @@ router.post("/register", validateRequest(registerSchema), async (req, res, next)
  * POST /api/auth/login
  * Login merchant user
  */
-router.post("/login", validateRequest(loginSchema), async (req, res, next) => {
+router.post("/login", audit("auth.login", { category: "auth" }), validateRequest(loginSchema), async (req, res, next) => {
     try {
         const { email, password } = req.validatedData;
-        const result = await authService.login(email, password);
+        const result = await authService.login(email, password, sessionContext(req));
+        res.json({
+            success: true,
+            message: result.challengeToken ? (result.twoFactorRequired ? "Masukkan kode 2FA" : "Aktifkan 2FA untuk melanjutkan login") : "Login berhasil",
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete login with a 2FA code
+ *     description: |
+ *       Langkah kedua login untuk akun dengan 2FA aktif. Tukar `challengeToken` dari /login
+ *       (berlaku 5 menit) + kode TOTP atau 1 recovery code dengan access/refresh token.
+ *       Kode salah dihitung sebagai login gagal (throttling & lockout yang sama dengan password).
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *     responses:
+ *       200:
+ *         description: Login berhasil (sama dengan response /login tanpa 2FA)
+ *       401:
+ *         description: Invalid code or expired challenge token
+ *       423:
+ *         description: Terlalu banyak percobaan gagal
+ */
+router.post("/login/2fa", audit("auth.login_2fa", { category: "auth" }), validateRequest(twoFactorLoginSchema), async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.validatedData;
+        const result = await authService.loginWithTwoFactor(challengeToken, { code, recoveryCode }, sessionContext(req));
         res.json({
             success: true,
             message: "Login berhasil",
@@ -236,7 +317,10 @@ router.post("/login", validateRequest(loginSchema), async (req, res, next) => {
  * /api/auth/refresh:
  *   post:
  *     summary: Refresh access token
- *     description: Generate new access token using refresh token
+ *     description: |
+ *       Generate new access token using refresh token. Refresh token dirotasi setiap kali dipakai:
+ *       simpan `refreshToken` baru dari response, token lama tidak berlaku lagi.
+ *       Memakai ulang token lama dianggap pencurian token dan mencabut seluruh sesi tersebut.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -271,6 +355,10 @@ router.post("/login", validateRequest(loginSchema), async (req, res, next) => {
  *                       type: string
  *                       description: New JWT access token
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     refreshToken:
+ *                       type: string
+ *                       description: New refresh token (menggantikan token yang dikirim)
+ *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  *       400:
  *         description: Refresh token required or invalid
  *         content:
@@ -299,7 +387,7 @@ router.post("/login", validateRequest(loginSchema), async (req, res, next) => {
  *                 success: { type: boolean, example: false }
  *                 message: { type: string, example: "Internal server error" }
  */
-router.post("/refresh", async (req, res, next) => {
+router.post("/refresh", audit("auth.refresh", { category: "auth" }), async (req, res, next) => {
     try {
         const { refreshToken } = req.body;
         if (!refreshToken) {
@@ -309,7 +397,7 @@ router.post("/refresh", async (req, res, next) => {
             });
         }
 
-        const result = await authService.refreshToken(refreshToken);
+        const result = await authService.refreshToken(refreshToken, sessionContext(req));
         res.json({
             success: true,
             message: "Token berhasil diperbarui",
@@ -320,12 +408,446 @@ router.post("/refresh", async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: Cabut sesi (device) milik refresh token ini. Access token yang sudah terbit tetap berlaku sampai kadaluarsa.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Refresh token required
+ *       401:
+ *         description: Invalid refresh token
+ */
+router.post("/logout", audit("auth.logout", { category: "auth" }), async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: "Refresh token diperlukan",
+            });
+        }
+
+        const result = await authService.logout(refreshToken);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from all devices
+ *     description: Cabut semua sesi user. Dijalankan otomatis setelah reset password.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                       example: "Berhasil logout dari semua perangkat"
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 2
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/logout-all", audit("auth.logout_all", { category: "auth" }), authenticateToken, async (req, res, next) => {
+    try {
+        const result = await authService.logoutAll(req.user.userId);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: |
+ *       Verifikasi email dengan token dari link email verifikasi (berlaku 24 jam).
+ *       Claim `emailVerified` di access token ikut berubah setelah refresh token / login ulang.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post("/verify-email", audit("auth.verify_email", { category: "auth" }), validateRequest(verifyEmailSchema), async (req, res, next) => {
+    try {
+        const result = await authService.verifyEmail(req.validatedData.token);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/unlock-account:
+ *   post:
+ *     summary: Unlock a locked account
+ *     description: Buka kunci login dengan token dari email "Akun dikunci sementara".
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post("/unlock-account", audit("auth.unlock_account", { category: "auth" }), validateRequest(unlockAccountSchema), async (req, res, next) => {
+    try {
+        const result = await authService.unlockAccount(req.validatedData.token);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Accept a merchant staff invitation
+ *     description: |
+ *       Terima undangan staf merchant dengan token dari email undangan (berlaku 7 hari).
+ *       Jika email belum punya akun, `password`, `fullName`, dan `phoneNumber` wajib diisi dan akun
+ *       `merchant_staff` dibuat. Akun merchant yang sudah ada langsung dihubungkan ke merchant.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               fullName:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "081234567890"
+ *     responses:
+ *       200:
+ *         description: "{ userId, email, merchantId, role, accountCreated }"
+ *       400:
+ *         description: Invalid or expired token / data akun baru belum lengkap
+ *       409:
+ *         description: Akun sudah terhubung ke merchant lain atau akun bank
+ */
+router.post("/accept-invite", audit("auth.accept_invite", { category: "auth" }), validateRequest(acceptInviteSchema), async (req, res, next) => {
+    try {
+        const result = await authService.acceptInvite(req.validatedData);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend verification email
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ */
+router.post("/resend-verification", audit("auth.resend_verification", { category: "auth" }), authenticateToken, async (req, res, next) => {
+    try {
+        const result = await authService.resendVerification(req.user.userId);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/* =====================================================
+   TWO-FACTOR AUTHENTICATION
+===================================================== */
+
+// Setup / enable: Bearer token, atau challengeToken dari login (enrollment wajib role bank)
+const enrollmentAuth = (req, res, next) => {
+    if (req.body?.challengeToken) return next();
+    authenticateToken(req, res, next);
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: 2FA status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ enabled, required, enabledAt, recoveryCodesRemaining }"
+ */
+router.get("/2fa", audit("auth.2fa_status", { category: "auth" }), authenticateToken, async (req, res, next) => {
+    try {
+        const result = await authService.getTwoFactorStatus(req.user.userId);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: |
+ *       Buat secret TOTP baru. `otpauthUrl` di-render sebagai QR code untuk aplikasi authenticator.
+ *       Pakai Bearer token, atau `challengeToken` dari /login untuk role bank yang wajib enrollment.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "{ secret, otpauthUrl }"
+ *       400:
+ *         description: 2FA already enabled
+ */
+router.post("/2fa/setup", audit("auth.2fa_setup", { category: "auth" }), enrollmentAuth, validateRequest(twoFactorSetupSchema), async (req, res, next) => {
+    try {
+        const result = await authService.setupTwoFactor({ userId: req.user?.userId, challengeToken: req.validatedData.challengeToken });
+        res.json({
+            success: true,
+            message: "Scan QR code lalu konfirmasi dengan kode dari aplikasi authenticator",
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     description: |
+ *       Aktifkan 2FA dengan kode pertama dari aplikasi authenticator. Response berisi 10 recovery code
+ *       (hanya ditampilkan sekali). Jika memakai `challengeToken`, response juga berisi access/refresh token.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post("/2fa/enable", audit("auth.2fa_enable", { category: "auth" }), enrollmentAuth, validateRequest(twoFactorEnableSchema), async (req, res, next) => {
+    try {
+        const { challengeToken, code } = req.validatedData;
+        const result = await authService.enableTwoFactor({ userId: req.user?.userId, challengeToken }, code, sessionContext(req));
+        res.json({
+            success: true,
+            message: "2FA aktif. Simpan recovery code di tempat aman, tidak akan ditampilkan lagi.",
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Recovery code lama tidak berlaku lagi. Wajib kode TOTP.
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         description: Invalid code
+ */
+router.post("/2fa/recovery-codes", audit("auth.2fa_recovery_codes", { category: "auth" }), authenticateToken, validateRequest(twoFactorCodeSchema), async (req, res, next) => {
+    try {
+        const result = await authService.regenerateRecoveryCodes(req.user.userId, req.validatedData.code);
+        res.json({
+            success: true,
+            message: "Recovery code baru dibuat. Simpan di tempat aman, tidak akan ditampilkan lagi.",
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable 2FA
+ *     description: Tidak tersedia untuk role bank (2FA wajib).
+ *     tags: [Authentication]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       401:
+ *         description: Invalid code
+ *       403:
+ *         description: 2FA is mandatory for bank roles
+ */
+router.post("/2fa/disable", audit("auth.2fa_disable", { category: "auth" }), authenticateToken, validateRequest(twoFactorDisableSchema), async (req, res, next) => {
+    try {
+        const result = await authService.disableTwoFactor(req.user.userId, req.validatedData);
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * @swagger
  * /api/auth/request-password-reset:
  *   post:
  *     summary: Request password reset
- *     description: Send password reset token to merchant email
+ *     description: |
+ *       Kirim link reset password ke email. Token reset hanya dikirim lewat email,
+ *       response selalu sama baik email terdaftar maupun tidak.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -356,7 +878,7 @@ router.post("/refresh", async (req, res, next) => {
  *                   properties:
  *                     message:
  *                       type: string
- *                       example: "Link reset password telah dikirim ke email"
+ *                       example: "Jika email terdaftar, link reset password akan dikirim ke email tersebut"
  *       400:
  *         description: Invalid email format
  *         content:
@@ -366,15 +888,6 @@ router.post("/refresh", async (req, res, next) => {
  *               properties:
  *                 success: { type: boolean, example: false }
  *                 message: { type: string, example: "Email tidak valid" }
- *       404:
- *         description: Email not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success: { type: boolean, example: false }
- *                 message: { type: string, example: "Email tidak ditemukan" }
  *       500:
  *         description: Server error
  *         content:
@@ -385,7 +898,7 @@ router.post("/refresh", async (req, res, next) => {
  *                 success: { type: boolean, example: false }
  *                 message: { type: string, example: "Internal server error" }
  */
-router.post("/request-password-reset", validateRequest(resetPasswordSchema), async (req, res, next) => {
+router.post("/request-password-reset", audit("auth.password_reset_request", { category: "auth" }), validateRequest(resetPasswordSchema), async (req, res, next) => {
     try {
         const { email } = req.validatedData;
         const result = await authService.requestPasswordReset(email);
@@ -403,7 +916,7 @@ router.post("/request-password-reset", validateRequest(resetPasswordSchema), asy
  * /api/auth/reset-password:
  *   post:
  *     summary: Reset password
- *     description: Set new password using reset token sent to email
+ *     description: Set new password using reset token sent to email. Semua sesi (refresh token) user dicabut.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -415,7 +928,7 @@ router.post("/request-password-reset", validateRequest(resetPasswordSchema), asy
  *             properties:
  *               resetToken:
  *                 type: string
- *                 description: Token received in password reset email
+ *                 description: Token dari link di email reset password
  *                 example: abc123xyz...
  *               newPassword:
  *                 type: string
@@ -467,7 +980,7 @@ router.post("/request-password-reset", validateRequest(resetPasswordSchema), asy
  *                 success: { type: boolean, example: false }
  *                 message: { type: string, example: "Internal server error" }
  */
-router.post("/reset-password", validateRequest(setNewPasswordSchema), async (req, res, next) => {
+router.post("/reset-password", audit("auth.password_reset", { category: "auth" }), validateRequest(setNewPasswordSchema), async (req, res, next) => {
     try {
         const { resetToken } = req.body;
         if (!resetToken) {
@@ -1,5 +1,6 @@
 import express from "express";
 import { Op } from "sequelize";
+import { validate as isUuid } from "uuid";
 import Merchant from "../models/Merchant.js";
 import User from "../models/User.js";
 import CreditScore from "../models/CreditScore.js";
@@ -7,15 +8,77 @@ import EarlyWarningAlert from "../models/EarlyWarningAlert.js";
 import LoanApplication from "../models/LoanApplication.js";
 import DailyRevenue from "../models/DailyRevenue.js";
 import logger from "../utils/logger.js";
-import { authenticateToken } from "../middleware/auth.js";
+import { authenticateBank, authorizeBank, requireVerifiedEmail } from "../middleware/auth.js";
+import { auditTrail, audit } from "../middleware/audit.js";
+import { ROLES, BANK_ROLES, API_KEY_SCOPES } from "../config/roles.js";
+import { CONSENT_SCOPES } from "../config/consent.js";
+import { KYC_STATUSES } from "../config/kyc.js";
+import { REVENUE_BASES } from "../config/fees.js";
+import { validateRequest, validateQuery, alertActionSchema, alertNoteSchema, createApiKeySchema, profileHistoryQuerySchema } from "../utils/validators.js";
+import { issueApiKey, rotateApiKey, revokeApiKey, listApiKeys } from "../services/bankApiKeyService.js";
+import { getActiveConsentScopes, consentAllows } from "../services/consentService.js";
+import { getProfileHistory, getIdentityLastChangedAt, serializeProfileChange } from "../services/merchantProfileService.js";
+import { dailyRevenueAmount } from "../services/feeService.js";
+import { detectAnomalies, acknowledgeAlert, moveAlertToMonitoring, addAlertNote, markAlertResolved, getAlertHistory, serializeAlert } from "../services/earlyWarningService.js";
 
 const router = express.Router();
 
 /**
- * Bank Portal uses Bearer Token authentication (same as merchants)
- * X-API-Key is only for Paylabs payment gateway integration
+ * Bank Portal: Bearer Token (role bank officer/admin atau platform admin — token merchant ditolak 403)
+ * atau X-API-Key milik bank (akses dibatasi scope key per route)
  */
-router.use(authenticateToken);
+router.use(auditTrail(), authenticateBank);
+
+// Actor yang dicatat di alert history
+const bankActor = (req) =>
+    req.apiKey
+        ? { type: "api_key", userId: null, name: `${req.apiKey.bankId} API key ${req.apiKey.prefix}` }
+        : { type: req.user.role, userId: req.user.userId, name: req.user.email };
+
+/**
+ * Consent aktif bank yang melakukan request → Map merchantId → scope.
+ * Platform admin tidak dibatasi consent (return null); user bank tanpa bankId tidak melihat merchant apa pun.
+ */
+const consentsFor = async (req, merchantIds = null) => {
+    if (!req.apiKey && req.user.role === ROLES.PLATFORM_ADMIN) return null;
+
+    const bankId = req.apiKey?.bankId || req.user.bankId;
+    if (!bankId) return new Map();
+
+    return await getActiveConsentScopes(bankId, merchantIds);
+};
+
+const noConsentResponse = (res) =>
+    res.status(403).json({
+        success: false,
+        message: "Merchant belum memberikan consent untuk bank ini",
+    });
+
+const invalidKycStatusResponse = (res) =>
+    res.status(400).json({
+        success: false,
+        message: `kycStatus harus salah satu dari: ${Object.values(KYC_STATUSES).join(", ")}`,
+    });
+
+/**
+ * Route per alert: alert milik merchant yang belum memberi consent financials ditolak 403.
+ * Alert yang tidak ada diteruskan supaya service mengembalikan 404.
+ */
+const requireAlertConsent = async (req, res, next) => {
+    try {
+        const alert = isUuid(req.params.alertId) ? await EarlyWarningAlert.findByPk(req.params.alertId, { attributes: ["merchantId"] }) : null;
+
+        if (alert) req.audit.merchantIds = [alert.merchantId];
+
+        if (alert && !consentAllows(await consentsFor(req, [alert.merchantId]), alert.merchantId, CONSENT_SCOPES.FINANCIALS)) {
+            return noConsentResponse(res);
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
 
 /**
  * @swagger
@@ -26,10 +89,12 @@ router.use(authenticateToken);
  *       Retrieve a paginated list of all merchants sorted by credit score (descending).
  *       Monthly revenue is calculated from the sum of `total_amount` in `daily_revenue`
  *       for the current calendar month.
+ *       Hanya merchant dengan consent aktif ke bank ini; `monthlyRevenue` butuh consent `financials`.
  *     tags:
  *       - Bank Portal
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: query
  *         name: limit
@@ -39,6 +104,12 @@ router.use(authenticateToken);
  *         description: Maximum number of merchants to return
  *         example: 50
  *       - in: query
+ *         name: kycStatus
+ *         schema:
+ *           type: string
+ *           enum: [Draft, Submitted, Verified, Rejected]
+ *         description: Hanya merchant dengan status KYC ini
+ *       - in: query
  *         name: offset
  *         schema:
  *           type: integer
@@ -83,6 +154,10 @@ router.use(authenticateToken);
  *                             type: string
  *                             enum: [Micro, Small, Medium, Large]
  *                             example: Small
+ *                           kycStatus:
+ *                             type: string
+ *                             enum: [Draft, Submitted, Verified, Rejected]
+ *                             example: Verified
  *                           creditScore:
  *                             type: integer
  *                             description: Credit score 0–100
@@ -131,22 +206,30 @@ router.use(authenticateToken);
  *               success: false
  *               message: Internal Server Error
  */
-router.get("/merchants/all", async (req, res, next) => {
+router.get("/merchants/all", audit("bank.merchants.list"), authorizeBank({ scope: API_KEY_SCOPES.MERCHANTS_READ }), async (req, res, next) => {
     try {
-        const { limit = 50, offset = 0 } = req.query;
+        const { limit = 50, offset = 0, kycStatus = null } = req.query;
+
+        if (kycStatus && !Object.values(KYC_STATUSES).includes(kycStatus)) {
+            return invalidKycStatusResponse(res);
+        }
+
+        // Hanya merchant yang memberi consent ke bank ini
+        const consents = await consentsFor(req);
 
+        // Filter KYC ikut di query skor supaya limit / offset dihitung setelah filter
         const scores = await CreditScore.findAll({
+            where: consents ? { merchantId: { [Op.in]: [...consents.keys()] } } : {},
+            include: kycStatus ? [{ model: Merchant, attributes: [], where: { kycStatus }, required: true }] : [],
             order: [["creditScore", "DESC"]],
             limit,
             offset,
             raw: true,
         });
 
-        const merchantIds = scores.map((s) => s.merchantId);
-
         const merchants = await Merchant.findAll({
-            where: { merchantId: { [Op.in]: merchantIds } },
-            attributes: ["merchantId", "businessCategory", "businessScale", "joinDate"],
+            where: { merchantId: { [Op.in]: scores.map((s) => s.merchantId) } },
+            attributes: ["merchantId", "businessCategory", "businessScale", "kycStatus", "joinDate"],
             include: [
                 {
                     model: User,
@@ -157,6 +240,9 @@ router.get("/merchants/all", async (req, res, next) => {
             subQuery: false,
         });
 
+        const merchantIds = merchants.map((m) => m.merchantId);
+        req.audit.merchantIds = merchantIds;
+
         // Ambil monthly revenue dari daily_revenue bulan berjalan
         const now = new Date();
         const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
@@ -187,9 +273,11 @@ router.get("/merchants/all", async (req, res, next) => {
                 city: m["User.city"],
                 businessCategory: m.businessCategory,
                 businessScale: m.businessScale,
+                kycStatus: m.kycStatus,
                 creditScore: score?.creditScore,
                 riskBand: score?.riskBand,
-                monthlyRevenue: revenueMap[m.merchantId] ?? 0,
+                monthlyRevenue: consentAllows(consents, m.merchantId, CONSENT_SCOPES.FINANCIALS) ? (revenueMap[m.merchantId] ?? 0) : null,
+                consentScope: consents?.get(m.merchantId),
             };
         });
 
@@ -211,11 +299,12 @@ router.get("/merchants/all", async (req, res, next) => {
  * /api/bank/merchants/search:
  *   post:
  *     summary: Search merchants by criteria
- *     description: Search merchants for loan partner banks with credit score filter
+ *     description: Search merchants for loan partner banks with credit score filter (hanya merchant dengan consent aktif ke bank ini)
  *     tags:
  *       - Bank Portal
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -237,6 +326,10 @@ router.get("/merchants/all", async (req, res, next) => {
  *               businessCategory:
  *                 type: string
  *                 example: Retail
+ *               kycStatus:
+ *                 type: string
+ *                 enum: [Draft, Submitted, Verified, Rejected]
+ *                 example: Verified
  *               limit:
  *                 type: integer
  *                 default: 50
@@ -265,9 +358,13 @@ router.get("/merchants/all", async (req, res, next) => {
  *       401:
  *         description: Invalid API Key
  */
-router.post("/merchants/search", async (req, res, next) => {
+router.post("/merchants/search", audit("bank.merchants.search"), authorizeBank({ scope: API_KEY_SCOPES.MERCHANTS_READ }), async (req, res, next) => {
     try {
-        const { minCreditScore = 0, maxCreditScore = 100, riskBand = null, businessCategory = null, limit = 50, offset = 0 } = req.body;
+        const { minCreditScore = 0, maxCreditScore = 100, riskBand = null, businessCategory = null, kycStatus = null, limit = 50, offset = 0 } = req.body;
+
+        if (kycStatus && !Object.values(KYC_STATUSES).includes(kycStatus)) {
+            return invalidKycStatusResponse(res);
+        }
 
         const scoreWhere = {
             creditScore: {
@@ -279,6 +376,12 @@ router.post("/merchants/search", async (req, res, next) => {
             scoreWhere.riskBand = riskBand;
         }
 
+        // Hanya merchant yang memberi consent ke bank ini
+        const consents = await consentsFor(req);
+        if (consents) {
+            scoreWhere.merchantId = { [Op.in]: [...consents.keys()] };
+        }
+
         const scores = await CreditScore.findAll({
             where: scoreWhere,
             order: [["creditScore", "DESC"]],
@@ -293,13 +396,16 @@ router.post("/merchants/search", async (req, res, next) => {
         if (businessCategory) {
             whereCondition.businessCategory = businessCategory;
         }
+        if (kycStatus) {
+            whereCondition.kycStatus = kycStatus;
+        }
 
         const merchants = await Merchant.findAll({
             where: {
                 merchantId: { [Op.in]: merchantIds },
                 ...whereCondition,
             },
-            attributes: ["merchantId", "businessCategory", "businessScale", "joinDate"],
+            attributes: ["merchantId", "businessCategory", "businessScale", "kycStatus", "joinDate"],
             include: [
                 {
                     model: User,
@@ -318,11 +424,13 @@ router.post("/merchants/search", async (req, res, next) => {
                 city: m["User.city"],
                 businessCategory: m.businessCategory,
                 businessScale: m.businessScale,
+                kycStatus: m.kycStatus,
                 creditScore: score?.creditScore,
                 riskBand: score?.riskBand,
                 estimatedMaxLimit: score?.estimatedMaxLimit,
             };
         });
+        req.audit.merchantIds = results.map((r) => r.merchantId);
 
         res.json({
             success: true,
@@ -342,11 +450,15 @@ router.post("/merchants/search", async (req, res, next) => {
  * /api/bank/merchants/{merchantId}:
  *   get:
  *     summary: Get merchant detail
- *     description: Retrieve detailed merchant profile with credit and financial data
+ *     description: |
+ *       Retrieve detailed merchant profile with credit and financial data.
+ *       Butuh consent merchant: `score` untuk profil & skor, `financials` untuk financialMetrics & riskFlags,
+ *       `transactions` untuk jumlah transaksi.
  *     tags:
  *       - Bank Portal
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: merchantId
@@ -371,23 +483,50 @@ router.post("/merchants/search", async (req, res, next) => {
  *                       type: string
  *                     companyName:
  *                       type: string
+ *                     taxId:
+ *                       type: string
+ *                     businessLicenseNumber:
+ *                       type: string
+ *                     identityLastChangedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     kycStatus:
+ *                       type: string
+ *                       enum: [Draft, Submitted, Verified, Rejected]
+ *                     kycVerifiedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
  *                     creditScore:
  *                       type: integer
  *                     riskBand:
  *                       type: string
  *                     financialMetrics:
  *                       type: object
+ *                       description: "revenue30d, netRevenue30d (setelah MDR & refund), transactions30d, avgMonthlyRevenue, revenueBasis (gross / net dasar credit score), revenueGrowth, refundRate, avgSettlementDays, paymentMethodMix (komposisi QRIS / VA / E-Wallet / CASH dari credit score terakhir)"
  *                     loanEligibility:
  *                       type: object
+ *                     consentScope:
+ *                       type: string
+ *                       enum: [score, financials, transactions]
  *       401:
  *         description: Invalid API Key
+ *       403:
+ *         description: Merchant has not granted consent to this bank
  *       404:
  *         description: Merchant not found
  */
-router.get("/merchants/:merchantId", async (req, res, next) => {
+router.get("/merchants/:merchantId", audit("bank.merchant.view"), authorizeBank({ scope: API_KEY_SCOPES.MERCHANTS_READ }), async (req, res, next) => {
     try {
         const { merchantId } = req.params;
 
+        // Consent dicek sebelum lookup merchant agar 404 tidak membocorkan merchant mana yang terdaftar
+        const consents = await consentsFor(req, [merchantId]);
+        if (!consentAllows(consents, merchantId, CONSENT_SCOPES.SCORE)) {
+            return noConsentResponse(res);
+        }
+
         const merchant = await Merchant.findByPk(merchantId, {
             include: [{ model: User, attributes: ["email", "companyName", "city", "address", "phoneNumber"] }],
             raw: true,
@@ -400,6 +539,8 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
                 message: "Merchant tidak ditemukan",
             });
         }
+        const canSeeFinancials = consentAllows(consents, merchantId, CONSENT_SCOPES.FINANCIALS);
+        const canSeeTransactions = consentAllows(consents, merchantId, CONSENT_SCOPES.TRANSACTIONS);
 
         const scores = await CreditScore.findAll({
             where: { merchantId },
@@ -420,6 +561,7 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
         });
 
         const totalRevenue30d = revenues.reduce((sum, r) => sum + parseFloat(r.totalAmount), 0);
+        const netRevenue30d = revenues.reduce((sum, r) => sum + dailyRevenueAmount(r, REVENUE_BASES.NET), 0);
         const totalTransactions30d = revenues.reduce((sum, r) => sum + r.transactionCount, 0);
 
         const activeAlerts = await EarlyWarningAlert.findAll({
@@ -435,7 +577,14 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
             address: merchant["User.address"],
             phone: merchant["User.phoneNumber"],
             businessCategory: merchant.businessCategory,
+            subCategory: merchant.subCategory,
             businessScale: merchant.businessScale,
+            taxId: merchant.taxId,
+            businessLicenseNumber: merchant.businessLicenseNumber,
+            // Kapan NPWP / NIB / skala usaha terakhir diubah — detail di /merchants/:merchantId/profile-history
+            identityLastChangedAt: await getIdentityLastChangedAt(merchantId),
+            kycStatus: merchant.kycStatus,
+            kycVerifiedAt: merchant.kycStatus === KYC_STATUSES.VERIFIED ? merchant.kycReviewedAt : null,
             joinDate: merchant.joinDate,
             creditScore: latestScore?.creditScore || null,
             riskBand: latestScore?.riskBand || "N/A",
@@ -444,25 +593,34 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
                 score: s.creditScore,
                 riskBand: s.riskBand,
             })),
-            financialMetrics: {
-                revenue30d: totalRevenue30d,
-                transactions30d: totalTransactions30d,
-                avgMonthlyRevenue: latestScore?.avgMonthlyRevenue || 0,
-                revenueGrowth: latestScore?.growthPercentageMoM || 0,
-                refundRate: latestScore?.refundRatePercentage || 0,
-                avgSettlementDays: latestScore?.avgSettlementDays || 0,
-            },
+            // Metrik keuangan & risk flags butuh consent financials, jumlah transaksi butuh consent transactions
+            financialMetrics: canSeeFinancials
+                ? {
+                      revenue30d: totalRevenue30d,
+                      netRevenue30d,
+                      transactions30d: canSeeTransactions ? totalTransactions30d : null,
+                      avgMonthlyRevenue: latestScore?.avgMonthlyRevenue || 0,
+                      revenueBasis: latestScore?.revenueBasis || REVENUE_BASES.GROSS,
+                      revenueGrowth: latestScore?.growthPercentageMoM || 0,
+                      refundRate: latestScore?.refundRatePercentage || 0,
+                      avgSettlementDays: latestScore?.avgSettlementDays || 0,
+                      paymentMethodMix: latestScore?.paymentMethodMix || [],
+                  }
+                : null,
             loanEligibility: {
                 estimatedMinLimit: latestScore?.estimatedMinLimit || 0,
                 estimatedMaxLimit: latestScore?.estimatedMaxLimit || 0,
                 isEligible: latestScore?.creditScore >= 60,
                 canBorrow: totalRevenue30d > 0,
             },
-            riskFlags: activeAlerts.map((a) => ({
-                type: a.alertType,
-                severity: a.severity,
-                detected: a.detectedDate,
-            })),
+            riskFlags: canSeeFinancials
+                ? activeAlerts.map((a) => ({
+                      type: a.alertType,
+                      severity: a.severity,
+                      detected: a.detectedDate,
+                  }))
+                : null,
+            consentScope: consents?.get(merchantId) ?? null,
         };
 
         res.json({
@@ -475,6 +633,81 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/bank/merchants/{merchantId}/profile-history:
+ *   get:
+ *     summary: Merchant business profile change history
+ *     description: |
+ *       Riwayat perubahan profil bisnis merchant (kategori, skala usaha, NPWP, NIB/SIUP), terbaru dulu.
+ *       `identityField: true` menandai perubahan identitas usaha. Butuh consent `score`.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: identityOnly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ merchantId, total, changes: [{ changeId, field, identityField, oldValue, newValue, reason, changedAt }] }"
+ *       403:
+ *         description: Merchant has not granted consent to this bank
+ *       404:
+ *         description: Merchant not found
+ */
+router.get("/merchants/:merchantId/profile-history", audit("bank.merchant.profile_history"), authorizeBank({ scope: API_KEY_SCOPES.MERCHANTS_READ }), validateQuery(profileHistoryQuerySchema), async (req, res, next) => {
+    try {
+        const { merchantId } = req.params;
+
+        // Sama seperti detail merchant: consent dulu, baru lookup (404 tidak membocorkan merchant yang terdaftar)
+        const consents = await consentsFor(req, [merchantId]);
+        if (!consentAllows(consents, merchantId, CONSENT_SCOPES.SCORE)) {
+            return noConsentResponse(res);
+        }
+
+        const merchant = await Merchant.findByPk(merchantId, { attributes: ["merchantId"] });
+        if (!merchant) {
+            return res.status(404).json({
+                success: false,
+                message: "Merchant tidak ditemukan",
+            });
+        }
+
+        const { total, changes } = await getProfileHistory(merchantId, req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: {
+                merchantId,
+                total,
+                changes: changes.map(serializeProfileChange),
+            },
+        });
+    } catch (error) {
+        logger.error(`Get merchant profile history error: ${error.message}`);
+        next(error);
+    }
+});
+
 /* =====================================================
    LOAN APPLICATIONS
    Hanya bank yang bisa membuat loan application.
@@ -490,10 +723,12 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
  *       Bank membuat loan application untuk merchant yang telah diseleksi.
  *       Merchant tidak dapat membuat loan application sendiri.
  *       Credit score dan risk band saat pengajuan akan otomatis diambil dari data terkini.
+ *       bankId diambil dari credential (bank API key atau bank user), bukan dari body.
  *     tags:
  *       - Bank Portal
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -508,9 +743,6 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
  *               merchantId:
  *                 type: string
  *                 example: MRC123456
- *               bankId:
- *                 type: string
- *                 example: BANK001
  *               amount:
  *                 type: number
  *                 description: Requested loan amount in IDR
@@ -535,7 +767,6 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
  *                 example: 9.5
  *           example:
  *             merchantId: MRC123456
- *             bankId: BANK001
  *             amount: 500000000
  *             tenor: 12
  *             status: Draft
@@ -589,6 +820,8 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
  *               message: merchantId, amount, dan tenor wajib diisi
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Role / API key scope tidak cukup, atau akun belum terhubung ke bank
  *       404:
  *         description: Merchant not found
  *         content:
@@ -597,9 +830,18 @@ router.get("/merchants/:merchantId", async (req, res, next) => {
  *               success: false
  *               message: Merchant tidak ditemukan
  */
-router.post("/loan-applications", async (req, res, next) => {
+router.post("/loan-applications", audit("bank.loan_application.create"), authorizeBank({ scope: API_KEY_SCOPES.LOANS_WRITE, roles: BANK_ROLES }), async (req, res, next) => {
     try {
-        const { merchantId, bankId, amount, tenor, status, purpose, recommendedAmount, interestRate } = req.body;
+        const { merchantId, amount, tenor, status, purpose, recommendedAmount, interestRate } = req.body;
+        const bankId = req.apiKey?.bankId || req.user?.bankId;
+        if (typeof merchantId === "string") req.audit.merchantIds = [merchantId];
+
+        if (!bankId) {
+            return res.status(403).json({
+                success: false,
+                message: "Akun belum terhubung ke bank",
+            });
+        }
 
         if (!merchantId || !amount || !tenor) {
             return res.status(400).json({
@@ -608,6 +850,10 @@ router.post("/loan-applications", async (req, res, next) => {
             });
         }
 
+        if (!consentAllows(await consentsFor(req, [merchantId]), merchantId, CONSENT_SCOPES.SCORE)) {
+            return noConsentResponse(res);
+        }
+
         // Verify merchant exists
         const merchant = await Merchant.findByPk(merchantId);
         if (!merchant) {
@@ -624,12 +870,12 @@ router.post("/loan-applications", async (req, res, next) => {
             raw: true,
         });
 
-        const applicationId = `APP-${merchantId}-${bankId || "BANK"}-${Date.now()}`;
+        const applicationId = `APP-${merchantId}-${bankId}-${Date.now()}`;
 
         const application = await LoanApplication.create({
             applicationId,
             merchantId,
-            bankId: bankId || null,
+            bankId,
             applicationDate: new Date(),
             requestedAmount: amount,
             recommendedAmount: recommendedAmount || null,
@@ -666,11 +912,12 @@ router.post("/loan-applications", async (req, res, next) => {
  * /api/bank/loan-applications/{merchantId}:
  *   get:
  *     summary: Get loan applications by merchant
- *     description: Retrieve all loan applications for a specific merchant
+ *     description: Loan applications submitted by the calling bank for a merchant that granted it consent (scope score)
  *     tags:
  *       - Bank Portal
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: merchantId
@@ -732,13 +979,24 @@ router.post("/loan-applications", async (req, res, next) => {
  *                             format: date-time
  *       401:
  *         description: Invalid API Key
+ *       403:
+ *         description: Merchant has not granted consent to this bank
  */
-router.get("/loan-applications/:merchantId", async (req, res, next) => {
+router.get("/loan-applications/:merchantId", audit("bank.loan_applications.view"), authorizeBank({ scope: API_KEY_SCOPES.LOANS_READ }), async (req, res, next) => {
     try {
         const { merchantId } = req.params;
 
+        if (!consentAllows(await consentsFor(req, [merchantId]), merchantId, CONSENT_SCOPES.SCORE)) {
+            return noConsentResponse(res);
+        }
+
+        // Bank hanya melihat pengajuannya sendiri; platform admin melihat semua bank
+        const where = { merchantId };
+        const bankId = req.apiKey?.bankId || req.user?.bankId;
+        if (bankId) where.bankId = bankId;
+
         const applications = await LoanApplication.findAll({
-            where: { merchantId },
+            where,
             order: [["applicationDate", "DESC"]],
             raw: true,
         });
@@ -777,11 +1035,12 @@ router.get("/loan-applications/:merchantId", async (req, res, next) => {
  * /api/bank/alerts/{merchantId}:
  *   get:
  *     summary: Get merchant risk alerts
- *     description: Retrieve all risk alerts for a merchant for risk assessment
+ *     description: Retrieve all risk alerts for a merchant for risk assessment (butuh consent `financials`)
  *     tags:
  *       - Bank Portal
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: merchantId
@@ -820,12 +1079,18 @@ router.get("/loan-applications/:merchantId", async (req, res, next) => {
  *                       type: array
  *       401:
  *         description: Invalid API Key
+ *       403:
+ *         description: Merchant has not granted financials consent to this bank
  */
-router.get("/alerts/:merchantId", async (req, res, next) => {
+router.get("/alerts/:merchantId", audit("bank.alerts.view"), authorizeBank({ scope: API_KEY_SCOPES.ALERTS_READ }), async (req, res, next) => {
     try {
         const { merchantId } = req.params;
         const { resolved = false } = req.query;
 
+        if (!consentAllows(await consentsFor(req, [merchantId]), merchantId, CONSENT_SCOPES.FINANCIALS)) {
+            return noConsentResponse(res);
+        }
+
         const whereCondition = { merchantId };
         if (resolved === "true") {
             whereCondition.isResolved = true;
@@ -855,12 +1120,14 @@ router.get("/alerts/:merchantId", async (req, res, next) => {
                     id: a.id,
                     type: a.alertType,
                     severity: a.severity,
+                    status: a.status,
                     metric: a.metricName,
                     value: a.metricValue,
                     threshold: a.thresholdValue,
                     detected: a.detectedDate,
                     analysis: a.qwenAnalysis,
                     resolved: a.isResolved,
+                    resolvedBy: a.resolvedBy,
                 })),
             },
         });
@@ -870,16 +1137,349 @@ router.get("/alerts/:merchantId", async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/bank/alerts/{merchantId}/sweep:
+ *   post:
+ *     summary: Trigger early warning sweep for a merchant
+ *     description: |
+ *       Jalankan seluruh detector early warning (Revenue Drop, Refund Spike, Settlement Delay,
+ *       Transaction Drop, Score Drop) untuk satu merchant secara on-demand.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: MRC123456
+ *     responses:
+ *       200:
+ *         description: Sweep completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     merchantId:
+ *                       type: string
+ *                     detectedCount:
+ *                       type: integer
+ *                     alerts:
+ *                       type: array
+ *       404:
+ *         description: Merchant not found
+ */
+router.post("/alerts/:merchantId/sweep", audit("bank.alerts.sweep"), authorizeBank({ scope: API_KEY_SCOPES.ALERTS_WRITE }), async (req, res, next) => {
+    try {
+        const { merchantId } = req.params;
+
+        if (!consentAllows(await consentsFor(req, [merchantId]), merchantId, CONSENT_SCOPES.FINANCIALS)) {
+            return noConsentResponse(res);
+        }
+
+        const merchant = await Merchant.findByPk(merchantId);
+        if (!merchant) {
+            return res.status(404).json({
+                success: false,
+                message: "Merchant tidak ditemukan",
+            });
+        }
+
+        const alerts = await detectAnomalies(merchantId);
+
+        logger.info(`Manual early warning sweep for ${merchantId} by ${bankActor(req).name}: ${alerts.length} alerts`);
+
+        res.json({
+            success: true,
+            data: {
+                merchantId,
+                detectedCount: alerts.length,
+                alerts: alerts.map((a) => ({
+                    type: a.alertType,
+                    severity: a.severity,
+                    metric: a.metricName,
+                    value: a.metricValue,
+                    threshold: a.thresholdValue,
+                    description: a.description,
+                })),
+            },
+        });
+    } catch (error) {
+        logger.error(`Early warning sweep error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/bank/alerts/{alertId}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an alert
+ *     description: Tandai alert sudah dilihat / ditangani oleh bank. Status alert tidak berubah.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Alert already resolved or invalid body
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/acknowledge", audit("bank.alert.acknowledge"), authorizeBank({ scope: API_KEY_SCOPES.ALERTS_WRITE }), requireAlertConsent, validateRequest(alertActionSchema), async (req, res, next) => {
+    try {
+        const alert = await acknowledgeAlert(req.params.alertId, bankActor(req), { note: req.validatedData.note });
+
+        res.json({
+            success: true,
+            message: "Alert berhasil di-acknowledge",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Acknowledge alert error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/bank/alerts/{alertId}/monitoring:
+ *   post:
+ *     summary: Move an alert to Monitoring
+ *     description: Ubah status alert menjadi Monitoring.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Alert already resolved or invalid body
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/monitoring", audit("bank.alert.monitoring"), authorizeBank({ scope: API_KEY_SCOPES.ALERTS_WRITE }), requireAlertConsent, validateRequest(alertActionSchema), async (req, res, next) => {
+    try {
+        const alert = await moveAlertToMonitoring(req.params.alertId, bankActor(req), { note: req.validatedData.note });
+
+        res.json({
+            success: true,
+            message: "Alert dipindahkan ke Monitoring",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Move alert to monitoring error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/bank/alerts/{alertId}/notes:
+ *   post:
+ *     summary: Add a note to an alert
+ *     description: Tambahkan catatan ke alert. Catatan dicatat di history alert.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Note is required
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/notes", audit("bank.alert.note"), authorizeBank({ scope: API_KEY_SCOPES.ALERTS_WRITE }), requireAlertConsent, validateRequest(alertNoteSchema), async (req, res, next) => {
+    try {
+        const alert = await addAlertNote(req.params.alertId, bankActor(req), req.validatedData.note);
+
+        res.json({
+            success: true,
+            message: "Catatan berhasil ditambahkan",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Add alert note error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/bank/alerts/{alertId}/resolve:
+ *   post:
+ *     summary: Resolve an alert
+ *     description: Tandai alert sebagai Resolved. `resolvedBy` diisi dengan email user bank yang melakukan aksi.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Alert already resolved or invalid body
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/resolve", audit("bank.alert.resolve"), authorizeBank({ scope: API_KEY_SCOPES.ALERTS_WRITE }), requireAlertConsent, validateRequest(alertActionSchema), async (req, res, next) => {
+    try {
+        const alert = await markAlertResolved(req.params.alertId, bankActor(req), { note: req.validatedData.note });
+
+        res.json({
+            success: true,
+            message: "Alert berhasil di-resolve",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Resolve alert error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/bank/alerts/{alertId}/history:
+ *   get:
+ *     summary: Get alert history
+ *     description: Riwayat perubahan status dan catatan alert (siapa dan kapan), urut dari yang paling lama.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Alert not found
+ */
+router.get("/alerts/:alertId/history", audit("bank.alert.history"), authorizeBank({ scope: API_KEY_SCOPES.ALERTS_READ }), requireAlertConsent, async (req, res, next) => {
+    try {
+        const { alert, history } = await getAlertHistory(req.params.alertId);
+
+        res.json({
+            success: true,
+            data: serializeAlert(alert, history),
+        });
+    } catch (error) {
+        logger.error(`Get alert history error: ${error.message}`);
+        next(error);
+    }
+});
+
+
 /**
  * @swagger
  * /api/bank/batch-assessment:
  *   post:
  *     summary: Batch merchant assessment
- *     description: Assess multiple merchants for portfolio analysis
+ *     description: Assess multiple merchants for portfolio analysis. Merchant tanpa consent aktif dilewati dan dikembalikan di `withoutConsent`.
  *     tags:
  *       - Bank Portal
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -909,6 +1509,10 @@ router.get("/alerts/:merchantId", async (req, res, next) => {
  *                   properties:
  *                     totalMerchants:
  *                       type: integer
+ *                     withoutConsent:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *                     assessmentDate:
  *                       type: string
  *                       format: date-time
@@ -930,7 +1534,7 @@ router.get("/alerts/:merchantId", async (req, res, next) => {
  *       401:
  *         description: Invalid API Key
  */
-router.post("/batch-assessment", async (req, res, next) => {
+router.post("/batch-assessment", audit("bank.batch_assessment"), authorizeBank({ scope: API_KEY_SCOPES.MERCHANTS_READ }), async (req, res, next) => {
     try {
         const { merchantIds } = req.body;
 
@@ -941,9 +1545,13 @@ router.post("/batch-assessment", async (req, res, next) => {
             });
         }
 
+        // Merchant tanpa consent tidak ikut dinilai
+        const consents = await consentsFor(req, merchantIds);
+        const consentedIds = merchantIds.filter((id) => consentAllows(consents, id, CONSENT_SCOPES.SCORE));
+
         const scores = await CreditScore.findAll({
             where: {
-                merchantId: { [Op.in]: merchantIds },
+                merchantId: { [Op.in]: consentedIds },
             },
             order: [["merchantId"], ["calculationDate", "DESC"]],
             raw: true,
@@ -955,12 +1563,14 @@ router.post("/batch-assessment", async (req, res, next) => {
                 latestScores.set(score.merchantId, score);
             }
         });
+        req.audit.merchantIds = [...latestScores.keys()];
 
         const assessment = {
             totalMerchants: merchantIds.length,
+            withoutConsent: merchantIds.filter((id) => !consentedIds.includes(id)),
             assessmentDate: new Date(),
             summary: {
-                avgCreditScore: Array.from(latestScores.values()).reduce((sum, s) => sum + s.creditScore, 0) / latestScores.size,
+                avgCreditScore: latestScores.size ? Array.from(latestScores.values()).reduce((sum, s) => sum + s.creditScore, 0) / latestScores.size : 0,
                 highRisk: Array.from(latestScores.values()).filter((s) => s.creditScore < 60).length,
                 mediumRisk: Array.from(latestScores.values()).filter((s) => s.creditScore >= 60 && s.creditScore < 80).length,
                 lowRisk: Array.from(latestScores.values()).filter((s) => s.creditScore >= 80).length,
@@ -983,4 +1593,162 @@ router.post("/batch-assessment", async (req, res, next) => {
     }
 });
 
+/* =====================================================
+   API KEYS (self-service bank admin)
+   Hanya bisa diakses dengan Bearer token bank_admin — bukan dengan API key.
+===================================================== */
+
+const bankAdminOnly = [
+    authorizeBank({ roles: [ROLES.BANK_ADMIN] }),
+    (req, res, next) => {
+        if (!req.user.bankId) {
+            return res.status(403).json({
+                success: false,
+                message: "Akun belum terhubung ke bank",
+            });
+        }
+        next();
+    },
+    requireVerifiedEmail,
+];
+
+/**
+ * @swagger
+ * /api/bank/api-keys:
+ *   get:
+ *     summary: List API keys of my bank
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved (hash tidak pernah dikembalikan)
+ *       403:
+ *         description: Not a bank admin, or called with an API key
+ *   post:
+ *     summary: Issue an API key for my bank
+ *     description: Key asli hanya dikembalikan sekali di response ini.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: API key issued
+ *       403:
+ *         description: Not a bank admin, or called with an API key
+ */
+router.get("/api-keys", audit("bank.api_keys.list"), bankAdminOnly, async (req, res, next) => {
+    try {
+        const keys = await listApiKeys(req.user.bankId);
+
+        res.json({
+            success: true,
+            data: keys,
+        });
+    } catch (error) {
+        logger.error(`List API keys error: ${error.message}`);
+        next(error);
+    }
+});
+
+router.post("/api-keys", audit("bank.api_key.issue"), bankAdminOnly, validateRequest(createApiKeySchema), async (req, res, next) => {
+    try {
+        const result = await issueApiKey(req.user.bankId, { ...req.validatedData, createdBy: req.user.email });
+
+        res.status(201).json({
+            success: true,
+            message: "API key berhasil dibuat. Simpan key ini, tidak akan ditampilkan lagi.",
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Issue API key error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/bank/api-keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate an API key of my bank
+ *     description: Key lama tetap berlaku sampai masa grace (BANK_API_KEY_ROTATION_GRACE_HOURS) habis.
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: Replacement key issued
+ *       400:
+ *         description: Key is not active
+ *       404:
+ *         description: API key not found for this bank
+ */
+router.post("/api-keys/:keyId/rotate", audit("bank.api_key.rotate"), bankAdminOnly, async (req, res, next) => {
+    try {
+        const result = await rotateApiKey(req.params.keyId, { bankId: req.user.bankId, actor: req.user.email });
+
+        res.status(201).json({
+            success: true,
+            message: "API key berhasil di-rotate. Simpan key baru ini, tidak akan ditampilkan lagi.",
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Rotate API key error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/bank/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key of my bank
+ *     tags:
+ *       - Bank Portal
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found for this bank
+ */
+router.delete("/api-keys/:keyId", audit("bank.api_key.revoke"), bankAdminOnly, async (req, res, next) => {
+    try {
+        const key = await revokeApiKey(req.params.keyId, { bankId: req.user.bankId, actor: req.user.email });
+
+        res.json({
+            success: true,
+            message: "API key berhasil di-revoke",
+            data: key,
+        });
+    } catch (error) {
+        logger.error(`Revoke API key error: ${error.message}`);
+        next(error);
+    }
+});
+
 export default router;
@@ -1,20 +1,48 @@
 import express from "express";
 import { Op } from "sequelize";
-import { authenticateToken } from "../middleware/auth.js";
+import { authenticateToken, authorizeRoles, requireVerifiedEmail } from "../middleware/auth.js";
+import { auditTrail, audit } from "../middleware/audit.js";
+import { resolveMerchant, requireMemberRole } from "../middleware/merchantAccess.js";
+import { documentUpload } from "../middleware/documentUpload.js";
+import { MERCHANT_ROLES, MERCHANT_MEMBER_ROLES } from "../config/roles.js";
 import User from "../models/User.js";
-import Merchant from "../models/Merchant.js";
 import CreditScore from "../models/CreditScore.js";
 import DailyRevenue from "../models/DailyRevenue.js";
+import OutletDailyRevenue from "../models/OutletDailyRevenue.js";
 import logger from "../utils/logger.js";
 import { generateLoanTiming, generateMerchantGrowthInsights } from "../services/qwenService.js";
-import { getActiveAlerts } from "../services/earlyWarningService.js";
-import { calculateMonthlyGrowth, calculateRefundRate } from "../services/merchantService.js";
+import { getActiveAlerts, acknowledgeAlert, moveAlertToMonitoring, addAlertNote, markAlertResolved, getAlertHistory, serializeAlert } from "../services/earlyWarningService.js";
+import { validateRequest, validateQuery, alertActionSchema, alertNoteSchema, grantConsentSchema, dataAccessQuerySchema, inviteMemberSchema, createOutletSchema, updateOutletSchema, dashboardQuerySchema, recalculateQuerySchema, updateBusinessProfileSchema, profileHistoryQuerySchema } from "../utils/validators.js";
+import { grantConsent, revokeConsent, listConsents, serializeConsent } from "../services/consentService.js";
+import { listMerchantDataAccess } from "../services/auditService.js";
+import { inviteMember, listMembers, revokeMember, serializeMember } from "../services/merchantMemberService.js";
+import { updateBusinessProfile, getProfileHistory, serializeBusinessProfile, serializeProfileChange } from "../services/merchantProfileService.js";
+import { listKycDocuments, uploadKycDocument, submitKyc, serializeKyc, serializeKycDocument } from "../services/kycService.js";
+import { listOutlets, getOutletOrFail, createOutlet, updateOutlet, getOutletBreakdown, serializeOutlet } from "../services/outletService.js";
+import Bank from "../models/Bank.js";
+import { calculateMonthlyGrowth, calculateRefundRate, getPaymentMethodMix } from "../services/merchantService.js";
+import { dailyRevenueAmount } from "../services/feeService.js";
 
 // ✅ Import calculateAndSaveCreditScore untuk trigger manual jika diperlukan
 import { calculateAndSaveCreditScore } from "../services/creditScoringService.js";
 
 const router = express.Router();
 
+// Audit dipasang sebelum autentikasi supaya request yang ditolak ikut tercatat
+router.use(auditTrail({ merchantFromUser: true }));
+
+// Semua endpoint merchant butuh token dengan role merchant + membership aktif (req.merchant)
+router.use(authenticateToken, authorizeRoles(...MERCHANT_ROLES), resolveMerchant);
+
+// Hak akses per role membership. Cashier hanya bisa membuat transaksi (lihat routes/transaction.js).
+const { OWNER, MANAGER, VIEWER } = MERCHANT_MEMBER_ROLES;
+const canView = requireMemberRole(OWNER, MANAGER, VIEWER);
+const canManage = requireMemberRole(OWNER, MANAGER);
+const ownerOnly = requireMemberRole(OWNER);
+
+// Actor yang dicatat di alert history
+const merchantActor = (req) => ({ type: req.user.role, userId: req.user.userId, name: req.user.email });
+
 /**
  * @swagger
  * /api/merchant/profile:
@@ -42,18 +70,21 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/User'
  *                     merchant:
  *                       $ref: '#/components/schemas/Merchant'
+ *                     membership:
+ *                       type: object
+ *                       description: Role user di merchant ini (owner, manager, cashier, viewer)
  *       401:
  *         description: Unauthorized - invalid token
  *       404:
  *         description: Merchant not found
  */
-router.get("/profile", authenticateToken, async (req, res, next) => {
+router.get("/profile", audit("merchant.profile.view"), async (req, res, next) => {
     try {
         const user = await User.findByPk(req.user.userId);
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
+        const merchant = req.merchant;
 
-        if (!user || !merchant) {
-            return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
+        if (!user) {
+            return res.status(404).json({ success: false, message: "User tidak ditemukan" });
         }
 
         res.json({
@@ -68,11 +99,10 @@ router.get("/profile", authenticateToken, async (req, res, next) => {
                     city: user.city,
                     address: user.address,
                 },
-                merchant: {
-                    merchantId: merchant.merchantId,
-                    businessCategory: merchant.businessCategory,
-                    businessScale: merchant.businessScale,
-                    joinDate: merchant.joinDate,
+                merchant: serializeBusinessProfile(merchant),
+                membership: {
+                    memberId: req.merchantMember.id,
+                    role: req.merchantMember.role,
                 },
             },
         });
@@ -82,16 +112,277 @@ router.get("/profile", authenticateToken, async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/merchant/profile:
+ *   patch:
+ *     summary: Update merchant business profile
+ *     description: |
+ *       Update kategori, skala usaha, NPWP (`taxId`) dan NIB/SIUP (`businessLicenseNumber`). Hanya owner.
+ *       Perubahan `businessScale` wajib disertai `scaleChangeReason`. Setiap field yang berubah dicatat di
+ *       riwayat profil yang juga bisa dilihat bank yang punya consent.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               businessCategory:
+ *                 type: string
+ *                 example: Makanan & Minuman
+ *               subCategory:
+ *                 type: string
+ *                 example: Warung Makan
+ *               businessScale:
+ *                 type: string
+ *                 enum: [Micro, Small, Medium, Large]
+ *               scaleChangeReason:
+ *                 type: string
+ *                 minLength: 20
+ *               taxId:
+ *                 type: string
+ *                 description: NPWP 15 digit (99.999.999.9-999.999) atau 16 digit
+ *                 example: 01.234.567.8-901.234
+ *               businessLicenseNumber:
+ *                 type: string
+ *                 description: NIB 13 digit atau nomor SIUP
+ *                 example: "1234567890123"
+ *     responses:
+ *       200:
+ *         description: "{ merchant, changes: [{ changeId, field, identityField, oldValue, newValue, reason, changedAt }] }"
+ *       400:
+ *         description: Invalid body (format NPWP / NIB, alasan skala usaha)
+ *       403:
+ *         description: Bukan owner / email belum terverifikasi
+ *       409:
+ *         description: NPWP / NIB diubah saat KYC sedang direview
+ */
+router.patch("/profile", audit("merchant.profile.update"), ownerOnly, requireVerifiedEmail, validateRequest(updateBusinessProfileSchema), async (req, res, next) => {
+    try {
+        const { merchant, changes } = await updateBusinessProfile(req.merchant, req.validatedData, req.user);
+        req.audit.metadata = { fields: changes.map((change) => change.field) };
+
+        res.json({
+            success: true,
+            message: changes.length ? "Profil bisnis berhasil diperbarui" : "Tidak ada perubahan",
+            data: {
+                merchant: serializeBusinessProfile(merchant),
+                changes: changes.map(serializeProfileChange),
+            },
+        });
+    } catch (error) {
+        logger.error(`Update profile error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/profile/history:
+ *   get:
+ *     summary: Business profile change history
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: identityOnly
+ *         schema:
+ *           type: boolean
+ *         description: Hanya NPWP, NIB/SIUP & skala usaha
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ total, changes: [{ changeId, field, identityField, oldValue, newValue, reason, changedAt }] }"
+ */
+router.get("/profile/history", audit("merchant.profile.history"), canView, validateQuery(profileHistoryQuerySchema), async (req, res, next) => {
+    try {
+        const { total, changes } = await getProfileHistory(req.merchant.merchantId, req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: {
+                total,
+                changes: changes.map(serializeProfileChange),
+            },
+        });
+    } catch (error) {
+        logger.error(`Profile history error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   KYC ONBOARDING
+   Draft → Submitted → Verified / Rejected. Dokumen dikirim
+   sebagai body request mentah (Content-Type = tipe file).
+===================================================== */
+
+/**
+ * @swagger
+ * /api/merchant/kyc:
+ *   get:
+ *     summary: KYC status & uploaded documents
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ merchantId, status, submittedAt, reviewedAt, rejectionReason, documents: [{ documentId, documentType, contentType, size, uploadedAt }], missingDocuments }"
+ */
+router.get("/kyc", audit("merchant.kyc.view"), canView, async (req, res, next) => {
+    try {
+        const documents = await listKycDocuments(req.merchant.merchantId);
+
+        res.json({
+            success: true,
+            data: serializeKyc(req.merchant, documents),
+        });
+    } catch (error) {
+        logger.error(`Get KYC error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/kyc/documents/{documentType}:
+ *   put:
+ *     summary: Upload KYC document
+ *     description: |
+ *       Upload atau ganti dokumen KTP, NPWP atau NIB (owner). Body request adalah isi file dengan
+ *       Content-Type `image/jpeg`, `image/png` atau `application/pdf`, maksimal `KYC_MAX_FILE_SIZE_MB` (default 5 MB).
+ *       Hanya bisa saat status KYC Draft atau Rejected.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [ktp, npwp, nib]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/jpeg:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/png:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         application/pdf:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: "{ documentId, documentType, contentType, size, uploadedAt }"
+ *       400:
+ *         description: Jenis dokumen tidak dikenal / file kosong
+ *       409:
+ *         description: KYC sedang direview atau sudah Verified
+ *       413:
+ *         description: File terlalu besar
+ *       415:
+ *         description: File bukan JPG, PNG atau PDF
+ */
+router.put("/kyc/documents/:documentType", audit("merchant.kyc.document_upload"), ownerOnly, requireVerifiedEmail, documentUpload, async (req, res, next) => {
+    try {
+        const { documentType } = req.params;
+        const document = await uploadKycDocument(req.merchant, documentType, req.file, req.user);
+        req.audit.metadata = { documentType, contentType: document.contentType, size: document.size };
+
+        res.json({
+            success: true,
+            message: "Dokumen berhasil diupload",
+            data: serializeKycDocument(document),
+        });
+    } catch (error) {
+        logger.error(`Upload KYC document error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/kyc/submit:
+ *   post:
+ *     summary: Submit KYC for review
+ *     description: Butuh dokumen KTP, NPWP & NIB serta NPWP dan NIB/SIUP di profil bisnis (owner)
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: KYC submitted (status Submitted)
+ *       400:
+ *         description: Dokumen atau data profil belum lengkap
+ *       409:
+ *         description: Status KYC tidak bisa disubmit
+ */
+router.post("/kyc/submit", audit("merchant.kyc.submit"), ownerOnly, requireVerifiedEmail, async (req, res, next) => {
+    try {
+        const { merchant, documents } = await submitKyc(req.merchant);
+
+        res.json({
+            success: true,
+            message: "KYC berhasil disubmit dan menunggu review",
+            data: serializeKyc(merchant, documents),
+        });
+    } catch (error) {
+        logger.error(`Submit KYC error: ${error.message}`);
+        next(error);
+    }
+});
+
 /**
  * @swagger
  * /api/merchant/dashboard:
  *   get:
  *     summary: Get merchant dashboard
- *     description: Retrieve dashboard summary with credit score and metrics
+ *     description: |
+ *       Retrieve dashboard summary with credit score and metrics.
+ *       Dengan `outletId`, volume, growth, refund rate, jumlah transaksi & komposisi metode pembayaran
+ *       dihitung untuk outlet tersebut; credit score tetap level merchant.
+ *       `revenueBasis=net` menghitung volume & growth dari nominal bersih setelah MDR (volume juga setelah refund).
  *     tags:
  *       - Merchant
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: revenueBasis
+ *         schema:
+ *           type: string
+ *           enum: [gross, net]
+ *           default: gross
  *     responses:
  *       200:
  *         description: Dashboard data retrieved
@@ -109,6 +400,9 @@ router.get("/profile", authenticateToken, async (req, res, next) => {
  *                       type: string
  *                     companyName:
  *                       type: string
+ *                     outlet:
+ *                       type: object
+ *                       nullable: true
  *                     currentCreditScore:
  *                       type: integer
  *                     riskBand:
@@ -118,15 +412,32 @@ router.get("/profile", authenticateToken, async (req, res, next) => {
  *                       type: number
  *                     estimatedMaxLimit:
  *                       type: number
+ *                     revenueBasis:
+ *                       type: string
+ *                       enum: [gross, net]
+ *                     monthlyTransactionVolume:
+ *                       type: number
+ *                     monthlyFeeAmount:
+ *                       type: number
+ *                       description: Total MDR 30 hari
+ *                     paymentMethodMix:
+ *                       type: array
+ *                       description: "Transaksi sukses 30 hari per metode: [{ paymentMethod, revenue, transactionCount, revenueShare, channels: [{ channel, revenue, transactionCount, revenueShare }] }]"
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Outlet not found
  */
-router.get("/dashboard", authenticateToken, async (req, res, next) => {
+router.get("/dashboard", audit("merchant.dashboard.view"), canView, validateQuery(dashboardQuerySchema), async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) {
-            return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
-        }
+        const merchant = req.merchant;
+
+        // Filter outlet: volume, growth & refund rate per outlet. Credit score tetap level merchant.
+        // revenueBasis net: volume & growth setelah MDR (dan refund untuk volume)
+        const { outletId, revenueBasis } = req.validatedQuery;
+        const outlet = outletId ? await getOutletOrFail(merchant.merchantId, outletId) : null;
+        const RevenueModel = outlet ? OutletDailyRevenue : DailyRevenue;
+        const revenueScope = outlet ? { outletId: outlet.id } : { merchantId: merchant.merchantId };
 
         const latestScore = await CreditScore.findOne({
             where: { merchantId: merchant.merchantId },
@@ -142,37 +453,45 @@ router.get("/dashboard", authenticateToken, async (req, res, next) => {
             attributes: ["calculationDate", "creditScore"],
         });
 
-        const monthlyTransactionVolume =
-            (await DailyRevenue.sum("totalAmount", {
-                where: {
-                    merchantId: merchant.merchantId,
-                    transactionDate: { [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
-                },
-            })) || 0;
+        const monthlyRevenues = await RevenueModel.findAll({
+            where: {
+                ...revenueScope,
+                transactionDate: { [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
+            },
+            attributes: ["totalAmount", "feeAmount", "netAmount"],
+            raw: true,
+        });
+        const monthlyTransactionVolume = monthlyRevenues.reduce((sum, r) => sum + dailyRevenueAmount(r, revenueBasis), 0);
+        const monthlyFeeAmount = monthlyRevenues.reduce((sum, r) => sum + parseFloat(r.feeAmount || 0), 0);
 
-        const monthlyGrowth = await calculateMonthlyGrowth(merchant.merchantId);
-        const refundRate = await calculateRefundRate(merchant.merchantId);
-        const totalTransactions = await DailyRevenue.count({
+        const monthlyGrowth = await calculateMonthlyGrowth(merchant.merchantId, { outletId, revenueBasis });
+        const refundRate = await calculateRefundRate(merchant.merchantId, { outletId });
+        const totalTransactions = await RevenueModel.count({
             where: {
-                merchantId: merchant.merchantId,
+                ...revenueScope,
                 transactionDate: { [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
             },
         });
+        const paymentMethodMix = await getPaymentMethodMix(merchant.merchantId, new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), { outletId });
 
         res.json({
             success: true,
             data: {
                 merchantId: merchant.merchantId,
                 companyName: req.user.companyName,
+                outlet: outlet ? { outletId: outlet.id, name: outlet.name } : null,
                 currentCreditScore: latestScore?.creditScore || 0,
                 riskBand: latestScore?.riskBand || "N/A",
                 estimatedMinLimit: latestScore?.estimatedMinLimit || 0,
                 estimatedMaxLimit: latestScore?.estimatedMaxLimit || 0,
+                revenueBasis,
                 monthlyTransactionVolume,
+                monthlyFeeAmount,
                 monthlyGrowth,
                 refundRate,
                 totalTransactions,
                 avgDailyTransaction: parseFloat((totalTransactions / 30).toFixed(2)),
+                paymentMethodMix,
                 scoreHistory: scoreHistory.map((s) => ({ date: s.calculationDate, score: s.creditScore })),
             },
         });
@@ -222,17 +541,20 @@ router.get("/dashboard", authenticateToken, async (req, res, next) => {
  *                     calculatedAt:
  *                       type: string
  *                       format: date-time
+ *                     outletBreakdown:
+ *                       type: object
+ *                       description: "{ since, totalRevenue, outlets: [{ outletId, name, status, revenue, transactionCount, revenueShare }], unassignedRevenue, unassignedShare }"
+ *                     paymentMethodMix:
+ *                       type: array
+ *                       description: Komposisi metode pembayaran (QRIS, Virtual Account, E-Wallet, CASH + bank / wallet) saat score dikalkulasi
  *       401:
  *         description: Unauthorized
  *       404:
  *         description: Skor kredit belum tersedia
  */
-router.get("/credit-detail", authenticateToken, async (req, res, next) => {
+router.get("/credit-detail", audit("merchant.credit_detail.view"), canView, async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) {
-            return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
-        }
+        const merchant = req.merchant;
 
         const latestScore = await CreditScore.findOne({
             where: { merchantId: merchant.merchantId },
@@ -243,6 +565,10 @@ router.get("/credit-detail", authenticateToken, async (req, res, next) => {
             return res.status(404).json({ success: false, message: "Skor kredit belum tersedia" });
         }
 
+        const threeMonthsAgo = new Date();
+        threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
+        const outletBreakdown = await getOutletBreakdown(merchant.merchantId, threeMonthsAgo);
+
         // ✅ Langsung baca explanation & recommendation dari DB
         // Sudah di-generate + disimpan saat saveCreditScore() dipanggil (cron/trigger)
         // Tidak perlu re-call Qwen setiap request → hemat biaya API + response lebih cepat
@@ -262,16 +588,21 @@ router.get("/credit-detail", authenticateToken, async (req, res, next) => {
                 },
                 metrics: {
                     avgMonthlyRevenue: latestScore.avgMonthlyRevenue,
+                    revenueBasis: latestScore.revenueBasis,
                     revenueVolatility: latestScore.revenueVolatility,
                     growthPercentageMoM: latestScore.growthPercentageMoM,
                     refundRatePercentage: latestScore.refundRatePercentage,
                     avgSettlementDays: latestScore.avgSettlementDays,
                     transactionCount3m: latestScore.transactionCount3m,
                 },
+                // Null untuk score yang dikalkulasi sebelum komposisi metode pembayaran dicatat
+                paymentMethodMix: latestScore.paymentMethodMix ?? null,
                 // Bisa null jika Qwen gagal saat kalkulasi — FE harus handle gracefully
                 explanation: latestScore.qwenExplanation ?? null,
                 recommendation: latestScore.qwenRecommendation ?? null,
                 calculatedAt: latestScore.calculationDate,
+                // Kontribusi tiap outlet dalam window scoring (3 bulan) — informasi saja, tidak mempengaruhi score
+                outletBreakdown,
             },
         });
     } catch (error) {
@@ -289,10 +620,17 @@ router.get("/credit-detail", authenticateToken, async (req, res, next) => {
  *       Hitung ulang credit score sekarang beserta AI explanation.
  *       Biasanya dipanggil otomatis oleh cron job setiap malam.
  *       Endpoint ini untuk trigger manual jika diperlukan.
+ *       `revenueBasis` memilih revenue gross atau net (setelah MDR & refund); default `CREDIT_SCORE_REVENUE_BASIS`.
  *     tags:
  *       - Merchant
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: revenueBasis
+ *         schema:
+ *           type: string
+ *           enum: [gross, net]
  *     responses:
  *       200:
  *         description: Recalculation completed
@@ -304,24 +642,23 @@ router.get("/credit-detail", authenticateToken, async (req, res, next) => {
  *               data:
  *                 creditScore: 82
  *                 riskBand: Low
+ *                 revenueBasis: gross
  *                 calculatedAt: "2026-03-01T00:00:00.000Z"
  *       404:
  *         description: Tidak ada data transaksi
  *       401:
  *         description: Unauthorized
  */
-router.post("/recalculate", authenticateToken, async (req, res, next) => {
+router.post("/recalculate", audit("merchant.credit_score.recalculate"), canManage, validateQuery(recalculateQuerySchema), async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) {
-            return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
-        }
+        const merchant = req.merchant;
+        const { revenueBasis } = req.validatedQuery;
 
         // ✅ Ini cara manggil calculateAndSaveCreditScore:
         // 1. Hitung semua metrics dari Transaction & DailyRevenue
         // 2. Generate Qwen explanation
         // 3. INSERT 1 row baru di credit_scores (historical record)
-        const saved = await calculateAndSaveCreditScore(merchant.merchantId);
+        const saved = await calculateAndSaveCreditScore(merchant.merchantId, revenueBasis ? { revenueBasis } : {});
 
         if (!saved) {
             return res.status(404).json({
@@ -336,6 +673,7 @@ router.post("/recalculate", authenticateToken, async (req, res, next) => {
             data: {
                 creditScore: saved.creditScore,
                 riskBand: saved.riskBand,
+                revenueBasis: saved.revenueBasis,
                 calculatedAt: saved.calculationDate,
             },
         });
@@ -379,12 +717,9 @@ router.post("/recalculate", authenticateToken, async (req, res, next) => {
  *       401:
  *         description: Unauthorized
  */
-router.get("/loan-timing", authenticateToken, async (req, res, next) => {
+router.get("/loan-timing", audit("merchant.loan_timing.view"), canView, async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) {
-            return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
-        }
+        const merchant = req.merchant;
 
         const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
         const dailyRevenues = await DailyRevenue.findAll({
@@ -471,12 +806,9 @@ router.get("/loan-timing", authenticateToken, async (req, res, next) => {
  *       401:
  *         description: Unauthorized
  */
-router.get("/alerts", authenticateToken, async (req, res, next) => {
+router.get("/alerts", audit("merchant.alerts.view"), canView, async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) {
-            return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
-        }
+        const merchant = req.merchant;
 
         const alerts = await getActiveAlerts(merchant.merchantId);
 
@@ -491,6 +823,7 @@ router.get("/alerts", authenticateToken, async (req, res, next) => {
                     id: a.id,
                     type: a.alertType,
                     severity: a.severity,
+                    status: a.status,
                     metric: a.metricName,
                     currentValue: a.metricValue,
                     detectedAt: a.detectedDate,
@@ -504,6 +837,260 @@ router.get("/alerts", authenticateToken, async (req, res, next) => {
     }
 });
 
+/**
+ * @swagger
+ * /api/merchant/alerts/{alertId}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an alert
+ *     description: Tandai alert sudah dilihat / ditangani oleh merchant. Status alert tidak berubah.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Alert already resolved or invalid body
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/acknowledge", audit("merchant.alert.acknowledge"), canManage, validateRequest(alertActionSchema), async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const alert = await acknowledgeAlert(req.params.alertId, merchantActor(req), { merchantId: merchant.merchantId, note: req.validatedData.note });
+
+        res.json({
+            success: true,
+            message: "Alert berhasil di-acknowledge",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Acknowledge alert error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/alerts/{alertId}/monitoring:
+ *   post:
+ *     summary: Move an alert to Monitoring
+ *     description: Ubah status alert menjadi Monitoring.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Alert already resolved or invalid body
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/monitoring", audit("merchant.alert.monitoring"), canManage, validateRequest(alertActionSchema), async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const alert = await moveAlertToMonitoring(req.params.alertId, merchantActor(req), { merchantId: merchant.merchantId, note: req.validatedData.note });
+
+        res.json({
+            success: true,
+            message: "Alert dipindahkan ke Monitoring",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Move alert to monitoring error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/alerts/{alertId}/notes:
+ *   post:
+ *     summary: Add a note to an alert
+ *     description: Tambahkan catatan ke alert. Catatan dicatat di history alert.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Note is required
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/notes", audit("merchant.alert.note"), canManage, validateRequest(alertNoteSchema), async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const alert = await addAlertNote(req.params.alertId, merchantActor(req), req.validatedData.note, { merchantId: merchant.merchantId });
+
+        res.json({
+            success: true,
+            message: "Catatan berhasil ditambahkan",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Add alert note error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/alerts/{alertId}/resolve:
+ *   post:
+ *     summary: Resolve an alert
+ *     description: Tandai alert sebagai Resolved. `resolvedBy` diisi dengan email user merchant yang melakukan aksi.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 example: Sudah dikonfirmasi dengan pemilik usaha
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Alert already resolved or invalid body
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/alerts/:alertId/resolve", audit("merchant.alert.resolve"), canManage, validateRequest(alertActionSchema), async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const alert = await markAlertResolved(req.params.alertId, merchantActor(req), { merchantId: merchant.merchantId, note: req.validatedData.note });
+
+        res.json({
+            success: true,
+            message: "Alert berhasil di-resolve",
+            data: serializeAlert(alert),
+        });
+    } catch (error) {
+        logger.error(`Resolve alert error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/alerts/{alertId}/history:
+ *   get:
+ *     summary: Get alert history
+ *     description: Riwayat perubahan status dan catatan alert (siapa dan kapan), urut dari yang paling lama.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Alert not found
+ */
+router.get("/alerts/:alertId/history", audit("merchant.alert.history"), canView, async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const { alert, history } = await getAlertHistory(req.params.alertId, { merchantId: merchant.merchantId });
+
+        res.json({
+            success: true,
+            data: serializeAlert(alert, history),
+        });
+    } catch (error) {
+        logger.error(`Get alert history error: ${error.message}`);
+        next(error);
+    }
+});
+
+
 /**
  * @swagger
  * /api/merchant/product-insights:
@@ -548,12 +1135,9 @@ router.get("/alerts", authenticateToken, async (req, res, next) => {
  *       404:
  *         description: Merchant tidak ditemukan
  */
-router.get("/product-insights", authenticateToken, async (req, res, next) => {
+router.get("/product-insights", audit("merchant.product_insights.view"), canView, async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) {
-            return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
-        }
+        const merchant = req.merchant;
 
         const insights = await generateMerchantGrowthInsights(merchant.merchantId);
 
@@ -563,4 +1147,481 @@ router.get("/product-insights", authenticateToken, async (req, res, next) => {
     }
 });
 
+/* =====================================================
+   CONSENT — akses data merchant untuk bank
+===================================================== */
+
+/**
+ * @swagger
+ * /api/merchant/banks:
+ *   get:
+ *     summary: List banks
+ *     description: Daftar bank aktif yang bisa diberi consent
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get("/banks", audit("merchant.banks.list"), canView, async (req, res, next) => {
+    try {
+        const banks = await Bank.findAll({
+            where: { status: "Active" },
+            attributes: ["bankId", "name"],
+            order: [["name", "ASC"]],
+        });
+
+        res.json({
+            success: true,
+            data: banks,
+        });
+    } catch (error) {
+        logger.error(`List banks error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/consents:
+ *   get:
+ *     summary: List data-sharing consents
+ *     description: Semua consent merchant ke bank, termasuk yang sudah dicabut atau expired
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *   post:
+ *     summary: Grant data-sharing consent to a bank
+ *     description: |
+ *       Beri bank akses ke data merchant sampai `expiresAt`. Scope berjenjang:
+ *       `score` (profil & credit score) ⊂ `financials` (+ revenue, metrik keuangan, alerts) ⊂ `transactions` (+ data transaksi).
+ *       Jika sudah ada consent aktif untuk bank yang sama, scope & masa berlakunya diperbarui.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - bankId
+ *               - scope
+ *               - expiresAt
+ *             properties:
+ *               bankId:
+ *                 type: string
+ *                 example: BCA
+ *               scope:
+ *                 type: string
+ *                 enum: [score, financials, transactions]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Consent granted
+ *       400:
+ *         description: Invalid body
+ *       403:
+ *         description: Email belum terverifikasi
+ *       404:
+ *         description: Merchant or bank not found
+ */
+router.get("/consents", audit("merchant.consents.list"), canView, async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const consents = await listConsents(merchant.merchantId);
+
+        res.json({
+            success: true,
+            data: consents.map(serializeConsent),
+        });
+    } catch (error) {
+        logger.error(`List consents error: ${error.message}`);
+        next(error);
+    }
+});
+
+router.post("/consents", audit("merchant.consent.grant"), ownerOnly, requireVerifiedEmail, validateRequest(grantConsentSchema), async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const consent = await grantConsent(merchant.merchantId, req.validatedData, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            message: "Consent berhasil diberikan",
+            data: serializeConsent(consent),
+        });
+    } catch (error) {
+        logger.error(`Grant consent error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/consents/{consentId}:
+ *   delete:
+ *     summary: Revoke a data-sharing consent
+ *     description: Bank langsung kehilangan akses ke data merchant.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: consentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Consent revoked
+ *       400:
+ *         description: Consent already revoked
+ *       404:
+ *         description: Consent not found
+ */
+router.delete("/consents/:consentId", audit("merchant.consent.revoke"), ownerOnly, async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const consent = await revokeConsent(merchant.merchantId, req.params.consentId);
+
+        res.json({
+            success: true,
+            message: "Consent berhasil dicabut",
+            data: serializeConsent(consent),
+        });
+    } catch (error) {
+        logger.error(`Revoke consent error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/data-access:
+ *   get:
+ *     summary: Who viewed my data
+ *     description: |
+ *       Riwayat akses bank ke data merchant ini (profil, credit score, revenue, alert, loan application),
+ *       termasuk akses lewat API key bank. Hanya akses yang berhasil; email staf bank & IP tidak ditampilkan.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: bankId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: "{ total, accesses: [{ accessedAt, action, category, bankId, bankName, actorType, role }] }"
+ *       404:
+ *         description: Merchant not found
+ */
+router.get("/data-access", audit("merchant.data_access.view"), canView, validateQuery(dataAccessQuerySchema), async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const result = await listMerchantDataAccess(merchant.merchantId, req.validatedQuery);
+
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        logger.error(`Data access log error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   MERCHANT MEMBERS (STAF)
+===================================================== */
+
+/**
+ * @swagger
+ * /api/merchant/members:
+ *   get:
+ *     summary: List merchant members
+ *     description: Anggota aktif & undangan yang belum diterima. Hanya owner & manager.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "[{ memberId, userId, email, fullName, role, status, inviteExpiry, joinedAt, createdAt }]"
+ *       403:
+ *         description: Role membership tidak diizinkan
+ */
+router.get("/members", audit("merchant.members.list"), canManage, async (req, res, next) => {
+    try {
+        const members = await listMembers(req.merchant.merchantId);
+
+        res.json({
+            success: true,
+            data: members.map(serializeMember),
+        });
+    } catch (error) {
+        logger.error(`List members error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/members/invite:
+ *   post:
+ *     summary: Invite a staff member
+ *     description: |
+ *       Owner mengundang staf lewat email (link berlaku 7 hari). Undangan ulang ke email yang sama
+ *       mengganti role & link sebelumnya. Cashier hanya bisa membuat transaksi.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [manager, cashier, viewer]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Invalid body
+ *       403:
+ *         description: Bukan owner / email belum terverifikasi
+ *       409:
+ *         description: Email sudah terhubung ke merchant atau terdaftar sebagai akun bank
+ */
+router.post("/members/invite", audit("merchant.member.invite"), ownerOnly, requireVerifiedEmail, validateRequest(inviteMemberSchema), async (req, res, next) => {
+    try {
+        const member = await inviteMember(req.merchant, req.user, req.validatedData);
+
+        res.status(201).json({
+            success: true,
+            message: `Undangan dikirim ke ${member.email}`,
+            data: serializeMember(member),
+        });
+    } catch (error) {
+        logger.error(`Invite member error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/members/{memberId}:
+ *   delete:
+ *     summary: Revoke a staff member
+ *     description: Cabut akses anggota (atau batalkan undangan). Sesi login anggota langsung dicabut.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Member revoked
+ *       400:
+ *         description: Owner tidak bisa dicabut / sudah dicabut
+ *       403:
+ *         description: Bukan owner
+ *       404:
+ *         description: Member not found
+ */
+router.delete("/members/:memberId", audit("merchant.member.revoke"), ownerOnly, async (req, res, next) => {
+    try {
+        const member = await revokeMember(req.merchant.merchantId, req.params.memberId, req.user);
+
+        res.json({
+            success: true,
+            message: "Akses anggota berhasil dicabut",
+            data: serializeMember(member),
+        });
+    } catch (error) {
+        logger.error(`Revoke member error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   OUTLET
+===================================================== */
+
+/**
+ * @swagger
+ * /api/merchant/outlets:
+ *   get:
+ *     summary: List merchant outlets
+ *     description: Semua outlet merchant (termasuk yang Inactive). Bisa diakses semua role, termasuk cashier untuk memilih outlet transaksi.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "[{ outletId, name, address, city, status, createdAt }]"
+ */
+router.get("/outlets", audit("merchant.outlets.list"), async (req, res, next) => {
+    try {
+        const outlets = await listOutlets(req.merchant.merchantId);
+
+        res.json({
+            success: true,
+            data: outlets.map(serializeOutlet),
+        });
+    } catch (error) {
+        logger.error(`List outlets error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/outlets:
+ *   post:
+ *     summary: Create an outlet
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Lapak Pasar Minggu
+ *               address:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Outlet created
+ *       400:
+ *         description: Invalid body
+ *       403:
+ *         description: Hanya owner & manager
+ *       409:
+ *         description: Nama outlet sudah dipakai
+ */
+router.post("/outlets", audit("merchant.outlet.create"), canManage, validateRequest(createOutletSchema), async (req, res, next) => {
+    try {
+        const outlet = await createOutlet(req.merchant.merchantId, req.validatedData);
+
+        res.status(201).json({
+            success: true,
+            message: "Outlet berhasil dibuat",
+            data: serializeOutlet(outlet),
+        });
+    } catch (error) {
+        logger.error(`Create outlet error: ${error.message}`);
+        next(error);
+    }
+});
+
+/**
+ * @swagger
+ * /api/merchant/outlets/{outletId}:
+ *   patch:
+ *     summary: Update or deactivate an outlet
+ *     description: Outlet Inactive tidak bisa dipakai untuk transaksi baru; riwayat revenue-nya tetap ada.
+ *     tags:
+ *       - Merchant
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: outletId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [Active, Inactive]
+ *     responses:
+ *       200:
+ *         description: Outlet updated
+ *       404:
+ *         description: Outlet not found
+ *       409:
+ *         description: Nama outlet sudah dipakai
+ */
+router.patch("/outlets/:outletId", audit("merchant.outlet.update"), canManage, validateRequest(updateOutletSchema), async (req, res, next) => {
+    try {
+        const outlet = await updateOutlet(req.merchant.merchantId, req.params.outletId, req.validatedData);
+
+        res.json({
+            success: true,
+            message: "Outlet berhasil diperbarui",
+            data: serializeOutlet(outlet),
+        });
+    } catch (error) {
+        logger.error(`Update outlet error: ${error.message}`);
+        next(error);
+    }
+});
+
 export default router;
@@ -1,14 +1,36 @@
 import express from "express";
-import { authenticateToken } from "../middleware/auth.js";
-import { validateRequest, createTransactionSchema } from "../utils/validators.js";
-import Merchant from "../models/Merchant.js";
+import moment from "moment-timezone";
+import { authenticateToken, authorizeRoles, requireVerifiedEmail } from "../middleware/auth.js";
+import { auditTrail, audit } from "../middleware/audit.js";
+import { resolveMerchant, requireMemberRole } from "../middleware/merchantAccess.js";
+import { idempotent } from "../middleware/idempotency.js";
+import { MERCHANT_ROLES, MERCHANT_MEMBER_ROLES } from "../config/roles.js";
+import { validateRequest, validateQuery, createTransactionSchema, refundTransactionSchema, transactionListQuerySchema } from "../utils/validators.js";
 import Transaction from "../models/Transaction.js";
-import DailyRevenue from "../models/DailyRevenue.js";
+import { getActiveOutletOrFail, recordDailyRevenue } from "../services/outletService.js";
+import { transactionFeeFields } from "../services/feeService.js";
+import { inquiryFor, applyPaylabsStatus } from "../services/paymentStatusService.js";
+import { recordWebhookEvent, handleWebhookEvent } from "../services/webhookEventService.js";
+import { refundFor, serializeRefunds, startRefund, completeRefund, rejectRefund, releaseRefund } from "../services/refundService.js";
+import { listTransactions } from "../services/transactionListService.js";
+import { frontendUrl } from "../services/mailService.js";
 import logger from "../utils/logger.js";
 import { PaylabsClient } from "../utils/Paylabs.js";
+import { VIRTUAL_ACCOUNT_BANKS, EWALLETS } from "../config/paymentChannels.js";
 
 const router = express.Router();
 
+router.use(auditTrail({ merchantFromUser: true }));
+
+// Endpoint transaksi merchant (webhook Paylabs tidak memakai ini)
+const merchantAccess = [authenticateToken, authorizeRoles(...MERCHANT_ROLES), resolveMerchant];
+
+// Cashier hanya bisa membuat transaksi; melihat daftar / detail untuk owner, manager, viewer; refund owner & manager
+const { OWNER, MANAGER, CASHIER, VIEWER } = MERCHANT_MEMBER_ROLES;
+const canCreate = requireMemberRole(OWNER, MANAGER, CASHIER);
+const canView = requireMemberRole(OWNER, MANAGER, VIEWER);
+const canRefund = requireMemberRole(OWNER, MANAGER);
+
 /* ================================
    PAYLABS INIT
 ================================ */
@@ -27,18 +49,37 @@ const paylabs = new PaylabsClient({
  * @swagger
  * /api/transactions/create:
  *   post:
- *     summary: Create new transaction (QRIS or CASH)
+ *     summary: Create new transaction (QRIS, VA, E-Wallet or CASH)
  *     description: |
  *       Create a new transaction.
  *
  *       - If type = QRIS → will generate QRIS via Paylabs API.
+ *       - If type = VA → will create a Virtual Account via Paylabs API for the selected `bank`
+ *         (BCA, BRI, MANDIRI, BNI, PERMATA, CIMB, BSI, DANAMON, MAYBANK). VA number & expiry are stored in metadata.
+ *       - If type = EWALLET → will create an e-wallet payment via Paylabs API for the selected `wallet`:
+ *         - OVO (push-to-phone): tagihan dikirim ke aplikasi OVO milik `phoneNumber`, pembayar konfirmasi di aplikasi.
+ *         - DANA, SHOPEEPAY, LINKAJA (redirect / deeplink): arahkan pembayar ke `paymentActions` yang dikembalikan.
+ *           Setelah bayar, pembayar kembali ke `redirectUrl` (default: halaman transaksi di FE).
+ *         Wallet disimpan di `paymentChannel`.
  *       - If type = CASH → will record transaction as Success immediately.
  *
  *       For QRIS, productInfo will be stored in metadata in database.
+ *
+ *       Kirim header `Idempotency-Key` (mis. UUID) supaya retry setelah timeout tidak membuat transaksi ganda:
+ *       retry dengan key & body yang sama mendapat response pertama (header `Idempotent-Replayed: true`).
+ *       Key berlaku `IDEMPOTENCY_KEY_TTL_HOURS` (default 24 jam) per merchant; hanya response sukses yang disimpan.
  *     tags:
  *       - Transactions
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         example: 5f0c2a3e-8d1b-4f7a-9c6e-2b4d8e1f0a37
  *     requestBody:
  *       required: true
  *       content:
@@ -53,8 +94,29 @@ const paylabs = new PaylabsClient({
  *                 type: string
  *                 enum:
  *                   - QRIS
+ *                   - VA
+ *                   - EWALLET
  *                   - CASH
  *                 example: QRIS
+ *               bank:
+ *                 type: string
+ *                 enum: [BCA, BRI, MANDIRI, BNI, PERMATA, CIMB, BSI, DANAMON, MAYBANK]
+ *                 description: Wajib untuk type VA
+ *               customerName:
+ *                 type: string
+ *                 description: Nama pembayar yang tampil di aplikasi bank (hanya VA)
+ *               wallet:
+ *                 type: string
+ *                 enum: [OVO, DANA, SHOPEEPAY, LINKAJA]
+ *                 description: Wajib untuk type EWALLET
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "081234567890"
+ *                 description: Nomor HP akun wallet pembayar (wajib & hanya untuk OVO)
+ *               redirectUrl:
+ *                 type: string
+ *                 format: uri
+ *                 description: Halaman tujuan setelah bayar (hanya DANA, SHOPEEPAY, LINKAJA)
  *               amount:
  *                 type: number
  *                 minimum: 1000
@@ -65,6 +127,10 @@ const paylabs = new PaylabsClient({
  *               productName:
  *                 type: string
  *                 example: Paket Premium
+ *               outletId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Outlet tempat transaksi (opsional, harus outlet aktif milik merchant)
  *               productInfo:
  *                 type: array
  *                 items:
@@ -142,9 +208,34 @@ const paylabs = new PaylabsClient({
  *                     qrisUrl:
  *                       type: string
  *                       example: https://sit-api.paylabs.co.id/payment/qr/img?url=xxxx
+ *                     bank:
+ *                       type: string
+ *                       description: Hanya VA
+ *                       example: BCA
+ *                     vaNumber:
+ *                       type: string
+ *                       description: Hanya VA
+ *                       example: "1234567890123456"
  *                     expiredTime:
  *                       type: string
  *                       example: "20260301120000"
+ *                     wallet:
+ *                       type: string
+ *                       description: Hanya EWALLET
+ *                       example: DANA
+ *                     paymentActions:
+ *                       type: object
+ *                       description: Hanya EWALLET
+ *                       properties:
+ *                         pcPayUrl:
+ *                           type: string
+ *                         mobilePayUrl:
+ *                           type: string
+ *                         appDeeplink:
+ *                           type: string
+ *                         pushPay:
+ *                           type: boolean
+ *                           description: true jika tagihan dikirim langsung ke aplikasi wallet (OVO)
  *                     productInfo:
  *                       type: array
  *                       items:
@@ -163,6 +254,13 @@ const paylabs = new PaylabsClient({
  *             example:
  *               success: false
  *               message: Unauthorized
+ *       403:
+ *         description: Email belum terverifikasi
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: false
+ *               message: Verifikasi email Anda terlebih dahulu
  *       404:
  *         description: Merchant not found
  *         content:
@@ -170,6 +268,10 @@ const paylabs = new PaylabsClient({
  *             example:
  *               success: false
  *               message: Merchant tidak ditemukan
+ *       409:
+ *         description: Request pertama dengan Idempotency-Key yang sama masih diproses
+ *       422:
+ *         description: Idempotency-Key sudah dipakai dengan body berbeda
  *       500:
  *         description: Internal server error
  *         content:
@@ -178,12 +280,16 @@ const paylabs = new PaylabsClient({
  *               success: false
  *               message: Internal Server Error
  */
-router.post("/create", authenticateToken, validateRequest(createTransactionSchema), async (req, res, next) => {
+router.post("/create", audit("transaction.create"), merchantAccess, canCreate, requireVerifiedEmail, validateRequest(createTransactionSchema), idempotent("transaction.create"), async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
+        const merchant = req.merchant;
 
-        const { type, amount, description, productName, productInfo } = req.validatedData;
+        const { type, amount, description, productName, productInfo, outletId, bank, customerName, wallet, phoneNumber, redirectUrl } = req.validatedData;
+
+        // Outlet harus milik merchant ini dan masih aktif
+        if (outletId) {
+            await getActiveOutletOrFail(merchant.merchantId, outletId);
+        }
 
         // Generate ID Unik (Tambahkan random string agar tidak tebak-tebakan)
         const transactionId = `TXN${Date.now()}${Math.random().toString(36).substring(2, 5).toUpperCase()}`;
@@ -238,6 +344,7 @@ router.post("/create", authenticateToken, validateRequest(createTransactionSchem
             const transaction = await Transaction.create({
                 transactionId,
                 merchantId: merchant.merchantId,
+                outletId: outletId || null,
                 amount,
                 paymentMethod: "QRIS",
                 status: "Pending",
@@ -254,6 +361,7 @@ router.post("/create", authenticateToken, validateRequest(createTransactionSchem
                 message: "Transaksi QRIS berhasil dibuat",
                 data: {
                     transactionId: transaction.transactionId,
+                    outletId: transaction.outletId,
                     amount: response.amount,
                     status: response.status,
                     qrCode: response.qrCode,
@@ -264,30 +372,145 @@ router.post("/create", authenticateToken, validateRequest(createTransactionSchem
             });
         }
 
+        // --- FLOW VIRTUAL ACCOUNT ---
+        if (type === "VA") {
+            const paylabsPath = "/payment/v2.3/va/create";
+
+            const payload = {
+                merchantId: process.env.MID,
+                paymentType: VIRTUAL_ACCOUNT_BANKS[bank],
+                amount: parseFloat(amount).toFixed(2),
+                productName: productName || "Payment Order",
+                notifyUrl: process.env.NOTIFY_URL,
+                ...(customerName ? { payer: customerName } : {}),
+            };
+
+            const response = await paylabs.request(paylabsPath, payload, {
+                requestId: transactionId,
+                merchantTradeNo: transactionId,
+            });
+
+            if (response.errCode !== "0") {
+                logger.error(`Paylabs Error: ${JSON.stringify(response)}`);
+                return res.status(400).json({ success: false, message: `Paylabs Error: ${response.errCodeDes || response.errMsg}` });
+            }
+
+            const transaction = await Transaction.create({
+                transactionId,
+                merchantId: merchant.merchantId,
+                outletId: outletId || null,
+                amount,
+                paymentMethod: "Virtual Account",
+                paymentChannel: bank,
+                status: "Pending",
+                metadata: {
+                    description,
+                    paylabsRef: response.platformTradeNo,
+                    vaCode: response.vaCode,
+                    expiredTime: response.expiredTime,
+                    customerName,
+                    productInfo,
+                },
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: `Virtual Account ${bank} berhasil dibuat`,
+                data: {
+                    transactionId: transaction.transactionId,
+                    outletId: transaction.outletId,
+                    amount: response.amount,
+                    status: response.status,
+                    bank,
+                    vaNumber: response.vaCode,
+                    expiredTime: response.expiredTime,
+                },
+            });
+        }
+
+        // --- FLOW E-WALLET ---
+        if (type === "EWALLET") {
+            const paylabsPath = "/payment/v2.3/ewallet/create";
+            const { paymentType, flow } = EWALLETS[wallet];
+
+            const payload = {
+                merchantId: process.env.MID,
+                paymentType,
+                amount: parseFloat(amount).toFixed(2),
+                productName: productName || "Payment Order",
+                notifyUrl: process.env.NOTIFY_URL,
+                // Push: tagihan ke nomor HP pembayar. Redirect: kembali ke FE setelah bayar.
+                paymentParams: flow === "push" ? { phoneNumber } : { redirectUrl: redirectUrl || frontendUrl(`/transactions/${transactionId}`) },
+            };
+
+            const response = await paylabs.request(paylabsPath, payload, {
+                requestId: transactionId,
+                merchantTradeNo: transactionId,
+            });
+
+            if (response.errCode !== "0") {
+                logger.error(`Paylabs Error: ${JSON.stringify(response)}`);
+                return res.status(400).json({ success: false, message: `Paylabs Error: ${response.errCodeDes || response.errMsg}` });
+            }
+
+            const paymentActions = {
+                pcPayUrl: response.paymentActions?.pcPayUrl || null,
+                mobilePayUrl: response.paymentActions?.mobilePayUrl || null,
+                appDeeplink: response.paymentActions?.appDeeplink || null,
+                pushPay: flow === "push",
+            };
+
+            const transaction = await Transaction.create({
+                transactionId,
+                merchantId: merchant.merchantId,
+                outletId: outletId || null,
+                amount,
+                paymentMethod: "E-Wallet",
+                paymentChannel: wallet,
+                status: "Pending",
+                metadata: {
+                    description,
+                    paylabsRef: response.platformTradeNo,
+                    flow,
+                    paymentActions,
+                    expiredTime: response.expiredTime,
+                    productInfo,
+                },
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: flow === "push" ? `Tagihan ${wallet} dikirim ke ${phoneNumber}` : `Pembayaran ${wallet} berhasil dibuat`,
+                data: {
+                    transactionId: transaction.transactionId,
+                    outletId: transaction.outletId,
+                    amount: response.amount,
+                    status: response.status,
+                    wallet,
+                    paymentActions,
+                    expiredTime: response.expiredTime,
+                },
+            });
+        }
+
         // --- FLOW CASH ---
         if (type === "CASH") {
             const transaction = await Transaction.create({
                 transactionId,
                 merchantId: merchant.merchantId,
+                outletId: outletId || null,
                 amount,
                 paymentMethod: "CASH",
                 status: "Success",
+                // Tunai langsung diterima merchant
                 settlementDate: new Date(),
+                settlementTime: moment().tz("Asia/Jakarta").format("HH:mm:ss"),
                 metadata: { description, productInfo },
             });
 
-            // Update Revenue
-            const today = new Date().toISOString().split("T")[0];
-            await DailyRevenue.findOrCreate({
-                where: { merchantId: merchant.merchantId, transactionDate: today },
-                defaults: { totalAmount: 0, transactionCount: 0, successfulCount: 0 },
-            }).then(async ([daily]) => {
-                await daily.increment({
-                    totalAmount: amount,
-                    transactionCount: 1,
-                    successfulCount: 1,
-                });
-            });
+            // Fee (jika ada tarif untuk CASH) lalu update Revenue (merchant + outlet)
+            await transaction.update(await transactionFeeFields(transaction));
+            await recordDailyRevenue(transaction);
 
             return res.status(201).json({
                 success: true,
@@ -309,6 +532,12 @@ router.post("/create", authenticateToken, validateRequest(createTransactionSchem
  * /api/transactions:
  *   get:
  *     summary: Get transactions list
+ *     description: |
+ *       Filter opsional bisa digabung. Filter multi-nilai diulang: `?status=Success&status=Refunded`.
+ *       `from` / `to` berupa tanggal (`YYYY-MM-DD`, satu hari penuh WIB) atau timestamp ISO 8601, berlaku untuk `transactionDate`.
+ *
+ *       Pagination: `page` (offset) atau `cursor` (keyset, tetap cepat untuk halaman dalam). Kirim `pagination.nextCursor`
+ *       dengan `sort` yang sama untuk halaman berikutnya. `totals` dihitung dari seluruh hasil filter.
  *     tags:
  *       - Transactions
  *     security:
@@ -320,41 +549,107 @@ router.post("/create", authenticateToken, validateRequest(createTransactionSchem
  *           type: integer
  *           default: 1
  *       - in: query
+ *         name: cursor
+ *         description: pagination.nextCursor dari response sebelumnya (tidak bisa digabung dengan page)
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, transactionDate, -transactionDate, amount, -amount]
+ *           default: -createdAt
+ *       - in: query
+ *         name: outletId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           example: "2025-03-01"
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           example: "2025-03-01"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [Success, Pending, Failed, Refunded]
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [QRIS, Virtual Account, E-Wallet, Credit Card, Debit Card, CASH]
+ *       - in: query
+ *         name: paymentChannel
+ *         description: Bank VA / wallet, mis. BCA, OVO
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *       - in: query
+ *         name: refundStatus
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [None, Requested, Processed, Rejected]
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: product
+ *         description: Nama produk atau SKU di metadata.productInfo (sebagian, tidak case-sensitive)
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: Success
+ *         description: "data = transaksi; pagination = { total, limit, page, pages, hasMore, nextCursor }; totals = { count, totalAmount, totalFeeAmount, totalNetAmount, totalRefundAmount }"
+ *       400:
+ *         description: Filter / sort tidak valid, atau cursor tidak cocok dengan sort
  */
-router.get("/", authenticateToken, async (req, res, next) => {
+router.get("/", audit("transaction.list"), merchantAccess, canView, validateQuery(transactionListQuerySchema), async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
-
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
-        const offset = (page - 1) * limit;
-
-        const { count, rows } = await Transaction.findAndCountAll({
-            where: { merchantId: merchant.merchantId },
-            order: [["createdAt", "DESC"]],
-            limit,
-            offset,
-        });
+        const merchant = req.merchant;
+        const { page, cursor, limit } = req.validatedQuery;
+
+        const { transactions, totals, hasMore, nextCursor } = await listTransactions(merchant.merchantId, req.validatedQuery);
 
         res.json({
             success: true,
-            data: rows,
+            data: transactions,
             pagination: {
-                total: count,
-                page,
+                total: totals.count,
                 limit,
-                pages: Math.ceil(count / limit),
+                // page hanya untuk mode offset
+                page: cursor ? null : page || 1,
+                pages: Math.ceil(totals.count / limit),
+                hasMore,
+                nextCursor,
             },
+            totals,
         });
     } catch (error) {
+        logger.error(`List transactions error: ${error.message}`);
         next(error);
     }
 });
@@ -392,10 +687,9 @@ router.get("/", authenticateToken, async (req, res, next) => {
  *       404:
  *         description: Not Found
  */
-router.get("/:id", authenticateToken, async (req, res, next) => {
+router.get("/:id", audit("transaction.view"), merchantAccess, canView, async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
+        const merchant = req.merchant;
 
         const transaction = await Transaction.findOne({
             where: { transactionId: req.params.id, merchantId: merchant.merchantId },
@@ -419,7 +713,8 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
  *     summary: Check transaction status from Paylabs
  *     description: |
  *       Force inquiry to Paylabs API and update local database.
- *       Only applicable for QRIS transactions.
+ *       Applicable for QRIS, Virtual Account and E-Wallet transactions.
+ *       Transaksi sukses menyertakan `feeAmount` (MDR) dan `netAmount` yang diterima merchant.
  *     tags:
  *       - Transactions
  *     security:
@@ -443,6 +738,8 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
  *                 status: Success
  *                 paylabsStatus: "02"
  *                 amount: "10000.00"
+ *                 feeAmount: 70
+ *                 netAmount: 9930
  *       400:
  *         description: Failed to check status
  *         content:
@@ -453,10 +750,9 @@ router.get("/:id", authenticateToken, async (req, res, next) => {
  *       404:
  *         description: Transaction not found
  */
-router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
+router.get("/:id/check-status", audit("transaction.check_status"), merchantAccess, canView, async (req, res, next) => {
     try {
-        const merchant = await Merchant.findOne({ where: { userId: req.user.userId } });
-        if (!merchant) return res.status(404).json({ success: false, message: "Merchant tidak ditemukan" });
+        const merchant = req.merchant;
 
         const transaction = await Transaction.findOne({
             where: { transactionId: req.params.id, merchantId: merchant.merchantId },
@@ -468,16 +764,16 @@ router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
             return res.json({ success: true, data: { status: transaction.status } });
         }
 
-        // Inquiry ke Paylabs
-        const inquiryPath = "/payment/v2.3/qris/query";
+        // Inquiry ke Paylabs (QRIS / Virtual Account / E-Wallet)
+        const inquiry = inquiryFor(transaction);
         const payload = {
             merchantId: process.env.MID,
             merchantTradeNo: transaction.transactionId,
-            paymentType: "QRIS",
+            paymentType: inquiry.paymentType,
         };
 
         // Gunakan request ID baru untuk inquiry
-        const response = await paylabs.request(inquiryPath, payload, {
+        const response = await paylabs.request(inquiry.path, payload, {
             requestId: `CHK${Date.now()}`,
         });
 
@@ -485,32 +781,8 @@ router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
             return res.status(400).json({ success: false, message: `Inquiry Gagal: ${response.errCodeDes}` });
         }
 
-        let newStatus = transaction.status;
-        if (response.status === "02") newStatus = "Success";
-        if (response.status === "09") newStatus = "Failed";
-
-        // Update DB jika status berubah
-        if (transaction.status !== newStatus) {
-            await transaction.update({
-                status: newStatus,
-                settlementDate: newStatus === "Success" ? new Date() : transaction.settlementDate,
-            });
-
-            // [ADDED LOGIC] Jika jadi sukses, update Revenue
-            if (newStatus === "Success") {
-                const today = new Date().toISOString().split("T")[0];
-                await DailyRevenue.findOrCreate({
-                    where: { merchantId: merchant.merchantId, transactionDate: today },
-                    defaults: { totalAmount: 0, transactionCount: 0, successfulCount: 0 },
-                }).then(async ([daily]) => {
-                    await daily.increment({
-                        totalAmount: transaction.amount,
-                        transactionCount: 1,
-                        successfulCount: 1,
-                    });
-                });
-            }
-        }
+        // Update DB (+ revenue jika jadi sukses) — logika yang sama dengan webhook
+        const { status: newStatus } = await applyPaylabsStatus(transaction, response);
 
         res.json({
             success: true,
@@ -518,6 +790,9 @@ router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
                 transactionId: transaction.transactionId,
                 status: newStatus,
                 paylabsStatus: response.status,
+                ...(transaction.feeAmount !== null ? { feeAmount: parseFloat(transaction.feeAmount), netAmount: parseFloat(transaction.netAmount) } : {}),
+                ...(transaction.paymentMethod === "Virtual Account" ? { bank: transaction.paymentChannel, vaNumber: transaction.metadata?.vaCode, expiredTime: transaction.metadata?.expiredTime } : {}),
+                ...(transaction.paymentMethod === "E-Wallet" ? { wallet: transaction.paymentChannel, paymentActions: transaction.metadata?.paymentActions } : {}),
             },
         });
     } catch (error) {
@@ -526,7 +801,143 @@ router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
 });
 
 /* =====================================================
-   5. [ADDED] WEBHOOK PAYLABS
+   5. REFUND
+===================================================== */
+/**
+ * @swagger
+ * /api/transactions/{id}/refund:
+ *   post:
+ *     summary: Refund transaction (full or partial)
+ *     description: |
+ *       Refund transaksi sukses. Tanpa `amount` = refund penuh (sisa yang belum direfund).
+ *       QRIS, Virtual Account & E-Wallet diteruskan ke API refund Paylabs; CASH dicatat langsung.
+ *       Alur `refundStatus`: Requested → Processed / Rejected. Setelah refund penuh status transaksi menjadi Refunded.
+ *       Refund yang diproses mengurangi revenue harian pada tanggal transaksi asli.
+ *       Hanya owner & manager. Header `Idempotency-Key` opsional seperti create.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: TXN1719999999999
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 5000
+ *                 description: Nominal refund sebagian (default sisa yang belum direfund)
+ *               reason:
+ *                 type: string
+ *                 example: Barang rusak
+ *     responses:
+ *       200:
+ *         description: Refund processed
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Refund berhasil diproses
+ *               data:
+ *                 transactionId: TXN1719999999999
+ *                 amount: 10000
+ *                 status: Success
+ *                 refundStatus: Processed
+ *                 refundedAmount: 5000
+ *                 refundableAmount: 5000
+ *                 refunds:
+ *                   - refundId: RFD1719999999999ABC
+ *                     amount: 5000
+ *                     reason: Barang rusak
+ *                     status: Processed
+ *       400:
+ *         description: Transaksi tidak bisa direfund, nominal melebihi sisa, atau refund ditolak Paylabs
+ *       403:
+ *         description: Role tidak diizinkan
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Refund lain untuk transaksi ini masih diproses atau baru saja selesai (cek ulang sisa refund)
+ */
+router.post("/:id/refund", audit("transaction.refund"), merchantAccess, canRefund, requireVerifiedEmail, validateRequest(refundTransactionSchema), idempotent("transaction.refund"), async (req, res, next) => {
+    try {
+        const merchant = req.merchant;
+
+        const transaction = await Transaction.findOne({
+            where: { transactionId: req.params.id, merchantId: merchant.merchantId },
+        });
+
+        if (!transaction) return res.status(404).json({ success: false, message: "Transaksi tidak ditemukan" });
+
+        const { amount, reason } = req.validatedData;
+        const refund = await startRefund(transaction, { amount, reason }, req.user);
+        req.audit.metadata = { transactionId: transaction.transactionId, refundId: refund.refundId, amount: refund.amount };
+
+        // CASH: uang dikembalikan langsung oleh kasir
+        const gateway = refundFor(transaction);
+        if (!gateway) {
+            await completeRefund(transaction, refund);
+            return res.json({ success: true, message: "Refund CASH berhasil dicatat", data: serializeRefunds(transaction) });
+        }
+
+        const payload = {
+            merchantId: process.env.MID,
+            merchantTradeNo: transaction.transactionId,
+            merchantRefundNo: refund.refundId,
+            platformTradeNo: transaction.metadata?.paylabsRef,
+            paymentType: gateway.paymentType,
+            amount: parseFloat(transaction.amount).toFixed(2),
+            refundAmount: refund.amount.toFixed(2),
+            reason,
+        };
+
+        let response;
+        try {
+            response = await paylabs.request(gateway.path, payload, { requestId: refund.refundId });
+        } catch (error) {
+            // Paylabs tidak bisa dihubungi: lepas status Requested supaya refund bisa dicoba lagi
+            await releaseRefund(transaction, refund);
+            throw error;
+        }
+
+        if (response.errCode !== "0") {
+            logger.error(`Paylabs Refund Error: ${JSON.stringify(response)}`);
+            await rejectRefund(transaction, refund, response.errCodeDes || response.errMsg);
+            return res.status(400).json({ success: false, message: `Refund ditolak Paylabs: ${response.errCodeDes || response.errMsg}` });
+        }
+
+        await completeRefund(transaction, refund, { paylabsRefundNo: response.platformRefundNo });
+
+        res.json({
+            success: true,
+            message: "Refund berhasil diproses",
+            data: serializeRefunds(transaction),
+        });
+    } catch (error) {
+        logger.error(`Refund transaction error: ${error.message}`);
+        next(error);
+    }
+});
+
+/* =====================================================
+   6. [ADDED] WEBHOOK PAYLABS
 ===================================================== */
 /**
  * @swagger
@@ -534,8 +945,13 @@ router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
  *   post:
  *     summary: Paylabs Webhook Callback
  *     description: |
- *       Endpoint for receiving asynchronous payment notification from Paylabs.
+ *       Endpoint for receiving asynchronous payment notification from Paylabs (QRIS, Virtual Account & E-Wallet).
  *       This endpoint verifies signature and updates transaction status.
+ *       Untuk callback VA, `vaCode` dan `amount` harus sama dengan VA yang diterbitkan.
+ *
+ *       Setiap callback disimpan di `webhook_events` (raw body, header, hasil signature, hasil proses & error).
+ *       Retry Paylabs untuk callback yang sudah diproses (merchantTradeNo + platformTradeNo + status sama)
+ *       dijawab sukses tanpa diproses ulang. Event yang gagal bisa di-replay lewat `/api/admin/webhook-events`.
  *     tags:
  *       - Webhooks
  *     responses:
@@ -546,6 +962,8 @@ router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
  *             example:
  *               responseCode: success
  *               responseMessage: success
+ *       400:
+ *         description: VA callback tidak cocok dengan VA yang diterbitkan
  *       401:
  *         description: Invalid signature
  *         content:
@@ -553,6 +971,10 @@ router.get("/:id/check-status", authenticateToken, async (req, res, next) => {
  *             example:
  *               errCode: "401"
  *               errMsg: "Invalid Signature"
+ *       404:
+ *         description: Transaksi tidak ditemukan
+ *       500:
+ *         description: Gagal diproses — event tersimpan sebagai Failed, Paylabs akan retry
  */
 router.post("/webhook/paylabs", async (req, res) => {
     const callbackPath = "/api/webhook/paylabs"; // Sesuaikan dengan path yang didaftarkan di Paylabs
@@ -566,57 +988,94 @@ router.post("/webhook/paylabs", async (req, res) => {
 
         // 1. Verifikasi Signature
         const isValid = paylabs.verifySignature(callbackPath, bodyString, signature, timestamp);
+
+        // 2. Simpan callback apa adanya sebelum diproses (termasuk yang signature-nya tidak valid)
+        const event = await recordWebhookEvent({ headers: req.headers, rawBody: bodyString, body: req.body, signatureValid: isValid });
+
         if (!isValid) {
             logger.warn(`Invalid Webhook Signature: ${req.body?.merchantTradeNo}`);
             return res.status(401).json({ errCode: "401", errMsg: "Invalid Signature" });
         }
 
-        const { merchantTradeNo, status, errCode } = req.body;
-
-        const transaction = await Transaction.findOne({ where: { transactionId: merchantTradeNo } });
-
-        if (!transaction) {
-            // Return 404 Signed
-            const response = paylabs.buildResponseCallback(callbackPath);
-            response.body.errCode = "404";
-            return res.set(response.headers).status(404).json(response.body);
+        // 3. Proses (duplikat dari retry Paylabs tidak diproses ulang)
+        const outcome = await handleWebhookEvent(event);
+        if (outcome.statusCode === 500) {
+            return res.status(500).json({ errCode: "500", errMsg: "Internal Error" });
         }
 
-        // 2. Update Status
-        let newStatus = transaction.status;
-        if (status === "02" && errCode === "0") newStatus = "Success";
-        else if (status === "09") newStatus = "Failed";
-
-        if (transaction.status !== newStatus) {
-            await transaction.update({
-                status: newStatus,
-                settlementDate: newStatus === "Success" ? new Date() : transaction.settlementDate,
-            });
-
-            // Update Revenue jika Success
-            if (newStatus === "Success") {
-                const today = new Date().toISOString().split("T")[0];
-                await DailyRevenue.findOrCreate({
-                    where: { merchantId: transaction.merchantId, transactionDate: today },
-                    defaults: { totalAmount: 0, transactionCount: 0, successfulCount: 0 },
-                }).then(async ([daily]) => {
-                    await daily.increment({
-                        totalAmount: transaction.amount,
-                        transactionCount: 1,
-                        successfulCount: 1,
-                    });
-                });
-            }
-            logger.info(`Webhook: Transaction ${merchantTradeNo} updated to ${newStatus}`);
-        }
-
-        // 3. Return Signed Response (Wajib)
+        // 4. Return Signed Response (Wajib)
         const responseCallback = paylabs.buildResponseCallback(callbackPath);
-        res.set(responseCallback.headers).json(responseCallback.body);
+        if (outcome.statusCode !== 200) responseCallback.body.errCode = String(outcome.statusCode);
+        res.set(responseCallback.headers).status(outcome.statusCode).json(responseCallback.body);
     } catch (error) {
         logger.error(`Webhook Error: ${error.message}`);
         res.status(500).json({ errCode: "500", errMsg: "Internal Error" });
     }
 });
 
+/* =====================================================
+   7. SIMULATOR PAYLABS (PAYLABS_SERVER=MOCK)
+===================================================== */
+/**
+ * @swagger
+ * /api/transactions/{id}/simulate/{outcome}:
+ *   post:
+ *     summary: Simulate payer action (MOCK mode only)
+ *     description: |
+ *       Hanya tersedia saat `PAYLABS_SERVER=MOCK`. Tandai order di simulator Paylabs sebagai dibayar (`paid`)
+ *       atau kadaluarsa (`expired`), lalu kirim callback bertanda tangan ke webhook server ini.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: outcome
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [paid, expired]
+ *     responses:
+ *       200:
+ *         description: "Callback terkirim — data.callback berisi { status, body } dari webhook"
+ *       404:
+ *         description: Transaksi / order simulator tidak ditemukan
+ */
+if (paylabs.simulator) {
+    const SIMULATED_OUTCOMES = ["paid", "expired"];
+
+    router.post("/:id/simulate/:outcome", audit("transaction.simulate"), merchantAccess, canCreate, async (req, res, next) => {
+        try {
+            const { id, outcome } = req.params;
+            if (!SIMULATED_OUTCOMES.includes(outcome)) {
+                return res.status(400).json({ success: false, message: `Outcome harus salah satu dari: ${SIMULATED_OUTCOMES.join(", ")}` });
+            }
+
+            const transaction = await Transaction.findOne({ where: { transactionId: id, merchantId: req.merchant.merchantId } });
+            if (!transaction || !paylabs.simulator.getOrder(id)) {
+                return res.status(404).json({ success: false, message: "Transaksi tidak ditemukan di simulator" });
+            }
+
+            const order = outcome === "paid" ? paylabs.simulator.markPaid(id) : paylabs.simulator.markExpired(id);
+
+            // Callback dikirim ke webhook server ini (bukan NOTIFY_URL) supaya bisa dipakai tanpa konfigurasi
+            const callback = await paylabs.simulator.sendCallback(id, { url: `${req.protocol}://${req.get("host")}${req.baseUrl}/webhook/paylabs` });
+
+            res.json({
+                success: true,
+                message: `Order ${id} ditandai ${outcome}`,
+                data: { transactionId: id, paylabsStatus: order.status, callback },
+            });
+        } catch (error) {
+            logger.error(`Simulate payment error: ${error.message}`);
+            next(error);
+        }
+    });
+}
+
 export default router;
@@ -0,0 +1,91 @@
+import { Op } from "sequelize";
+import AuditLog from "../models/AuditLog.js";
+import Bank from "../models/Bank.js";
+import { MERCHANT_ROLES } from "../config/roles.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   AUDIT LOG
+   Ditulis oleh middleware auditTrail setelah response terkirim;
+   gagal menulis audit tidak mempengaruhi response.
+===================================================== */
+
+export const recordAudit = async (entry) => {
+    try {
+        return await AuditLog.create(entry);
+    } catch (error) {
+        logger.error(`Audit log write failed (${entry.action}, request ${entry.requestId}): ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Query untuk platform admin. Semua filter opsional.
+ */
+export const queryAuditLogs = async ({ actorId, bankId, merchantId, action, category, outcome, requestId, from, to, limit = 50, offset = 0 }) => {
+    const where = {};
+    if (actorId) where.actorId = actorId;
+    if (bankId) where.bankId = bankId;
+    if (merchantId) where.merchantIds = { [Op.contains]: [merchantId] };
+    if (action) where.action = action;
+    if (category) where.category = category;
+    if (outcome) where.outcome = outcome;
+    if (requestId) where.requestId = requestId;
+    if (from || to) {
+        where.createdAt = {};
+        if (from) where.createdAt[Op.gte] = from;
+        if (to) where.createdAt[Op.lte] = to;
+    }
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+        where,
+        order: [["createdAt", "DESC"]],
+        limit,
+        offset,
+    });
+
+    return { total: count, logs: rows };
+};
+
+/**
+ * "Siapa yang melihat data saya": akses sukses oleh bank (user bank, platform admin, atau API key)
+ * ke data merchant ini. Email staf & IP tidak ditampilkan ke merchant.
+ */
+export const listMerchantDataAccess = async (merchantId, { bankId, limit = 50, offset = 0 } = {}) => {
+    const where = {
+        merchantIds: { [Op.contains]: [merchantId] },
+        outcome: "success",
+        [Op.or]: [{ actorType: "api_key" }, { actorType: "user", role: { [Op.notIn]: MERCHANT_ROLES } }],
+    };
+    if (bankId) where.bankId = bankId;
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+        where,
+        order: [["createdAt", "DESC"]],
+        limit,
+        offset,
+    });
+
+    const bankIds = [...new Set(rows.map((log) => log.bankId).filter(Boolean))];
+    const banks = bankIds.length ? await Bank.findAll({ where: { bankId: { [Op.in]: bankIds } }, attributes: ["bankId", "name"], raw: true }) : [];
+    const bankNames = new Map(banks.map((bank) => [bank.bankId, bank.name]));
+
+    return {
+        total: count,
+        accesses: rows.map((log) => ({
+            accessedAt: log.createdAt,
+            action: log.action,
+            category: log.category,
+            bankId: log.bankId,
+            bankName: bankNames.get(log.bankId) || null,
+            actorType: log.actorType,
+            role: log.role,
+        })),
+    };
+};
+
+export default {
+    recordAudit,
+    queryAuditLogs,
+    listMerchantDataAccess,
+};
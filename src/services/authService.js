@@ -1,11 +1,160 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import { v4 as uuidv4 } from "uuid";
+import { v4 as uuidv4, validate as isUuid } from "uuid";
 import User from "../models/User.js";
 import Merchant from "../models/Merchant.js";
+import Bank from "../models/Bank.js";
+import { ROLES, BANK_ROLES } from "../config/roles.js";
 import logger from "../utils/logger.js";
+import { startSession, rotateSession, endSession, revokeAllSessions } from "./sessionService.js";
+import { sendMail, frontendUrl } from "./mailService.js";
+import { createEmailToken, hashEmailToken } from "../utils/emailTokens.js";
+import {
+    isTwoFactorRequired,
+    isTwoFactorEnabled,
+    getTwoFactorStatus,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+} from "./twoFactorService.js";
+import { addOwnerMembership, findPendingInvite, activateMembership } from "./merchantMemberService.js";
+import { assertLoginAllowed, recordLoginFailure, clearLoginFailures, unlockWithToken, unlockEmail } from "./loginThrottleService.js";
 
 const SALT_ROUNDS = 10;
+const EMAIL_VERIFICATION_HOURS = 24;
+const RESET_PASSWORD_MINUTES = 60;
+
+const sendVerificationEmail = async (user) => {
+    const { token, hash } = createEmailToken();
+
+    await user.update({
+        emailVerificationToken: hash,
+        emailVerificationExpiry: new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000),
+    });
+
+    await sendMail("verifyEmail", user.email, {
+        fullName: user.fullName,
+        verifyUrl: frontendUrl(`/verify-email?token=${token}`),
+        expiresInHours: EMAIL_VERIFICATION_HOURS,
+    });
+};
+
+/**
+ * Error untuk akun yang statusnya bukan Active (dipakai saat login, refresh, dan di authenticateToken)
+ */
+export const inactiveAccountError = (status) => ({
+    statusCode: 403,
+    message: status === "Suspended" ? "Akun Anda ditangguhkan. Hubungi admin PayBaba." : "Akun Anda tidak aktif. Hubungi admin PayBaba.",
+});
+
+/**
+ * Login gagal: catat attempt, dan kirim link unlock jika akun baru saja terkunci
+ */
+const handleLoginFailure = async (email, user, context) => {
+    const lock = await recordLoginFailure(email, context.ipAddress);
+    if (!lock || !user) return;
+
+    try {
+        await sendMail("accountLocked", user.email, {
+            fullName: user.fullName,
+            unlockUrl: frontendUrl(`/unlock-account?token=${lock.unlockToken}`),
+            lockedMinutes: Math.round((lock.lockedUntil - Date.now()) / 60000),
+        });
+    } catch (mailError) {
+        logger.error(`Account locked email error for ${user.email}: ${mailError.message}`);
+    }
+};
+
+/**
+ * Access + refresh token untuk user yang sudah lolos semua faktor login
+ */
+const issueSession = async (user, context) => {
+    const accessToken = signAccessToken(user);
+    const refreshToken = await startSession(user.id, context);
+
+    logger.info(`User logged in: ${user.email}`);
+
+    return {
+        accessToken,
+        refreshToken,
+        user: {
+            userId: user.id,
+            email: user.email,
+            companyName: user.companyName,
+            fullName: user.fullName,
+            role: user.role,
+            bankId: user.bankId,
+            isEmailVerified: user.isEmailVerified,
+        },
+    };
+};
+
+const findUserOrFail = async (userId) => {
+    const user = await User.findByPk(userId);
+    if (!user) {
+        throw {
+            statusCode: 404,
+            message: "User tidak ditemukan",
+        };
+    }
+    return user;
+};
+
+/* ===== Challenge token login 2 langkah =====
+   Ditandatangani dengan secret terpisah supaya tidak pernah diterima sebagai access token. */
+
+const CHALLENGE_TOKEN_TTL_SECONDS = 5 * 60;
+
+const CHALLENGE_PURPOSES = {
+    LOGIN: "2fa_login",
+    ENROLL: "2fa_enroll",
+};
+
+const challengeSecret = () => process.env.JWT_CHALLENGE_TOKEN_SECRET || `${process.env.JWT_ACCESS_TOKEN_SECRET}:2fa-challenge`;
+
+const signChallengeToken = (user, purpose) => jwt.sign({ userId: user.id, purpose }, challengeSecret(), { expiresIn: CHALLENGE_TOKEN_TTL_SECONDS });
+
+/**
+ * Verifikasi challenge token → user aktif. Throw 401 jika tidak valid / kadaluarsa / purpose salah.
+ */
+const loadChallengeUser = async (challengeToken, purpose) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, challengeSecret());
+    } catch (error) {
+        decoded = null;
+    }
+
+    const user = decoded?.purpose === purpose ? await User.findByPk(decoded.userId) : null;
+    if (!user) {
+        throw {
+            statusCode: 401,
+            message: "Sesi login 2FA tidak valid atau sudah kadaluarsa. Silakan login ulang.",
+        };
+    }
+
+    if (user.status !== "Active") {
+        throw inactiveAccountError(user.status);
+    }
+
+    return user;
+};
+
+const signAccessToken = (user) =>
+    jwt.sign(
+        {
+            userId: user.id,
+            email: user.email,
+            companyName: user.companyName,
+            role: user.role,
+            bankId: user.bankId || null,
+            emailVerified: Boolean(user.isEmailVerified),
+        },
+        process.env.JWT_ACCESS_TOKEN_SECRET,
+        { expiresIn: process.env.JWT_ACCESS_TOKEN_EXPIRY || "15m" },
+    );
 
 export const authService = {
     async register(data) {
@@ -33,21 +182,29 @@ export const authService = {
                 phoneNumber: data.phoneNumber,
             });
 
-            // Create merchant record
+            // Create merchant record + membership owner
             const merchantId = `M${Date.now()}`;
-            await Merchant.create({
+            const merchant = await Merchant.create({
                 merchantId,
                 userId: user.id,
                 businessScale: "Micro",
             });
+            await addOwnerMembership(merchant, user);
 
             logger.info(`New user registered: ${user.email}`);
 
+            // Gagal kirim email tidak membatalkan registrasi — user bisa minta kirim ulang
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailError) {
+                logger.error(`Verification email error for ${user.email}: ${mailError.message}`);
+            }
+
             return {
                 userId: user.id,
                 email: user.email,
                 companyName: user.companyName,
-                message: "Registrasi berhasil. Silakan login.",
+                message: "Registrasi berhasil. Cek email Anda untuk verifikasi, lalu silakan login.",
             };
         } catch (error) {
             logger.error(`Registration error: ${error.message}`);
@@ -55,62 +212,153 @@ export const authService = {
         }
     },
 
-    async login(email, password) {
+    async login(email, password, context = {}) {
         try {
-            // Find user
+            // Throttle per email & IP sebelum password dicek
+            await assertLoginAllowed(email, context.ipAddress);
+
+            // Find user & verify password
             const user = await User.findOne({ where: { email } });
-            if (!user) {
+            const isPasswordValid = user ? await bcrypt.compare(password, user.passwordHash) : false;
+            if (!isPasswordValid) {
+                await handleLoginFailure(email, user, context);
                 throw {
                     statusCode: 401,
                     message: "Email atau password salah",
                 };
             }
 
-            // Verify password
-            const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
-            if (!isPasswordValid) {
-                throw {
-                    statusCode: 401,
-                    message: "Email atau password salah",
+            // Password benar tapi akun dinonaktifkan admin
+            if (user.status !== "Active") {
+                throw inactiveAccountError(user.status);
+            }
+
+            // Langkah kedua: kode TOTP, atau enrollment 2FA untuk role bank yang belum punya.
+            // Hitungan login gagal baru direset setelah faktor kedua lolos.
+            const twoFactorEnabled = await isTwoFactorEnabled(user.id);
+            if (twoFactorEnabled || isTwoFactorRequired(user)) {
+                const purpose = twoFactorEnabled ? CHALLENGE_PURPOSES.LOGIN : CHALLENGE_PURPOSES.ENROLL;
+                logger.info(`Password verified for ${email}, ${purpose} challenge issued`);
+
+                return {
+                    twoFactorRequired: twoFactorEnabled,
+                    twoFactorSetupRequired: !twoFactorEnabled,
+                    challengeToken: signChallengeToken(user, purpose),
+                    expiresIn: CHALLENGE_TOKEN_TTL_SECONDS,
                 };
             }
 
-            // Generate tokens
-            const accessToken = jwt.sign(
-                {
-                    userId: user.id,
-                    email: user.email,
-                    companyName: user.companyName,
-                },
-                process.env.JWT_ACCESS_TOKEN_SECRET,
-                { expiresIn: process.env.JWT_ACCESS_TOKEN_EXPIRY || "15m" },
-            );
+            await clearLoginFailures(email);
+
+            return await issueSession(user, context);
+        } catch (error) {
+            logger.error(`Login error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Login langkah 2: tukar challenge token + kode TOTP (atau recovery code) dengan access/refresh token
+     */
+    async loginWithTwoFactor(challengeToken, factor, context = {}) {
+        try {
+            const user = await loadChallengeUser(challengeToken, CHALLENGE_PURPOSES.LOGIN);
+
+            await assertLoginAllowed(user.email, context.ipAddress);
+
+            let verification;
+            try {
+                verification = await verifySecondFactor(user, factor);
+            } catch (error) {
+                if (error.statusCode === 401) await handleLoginFailure(user.email, user, context);
+                throw error;
+            }
+
+            await clearLoginFailures(user.email);
+
+            const session = await issueSession(user, context);
+            if (verification.method === "recovery_code") {
+                session.recoveryCodesRemaining = verification.recoveryCodesRemaining;
+            }
+            return session;
+        } catch (error) {
+            logger.error(`2FA login error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Setup 2FA: user yang sudah login (userId) atau enrollment wajib saat login (challengeToken)
+     */
+    async setupTwoFactor({ userId, challengeToken }) {
+        try {
+            const user = challengeToken ? await loadChallengeUser(challengeToken, CHALLENGE_PURPOSES.ENROLL) : await findUserOrFail(userId);
+            return await beginEnrollment(user);
+        } catch (error) {
+            logger.error(`2FA setup error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Aktifkan 2FA dengan kode pertama. Lewat challengeToken (enrollment saat login) sekaligus login.
+     */
+    async enableTwoFactor({ userId, challengeToken }, code, context = {}) {
+        try {
+            const user = challengeToken ? await loadChallengeUser(challengeToken, CHALLENGE_PURPOSES.ENROLL) : await findUserOrFail(userId);
+            const { recoveryCodes } = await confirmEnrollment(user, code);
+
+            if (!challengeToken) {
+                return { recoveryCodes };
+            }
+
+            await clearLoginFailures(user.email);
+            return { ...(await issueSession(user, context)), recoveryCodes };
+        } catch (error) {
+            logger.error(`2FA enable error: ${error.message}`);
+            throw error;
+        }
+    },
 
-            const refreshToken = jwt.sign({ userId: user.id }, process.env.JWT_REFRESH_TOKEN_SECRET, { expiresIn: process.env.JWT_REFRESH_TOKEN_EXPIRY || "7d" });
+    async getTwoFactorStatus(userId) {
+        try {
+            return await getTwoFactorStatus(await findUserOrFail(userId));
+        } catch (error) {
+            logger.error(`2FA status error: ${error.message}`);
+            throw error;
+        }
+    },
 
-            logger.info(`User logged in: ${email}`);
+    async regenerateRecoveryCodes(userId, code) {
+        try {
+            return await regenerateRecoveryCodes(await findUserOrFail(userId), code);
+        } catch (error) {
+            logger.error(`2FA recovery codes error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    async disableTwoFactor(userId, factor) {
+        try {
+            await disableTwoFactor(await findUserOrFail(userId), factor);
 
             return {
-                accessToken,
-                refreshToken,
-                user: {
-                    userId: user.id,
-                    email: user.email,
-                    companyName: user.companyName,
-                    fullName: user.fullName,
-                },
+                message: "2FA berhasil dinonaktifkan",
             };
         } catch (error) {
-            logger.error(`Login error: ${error.message}`);
+            logger.error(`2FA disable error: ${error.message}`);
             throw error;
         }
     },
 
-    async refreshToken(refreshToken) {
+    /**
+     * Rotasi: refresh token lama tidak berlaku lagi, client wajib menyimpan refresh token baru
+     */
+    async refreshToken(refreshToken, context = {}) {
         try {
-            const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_TOKEN_SECRET);
+            const session = await rotateSession(refreshToken, context);
 
-            const user = await User.findByPk(decoded.userId);
+            const user = await User.findByPk(session.userId);
             if (!user) {
                 throw {
                     statusCode: 401,
@@ -118,55 +366,308 @@ export const authService = {
                 };
             }
 
-            const newAccessToken = jwt.sign(
-                {
-                    userId: user.id,
-                    email: user.email,
-                    companyName: user.companyName,
-                },
-                process.env.JWT_ACCESS_TOKEN_SECRET,
-                { expiresIn: process.env.JWT_ACCESS_TOKEN_EXPIRY || "15m" },
-            );
+            if (user.status !== "Active") {
+                throw { ...inactiveAccountError(user.status), statusCode: 401 };
+            }
+
+            // Sesi role bank dari sebelum 2FA diwajibkan tidak boleh terus diperpanjang
+            if (isTwoFactorRequired(user) && !(await isTwoFactorEnabled(user.id))) {
+                throw {
+                    statusCode: 401,
+                    message: "Akun bank wajib mengaktifkan 2FA. Silakan login ulang.",
+                };
+            }
+
+            const newAccessToken = signAccessToken(user);
 
             return {
                 accessToken: newAccessToken,
+                refreshToken: session.refreshToken,
             };
         } catch (error) {
             logger.error(`Refresh token error: ${error.message}`);
             throw {
                 statusCode: 401,
-                message: "Refresh token tidak valid",
+                message: error.statusCode === 401 ? error.message : "Refresh token tidak valid",
+            };
+        }
+    },
+
+    async logout(refreshToken) {
+        try {
+            await endSession(refreshToken);
+
+            return {
+                message: "Logout berhasil",
+            };
+        } catch (error) {
+            logger.error(`Logout error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    async logoutAll(userId) {
+        try {
+            const revokedSessions = await revokeAllSessions(userId, "logout_all");
+
+            return {
+                message: "Berhasil logout dari semua perangkat",
+                revokedSessions,
+            };
+        } catch (error) {
+            logger.error(`Logout all error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    async verifyEmail(token) {
+        try {
+            const user = await User.findOne({ where: { emailVerificationToken: hashEmailToken(token) } });
+            if (!user || !user.emailVerificationExpiry || new Date() > user.emailVerificationExpiry) {
+                throw {
+                    statusCode: 400,
+                    message: "Token verifikasi tidak valid atau sudah kadaluarsa",
+                };
+            }
+
+            await user.update({
+                isEmailVerified: true,
+                emailVerificationToken: null,
+                emailVerificationExpiry: null,
+            });
+
+            logger.info(`Email verified: ${user.email}`);
+
+            return {
+                message: "Email berhasil diverifikasi. Silakan refresh token atau login ulang.",
+            };
+        } catch (error) {
+            logger.error(`Email verification error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    async resendVerification(userId) {
+        try {
+            const user = await User.findByPk(userId);
+            if (!user) {
+                throw {
+                    statusCode: 404,
+                    message: "User tidak ditemukan",
+                };
+            }
+
+            if (user.isEmailVerified) {
+                throw {
+                    statusCode: 400,
+                    message: "Email sudah terverifikasi",
+                };
+            }
+
+            await sendVerificationEmail(user);
+
+            return {
+                message: "Email verifikasi telah dikirim ulang",
+            };
+        } catch (error) {
+            logger.error(`Resend verification error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    async unlockAccount(token) {
+        try {
+            await unlockWithToken(token);
+
+            return {
+                message: "Akun berhasil dibuka. Silakan login kembali.",
+            };
+        } catch (error) {
+            logger.error(`Unlock account error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Terima undangan staf merchant. Email yang belum punya akun dibuatkan akun merchant_staff
+     * (email dianggap terverifikasi karena token datang dari email undangan).
+     */
+    async acceptInvite({ token, password, fullName, phoneNumber }) {
+        try {
+            const invite = await findPendingInvite(token);
+
+            let user = await User.findOne({ where: { email: invite.email } });
+            const accountCreated = !user;
+
+            if (!user) {
+                if (!password) {
+                    throw {
+                        statusCode: 400,
+                        message: "Password, nama lengkap, dan nomor telepon wajib diisi untuk membuat akun baru",
+                    };
+                }
+
+                // Data perusahaan mengikuti akun owner merchant
+                const owner = invite.Merchant.User;
+                user = await User.create({
+                    email: invite.email,
+                    passwordHash: await bcrypt.hash(password, SALT_ROUNDS),
+                    companyName: owner.companyName,
+                    fullName,
+                    city: owner.city,
+                    address: owner.address,
+                    phoneNumber,
+                    role: ROLES.MERCHANT_STAFF,
+                    isEmailVerified: true,
+                });
+            }
+
+            const member = await activateMembership(invite, user);
+
+            return {
+                userId: user.id,
+                email: user.email,
+                merchantId: member.merchantId,
+                role: member.role,
+                accountCreated,
+                message: "Undangan diterima. Silakan login.",
+            };
+        } catch (error) {
+            logger.error(`Accept invite error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Buka kunci login oleh platform admin
+     */
+    async adminUnlock(userId, actor) {
+        try {
+            const user = isUuid(userId) ? await User.findByPk(userId) : null;
+            if (!user) {
+                throw {
+                    statusCode: 404,
+                    message: "User tidak ditemukan",
+                };
+            }
+
+            const wasLocked = await unlockEmail(user.email, actor);
+
+            return {
+                userId: user.id,
+                email: user.email,
+                wasLocked,
             };
+        } catch (error) {
+            logger.error(`Admin unlock error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Ubah role user. Semua sesi dicabut karena access / refresh token lama masih membawa role sebelumnya.
+     */
+    async updateRole(userId, { role, bankId }, actor) {
+        try {
+            const user = isUuid(userId) ? await User.findByPk(userId) : null;
+            if (!user) {
+                throw {
+                    statusCode: 404,
+                    message: "User tidak ditemukan",
+                };
+            }
+
+            if (BANK_ROLES.includes(role) && !(await Bank.findByPk(bankId))) {
+                throw {
+                    statusCode: 400,
+                    message: "Bank tidak ditemukan",
+                };
+            }
+
+            const previousRole = user.role;
+            await user.update({ role, bankId: BANK_ROLES.includes(role) ? bankId : null });
+
+            const revokedSessions = await revokeAllSessions(user.id, "role_changed");
+
+            logger.info(`Role of ${user.email} changed from ${previousRole} to ${user.role} by ${actor}`);
+
+            return {
+                userId: user.id,
+                email: user.email,
+                role: user.role,
+                bankId: user.bankId,
+                revokedSessions,
+            };
+        } catch (error) {
+            logger.error(`Update user role error: ${error.message}`);
+            throw error;
+        }
+    },
+
+    /**
+     * Ubah status akun. Selain Active → semua sesi dicabut.
+     */
+    async updateStatus(userId, status, actor) {
+        try {
+            const user = isUuid(userId) ? await User.findByPk(userId) : null;
+            if (!user) {
+                throw {
+                    statusCode: 404,
+                    message: "User tidak ditemukan",
+                };
+            }
+
+            const previousStatus = user.status;
+            await user.update({ status });
+
+            let revokedSessions = 0;
+            if (status !== "Active") {
+                revokedSessions = await revokeAllSessions(user.id, "account_disabled");
+            }
+
+            logger.info(`Status of ${user.email} changed from ${previousStatus} to ${status} by ${actor}`);
+
+            return {
+                userId: user.id,
+                email: user.email,
+                status: user.status,
+                revokedSessions,
+            };
+        } catch (error) {
+            logger.error(`Update user status error: ${error.message}`);
+            throw error;
         }
     },
 
     async requestPasswordReset(email) {
+        // Response selalu sama supaya tidak membocorkan email mana yang terdaftar
+        const response = {
+            message: "Jika email terdaftar, link reset password akan dikirim ke email tersebut",
+        };
+
         try {
             const user = await User.findOne({ where: { email } });
             if (!user) {
-                // Don't reveal if email exists (security)
-                return {
-                    message: "Jika email terdaftar, link reset akan dikirim",
-                };
+                return response;
             }
 
-            // Generate reset token (valid for 1 hour)
-            const resetToken = jwt.sign({ userId: user.id, email: user.email }, process.env.JWT_ACCESS_TOKEN_SECRET, { expiresIn: "1h" });
+            // Token hanya dikirim lewat email, DB menyimpan hash-nya
+            const { token, hash } = createEmailToken();
 
-            // Save reset token to DB
             await user.update({
-                resetPasswordToken: resetToken,
-                resetPasswordExpiry: new Date(Date.now() + 60 * 60 * 1000), // 1 hour
+                resetPasswordToken: hash,
+                resetPasswordExpiry: new Date(Date.now() + RESET_PASSWORD_MINUTES * 60 * 1000),
+            });
+
+            await sendMail("passwordReset", user.email, {
+                fullName: user.fullName,
+                resetUrl: frontendUrl(`/reset-password?token=${token}`),
+                expiresInMinutes: RESET_PASSWORD_MINUTES,
             });
 
             logger.info(`Password reset requested for: ${email}`);
 
-            // In production, send email with reset link
-            // For now, return token (frontned akan menggunakannya)
-            return {
-                message: "Link reset password telah dikirim ke email Anda",
-                resetToken, // Return for demo purposes only - remove in production
-            };
+            return response;
         } catch (error) {
             logger.error(`Password reset request error: ${error.message}`);
             throw error;
@@ -175,11 +676,8 @@ export const authService = {
 
     async resetPassword(resetToken, newPassword) {
         try {
-            // Verify token
-            const decoded = jwt.verify(resetToken, process.env.JWT_ACCESS_TOKEN_SECRET);
-
-            const user = await User.findByPk(decoded.userId);
-            if (!user || user.resetPasswordToken !== resetToken) {
+            const user = await User.findOne({ where: { resetPasswordToken: hashEmailToken(resetToken) } });
+            if (!user) {
                 throw {
                     statusCode: 400,
                     message: "Token reset tidak valid atau sudah kadaluarsa",
@@ -198,12 +696,17 @@ export const authService = {
             const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
 
             // Update password & clear reset token
+            // Token reset diterima lewat email → sekaligus membuktikan kepemilikan email
             await user.update({
                 passwordHash,
                 resetPasswordToken: null,
                 resetPasswordExpiry: null,
+                isEmailVerified: true,
             });
 
+            // Password baru → semua sesi lama dicabut
+            await revokeAllSessions(user.id, "password_reset");
+
             logger.info(`Password reset for: ${user.email}`);
 
             return {
@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import { Op } from "sequelize";
+import { validate as isUuid } from "uuid";
+import Bank from "../models/Bank.js";
+import BankApiKey from "../models/BankApiKey.js";
+import { API_KEY_SCOPES } from "../config/roles.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   BANK API KEYS
+   Format key: pbk_<prefix>_<secret>
+   - prefix (12 hex) disimpan apa adanya untuk lookup
+   - key lengkap hanya disimpan sebagai SHA-256 hash
+   - key asli hanya dikembalikan sekali (saat issue / rotate)
+===================================================== */
+
+const KEY_PREFIX = "pbk";
+
+const hashKey = (rawKey) => crypto.createHash("sha256").update(rawKey, "utf8").digest("hex");
+
+const generateKey = () => {
+    const prefix = crypto.randomBytes(6).toString("hex");
+    const secret = crypto.randomBytes(24).toString("base64url");
+    return { prefix, rawKey: `${KEY_PREFIX}_${prefix}_${secret}` };
+};
+
+// Secret base64url bisa mengandung "_" → hanya dua "_" pertama yang jadi pemisah
+const KEY_PATTERN = new RegExp(`^${KEY_PREFIX}_([0-9a-f]{12})_(.+)$`);
+
+export const parsePrefix = (rawKey) => {
+    const match = typeof rawKey === "string" ? rawKey.match(KEY_PATTERN) : null;
+    return match ? match[1] : null;
+};
+
+const serializeKey = (key) => ({
+    id: key.id,
+    bankId: key.bankId,
+    name: key.name,
+    keyPrefix: key.keyPrefix,
+    scopes: key.scopes,
+    status: key.status,
+    expiresAt: key.expiresAt,
+    lastUsedAt: key.lastUsedAt,
+    revokedAt: key.revokedAt,
+    rotatedFromId: key.rotatedFromId,
+    createdBy: key.createdBy,
+    createdAt: key.createdAt,
+});
+
+/**
+ * Load a key, optionally scoped to one bank (bank admin hanya boleh kelola key bank sendiri)
+ */
+const findKey = async (keyId, bankId = null) => {
+    if (!isUuid(keyId)) {
+        throw {
+            statusCode: 404,
+            message: "API key tidak ditemukan",
+        };
+    }
+
+    const where = { id: keyId };
+    if (bankId) where.bankId = bankId;
+
+    const key = await BankApiKey.findOne({ where });
+    if (!key) {
+        throw {
+            statusCode: 404,
+            message: "API key tidak ditemukan",
+        };
+    }
+    return key;
+};
+
+/**
+ * Issue a new API key for a bank
+ */
+export const issueApiKey = async (bankId, { name, scopes = Object.values(API_KEY_SCOPES), expiresAt = null, createdBy = null, rotatedFromId = null }) => {
+    const bank = await Bank.findByPk(bankId);
+    if (!bank) {
+        throw {
+            statusCode: 404,
+            message: "Bank tidak ditemukan",
+        };
+    }
+
+    const { prefix, rawKey } = generateKey();
+    const key = await BankApiKey.create({
+        bankId,
+        name,
+        keyPrefix: prefix,
+        keyHash: hashKey(rawKey),
+        scopes,
+        expiresAt,
+        createdBy,
+        rotatedFromId,
+    });
+
+    logger.info(`API key ${prefix} issued for bank ${bankId} by ${createdBy || "system"}`);
+
+    return { apiKey: rawKey, key: serializeKey(key) };
+};
+
+/**
+ * Rotate a key: issue a replacement with the same name & scopes.
+ * Key lama tetap berlaku selama BANK_API_KEY_ROTATION_GRACE_HOURS (default 24 jam).
+ */
+export const rotateApiKey = async (keyId, { bankId = null, actor = null } = {}) => {
+    const oldKey = await findKey(keyId, bankId);
+    if (oldKey.status !== "Active") {
+        throw {
+            statusCode: 400,
+            message: "Hanya API key aktif yang bisa di-rotate",
+        };
+    }
+
+    const graceHours = parseInt(process.env.BANK_API_KEY_ROTATION_GRACE_HOURS ?? "24");
+    const graceUntil = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+    const issued = await issueApiKey(oldKey.bankId, {
+        name: oldKey.name,
+        scopes: oldKey.scopes,
+        expiresAt: oldKey.expiresAt,
+        createdBy: actor,
+        rotatedFromId: oldKey.id,
+    });
+
+    await oldKey.update({
+        status: "Rotated",
+        expiresAt: oldKey.expiresAt && oldKey.expiresAt < graceUntil ? oldKey.expiresAt : graceUntil,
+    });
+
+    logger.info(`API key ${oldKey.keyPrefix} rotated by ${actor || "system"}, valid until ${oldKey.expiresAt.toISOString()}`);
+    return issued;
+};
+
+/**
+ * Revoke a key immediately
+ */
+export const revokeApiKey = async (keyId, { bankId = null, actor = null } = {}) => {
+    const key = await findKey(keyId, bankId);
+    if (key.status === "Revoked") {
+        throw {
+            statusCode: 400,
+            message: "API key sudah di-revoke",
+        };
+    }
+
+    await key.update({ status: "Revoked", revokedAt: new Date() });
+
+    logger.info(`API key ${key.keyPrefix} revoked by ${actor || "system"}`);
+    return serializeKey(key);
+};
+
+/**
+ * List keys of a bank (tanpa hash)
+ */
+export const listApiKeys = async (bankId) => {
+    const keys = await BankApiKey.findAll({
+        where: { bankId },
+        order: [["createdAt", "DESC"]],
+    });
+    return keys.map(serializeKey);
+};
+
+/**
+ * Verify a raw key from the X-API-Key header.
+ * Return { key, bank } atau null jika tidak valid / expired / revoked / bank nonaktif.
+ */
+export const verifyApiKey = async (rawKey) => {
+    const prefix = parsePrefix(rawKey);
+    if (!prefix) return null;
+
+    const key = await BankApiKey.findOne({
+        where: {
+            keyPrefix: prefix,
+            status: { [Op.in]: ["Active", "Rotated"] },
+        },
+        include: [{ model: Bank }],
+    });
+    if (!key) return null;
+
+    const expected = Buffer.from(key.keyHash, "hex");
+    const actual = Buffer.from(hashKey(rawKey), "hex");
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    if (key.expiresAt && key.expiresAt <= new Date()) return null;
+    if (!key.Bank || key.Bank.status !== "Active") return null;
+
+    // Tidak perlu ditunggu — hanya informasi
+    key.update({ lastUsedAt: new Date() }).catch((error) => logger.warn(`Failed to update API key lastUsedAt: ${error.message}`));
+
+    return { key, bank: key.Bank };
+};
+
+export default {
+    issueApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    listApiKeys,
+    verifyApiKey,
+    parsePrefix,
+};
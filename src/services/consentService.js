@@ -0,0 +1,137 @@
+import { Op } from "sequelize";
+import { validate as isUuid } from "uuid";
+import Bank from "../models/Bank.js";
+import MerchantConsent from "../models/MerchantConsent.js";
+import { CONSENT_SCOPE_LEVELS } from "../config/consent.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   MERCHANT CONSENT
+   Merchant memberi / mencabut akses data ke bank tertentu.
+   Maksimal 1 consent aktif per merchant-bank; grant ulang
+   memperbarui scope & masa berlaku consent tersebut.
+===================================================== */
+
+const activeWhere = () => ({
+    status: "Active",
+    expiresAt: { [Op.gt]: new Date() },
+});
+
+/**
+ * Apakah scope yang diberikan mencakup scope yang dibutuhkan (scope berjenjang)
+ */
+export const scopeIncludes = (grantedScope, requiredScope) => {
+    const granted = CONSENT_SCOPE_LEVELS.indexOf(grantedScope);
+    return granted !== -1 && granted >= CONSENT_SCOPE_LEVELS.indexOf(requiredScope);
+};
+
+/**
+ * Cek akses bank ke data merchant.
+ * consents = Map merchantId → scope, atau null jika tidak dibatasi consent (platform admin).
+ */
+export const consentAllows = (consents, merchantId, requiredScope) => {
+    if (consents === null) return true;
+    const scope = consents.get(merchantId);
+    return Boolean(scope) && scopeIncludes(scope, requiredScope);
+};
+
+export const serializeConsent = (consent) => ({
+    consentId: consent.id,
+    bankId: consent.bankId,
+    bankName: consent.Bank?.name,
+    scope: consent.scope,
+    status: consent.status === "Active" && consent.expiresAt <= new Date() ? "Expired" : consent.status,
+    grantedAt: consent.grantedAt,
+    expiresAt: consent.expiresAt,
+    revokedAt: consent.revokedAt,
+});
+
+/**
+ * Grant (atau perbarui) consent merchant untuk 1 bank
+ */
+export const grantConsent = async (merchantId, { bankId, scope, expiresAt }, grantedBy = null) => {
+    const bank = await Bank.findByPk(bankId);
+    if (!bank || bank.status !== "Active") {
+        throw {
+            statusCode: 404,
+            message: "Bank tidak ditemukan",
+        };
+    }
+
+    const existing = await MerchantConsent.findOne({
+        where: { merchantId, bankId, ...activeWhere() },
+    });
+
+    const consent = existing
+        ? await existing.update({ scope, expiresAt, grantedAt: new Date(), grantedBy })
+        : await MerchantConsent.create({ merchantId, bankId, scope, expiresAt, grantedBy });
+
+    consent.Bank = bank;
+    logger.info(`Consent ${existing ? "updated" : "granted"}: merchant ${merchantId} → bank ${bankId} (${scope}, until ${new Date(expiresAt).toISOString()})`);
+
+    return consent;
+};
+
+/**
+ * Cabut consent milik merchant
+ */
+export const revokeConsent = async (merchantId, consentId) => {
+    const consent = isUuid(consentId) ? await MerchantConsent.findOne({ where: { id: consentId, merchantId }, include: [{ model: Bank }] }) : null;
+
+    if (!consent) {
+        throw {
+            statusCode: 404,
+            message: "Consent tidak ditemukan",
+        };
+    }
+
+    if (consent.status === "Revoked") {
+        throw {
+            statusCode: 400,
+            message: "Consent sudah dicabut",
+        };
+    }
+
+    await consent.update({ status: "Revoked", revokedAt: new Date() });
+    logger.info(`Consent revoked: merchant ${merchantId} → bank ${consent.bankId}`);
+
+    return consent;
+};
+
+/**
+ * Semua consent merchant (termasuk yang sudah dicabut / expired)
+ */
+export const listConsents = async (merchantId) => {
+    return await MerchantConsent.findAll({
+        where: { merchantId },
+        include: [{ model: Bank, attributes: ["bankId", "name"] }],
+        order: [["grantedAt", "DESC"]],
+    });
+};
+
+/**
+ * Consent aktif sebuah bank → Map merchantId → scope.
+ * merchantIds opsional untuk membatasi lookup.
+ */
+export const getActiveConsentScopes = async (bankId, merchantIds = null) => {
+    const where = { bankId, ...activeWhere() };
+    if (merchantIds) where.merchantId = { [Op.in]: merchantIds };
+
+    const consents = await MerchantConsent.findAll({
+        where,
+        attributes: ["merchantId", "scope"],
+        raw: true,
+    });
+
+    return new Map(consents.map((c) => [c.merchantId, c.scope]));
+};
+
+export default {
+    scopeIncludes,
+    consentAllows,
+    serializeConsent,
+    grantConsent,
+    revokeConsent,
+    listConsents,
+    getActiveConsentScopes,
+};
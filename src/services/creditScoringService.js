@@ -4,6 +4,10 @@ import Transaction from "../models/Transaction.js";
 import DailyRevenue from "../models/DailyRevenue.js";
 import CreditScore from "../models/CreditScore.js";
 import { generateScoreExplanation } from "./qwenService.js";
+import { detectAnomalies } from "./earlyWarningService.js";
+import { summarizePaymentMix } from "./merchantService.js";
+import { dailyRevenueAmount } from "./feeService.js";
+import { CREDIT_SCORE_REVENUE_BASIS } from "../config/fees.js";
 import logger from "../utils/logger.js";
 
 /* =====================================================
@@ -39,9 +43,13 @@ const calculateSettlementTimeScore = (avgSettlementDays) => {
    CALCULATE CREDIT SCORE
 ===================================================== */
 
-export const calculateCreditScore = async (merchantId) => {
+/**
+ * revenueBasis "gross" (nominal) atau "net" (setelah MDR & refund) untuk volatility, growth & limit.
+ * Default dari CREDIT_SCORE_REVENUE_BASIS.
+ */
+export const calculateCreditScore = async (merchantId, { revenueBasis = CREDIT_SCORE_REVENUE_BASIS } = {}) => {
     try {
-        logger.info(`Calculating credit score for merchant: ${merchantId}`);
+        logger.info(`Calculating credit score for merchant: ${merchantId} (${revenueBasis} revenue)`);
 
         const merchant = await Merchant.findByPk(merchantId);
         if (!merchant) {
@@ -79,7 +87,7 @@ export const calculateCreditScore = async (merchantId) => {
             raw: true,
         });
 
-        const revenues = dailyRevenues.map((d) => parseFloat(d.totalAmount || 0));
+        const revenues = dailyRevenues.map((d) => dailyRevenueAmount(d, revenueBasis));
         const totalRevenueFromDaily = revenues.reduce((a, b) => a + b, 0);
         const avgMonthlyRevenue = totalRevenueFromDaily / 3;
 
@@ -108,14 +116,14 @@ export const calculateCreditScore = async (merchantId) => {
         const startOfThisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
         const startOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
 
-        const currentMonthRevenue = dailyRevenues.filter((d) => new Date(d.transactionDate) >= startOfThisMonth).reduce((sum, d) => sum + parseFloat(d.totalAmount || 0), 0);
+        const currentMonthRevenue = dailyRevenues.filter((d) => new Date(d.transactionDate) >= startOfThisMonth).reduce((sum, d) => sum + dailyRevenueAmount(d, revenueBasis), 0);
 
         const previousMonthRevenue = dailyRevenues
             .filter((d) => {
                 const date = new Date(d.transactionDate);
                 return date >= startOfLastMonth && date < startOfThisMonth;
             })
-            .reduce((sum, d) => sum + parseFloat(d.totalAmount || 0), 0);
+            .reduce((sum, d) => sum + dailyRevenueAmount(d, revenueBasis), 0);
 
         const growthMoM = previousMonthRevenue > 0 ? ((currentMonthRevenue - previousMonthRevenue) / previousMonthRevenue) * 100 : 0;
 
@@ -168,11 +176,13 @@ export const calculateCreditScore = async (merchantId) => {
             refundRateScore,
             settlementTimeScore,
             avgMonthlyRevenue,
+            revenueBasis,
             revenueVolatility: parseFloat(volatility.toFixed(2)),
             growthPercentageMoM: parseFloat(growthMoM.toFixed(2)),
             refundRatePercentage: parseFloat(refundRate.toFixed(2)),
             avgSettlementDays: parseFloat(avgSettlementDays.toFixed(1)),
             transactionCount3m: transactionCount,
+            paymentMethodMix: summarizePaymentMix(transactions),
             featureImportance: weights,
         };
 
@@ -189,11 +199,15 @@ export const calculateCreditScore = async (merchantId) => {
    - Auto-generate Qwen explanation sebelum INSERT
    - Jika Qwen gagal, tetap INSERT dengan explanation null
    - Setiap panggil = 1 row baru di credit_scores (historical record)
+   - Setelah INSERT, early warning detection dijalankan untuk merchant tsb
+     (runEarlyWarning: false untuk nightly job — sweep EARLY_WARNING_CRON sudah
+     mendeteksi semua merchant, deteksi 2x/malam menggandakan recoveryStreak)
 ===================================================== */
 
-export const saveCreditScore = async (scoreData) => {
+export const saveCreditScore = async (scoreData, { runEarlyWarning = true } = {}) => {
     let qwenExplanation = null;
     let qwenRecommendation = null;
+    let saved;
 
     try {
         logger.info(`Generating Qwen explanation for merchant: ${scoreData.merchantId}`);
@@ -214,18 +228,23 @@ export const saveCreditScore = async (scoreData) => {
     }
 
     try {
-        const saved = await CreditScore.create({
+        saved = await CreditScore.create({
             ...scoreData,
             qwenExplanation,
             qwenRecommendation,
         });
 
         logger.info(`Credit score saved for merchant: ${scoreData.merchantId} (id: ${saved.id})`);
-        return saved;
     } catch (error) {
         logger.error(`Error saving credit score: ${error.message}`);
         throw error;
     }
+
+    // Skor baru tersimpan (recalculate manual) → jalankan early warning agar Score Drop langsung terdeteksi.
+    // detectAnomalies tidak pernah throw, jadi kegagalan deteksi tidak membatalkan save.
+    if (runEarlyWarning) await detectAnomalies(scoreData.merchantId);
+
+    return saved;
 };
 
 /* =====================================================
@@ -233,13 +252,13 @@ export const saveCreditScore = async (scoreData) => {
    Panggil ini dari cron job atau trigger lainnya
 ===================================================== */
 
-export const calculateAndSaveCreditScore = async (merchantId) => {
-    const scoreData = await calculateCreditScore(merchantId);
+export const calculateAndSaveCreditScore = async (merchantId, { runEarlyWarning, ...options } = {}) => {
+    const scoreData = await calculateCreditScore(merchantId, options);
     if (!scoreData) {
         logger.warn(`Skipping save — no score data for merchant: ${merchantId}`);
         return null;
     }
-    return await saveCreditScore(scoreData);
+    return await saveCreditScore(scoreData, { runEarlyWarning });
 };
 
 export default {
@@ -1,45 +1,360 @@
 import { Op } from "sequelize";
+import { validate as isUuid } from "uuid";
 import logger from "../utils/logger.js";
 import { analyzeAnomaly } from "./qwenService.js";
 import EarlyWarningAlert from "../models/EarlyWarningAlert.js";
+import AlertHistory from "../models/AlertHistory.js";
 import DailyRevenue from "../models/DailyRevenue.js";
 import Transaction from "../models/Transaction.js";
 import CreditScore from "../models/CreditScore.js";
+import Merchant from "../models/Merchant.js";
+import User from "../models/User.js";
+import { sendMail, frontendUrl } from "./mailService.js";
 
 /**
  * Detect transaction anomalies for a merchant
  */
 export async function detectAnomalies(merchantId) {
     try {
-        const alerts = [];
+        return await runAnomalyDetection(merchantId);
+    } catch (error) {
+        logger.error(`Early Warning Detection Error: ${error.message}`);
+        // Alert dari detector yang berhasil tetap dikembalikan
+        return error.alerts || [];
+    }
+}
+
+/**
+ * Run all detectors and apply alert lifecycle — throws if any detector failed (used by sweep job,
+ * supaya merchant tersebut dihitung failed di JobRun)
+ * Returns alerts that are currently breaching their threshold (created or updated)
+ */
+export async function runAnomalyDetection(merchantId) {
+    const detectors = [detectRevenueDropAnomaly, detectRefundSpikeAnomaly, detectSettlementDelayAnomaly, detectTransactionDropAnomaly, detectScoreDropAnomaly];
+
+    // Detector yang gagal tidak menghentikan detector lain, tapi run tetap dilaporkan gagal
+    const evaluations = [];
+    const failures = [];
+    for (const detector of detectors) {
+        try {
+            const evaluation = await detector(merchantId);
+            if (evaluation) evaluations.push(evaluation);
+        } catch (error) {
+            failures.push(`${detector.name}: ${error.message}`);
+        }
+    }
+
+    const alerts = [];
+    for (const evaluation of evaluations) {
+        const alert = await applyAlertLifecycle(merchantId, evaluation);
+        if (alert && !evaluation.withinThreshold) alerts.push(alert);
+    }
+
+    logger.info(`[Early Warning] Detected ${alerts.length} anomalies for merchant ${merchantId}`);
+
+    if (failures.length > 0) {
+        const error = new Error(`${failures.length} detector gagal untuk merchant ${merchantId} — ${failures.join("; ")}`);
+        error.alerts = alerts;
+        throw error;
+    }
+    return alerts;
+}
 
-        const revenueDrop = await detectRevenueDropAnomaly(merchantId);
-        if (revenueDrop) alerts.push(revenueDrop);
+/* =====================================================
+   ALERT LIFECYCLE
+   - 1 alert terbuka (Active/Monitoring) per merchant + alertType
+   - Anomali terdeteksi lagi → update alert terbuka, bukan insert baru
+   - Deviasi membaik → Monitoring, memburuk/tetap → Active
+   - Metric kembali dalam threshold selama N run berturut-turut
+     (ALERT_AUTO_RESOLVE_RUNS) → Resolved oleh "system"
+===================================================== */
 
-        const refundSpike = await detectRefundSpikeAnomaly(merchantId);
-        if (refundSpike) alerts.push(refundSpike);
+const OPEN_STATUSES = ["Active", "Monitoring"];
+const SYSTEM_ACTOR = { type: "system", userId: null, name: "system" };
 
-        const settlementDelay = await detectSettlementDelayAnomaly(merchantId);
-        if (settlementDelay) alerts.push(settlementDelay);
+const getAutoResolveRuns = () => parseInt(process.env.ALERT_AUTO_RESOLVE_RUNS) || 3;
 
-        const transactionDrop = await detectTransactionDropAnomaly(merchantId);
-        if (transactionDrop) alerts.push(transactionDrop);
+/**
+ * Evaluation result for a metric that is back inside its threshold
+ */
+function withinThreshold(alertType, metricValue, deviationPercentage) {
+    return {
+        alertType,
+        withinThreshold: true,
+        metricValue: parseFloat(Number(metricValue).toFixed(2)),
+        deviationPercentage: parseFloat(Number(deviationPercentage).toFixed(2)),
+    };
+}
 
-        const scoreDrop = await detectScoreDropAnomaly(merchantId);
-        if (scoreDrop) alerts.push(scoreDrop);
+/**
+ * Find the open alert of a given type for a merchant
+ */
+async function findOpenAlert(merchantId, alertType) {
+    return await EarlyWarningAlert.findOne({
+        where: {
+            merchantId,
+            alertType,
+            isResolved: false,
+            status: { [Op.in]: OPEN_STATUSES },
+        },
+        order: [["detectedDate", "DESC"]],
+    });
+}
+
+/**
+ * Create, update or resolve the alert for one detector evaluation
+ */
+export async function applyAlertLifecycle(merchantId, evaluation) {
+    const openAlert = await findOpenAlert(merchantId, evaluation.alertType);
+
+    // Metric dalam threshold
+    if (evaluation.withinThreshold) {
+        if (!openAlert) return null;
+
+        const fromStatus = openAlert.status;
+        const recoveryStreak = openAlert.recoveryStreak + 1;
+        if (recoveryStreak >= getAutoResolveRuns()) {
+            await openAlert.update({
+                metricValue: evaluation.metricValue,
+                recoveryStreak,
+                isResolved: true,
+                status: "Resolved",
+                resolvedDate: new Date(),
+                resolvedBy: SYSTEM_ACTOR.name,
+            });
+            await recordAlertHistory(openAlert, "Resolved", SYSTEM_ACTOR, {
+                fromStatus,
+                note: `Metric dalam threshold selama ${recoveryStreak} run berturut-turut`,
+            });
+            logger.info(`[Early Warning] ${evaluation.alertType} alert ${openAlert.id} auto-resolved for merchant ${merchantId}`);
+            return openAlert;
+        }
 
-        for (const alert of alerts) {
-            await EarlyWarningAlert.create(alert);
+        await openAlert.update({
+            metricValue: evaluation.metricValue,
+            recoveryStreak,
+            status: "Monitoring",
+        });
+        if (fromStatus !== "Monitoring") {
+            await recordAlertHistory(openAlert, "Monitoring", SYSTEM_ACTOR, { fromStatus, note: "Metric kembali dalam threshold" });
         }
+        return openAlert;
+    }
+
+    // Anomali terdeteksi, belum ada alert terbuka
+    if (!openAlert) {
+        const alert = await EarlyWarningAlert.create({
+            ...evaluation,
+            status: "Active",
+            lastDetectedDate: evaluation.detectedDate,
+        });
+        await recordAlertHistory(alert, "Created", SYSTEM_ACTOR, { fromStatus: null, note: evaluation.description });
+        await notifyAlertCreated(alert);
+        return alert;
+    }
+
+    // Anomali terdeteksi lagi → update alert yang sama
+    const fromStatus = openAlert.status;
+    const improved = evaluation.deviationPercentage < parseFloat(openAlert.deviationPercentage);
+    const toStatus = improved ? "Monitoring" : "Active";
+    await openAlert.update({
+        severity: evaluation.severity,
+        metricName: evaluation.metricName,
+        metricValue: evaluation.metricValue,
+        thresholdValue: evaluation.thresholdValue,
+        deviationPercentage: evaluation.deviationPercentage,
+        description: evaluation.description,
+        qwenAnalysis: evaluation.qwenAnalysis ?? openAlert.qwenAnalysis,
+        lastDetectedDate: evaluation.detectedDate,
+        occurrenceCount: openAlert.occurrenceCount + 1,
+        recoveryStreak: 0,
+        status: toStatus,
+    });
+    if (fromStatus !== toStatus) {
+        await recordAlertHistory(openAlert, improved ? "Monitoring" : "Reactivated", SYSTEM_ACTOR, { fromStatus, note: evaluation.description });
+    }
+    return openAlert;
+}
+
+/* =====================================================
+   ALERT ACTIONS & HISTORY
+   Dipanggil dari route bank / merchant. Setiap perubahan status
+   dan komentar dicatat di alert_history (siapa + kapan).
+===================================================== */
 
-        logger.info(`[Early Warning] Detected ${alerts.length} anomalies for merchant ${merchantId}`);
-        return alerts;
+/**
+ * Append one entry to the alert history
+ */
+async function recordAlertHistory(alert, action, actor, { fromStatus = alert.status, note = null } = {}) {
+    return await AlertHistory.create({
+        alertId: alert.id,
+        action,
+        fromStatus,
+        toStatus: alert.status,
+        actorType: actor.type,
+        actorUserId: actor.userId || null,
+        actorName: actor.name,
+        note,
+    });
+}
+
+/**
+ * Email alert baru ke pemilik merchant. Gagal kirim hanya di-log, tidak menggagalkan deteksi.
+ */
+async function notifyAlertCreated(alert) {
+    try {
+        const merchant = await Merchant.findByPk(alert.merchantId, { include: [{ model: User, attributes: ["email", "companyName"] }] });
+        if (!merchant?.User) return;
+
+        await sendMail("alertNotification", merchant.User.email, {
+            companyName: merchant.User.companyName,
+            alertType: alert.alertType,
+            severity: alert.severity,
+            description: alert.description,
+            dashboardUrl: frontendUrl("/dashboard"),
+        });
     } catch (error) {
-        logger.error(`Early Warning Detection Error: ${error.message}`);
-        return [];
+        logger.error(`Alert notification error for ${alert.merchantId}: ${error.message}`);
     }
 }
 
+/**
+ * Load an alert, optionally scoped to one merchant (merchant users can only touch their own alerts)
+ */
+async function findAlertForActor(alertId, merchantId = null) {
+    if (!isUuid(alertId)) {
+        throw {
+            statusCode: 404,
+            message: "Alert tidak ditemukan",
+        };
+    }
+
+    const where = { id: alertId };
+    if (merchantId) where.merchantId = merchantId;
+
+    const alert = await EarlyWarningAlert.findOne({ where });
+    if (!alert) {
+        throw {
+            statusCode: 404,
+            message: "Alert tidak ditemukan",
+        };
+    }
+    return alert;
+}
+
+function assertAlertOpen(alert) {
+    if (alert.status === "Resolved") {
+        throw {
+            statusCode: 400,
+            message: "Alert sudah resolved",
+        };
+    }
+}
+
+function appendNote(alert, actor, note) {
+    const entry = `[${new Date().toISOString()}] ${actor.name}: ${note}`;
+    return alert.notes ? `${alert.notes}\n${entry}` : entry;
+}
+
+/**
+ * Acknowledge an alert (status tidak berubah)
+ */
+export async function acknowledgeAlert(alertId, actor, { merchantId = null, note = null } = {}) {
+    const alert = await findAlertForActor(alertId, merchantId);
+    assertAlertOpen(alert);
+
+    await alert.update({
+        acknowledgedDate: new Date(),
+        acknowledgedBy: actor.name,
+        ...(note ? { notes: appendNote(alert, actor, note) } : {}),
+    });
+    await recordAlertHistory(alert, "Acknowledged", actor, { note });
+
+    logger.info(`[Early Warning] Alert ${alertId} acknowledged by ${actor.name}`);
+    return alert;
+}
+
+/**
+ * Move an alert to Monitoring
+ */
+export async function moveAlertToMonitoring(alertId, actor, { merchantId = null, note = null } = {}) {
+    const alert = await findAlertForActor(alertId, merchantId);
+    assertAlertOpen(alert);
+
+    const fromStatus = alert.status;
+    await alert.update({
+        status: "Monitoring",
+        ...(note ? { notes: appendNote(alert, actor, note) } : {}),
+    });
+    await recordAlertHistory(alert, "Monitoring", actor, { fromStatus, note });
+
+    logger.info(`[Early Warning] Alert ${alertId} moved to Monitoring by ${actor.name}`);
+    return alert;
+}
+
+/**
+ * Add a note / comment to an alert
+ */
+export async function addAlertNote(alertId, actor, note, { merchantId = null } = {}) {
+    const alert = await findAlertForActor(alertId, merchantId);
+
+    await alert.update({ notes: appendNote(alert, actor, note) });
+    await recordAlertHistory(alert, "Comment", actor, { note });
+
+    return alert;
+}
+
+/**
+ * Shape an alert (+ optional history) for API responses
+ */
+export function serializeAlert(alert, history = null) {
+    return {
+        id: alert.id,
+        merchantId: alert.merchantId,
+        type: alert.alertType,
+        severity: alert.severity,
+        status: alert.status,
+        metric: alert.metricName,
+        value: alert.metricValue,
+        threshold: alert.thresholdValue,
+        detected: alert.detectedDate,
+        lastDetected: alert.lastDetectedDate,
+        acknowledgedBy: alert.acknowledgedBy,
+        acknowledgedAt: alert.acknowledgedDate,
+        resolved: alert.isResolved,
+        resolvedBy: alert.resolvedBy,
+        resolvedAt: alert.resolvedDate,
+        notes: alert.notes,
+        ...(history
+            ? {
+                  history: history.map((h) => ({
+                      action: h.action,
+                      fromStatus: h.fromStatus,
+                      toStatus: h.toStatus,
+                      actorType: h.actorType,
+                      actor: h.actorName,
+                      note: h.note,
+                      at: h.createdAt,
+                  })),
+              }
+            : {}),
+    };
+}
+
+/**
+ * Get status changes & comments of an alert, oldest first
+ */
+export async function getAlertHistory(alertId, { merchantId = null } = {}) {
+    const alert = await findAlertForActor(alertId, merchantId);
+
+    const history = await AlertHistory.findAll({
+        where: { alertId },
+        order: [["createdAt", "ASC"]],
+    });
+
+    return { alert, history };
+}
+
 /**
  * Detect revenue drop anomaly
  */
@@ -97,11 +412,12 @@ async function detectRevenueDropAnomaly(merchantId) {
                 isResolved: false,
             };
         }
+
+        return withinThreshold("Revenue Drop", avgLast10, dropPercentage);
     } catch (error) {
         logger.error(`Revenue Drop Detection Error: ${error.message}`);
+        throw error;
     }
-
-    return null;
 }
 
 /**
@@ -162,11 +478,12 @@ async function detectRefundSpikeAnomaly(merchantId) {
                 isResolved: false,
             };
         }
+
+        return withinThreshold("Refund Spike", lastRefundRate, spikePercentage);
     } catch (error) {
         logger.error(`Refund Spike Detection Error: ${error.message}`);
+        throw error;
     }
-
-    return null;
 }
 
 /**
@@ -227,11 +544,12 @@ async function detectSettlementDelayAnomaly(merchantId) {
                 isResolved: false,
             };
         }
+
+        return withinThreshold("Settlement Delay", avgSettlementDays, ((avgSettlementDays - SETTLEMENT_THRESHOLD) / SETTLEMENT_THRESHOLD) * 100);
     } catch (error) {
         logger.error(`Settlement Delay Detection Error: ${error.message}`);
+        throw error;
     }
-
-    return null;
 }
 
 /**
@@ -291,11 +609,12 @@ async function detectTransactionDropAnomaly(merchantId) {
                 isResolved: false,
             };
         }
+
+        return withinThreshold("Transaction Drop", avgTransactionsLast10, dropPercentage);
     } catch (error) {
         logger.error(`Transaction Drop Detection Error: ${error.message}`);
+        throw error;
     }
-
-    return null;
 }
 
 /**
@@ -344,11 +663,12 @@ async function detectScoreDropAnomaly(merchantId) {
                 isResolved: false,
             };
         }
+
+        return withinThreshold("Score Drop", latestScore, (scoreDrop / previousScore) * 100);
     } catch (error) {
         logger.error(`Score Drop Detection Error: ${error.message}`);
+        throw error;
     }
-
-    return null;
 }
 
 /**
@@ -371,26 +691,37 @@ export async function getActiveAlerts(merchantId) {
 
 /**
  * Mark alert as resolved
+ * `resolvedBy` boleh string (nama) atau actor { type, userId, name }
  */
-export async function markAlertResolved(alertId, resolvedBy = "system") {
-    try {
-        return await EarlyWarningAlert.update(
-            {
-                isResolved: true,
-                status: "Resolved",
-                resolvedDate: new Date(),
-                resolvedBy,
-            },
-            { where: { id: alertId } },
-        );
-    } catch (error) {
-        logger.error(`Mark Alert Resolved Error: ${error.message}`);
-        return null;
-    }
+export async function markAlertResolved(alertId, resolvedBy = "system", { merchantId = null, note = null } = {}) {
+    const actor = typeof resolvedBy === "string" ? { ...SYSTEM_ACTOR, name: resolvedBy } : resolvedBy;
+
+    const alert = await findAlertForActor(alertId, merchantId);
+    assertAlertOpen(alert);
+
+    const fromStatus = alert.status;
+    await alert.update({
+        isResolved: true,
+        status: "Resolved",
+        resolvedDate: new Date(),
+        resolvedBy: actor.name,
+        ...(note ? { notes: appendNote(alert, actor, note) } : {}),
+    });
+    await recordAlertHistory(alert, "Resolved", actor, { fromStatus, note });
+
+    logger.info(`[Early Warning] Alert ${alertId} resolved by ${actor.name}`);
+    return alert;
 }
 
 export default {
     detectAnomalies,
+    runAnomalyDetection,
+    applyAlertLifecycle,
     getActiveAlerts,
     markAlertResolved,
+    acknowledgeAlert,
+    moveAlertToMonitoring,
+    addAlertNote,
+    getAlertHistory,
+    serializeAlert,
 };
@@ -0,0 +1,164 @@
+import { Op } from "sequelize";
+import FeeSchedule from "../models/FeeSchedule.js";
+import Merchant from "../models/Merchant.js";
+import { REVENUE_BASES } from "../config/fees.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   FEE SCHEDULE (MDR)
+   Fee transaksi = persen dari nominal + biaya tetap, dari versi tarif
+   yang berlaku pada tanggal transaksi. Override merchant mengalahkan
+   tarif default, tarif per channel mengalahkan tarif per metode.
+===================================================== */
+
+const toDateOnly = (date) => new Date(date).toISOString().split("T")[0];
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const serializeFeeSchedule = (schedule) => ({
+    feeScheduleId: schedule.id,
+    merchantId: schedule.merchantId,
+    paymentMethod: schedule.paymentMethod,
+    paymentChannel: schedule.paymentChannel,
+    percentageFee: parseFloat(schedule.percentageFee),
+    fixedFee: parseFloat(schedule.fixedFee),
+    effectiveFrom: schedule.effectiveFrom,
+    effectiveTo: schedule.effectiveTo,
+    description: schedule.description,
+    createdAt: schedule.createdAt,
+});
+
+/**
+ * Versi tarif yang berlaku untuk transaksi dari daftar kandidat, atau null jika tidak ada
+ */
+export const selectFeeSchedule = (schedules, { paymentMethod, paymentChannel = null, merchantId, date }) => {
+    const day = toDateOnly(date);
+
+    const applicable = schedules.filter(
+        (s) =>
+            s.paymentMethod === paymentMethod &&
+            (s.paymentChannel === null || s.paymentChannel === paymentChannel) &&
+            (s.merchantId === null || s.merchantId === merchantId) &&
+            s.effectiveFrom <= day &&
+            (!s.effectiveTo || s.effectiveTo >= day),
+    );
+
+    const specificity = (s) => (s.merchantId ? 2 : 0) + (s.paymentChannel ? 1 : 0);
+    applicable.sort((a, b) => specificity(b) - specificity(a) || (a.effectiveFrom < b.effectiveFrom ? 1 : a.effectiveFrom > b.effectiveFrom ? -1 : 0));
+
+    return applicable[0] || null;
+};
+
+/**
+ * Fee & nominal bersih. Tanpa tarif (mis. CASH) fee 0; fee tidak pernah melebihi nominal.
+ */
+export const calculateFee = (amount, schedule) => {
+    const gross = parseFloat(amount);
+    if (!schedule) return { feeAmount: 0, netAmount: gross };
+
+    const fee = Math.min(gross, round2((gross * parseFloat(schedule.percentageFee)) / 100 + parseFloat(schedule.fixedFee)));
+    return { feeAmount: fee, netAmount: round2(gross - fee) };
+};
+
+/**
+ * Field fee untuk transaksi yang baru sukses: { feeAmount, netAmount, metadata } — disimpan oleh pemanggil.
+ * Tarif yang dipakai dicatat di metadata.fee.
+ */
+export const transactionFeeFields = async (transaction) => {
+    const day = toDateOnly(transaction.transactionDate || new Date());
+
+    const candidates = await FeeSchedule.findAll({
+        where: { paymentMethod: transaction.paymentMethod, effectiveFrom: { [Op.lte]: day } },
+        raw: true,
+    });
+    const schedule = selectFeeSchedule(candidates, {
+        paymentMethod: transaction.paymentMethod,
+        paymentChannel: transaction.paymentChannel || null,
+        merchantId: transaction.merchantId,
+        date: day,
+    });
+    const { feeAmount, netAmount } = calculateFee(transaction.amount, schedule);
+
+    return {
+        feeAmount,
+        netAmount,
+        metadata: {
+            ...transaction.metadata,
+            fee: schedule ? { feeScheduleId: schedule.id, percentageFee: parseFloat(schedule.percentageFee), fixedFee: parseFloat(schedule.fixedFee) } : null,
+        },
+    };
+};
+
+/**
+ * Revenue satu row DailyRevenue / OutletDailyRevenue. Hari tanpa netAmount (sebelum MDR dihitung) memakai gross.
+ */
+export const dailyRevenueAmount = (row, revenueBasis = REVENUE_BASES.GROSS) => {
+    if (revenueBasis === REVENUE_BASES.NET && row.netAmount !== null && row.netAmount !== undefined) {
+        return parseFloat(row.netAmount);
+    }
+    return parseFloat(row.totalAmount || 0);
+};
+
+export const listFeeSchedules = async ({ merchantId, paymentMethod } = {}) => {
+    const where = {};
+    if (merchantId) where.merchantId = merchantId;
+    if (paymentMethod) where.paymentMethod = paymentMethod;
+
+    return await FeeSchedule.findAll({
+        where,
+        order: [
+            ["paymentMethod", "ASC"],
+            ["effectiveFrom", "DESC"],
+        ],
+    });
+};
+
+/**
+ * Versi tarif baru. Throw 404 jika merchant override tidak ada, 409 jika versi dengan
+ * tanggal berlaku yang sama sudah ada untuk metode / channel / merchant tersebut.
+ */
+export const createFeeSchedule = async (data, actor) => {
+    const merchantId = data.merchantId || null;
+    const paymentChannel = data.paymentChannel || null;
+
+    if (merchantId && !(await Merchant.findByPk(merchantId))) {
+        throw {
+            statusCode: 404,
+            message: "Merchant tidak ditemukan",
+        };
+    }
+
+    const effectiveFrom = toDateOnly(data.effectiveFrom);
+    const existing = await FeeSchedule.count({ where: { merchantId, paymentMethod: data.paymentMethod, paymentChannel, effectiveFrom } });
+    if (existing > 0) {
+        throw {
+            statusCode: 409,
+            message: "Tarif dengan tanggal berlaku yang sama sudah ada",
+        };
+    }
+
+    const schedule = await FeeSchedule.create({
+        merchantId,
+        paymentMethod: data.paymentMethod,
+        paymentChannel,
+        percentageFee: data.percentageFee,
+        fixedFee: data.fixedFee,
+        effectiveFrom,
+        effectiveTo: data.effectiveTo ? toDateOnly(data.effectiveTo) : null,
+        description: data.description || null,
+        createdBy: actor.userId,
+    });
+
+    logger.info(`Fee schedule created: ${schedule.paymentMethod}${paymentChannel ? ` ${paymentChannel}` : ""} ${schedule.percentageFee}% + Rp ${schedule.fixedFee} from ${effectiveFrom}${merchantId ? ` (merchant ${merchantId})` : ""} by ${actor.email}`);
+
+    return schedule;
+};
+
+export default {
+    serializeFeeSchedule,
+    selectFeeSchedule,
+    calculateFee,
+    transactionFeeFields,
+    dailyRevenueAmount,
+    listFeeSchedules,
+    createFeeSchedule,
+};
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   IDEMPOTENCY KEYS
+   Client (mis. POS yang retry setelah timeout) mengirim header
+   Idempotency-Key. Request pertama disimpan beserta hash body &
+   response-nya; retry dengan key + body yang sama mendapat response
+   yang sama tanpa membuat transaksi baru.
+===================================================== */
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// Key Processing lebih lama dari ini dianggap ditinggal (proses mati di tengah request)
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// JSON dengan urutan key tetap, supaya body yang sama selalu menghasilkan hash yang sama
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+        const entries = Object.keys(value)
+            .filter((k) => value[k] !== undefined)
+            .sort()
+            .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`);
+        return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value);
+};
+
+export const hashRequest = (body) => crypto.createHash("sha256").update(canonicalJson(body)).digest("hex");
+
+const inProgress = () => ({
+    statusCode: 409,
+    message: "Request dengan Idempotency-Key ini masih diproses",
+});
+
+/**
+ * Reservasi key untuk request baru, atau ambil response tersimpan untuk retry.
+ * Return { record } (lanjutkan request) atau { replay } (kirim ulang response tersimpan).
+ * Throw 422 jika key dipakai ulang dengan body / endpoint berbeda, 409 jika request pertama masih berjalan.
+ */
+export const reserveIdempotencyKey = async ({ merchantId, key, scope, requestHash }) => {
+    const now = new Date();
+    const existing = await IdempotencyKey.findOne({ where: { merchantId, key } });
+
+    if (existing) {
+        const expired = existing.expiresAt <= now;
+        const abandoned = existing.status === "Processing" && now - existing.updatedAt > PROCESSING_TIMEOUT_MS;
+
+        if (!expired && !abandoned) {
+            if (existing.scope !== scope || existing.requestHash !== requestHash) {
+                throw {
+                    statusCode: 422,
+                    message: "Idempotency-Key sudah dipakai untuk request yang berbeda",
+                };
+            }
+            if (existing.status === "Processing") throw inProgress();
+
+            return { replay: existing };
+        }
+
+        await existing.destroy();
+    }
+
+    try {
+        const record = await IdempotencyKey.create({
+            merchantId,
+            key,
+            scope,
+            requestHash,
+            expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000),
+        });
+        return { record };
+    } catch (error) {
+        // Request lain dengan key yang sama masuk bersamaan
+        if (error.name === "SequelizeUniqueConstraintError") throw inProgress();
+        throw error;
+    }
+};
+
+/**
+ * Simpan response sukses — retry berikutnya mendapat response ini
+ */
+export const completeIdempotencyKey = async (record, statusCode, body) => {
+    await record.update({
+        status: "Completed",
+        responseStatus: statusCode,
+        responseBody: JSON.parse(JSON.stringify(body)),
+    });
+};
+
+/**
+ * Request gagal: hapus key supaya client bisa retry dengan key yang sama
+ */
+export const releaseIdempotencyKey = async (record) => {
+    await record.destroy();
+    logger.info(`Idempotency key released: ${record.scope} (merchant ${record.merchantId})`);
+};
+
+export default {
+    hashRequest,
+    reserveIdempotencyKey,
+    completeIdempotencyKey,
+    releaseIdempotencyKey,
+};
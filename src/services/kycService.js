@@ -0,0 +1,260 @@
+import crypto from "crypto";
+import { validate as isUuid } from "uuid";
+import User from "../models/User.js";
+import Merchant from "../models/Merchant.js";
+import KycDocument from "../models/KycDocument.js";
+import { KYC_STATUSES, KYC_TRANSITIONS, KYC_DOCUMENT_TYPES, KYC_CONTENT_TYPES } from "../config/kyc.js";
+import { getStorage } from "../storage/documentStorage.js";
+import { sendMail, frontendUrl } from "./mailService.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   KYC ONBOARDING
+   Merchant upload KTP, NPWP & NIB lalu submit; platform admin
+   memverifikasi atau menolak. Status ditampilkan ke bank.
+===================================================== */
+
+const REQUIRED_DOCUMENTS = Object.values(KYC_DOCUMENT_TYPES);
+
+// Magic bytes per Content-Type — isi file harus cocok dengan header yang dikirim
+const FILE_SIGNATURES = {
+    "image/jpeg": [0xff, 0xd8, 0xff],
+    "image/png": [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    "application/pdf": [0x25, 0x50, 0x44, 0x46, 0x2d],
+};
+
+export const serializeKycDocument = (document) => ({
+    documentId: document.id,
+    documentType: document.documentType,
+    contentType: document.contentType,
+    size: document.size,
+    uploadedAt: document.updatedAt,
+});
+
+export const serializeKyc = (merchant, documents) => ({
+    merchantId: merchant.merchantId,
+    status: merchant.kycStatus,
+    submittedAt: merchant.kycSubmittedAt,
+    reviewedAt: merchant.kycReviewedAt,
+    rejectionReason: merchant.kycStatus === KYC_STATUSES.REJECTED ? merchant.kycRejectionReason : null,
+    documents: documents.map(serializeKycDocument),
+    missingDocuments: REQUIRED_DOCUMENTS.filter((type) => !documents.some((d) => d.documentType === type)),
+});
+
+/**
+ * Content-Type berdasarkan isi file, atau null jika bukan JPG / PNG / PDF
+ */
+export const detectContentType = (buffer) => {
+    const match = Object.entries(FILE_SIGNATURES).find(([, signature]) => signature.every((byte, i) => buffer[i] === byte));
+    return match ? match[0] : null;
+};
+
+/**
+ * Pindahkan status KYC. Throw 409 jika transisi tidak diizinkan.
+ */
+const transitionKyc = async (merchant, toStatus, updates = {}) => {
+    const fromStatus = merchant.kycStatus;
+    if (!KYC_TRANSITIONS[fromStatus]?.includes(toStatus)) {
+        throw {
+            statusCode: 409,
+            message: `Status KYC tidak bisa diubah dari ${fromStatus} ke ${toStatus}`,
+        };
+    }
+
+    await merchant.update({ kycStatus: toStatus, ...updates });
+    logger.info(`Merchant ${merchant.merchantId} KYC: ${fromStatus} → ${toStatus}`);
+
+    return merchant;
+};
+
+export const listKycDocuments = async (merchantId) => {
+    return await KycDocument.findAll({ where: { merchantId }, order: [["documentType", "ASC"]] });
+};
+
+const assertDocumentType = (documentType) => {
+    if (!REQUIRED_DOCUMENTS.includes(documentType)) {
+        throw {
+            statusCode: 400,
+            message: `Jenis dokumen harus salah satu dari: ${REQUIRED_DOCUMENTS.join(", ")}`,
+        };
+    }
+};
+
+/**
+ * Upload / ganti 1 dokumen KYC. Hanya bisa saat status Draft atau Rejected.
+ */
+export const uploadKycDocument = async (merchant, documentType, { buffer, contentType }, actor) => {
+    assertDocumentType(documentType);
+
+    if (![KYC_STATUSES.DRAFT, KYC_STATUSES.REJECTED].includes(merchant.kycStatus)) {
+        throw {
+            statusCode: 409,
+            message: `Dokumen tidak bisa diubah saat status KYC ${merchant.kycStatus}`,
+        };
+    }
+
+    if (!KYC_CONTENT_TYPES[contentType] || detectContentType(buffer) !== contentType) {
+        throw {
+            statusCode: 415,
+            message: "File harus berupa JPG, PNG atau PDF",
+        };
+    }
+
+    const storage = getStorage();
+    const storageKey = `kyc/${merchant.merchantId}/${documentType}-${crypto.randomUUID()}.${KYC_CONTENT_TYPES[contentType]}`;
+    await storage.put(storageKey, buffer);
+
+    const data = {
+        storageKey,
+        contentType,
+        size: buffer.length,
+        checksum: crypto.createHash("sha256").update(buffer).digest("hex"),
+        uploadedBy: actor.userId,
+    };
+
+    let document = await KycDocument.findOne({ where: { merchantId: merchant.merchantId, documentType } });
+    const previousKey = document?.storageKey;
+
+    if (document) {
+        await document.update(data);
+    } else {
+        document = await KycDocument.create({ merchantId: merchant.merchantId, documentType, ...data });
+    }
+
+    // File lama dihapus setelah row menunjuk ke file baru
+    if (previousKey) {
+        await storage.remove(previousKey);
+    }
+
+    logger.info(`Merchant ${merchant.merchantId} uploaded KYC document ${documentType} (${buffer.length} bytes) by ${actor.email}`);
+
+    return document;
+};
+
+/**
+ * Submit KYC untuk direview: semua dokumen wajib ada & NPWP / NIB sudah diisi di profil bisnis
+ */
+export const submitKyc = async (merchant) => {
+    const documents = await listKycDocuments(merchant.merchantId);
+    const { missingDocuments } = serializeKyc(merchant, documents);
+
+    if (missingDocuments.length > 0) {
+        throw {
+            statusCode: 400,
+            message: `Dokumen belum lengkap: ${missingDocuments.join(", ")}`,
+        };
+    }
+
+    if (!merchant.taxId || !merchant.businessLicenseNumber) {
+        throw {
+            statusCode: 400,
+            message: "Lengkapi NPWP dan NIB / SIUP di profil bisnis sebelum submit KYC",
+        };
+    }
+
+    await transitionKyc(merchant, KYC_STATUSES.SUBMITTED, { kycSubmittedAt: new Date(), kycRejectionReason: null });
+
+    return { merchant, documents };
+};
+
+/**
+ * Merchant beserta email owner. Throw 404 jika tidak ada.
+ */
+export const getKycMerchantOrFail = async (merchantId) => {
+    const merchant = await Merchant.findByPk(merchantId, { include: [{ model: User, attributes: ["email", "companyName"] }] });
+    if (!merchant) {
+        throw {
+            statusCode: 404,
+            message: "Merchant tidak ditemukan",
+        };
+    }
+    return merchant;
+};
+
+/**
+ * Merchant untuk antrean review admin, terlama submit dulu
+ */
+export const listKycMerchants = async ({ status = KYC_STATUSES.SUBMITTED, limit = 50, offset = 0 } = {}) => {
+    const { count, rows } = await Merchant.findAndCountAll({
+        where: { kycStatus: status },
+        include: [{ model: User, attributes: ["email", "companyName"] }],
+        order: [
+            ["kycSubmittedAt", "ASC"],
+            ["createdAt", "ASC"],
+        ],
+        limit,
+        offset,
+    });
+
+    return { total: count, merchants: rows };
+};
+
+/**
+ * Keputusan admin atas KYC yang sudah disubmit. Owner merchant diberi tahu lewat email.
+ */
+export const reviewKyc = async (merchantId, { status, reason }, actor) => {
+    const merchant = await getKycMerchantOrFail(merchantId);
+    const approved = status === KYC_STATUSES.VERIFIED;
+
+    await transitionKyc(merchant, status, {
+        kycReviewedAt: new Date(),
+        kycReviewedBy: actor.userId,
+        kycRejectionReason: approved ? null : reason,
+    });
+
+    await sendMail("kycReviewed", merchant.User.email, {
+        companyName: merchant.User.companyName,
+        approved,
+        reason,
+        kycUrl: frontendUrl("/kyc"),
+    });
+
+    return merchant;
+};
+
+/**
+ * Merchant Verified yang mengubah NPWP / NIB harus diverifikasi ulang.
+ * Perubahan ditolak selama KYC sedang direview.
+ */
+export const handleIdentityChange = async (merchant) => {
+    if (merchant.kycStatus === KYC_STATUSES.SUBMITTED) {
+        throw {
+            statusCode: 409,
+            message: "NPWP dan NIB / SIUP tidak bisa diubah selama KYC sedang direview",
+        };
+    }
+
+    if (merchant.kycStatus === KYC_STATUSES.VERIFIED) {
+        await transitionKyc(merchant, KYC_STATUSES.DRAFT, { kycSubmittedAt: null, kycReviewedAt: null, kycReviewedBy: null });
+    }
+};
+
+/**
+ * Isi file dokumen untuk direview admin
+ */
+export const getKycDocumentFile = async (merchantId, documentId) => {
+    const document = isUuid(documentId) ? await KycDocument.findOne({ where: { id: documentId, merchantId } }) : null;
+    if (!document) {
+        throw {
+            statusCode: 404,
+            message: "Dokumen tidak ditemukan",
+        };
+    }
+
+    const buffer = await getStorage().get(document.storageKey);
+    return { document, buffer };
+};
+
+export default {
+    serializeKycDocument,
+    serializeKyc,
+    detectContentType,
+    listKycDocuments,
+    uploadKycDocument,
+    submitKyc,
+    getKycMerchantOrFail,
+    listKycMerchants,
+    reviewKyc,
+    handleIdentityChange,
+    getKycDocumentFile,
+};
@@ -0,0 +1,176 @@
+import { Op } from "sequelize";
+import LoginThrottle from "../models/LoginThrottle.js";
+import { createEmailToken, hashEmailToken } from "../utils/emailTokens.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   LOGIN THROTTLING & LOCKOUT
+   Login gagal dihitung per email dan per IP:
+   - setelah N gagal (free attempts) → wajib menunggu (1s, 2s, 4s, ... max LOGIN_MAX_DELAY_SECONDS)
+   - setelah lockout threshold → dikunci LOGIN_LOCKOUT_MINUTES
+   - hitungan direset jika tidak ada gagal selama LOGIN_FAILURE_WINDOW_MINUTES
+   Email yang terkunci bisa dibuka lewat link di email atau oleh platform admin.
+===================================================== */
+
+const envInt = (name, fallback) => parseInt(process.env[name] ?? String(fallback));
+
+const limits = () => ({
+    email: {
+        freeAttempts: envInt("LOGIN_EMAIL_FREE_ATTEMPTS", 3),
+        lockoutThreshold: envInt("LOGIN_EMAIL_LOCKOUT_THRESHOLD", 10),
+    },
+    ip: {
+        freeAttempts: envInt("LOGIN_IP_FREE_ATTEMPTS", 20),
+        lockoutThreshold: envInt("LOGIN_IP_LOCKOUT_THRESHOLD", 100),
+    },
+    lockoutMinutes: envInt("LOGIN_LOCKOUT_MINUTES", 30),
+    maxDelaySeconds: envInt("LOGIN_MAX_DELAY_SECONDS", 60),
+    windowMinutes: envInt("LOGIN_FAILURE_WINDOW_MINUTES", 15),
+});
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const throttleKeys = (email, ipAddress) => {
+    const keys = [{ scope: "email", key: normalizeEmail(email) }];
+    if (ipAddress) keys.push({ scope: "ip", key: ipAddress });
+    return keys;
+};
+
+/**
+ * Hitungan gagal yang masih berlaku: 0 jika lock sudah habis atau gagal terakhir di luar window
+ */
+const activeFailures = (record, config, now) => {
+    if (record.lockedUntil) {
+        return record.lockedUntil > now ? record.failedCount : 0;
+    }
+    if (!record.lastFailedAt || now - record.lastFailedAt > config.windowMinutes * 60 * 1000) {
+        return 0;
+    }
+    return record.failedCount;
+};
+
+const delaySeconds = (failures, freeAttempts, maxDelaySeconds) => {
+    if (failures < freeAttempts) return 0;
+    return Math.min(2 ** (failures - freeAttempts), maxDelaySeconds);
+};
+
+/**
+ * Throw 423 (terkunci) atau 429 (masih dalam jeda) sebelum password dicek
+ */
+export const assertLoginAllowed = async (email, ipAddress) => {
+    const config = limits();
+    const now = new Date();
+    const records = await LoginThrottle.findAll({ where: { [Op.or]: throttleKeys(email, ipAddress) } });
+
+    for (const record of records) {
+        if (record.lockedUntil && record.lockedUntil > now) {
+            throw {
+                statusCode: 423,
+                message:
+                    record.scope === "email"
+                        ? "Akun dikunci sementara karena terlalu banyak percobaan login gagal. Cek email Anda untuk membuka kunci atau coba lagi nanti."
+                        : "Terlalu banyak percobaan login gagal dari alamat IP ini. Coba lagi nanti.",
+                retryAfter: Math.ceil((record.lockedUntil - now) / 1000),
+            };
+        }
+
+        const failures = activeFailures(record, config, now);
+        const wait = delaySeconds(failures, config[record.scope].freeAttempts, config.maxDelaySeconds);
+        const remaining = wait && Math.ceil((record.lastFailedAt.getTime() + wait * 1000 - now.getTime()) / 1000);
+
+        if (remaining > 0) {
+            throw {
+                statusCode: 429,
+                message: `Terlalu banyak percobaan login. Coba lagi dalam ${remaining} detik.`,
+                retryAfter: remaining,
+            };
+        }
+    }
+};
+
+/**
+ * Catat 1 login gagal. Jika email baru saja terkunci, return { lockedUntil, unlockToken }
+ * (token asli untuk dikirim via email); selain itu null.
+ */
+export const recordLoginFailure = async (email, ipAddress) => {
+    const config = limits();
+    let emailLock = null;
+
+    for (const { scope, key } of throttleKeys(email, ipAddress)) {
+        const now = new Date();
+        const [record] = await LoginThrottle.findOrCreate({ where: { scope, key } });
+
+        if (record.failedCount > 0 && activeFailures(record, config, now) === 0) {
+            await record.update({ failedCount: 0, lockedUntil: null, unlockToken: null });
+        }
+
+        await record.increment("failedCount");
+        await record.reload();
+
+        const changes = { lastFailedAt: now };
+        if (record.failedCount >= config[scope].lockoutThreshold && !(record.lockedUntil > now)) {
+            changes.lockedUntil = new Date(now.getTime() + config.lockoutMinutes * 60 * 1000);
+
+            if (scope === "email") {
+                const { token, hash } = createEmailToken();
+                changes.unlockToken = hash;
+                emailLock = { lockedUntil: changes.lockedUntil, unlockToken: token };
+            }
+            logger.warn(`Login locked for ${scope} ${key} until ${changes.lockedUntil.toISOString()} after ${record.failedCount} failed attempts`);
+        }
+
+        await record.update(changes);
+    }
+
+    return emailLock;
+};
+
+/**
+ * Login berhasil → reset hitungan email. Hitungan IP tidak direset
+ * (1 akun valid tidak boleh membuka jalan brute force akun lain dari IP yang sama).
+ */
+export const clearLoginFailures = async (email) => {
+    await LoginThrottle.destroy({ where: { scope: "email", key: normalizeEmail(email) } });
+};
+
+/**
+ * Buka kunci dengan token dari email. Return email yang dibuka kuncinya.
+ */
+export const unlockWithToken = async (token) => {
+    const record = await LoginThrottle.findOne({
+        where: { scope: "email", unlockToken: hashEmailToken(token), lockedUntil: { [Op.gt]: new Date() } },
+    });
+
+    if (!record) {
+        throw {
+            statusCode: 400,
+            message: "Token unlock tidak valid atau sudah kadaluarsa",
+        };
+    }
+
+    await record.destroy();
+    logger.info(`Login unlocked by email link: ${record.key}`);
+
+    return record.key;
+};
+
+/**
+ * Buka kunci oleh admin. Return true jika email memang sedang terkunci.
+ */
+export const unlockEmail = async (email, actor = null) => {
+    const record = await LoginThrottle.findOne({ where: { scope: "email", key: normalizeEmail(email) } });
+    const wasLocked = Boolean(record?.lockedUntil && record.lockedUntil > new Date());
+
+    if (record) await record.destroy();
+    logger.info(`Login unlocked for ${email} by ${actor || "system"} (was locked: ${wasLocked})`);
+
+    return wasLocked;
+};
+
+export default {
+    assertLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures,
+    unlockWithToken,
+    unlockEmail,
+};
@@ -0,0 +1,101 @@
+import { Op } from "sequelize";
+import MailOutbox from "../models/MailOutbox.js";
+import { renderTemplate } from "../mail/templates.js";
+import { getTransport } from "../mail/transports.js";
+import { frontendBaseUrl } from "../config/frontend.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   MAIL SERVICE
+   sendMail → render template → simpan ke outbox → kirim lewat transport.
+   Gagal kirim tidak melempar error: email tetap Pending dan dicoba ulang job.
+===================================================== */
+
+const MAX_ATTEMPTS = () => parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const MAIL_FROM = () => process.env.MAIL_FROM || "PayBaba <no-reply@paybaba.id>";
+
+/**
+ * URL frontend untuk link di email
+ */
+export const frontendUrl = (pathname) => `${frontendBaseUrl()}${pathname}`;
+
+/**
+ * Kirim 1 email dari outbox. Return true jika terkirim.
+ */
+export const deliverMail = async (mail) => {
+    const transport = getTransport();
+    const attempts = mail.attempts + 1;
+
+    try {
+        const { messageId } = await transport.send({
+            from: MAIL_FROM(),
+            to: mail.recipient,
+            subject: mail.subject,
+            text: mail.textBody,
+            html: mail.htmlBody,
+        });
+
+        await mail.update({
+            status: "Sent",
+            attempts,
+            transport: transport.name,
+            messageId,
+            sentAt: new Date(),
+            lastError: null,
+            textBody: null,
+            htmlBody: null,
+        });
+
+        logger.info(`[Mail] ${mail.template} sent to ${mail.recipient} via ${transport.name}`);
+        return true;
+    } catch (error) {
+        await mail.update({
+            status: attempts >= MAX_ATTEMPTS() ? "Failed" : "Pending",
+            attempts,
+            transport: transport.name,
+            lastError: error.message,
+        });
+
+        logger.warn(`[Mail] ${mail.template} to ${mail.recipient} failed (attempt ${attempts}): ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Render template, simpan di outbox, lalu coba kirim langsung
+ */
+export const sendMail = async (template, to, data) => {
+    const { subject, text, html } = renderTemplate(template, data);
+
+    const mail = await MailOutbox.create({
+        recipient: to,
+        template,
+        subject,
+        textBody: text,
+        htmlBody: html,
+    });
+
+    await deliverMail(mail);
+    return mail;
+};
+
+/**
+ * Email Pending yang perlu dicoba ulang (sudah pernah dicoba atau tertahan > 1 menit)
+ */
+export const findPendingMails = async (limit = 50) => {
+    return await MailOutbox.findAll({
+        where: {
+            status: "Pending",
+            updatedAt: { [Op.lt]: new Date(Date.now() - 60 * 1000) },
+        },
+        order: [["createdAt", "ASC"]],
+        limit,
+    });
+};
+
+export default {
+    sendMail,
+    deliverMail,
+    findPendingMails,
+    frontendUrl,
+};
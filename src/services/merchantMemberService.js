@@ -0,0 +1,226 @@
+import { Op } from "sequelize";
+import { validate as isUuid } from "uuid";
+import User from "../models/User.js";
+import Merchant from "../models/Merchant.js";
+import MerchantMember from "../models/MerchantMember.js";
+import { MERCHANT_ROLES, MERCHANT_MEMBER_ROLES } from "../config/roles.js";
+import { sendMail, frontendUrl } from "./mailService.js";
+import { revokeAllSessions } from "./sessionService.js";
+import { createEmailToken, hashEmailToken } from "../utils/emailTokens.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   MERCHANT MEMBERS
+   1 merchant bisa punya banyak user: owner, manager, cashier, viewer.
+   Owner mengundang staf lewat email; undangan diterima lewat
+   POST /api/auth/accept-invite. 1 user hanya aktif di 1 merchant.
+===================================================== */
+
+const INVITE_EXPIRY_DAYS = 7;
+
+export const serializeMember = (member) => ({
+    memberId: member.id,
+    userId: member.userId,
+    email: member.email,
+    fullName: member.User?.fullName || null,
+    role: member.role,
+    status: member.status,
+    inviteExpiry: member.status === "Invited" ? member.inviteExpiry : null,
+    joinedAt: member.joinedAt,
+    createdAt: member.createdAt,
+});
+
+/**
+ * Membership owner untuk merchant baru (dipanggil saat registrasi)
+ */
+export const addOwnerMembership = async (merchant, user) => {
+    return await MerchantMember.create({
+        merchantId: merchant.merchantId,
+        userId: user.id,
+        email: user.email,
+        role: MERCHANT_MEMBER_ROLES.OWNER,
+        status: "Active",
+        joinedAt: new Date(),
+    });
+};
+
+/**
+ * Merchant + membership aktif milik user, atau null.
+ * Merchant yang dibuat sebelum ada membership: pemiliknya (Merchant.userId) otomatis dibuatkan membership owner.
+ */
+export const resolveMembership = async (userId) => {
+    const member = await MerchantMember.findOne({ where: { userId, status: "Active" }, include: [{ model: Merchant }] });
+    if (member) {
+        return { merchant: member.Merchant, member };
+    }
+
+    const merchant = await Merchant.findOne({ where: { userId }, include: [{ model: User, attributes: ["id", "email"] }] });
+    if (!merchant) return null;
+
+    const owner = await addOwnerMembership(merchant, merchant.User);
+    logger.info(`Owner membership backfilled for merchant ${merchant.merchantId}`);
+
+    return { merchant, member: owner };
+};
+
+/**
+ * Pastikan akun dengan email ini boleh bergabung ke merchant (merchant-side & belum aktif di merchant lain)
+ */
+const assertCanJoin = async (user, merchantId) => {
+    if (!MERCHANT_ROLES.includes(user.role)) {
+        throw {
+            statusCode: 409,
+            message: "Email ini terdaftar sebagai akun bank / admin dan tidak bisa menjadi anggota merchant",
+        };
+    }
+
+    const active = await MerchantMember.findOne({ where: { userId: user.id, status: "Active" } });
+    const ownsMerchant = active || (await Merchant.count({ where: { userId: user.id } })) > 0;
+    if (ownsMerchant) {
+        throw {
+            statusCode: 409,
+            message: active?.merchantId === merchantId ? "User sudah menjadi anggota merchant ini" : "User sudah terhubung ke merchant lain",
+        };
+    }
+};
+
+/**
+ * Undang staf lewat email. Undangan yang masih pending untuk email yang sama diperbarui (role & token baru).
+ */
+export const inviteMember = async (merchant, inviter, { email, role }) => {
+    const existingUser = await User.findOne({ where: { email } });
+    if (existingUser) {
+        await assertCanJoin(existingUser, merchant.merchantId);
+    }
+
+    const { token, hash } = createEmailToken();
+    const invite = {
+        role,
+        inviteToken: hash,
+        inviteExpiry: new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+        invitedBy: inviter.userId,
+    };
+
+    let member = await MerchantMember.findOne({ where: { merchantId: merchant.merchantId, email, status: "Invited" } });
+    if (member) {
+        await member.update(invite);
+    } else {
+        member = await MerchantMember.create({ merchantId: merchant.merchantId, email, status: "Invited", ...invite });
+    }
+
+    await sendMail("merchantInvite", email, {
+        companyName: inviter.companyName,
+        inviterEmail: inviter.email,
+        role,
+        acceptUrl: frontendUrl(`/accept-invite?token=${token}`),
+        expiresInDays: INVITE_EXPIRY_DAYS,
+    });
+
+    logger.info(`Merchant ${merchant.merchantId} invited ${email} as ${role}`);
+
+    return member;
+};
+
+/**
+ * Undangan pending yang valid untuk token ini. Throw 400 jika tidak valid / kadaluarsa.
+ */
+export const findPendingInvite = async (token) => {
+    const member = await MerchantMember.findOne({
+        where: { inviteToken: hashEmailToken(token), status: "Invited", inviteExpiry: { [Op.gt]: new Date() } },
+        include: [{ model: Merchant, include: [{ model: User, attributes: ["companyName", "city", "address"] }] }],
+    });
+
+    if (!member) {
+        throw {
+            statusCode: 400,
+            message: "Undangan tidak valid atau sudah kadaluarsa",
+        };
+    }
+
+    return member;
+};
+
+/**
+ * Aktifkan undangan untuk user (akun lama dengan email yang sama, atau akun staf yang baru dibuat)
+ */
+export const activateMembership = async (member, user) => {
+    await assertCanJoin(user, member.merchantId);
+
+    await member.update({
+        userId: user.id,
+        status: "Active",
+        joinedAt: new Date(),
+        inviteToken: null,
+        inviteExpiry: null,
+    });
+
+    logger.info(`${user.email} joined merchant ${member.merchantId} as ${member.role}`);
+
+    return member;
+};
+
+/**
+ * Anggota aktif & undangan pending
+ */
+export const listMembers = async (merchantId) => {
+    return await MerchantMember.findAll({
+        where: { merchantId, status: { [Op.in]: ["Active", "Invited"] } },
+        include: [{ model: User, attributes: ["fullName"] }],
+        order: [["createdAt", "ASC"]],
+    });
+};
+
+/**
+ * Cabut anggota / batalkan undangan. Sesi login anggota langsung dicabut.
+ */
+export const revokeMember = async (merchantId, memberId, actor) => {
+    const member = isUuid(memberId) ? await MerchantMember.findOne({ where: { id: memberId, merchantId } }) : null;
+
+    if (!member) {
+        throw {
+            statusCode: 404,
+            message: "Anggota tidak ditemukan",
+        };
+    }
+
+    if (member.role === MERCHANT_MEMBER_ROLES.OWNER) {
+        throw {
+            statusCode: 400,
+            message: "Owner merchant tidak bisa dicabut",
+        };
+    }
+
+    if (member.status === "Revoked") {
+        throw {
+            statusCode: 400,
+            message: "Akses anggota sudah dicabut",
+        };
+    }
+
+    await member.update({
+        status: "Revoked",
+        revokedAt: new Date(),
+        revokedBy: actor.userId,
+        inviteToken: null,
+        inviteExpiry: null,
+    });
+
+    if (member.userId) {
+        await revokeAllSessions(member.userId, "membership_revoked");
+    }
+
+    logger.info(`Merchant ${merchantId} revoked member ${member.email} (${member.role}) by ${actor.email}`);
+
+    return member;
+};
+
+export default {
+    serializeMember,
+    addOwnerMembership,
+    resolveMembership,
+    inviteMember,
+    findPendingInvite,
+    activateMembership,
+    listMembers,
+    revokeMember,
+};
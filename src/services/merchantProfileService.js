@@ -0,0 +1,120 @@
+import { Op } from "sequelize";
+import MerchantProfileChange from "../models/MerchantProfileChange.js";
+import { handleIdentityChange } from "./kycService.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   MERCHANT BUSINESS PROFILE
+   Update kategori, skala, NPWP & NIB/SIUP merchant. Setiap field
+   yang berubah dicatat di merchant_profile_changes (append-only).
+===================================================== */
+
+export const EDITABLE_PROFILE_FIELDS = ["businessCategory", "subCategory", "businessScale", "taxId", "businessLicenseNumber"];
+
+// Field identitas usaha — perubahan ditandai di riwayat yang dilihat bank
+export const IDENTITY_FIELDS = ["businessScale", "taxId", "businessLicenseNumber"];
+const KYC_IDENTITY_FIELDS = ["taxId", "businessLicenseNumber"];
+
+export const serializeBusinessProfile = (merchant) => ({
+    merchantId: merchant.merchantId,
+    businessCategory: merchant.businessCategory,
+    subCategory: merchant.subCategory,
+    businessScale: merchant.businessScale,
+    taxId: merchant.taxId,
+    businessLicenseNumber: merchant.businessLicenseNumber,
+    kycStatus: merchant.kycStatus,
+    joinDate: merchant.joinDate,
+});
+
+export const serializeProfileChange = (change) => ({
+    changeId: change.id,
+    field: change.field,
+    identityField: IDENTITY_FIELDS.includes(change.field),
+    oldValue: change.oldValue,
+    newValue: change.newValue,
+    reason: change.reason,
+    changedAt: change.createdAt,
+});
+
+/**
+ * Update profil bisnis. Field yang nilainya sama diabaikan.
+ * scaleChangeReason hanya dicatat untuk perubahan businessScale.
+ * Return { merchant, changes }.
+ */
+export const updateBusinessProfile = async (merchant, data, actor) => {
+    const updates = {};
+    const changes = [];
+
+    for (const field of EDITABLE_PROFILE_FIELDS) {
+        if (data[field] === undefined) continue;
+
+        const oldValue = merchant[field] ?? null;
+        const newValue = data[field] ?? null;
+        if (oldValue === newValue) continue;
+
+        updates[field] = newValue;
+        changes.push({
+            merchantId: merchant.merchantId,
+            field,
+            oldValue,
+            newValue,
+            reason: field === "businessScale" ? data.scaleChangeReason : null,
+            changedBy: actor.userId,
+        });
+    }
+
+    if (changes.length === 0) {
+        return { merchant, changes: [] };
+    }
+
+    // NPWP / NIB adalah data yang diverifikasi di KYC
+    if (changes.some((change) => KYC_IDENTITY_FIELDS.includes(change.field))) {
+        await handleIdentityChange(merchant);
+    }
+
+    await merchant.update(updates);
+    const records = await MerchantProfileChange.bulkCreate(changes);
+
+    logger.info(`Merchant ${merchant.merchantId} profile updated by ${actor.email}: ${changes.map((c) => c.field).join(", ")}`);
+
+    return { merchant, changes: records };
+};
+
+/**
+ * Riwayat perubahan profil, terbaru dulu. identityOnly: hanya NPWP, NIB/SIUP & skala usaha.
+ */
+export const getProfileHistory = async (merchantId, { identityOnly = false, limit = 50, offset = 0 } = {}) => {
+    const where = { merchantId };
+    if (identityOnly) where.field = { [Op.in]: IDENTITY_FIELDS };
+
+    const { count, rows } = await MerchantProfileChange.findAndCountAll({
+        where,
+        order: [["createdAt", "DESC"]],
+        limit,
+        offset,
+    });
+
+    return { total: count, changes: rows };
+};
+
+/**
+ * Waktu terakhir field identitas diubah (null jika belum pernah)
+ */
+export const getIdentityLastChangedAt = async (merchantId) => {
+    const latest = await MerchantProfileChange.findOne({
+        where: { merchantId, field: { [Op.in]: IDENTITY_FIELDS } },
+        order: [["createdAt", "DESC"]],
+        attributes: ["createdAt"],
+    });
+    return latest?.createdAt || null;
+};
+
+export default {
+    EDITABLE_PROFILE_FIELDS,
+    IDENTITY_FIELDS,
+    serializeBusinessProfile,
+    serializeProfileChange,
+    updateBusinessProfile,
+    getProfileHistory,
+    getIdentityLastChangedAt,
+};
@@ -1,5 +1,6 @@
-import { Op } from "sequelize";
+import { Op, fn, col } from "sequelize";
 import Transaction from "../models/Transaction.js";
+import { REVENUE_BASES } from "../config/fees.js";
 // ✅ FIX: hapus unused `import e from "express"`
 
 export const getMerchantProductStats = async (merchantId) => {
@@ -54,13 +55,16 @@ export const getMerchantProductStats = async (merchantId) => {
     };
 };
 
-export const calculateRefundRate = async (merchantId) => {
+// Filter opsional per outlet untuk statistik dashboard
+const transactionScope = (merchantId, outletId) => (outletId ? { merchantId, outletId } : { merchantId });
+
+export const calculateRefundRate = async (merchantId, { outletId } = {}) => {
     const threeMonthsAgo = new Date();
     threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
 
     const transactions = await Transaction.findAll({
         where: {
-            merchantId,
+            ...transactionScope(merchantId, outletId),
             transactionDate: { [Op.gte]: threeMonthsAgo },
         },
         attributes: ["status"],
@@ -72,39 +76,111 @@ export const calculateRefundRate = async (merchantId) => {
     return total > 0 ? (refunded / total) * 100 : 0;
 };
 
-export const calculateMonthlyGrowth = async (merchantId) => {
+// Total revenue transaksi. Net: netAmount, atau amount untuk transaksi sebelum MDR dihitung.
+const sumTransactionRevenue = async (where, revenueBasis) => {
+    if (revenueBasis !== REVENUE_BASES.NET) {
+        return (await Transaction.sum("amount", { where })) || 0;
+    }
+
+    // col() berisi nama kolom DB (underscored), bukan nama atribut model
+    const result = await Transaction.findOne({
+        attributes: [[fn("SUM", fn("COALESCE", col("net_amount"), col("amount"))), "total"]],
+        where,
+        raw: true,
+    });
+    return parseFloat(result?.total || 0);
+};
+
+export const calculateMonthlyGrowth = async (merchantId, { outletId, revenueBasis = REVENUE_BASES.GROSS } = {}) => {
     // ✅ FIX: bandingkan bulan ini vs bulan lalu, bukan allTime vs 3 bulan
     const now = new Date();
     const startOfThisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const startOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
 
-    const thisMonthRevenue =
-        (await Transaction.sum("amount", {
-            where: {
-                merchantId,
-                status: "Success",
-                transactionDate: { [Op.gte]: startOfThisMonth },
-            },
-        })) || 0;
-
-    const lastMonthRevenue =
-        (await Transaction.sum("amount", {
-            where: {
-                merchantId,
-                status: "Success",
-                transactionDate: {
-                    [Op.gte]: startOfLastMonth,
-                    [Op.lt]: startOfThisMonth,
-                },
+    const thisMonthRevenue = await sumTransactionRevenue(
+        {
+            ...transactionScope(merchantId, outletId),
+            status: "Success",
+            transactionDate: { [Op.gte]: startOfThisMonth },
+        },
+        revenueBasis,
+    );
+
+    const lastMonthRevenue = await sumTransactionRevenue(
+        {
+            ...transactionScope(merchantId, outletId),
+            status: "Success",
+            transactionDate: {
+                [Op.gte]: startOfLastMonth,
+                [Op.lt]: startOfThisMonth,
             },
-        })) || 0;
+        },
+        revenueBasis,
+    );
 
     if (lastMonthRevenue === 0) return thisMonthRevenue > 0 ? 100 : 0;
     return ((thisMonthRevenue - lastMonthRevenue) / lastMonthRevenue) * 100;
 };
 
+/**
+ * Komposisi metode pembayaran dari transaksi sukses: per metode (QRIS, Virtual Account, E-Wallet, CASH)
+ * beserta rincian channel (bank VA / wallet). Dipakai dashboard, credit-detail & credit scoring.
+ */
+export const summarizePaymentMix = (transactions) => {
+    const successful = transactions.filter((t) => t.status === "Success");
+    const totalRevenue = successful.reduce((sum, t) => sum + parseFloat(t.amount || 0), 0);
+    const share = (revenue) => (totalRevenue > 0 ? parseFloat(((revenue / totalRevenue) * 100).toFixed(2)) : 0);
+
+    const methods = {};
+    successful.forEach((txn) => {
+        const amount = parseFloat(txn.amount || 0);
+        if (!methods[txn.paymentMethod]) {
+            methods[txn.paymentMethod] = { revenue: 0, transactionCount: 0, channels: {} };
+        }
+        const method = methods[txn.paymentMethod];
+        method.revenue += amount;
+        method.transactionCount += 1;
+
+        if (txn.paymentChannel) {
+            if (!method.channels[txn.paymentChannel]) {
+                method.channels[txn.paymentChannel] = { revenue: 0, transactionCount: 0 };
+            }
+            method.channels[txn.paymentChannel].revenue += amount;
+            method.channels[txn.paymentChannel].transactionCount += 1;
+        }
+    });
+
+    return Object.entries(methods)
+        .map(([paymentMethod, { revenue, transactionCount, channels }]) => ({
+            paymentMethod,
+            revenue,
+            transactionCount,
+            revenueShare: share(revenue),
+            channels: Object.entries(channels)
+                .map(([channel, totals]) => ({ channel, ...totals, revenueShare: share(totals.revenue) }))
+                .sort((a, b) => b.revenue - a.revenue),
+        }))
+        .sort((a, b) => b.revenue - a.revenue);
+};
+
+export const getPaymentMethodMix = async (merchantId, since, { outletId } = {}) => {
+    const transactions = await Transaction.findAll({
+        where: {
+            ...transactionScope(merchantId, outletId),
+            status: "Success",
+            transactionDate: { [Op.gte]: since },
+        },
+        attributes: ["status", "amount", "paymentMethod", "paymentChannel"],
+        raw: true,
+    });
+
+    return summarizePaymentMix(transactions);
+};
+
 export default {
     getMerchantProductStats,
     calculateRefundRate,
     calculateMonthlyGrowth,
+    summarizePaymentMix,
+    getPaymentMethodMix,
 };
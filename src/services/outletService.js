@@ -0,0 +1,224 @@
+import { Op } from "sequelize";
+import { validate as isUuid } from "uuid";
+import Outlet from "../models/Outlet.js";
+import DailyRevenue from "../models/DailyRevenue.js";
+import OutletDailyRevenue from "../models/OutletDailyRevenue.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   OUTLET
+   Merchant dengan beberapa lapak: transaksi di-tag ke outlet,
+   revenue harian dicatat per merchant (DailyRevenue) dan per outlet
+   (OutletDailyRevenue). Credit scoring tetap di level merchant.
+===================================================== */
+
+export const serializeOutlet = (outlet) => ({
+    outletId: outlet.id,
+    name: outlet.name,
+    address: outlet.address,
+    city: outlet.city,
+    status: outlet.status,
+    createdAt: outlet.createdAt,
+});
+
+const duplicateName = () => ({
+    statusCode: 409,
+    message: "Nama outlet sudah dipakai",
+});
+
+export const listOutlets = async (merchantId) => {
+    return await Outlet.findAll({ where: { merchantId }, order: [["createdAt", "ASC"]] });
+};
+
+/**
+ * Outlet milik merchant. Throw 404 jika tidak ada (atau milik merchant lain).
+ */
+export const getOutletOrFail = async (merchantId, outletId) => {
+    const outlet = isUuid(outletId) ? await Outlet.findOne({ where: { id: outletId, merchantId } }) : null;
+    if (!outlet) {
+        throw {
+            statusCode: 404,
+            message: "Outlet tidak ditemukan",
+        };
+    }
+    return outlet;
+};
+
+/**
+ * Outlet untuk transaksi baru: harus milik merchant dan Active
+ */
+export const getActiveOutletOrFail = async (merchantId, outletId) => {
+    const outlet = await getOutletOrFail(merchantId, outletId);
+    if (outlet.status !== "Active") {
+        throw {
+            statusCode: 400,
+            message: "Outlet tidak aktif",
+        };
+    }
+    return outlet;
+};
+
+export const createOutlet = async (merchantId, data) => {
+    const existing = await Outlet.count({ where: { merchantId, name: data.name } });
+    if (existing > 0) throw duplicateName();
+
+    const outlet = await Outlet.create({ merchantId, ...data });
+    logger.info(`Outlet created: ${outlet.name} (merchant ${merchantId})`);
+
+    return outlet;
+};
+
+export const updateOutlet = async (merchantId, outletId, data) => {
+    const outlet = await getOutletOrFail(merchantId, outletId);
+
+    if (data.name && data.name !== outlet.name) {
+        const existing = await Outlet.count({ where: { merchantId, name: data.name } });
+        if (existing > 0) throw duplicateName();
+    }
+
+    await outlet.update(data);
+    logger.info(`Outlet updated: ${outlet.id} (merchant ${merchantId})`);
+
+    return outlet;
+};
+
+// Row baru mulai dari 0; row lama tanpa fee / net tetap null (dibaca sebagai gross)
+const DAILY_DEFAULTS = { totalAmount: 0, transactionCount: 0, successfulCount: 0, feeAmount: 0, netAmount: 0 };
+
+/**
+ * Tambah 1 transaksi sukses ke revenue harian merchant, dan ke outlet jika transaksi punya outlet.
+ * Fee & net diambil dari transaksi (net = nominal jika fee belum dihitung).
+ */
+export const recordDailyRevenue = async (transaction) => {
+    const today = new Date().toISOString().split("T")[0];
+    const feeAmount = parseFloat(transaction.feeAmount || 0);
+    const netAmount = transaction.netAmount !== null && transaction.netAmount !== undefined ? parseFloat(transaction.netAmount) : parseFloat(transaction.amount);
+    const increment = { totalAmount: transaction.amount, transactionCount: 1, successfulCount: 1, feeAmount, netAmount };
+
+    const [daily] = await DailyRevenue.findOrCreate({
+        where: { merchantId: transaction.merchantId, transactionDate: today },
+        defaults: DAILY_DEFAULTS,
+    });
+    await daily.increment(increment);
+
+    if (transaction.outletId) {
+        const [outletDaily] = await OutletDailyRevenue.findOrCreate({
+            where: { outletId: transaction.outletId, transactionDate: today },
+            defaults: { ...DAILY_DEFAULTS, merchantId: transaction.merchantId },
+        });
+        await outletDaily.increment(increment);
+    }
+};
+
+/**
+ * Kurangi revenue harian pada tanggal transaksi asli sebesar nominal refund (merchant + outlet).
+ * refundedCount hanya bertambah untuk refund pertama sebuah transaksi. MDR tidak ikut dikembalikan,
+ * jadi net berkurang sebesar nominal refund.
+ */
+export const recordDailyRefund = async (transaction, amount, { firstRefund = true } = {}) => {
+    const transactionDate = new Date(transaction.transactionDate).toISOString().split("T")[0];
+    const increment = { totalAmount: -amount, netAmount: -amount, refundAmount: amount, refundedCount: firstRefund ? 1 : 0 };
+
+    const [daily] = await DailyRevenue.findOrCreate({
+        where: { merchantId: transaction.merchantId, transactionDate },
+        defaults: DAILY_DEFAULTS,
+    });
+    await daily.increment(increment);
+
+    if (transaction.outletId) {
+        const [outletDaily] = await OutletDailyRevenue.findOrCreate({
+            where: { outletId: transaction.outletId, transactionDate },
+            defaults: { ...DAILY_DEFAULTS, merchantId: transaction.merchantId },
+        });
+        await outletDaily.increment(increment);
+    }
+};
+
+/**
+ * Koreksi fee / net harian pada tanggal transaksi asli (mis. fee aktual dari file settlement berbeda
+ * dengan fee yang dihitung dari tarif). Delta positif = fee bertambah / net bertambah.
+ * options diteruskan ke query (mis. { transaction: t }).
+ */
+export const recordDailyFeeAdjustment = async (transaction, { feeDelta = 0, netDelta = 0 }, options = {}) => {
+    const transactionDate = new Date(transaction.transactionDate).toISOString().split("T")[0];
+    const increment = { feeAmount: feeDelta, netAmount: netDelta };
+
+    const [daily] = await DailyRevenue.findOrCreate({
+        where: { merchantId: transaction.merchantId, transactionDate },
+        defaults: DAILY_DEFAULTS,
+        ...options,
+    });
+    await daily.increment(increment, options);
+
+    if (transaction.outletId) {
+        const [outletDaily] = await OutletDailyRevenue.findOrCreate({
+            where: { outletId: transaction.outletId, transactionDate },
+            defaults: { ...DAILY_DEFAULTS, merchantId: transaction.merchantId },
+            ...options,
+        });
+        await outletDaily.increment(increment, options);
+    }
+};
+
+/**
+ * Kontribusi revenue tiap outlet sejak `since`. Sisa revenue merchant yang tidak di-tag
+ * ke outlet dikembalikan sebagai unassignedRevenue.
+ */
+export const getOutletBreakdown = async (merchantId, since) => {
+    const dateRange = { [Op.gte]: since };
+
+    const outlets = await listOutlets(merchantId);
+    const dailyRevenues = await OutletDailyRevenue.findAll({
+        where: { merchantId, transactionDate: dateRange },
+        attributes: ["outletId", "totalAmount", "transactionCount"],
+        raw: true,
+    });
+    const merchantRevenue = await DailyRevenue.sum("totalAmount", { where: { merchantId, transactionDate: dateRange } });
+
+    const totalsByOutlet = new Map();
+    dailyRevenues.forEach((row) => {
+        const totals = totalsByOutlet.get(row.outletId) || { revenue: 0, transactionCount: 0 };
+        totals.revenue += parseFloat(row.totalAmount || 0);
+        totals.transactionCount += row.transactionCount || 0;
+        totalsByOutlet.set(row.outletId, totals);
+    });
+
+    const totalRevenue = parseFloat(merchantRevenue || 0);
+    const share = (revenue) => (totalRevenue > 0 ? parseFloat(((revenue / totalRevenue) * 100).toFixed(2)) : 0);
+
+    const breakdown = outlets.map((outlet) => {
+        const { revenue, transactionCount } = totalsByOutlet.get(outlet.id) || { revenue: 0, transactionCount: 0 };
+        return {
+            outletId: outlet.id,
+            name: outlet.name,
+            status: outlet.status,
+            revenue,
+            transactionCount,
+            revenueShare: share(revenue),
+        };
+    });
+
+    const assignedRevenue = breakdown.reduce((sum, outlet) => sum + outlet.revenue, 0);
+    const unassignedRevenue = Math.max(0, totalRevenue - assignedRevenue);
+
+    return {
+        since,
+        totalRevenue,
+        outlets: breakdown.sort((a, b) => b.revenue - a.revenue),
+        unassignedRevenue,
+        unassignedShare: share(unassignedRevenue),
+    };
+};
+
+export default {
+    serializeOutlet,
+    listOutlets,
+    getOutletOrFail,
+    getActiveOutletOrFail,
+    createOutlet,
+    updateOutlet,
+    recordDailyRevenue,
+    recordDailyRefund,
+    recordDailyFeeAdjustment,
+    getOutletBreakdown,
+};
@@ -0,0 +1,87 @@
+import Transaction from "../models/Transaction.js";
+import { VIRTUAL_ACCOUNT_BANKS, EWALLETS } from "../config/paymentChannels.js";
+import { recordDailyRevenue } from "./outletService.js";
+import { transactionFeeFields } from "./feeService.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   PAYMENT STATUS
+   Status order Paylabs → status transaksi. Dipakai bersama oleh
+   check-status (polling) dan webhook untuk QRIS, VA & e-wallet.
+===================================================== */
+
+// Kode status order Paylabs
+const PAYLABS_SUCCESS = "02";
+const PAYLABS_FAILED = "09";
+
+// Metode yang menyimpan waktu bayar dari Paylabs di metadata.paidAt
+const PAID_AT_METHODS = ["Virtual Account", "E-Wallet"];
+
+/**
+ * Endpoint inquiry Paylabs sesuai metode pembayaran transaksi
+ */
+export const inquiryFor = (transaction) => {
+    if (transaction.paymentMethod === "Virtual Account") {
+        return { path: "/payment/v2.3/va/query", paymentType: VIRTUAL_ACCOUNT_BANKS[transaction.paymentChannel] };
+    }
+    if (transaction.paymentMethod === "E-Wallet") {
+        return { path: "/payment/v2.3/ewallet/query", paymentType: EWALLETS[transaction.paymentChannel]?.paymentType };
+    }
+    return { path: "/payment/v2.3/qris/query", paymentType: "QRIS" };
+};
+
+/**
+ * Status transaksi untuk hasil inquiry / callback Paylabs. Status lain (menunggu bayar) tidak mengubah status.
+ * Transaksi yang sudah direfund penuh tidak diubah lagi oleh callback / inquiry yang terlambat.
+ */
+export const mapPaylabsStatus = (currentStatus, { status, errCode = "0" }) => {
+    if (currentStatus === "Refunded") return currentStatus;
+    if (status === PAYLABS_SUCCESS && errCode === "0") return "Success";
+    if (status === PAYLABS_FAILED) return "Failed";
+    return currentStatus;
+};
+
+/**
+ * Terapkan hasil Paylabs ke transaksi. Saat jadi Success, fee / net diisi
+ * dan revenue harian (merchant + outlet) dicatat. Return { status, changed } — changed false
+ * jika status sudah lebih dulu diubah request lain.
+ */
+export const applyPaylabsStatus = async (transaction, result) => {
+    const newStatus = mapPaylabsStatus(transaction.status, result);
+    if (transaction.status === newStatus) {
+        return { status: newStatus, changed: false };
+    }
+
+    const succeeded = newStatus === "Success";
+    // settlementDate tidak diisi di sini — tanggal settlement asli datang dari file settlement Paylabs
+    const updates = {
+        status: newStatus,
+        // MDR dihitung saat transaksi sukses → feeAmount, netAmount & metadata.fee
+        ...(succeeded ? await transactionFeeFields(transaction) : {}),
+    };
+    if (succeeded && PAID_AT_METHODS.includes(transaction.paymentMethod)) {
+        updates.metadata = { ...updates.metadata, paidAt: result.successTime || new Date().toISOString() };
+    }
+
+    // Conditional update: hanya berlaku jika status belum diubah callback / inquiry lain yang berjalan bersamaan,
+    // sehingga revenue harian tidak tercatat dua kali
+    const [updated] = await Transaction.update(updates, { where: { transactionId: transaction.transactionId, status: transaction.status } });
+    await transaction.reload();
+    if (updated !== 1) {
+        return { status: transaction.status, changed: false };
+    }
+
+    if (succeeded) {
+        await recordDailyRevenue(transaction);
+    }
+
+    logger.info(`Transaction ${transaction.transactionId} (${transaction.paymentMethod}${transaction.paymentChannel ? ` ${transaction.paymentChannel}` : ""}) updated to ${newStatus}`);
+
+    return { status: newStatus, changed: true };
+};
+
+export default {
+    inquiryFor,
+    mapPaylabsStatus,
+    applyPaylabsStatus,
+};
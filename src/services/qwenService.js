@@ -56,9 +56,15 @@ export async function generateScoreExplanation(scoreData) {
             return buildScoreExplanationFallback(scoreData);
         }
 
-        const { merchantId, creditScore, riskBand, transactionVolumeScore, revenueConsistencyScore, growthTrendScore, refundRateScore, settlementTimeScore, avgMonthlyRevenue, growthPercentageMoM, refundRatePercentage, avgSettlementDays } =
+        const { merchantId, creditScore, riskBand, transactionVolumeScore, revenueConsistencyScore, growthTrendScore, refundRateScore, settlementTimeScore, avgMonthlyRevenue, revenueBasis = "gross", growthPercentageMoM, refundRatePercentage, avgSettlementDays, paymentMethodMix = [] } =
             scoreData;
 
+        // mis. "QRIS 60% | E-Wallet 30% (DANA 20%, OVO 10%) | CASH 10%"
+        const paymentMix =
+            paymentMethodMix
+                .map((m) => `${m.paymentMethod} ${m.revenueShare}%${m.channels.length > 0 ? ` (${m.channels.map((c) => `${c.channel} ${c.revenueShare}%`).join(", ")})` : ""}`)
+                .join(" | ") || "-";
+
         const prompt = `
 CREDIT INTELLIGENCE DATA (TRANSACTION-BASED)
 
@@ -76,10 +82,11 @@ Component Scores (0–100):
 - Settlement Reliability: ${settlementTimeScore}
 
 Business Context:
-- Average Monthly Revenue: Rp ${avgMonthlyRevenue.toLocaleString("id-ID")}
+- Average Monthly Revenue: Rp ${avgMonthlyRevenue.toLocaleString("id-ID")} (${revenueBasis === "net" ? "net, after MDR fees & refunds" : "gross"})
 - Revenue Growth MoM: ${growthPercentageMoM} %
 - Refund Rate: ${refundRatePercentage} %
 - Average Settlement Time: ${avgSettlementDays} days
+- Payment Method Mix (share of successful revenue): ${paymentMix}
 
 Tasks:
 1. Explain the credit readiness score in simple business language (Bahasa Indonesia).
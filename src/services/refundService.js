@@ -0,0 +1,162 @@
+import { Op } from "sequelize";
+import Transaction from "../models/Transaction.js";
+import { VIRTUAL_ACCOUNT_BANKS, EWALLETS } from "../config/paymentChannels.js";
+import { recordDailyRefund } from "./outletService.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   REFUND
+   Refund penuh / sebagian untuk transaksi sukses.
+   refundStatus: None → Requested → Processed / Rejected.
+   Transaksi yang sudah direfund penuh berstatus Refunded.
+===================================================== */
+
+/**
+ * Endpoint refund Paylabs sesuai metode pembayaran, atau null untuk CASH (dicatat langsung)
+ */
+export const refundFor = (transaction) => {
+    if (transaction.paymentMethod === "CASH") return null;
+    if (transaction.paymentMethod === "Virtual Account") {
+        return { path: "/payment/v2.3/va/refund", paymentType: VIRTUAL_ACCOUNT_BANKS[transaction.paymentChannel] };
+    }
+    if (transaction.paymentMethod === "E-Wallet") {
+        return { path: "/payment/v2.3/ewallet/refund", paymentType: EWALLETS[transaction.paymentChannel]?.paymentType };
+    }
+    return { path: "/payment/v2.3/qris/refund", paymentType: "QRIS" };
+};
+
+export const refundableAmount = (transaction) => {
+    return parseFloat((parseFloat(transaction.amount) - parseFloat(transaction.refundAmount || 0)).toFixed(2));
+};
+
+export const serializeRefunds = (transaction) => ({
+    transactionId: transaction.transactionId,
+    amount: parseFloat(transaction.amount),
+    status: transaction.status,
+    refundStatus: transaction.refundStatus,
+    refundedAmount: parseFloat(transaction.refundAmount || 0),
+    refundableAmount: refundableAmount(transaction),
+    refunds: transaction.metadata?.refunds || [],
+});
+
+/**
+ * Tandai refund Requested. Throw 400 jika transaksi tidak bisa / nominal melebihi sisa,
+ * 409 jika refund lain untuk transaksi ini masih diproses atau selesai setelah transaksi dibaca. Return refund baru.
+ */
+export const startRefund = async (transaction, { amount, reason }, actor) => {
+    if (transaction.status !== "Success") {
+        throw {
+            statusCode: 400,
+            message: transaction.status === "Refunded" ? "Transaksi sudah direfund penuh" : "Hanya transaksi sukses yang bisa direfund",
+        };
+    }
+
+    const remaining = refundableAmount(transaction);
+    const refundAmount = amount ?? remaining;
+    if (refundAmount > remaining) {
+        throw {
+            statusCode: 400,
+            message: `Nominal refund melebihi sisa yang bisa direfund (Rp ${remaining.toLocaleString("id-ID")})`,
+        };
+    }
+
+    const previousStatus = transaction.refundStatus;
+
+    // Atomic: hanya 1 refund per transaksi yang boleh berjalan, dan hanya jika status & refundAmount
+    // masih sama dengan yang dibaca (refund lain yang selesai di antaranya membuat sisa di atas basi)
+    const [updated] = await Transaction.update(
+        { refundStatus: "Requested" },
+        {
+            where: {
+                transactionId: transaction.transactionId,
+                status: "Success",
+                refundAmount: transaction.refundAmount,
+                refundStatus: { [Op.ne]: "Requested" },
+            },
+        },
+    );
+    if (updated === 0) {
+        throw {
+            statusCode: 409,
+            message: "Refund lain untuk transaksi ini sedang atau baru saja diproses, silakan cek ulang sisa refund",
+        };
+    }
+
+    // Ambil ulang metadata (riwayat refund) terbaru sebelum refund ini dicatat
+    await transaction.reload();
+
+    const refund = {
+        refundId: `RFD${Date.now()}${Math.random().toString(36).substring(2, 5).toUpperCase()}`,
+        amount: refundAmount,
+        reason,
+        previousStatus,
+        requestedBy: actor.userId,
+        requestedAt: new Date().toISOString(),
+    };
+
+    logger.info(`Refund ${refund.refundId} requested for ${transaction.transactionId}: Rp ${refundAmount} by ${actor.email}`);
+
+    return refund;
+};
+
+/**
+ * Refund berhasil: nominal ditambahkan ke refundAmount, transaksi jadi Refunded jika sudah penuh,
+ * dan revenue harian pada tanggal transaksi asli dikurangi.
+ */
+export const completeRefund = async (transaction, refund, { paylabsRefundNo } = {}) => {
+    const firstRefund = parseFloat(transaction.refundAmount || 0) === 0;
+    const refundedAmount = parseFloat((parseFloat(transaction.refundAmount || 0) + refund.amount).toFixed(2));
+    const fullyRefunded = refundedAmount >= parseFloat(transaction.amount);
+
+    const { previousStatus, ...record } = refund;
+    await transaction.update({
+        refundStatus: "Processed",
+        refundAmount: refundedAmount,
+        status: fullyRefunded ? "Refunded" : transaction.status,
+        metadata: {
+            ...transaction.metadata,
+            refunds: [...(transaction.metadata?.refunds || []), { ...record, status: "Processed", paylabsRefundNo: paylabsRefundNo || null, processedAt: new Date().toISOString() }],
+        },
+    });
+
+    await recordDailyRefund(transaction, refund.amount, { firstRefund });
+
+    logger.info(`Refund ${refund.refundId} processed for ${transaction.transactionId} (${fullyRefunded ? "full" : "partial"})`);
+
+    return transaction;
+};
+
+/**
+ * Refund ditolak Paylabs: dicatat di riwayat, nominal transaksi tidak berubah
+ */
+export const rejectRefund = async (transaction, refund, rejectionReason) => {
+    const { previousStatus, ...record } = refund;
+    await transaction.update({
+        refundStatus: "Rejected",
+        metadata: {
+            ...transaction.metadata,
+            refunds: [...(transaction.metadata?.refunds || []), { ...record, status: "Rejected", rejectionReason, processedAt: new Date().toISOString() }],
+        },
+    });
+
+    logger.warn(`Refund ${refund.refundId} rejected for ${transaction.transactionId}: ${rejectionReason}`);
+
+    return transaction;
+};
+
+/**
+ * Batalkan refund yang gagal diproses karena error (mis. Paylabs tidak bisa dihubungi) supaya bisa dicoba lagi
+ */
+export const releaseRefund = async (transaction, refund) => {
+    await transaction.update({ refundStatus: refund.previousStatus });
+};
+
+export default {
+    refundFor,
+    refundableAmount,
+    serializeRefunds,
+    startRefund,
+    completeRefund,
+    rejectRefund,
+    releaseRefund,
+};
@@ -0,0 +1,138 @@
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { Op } from "sequelize";
+import RefreshToken from "../models/RefreshToken.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   SESSIONS / REFRESH TOKENS
+   - Setiap login membuka 1 sesi (familyId) dengan 1 refresh token
+   - /refresh menukar token lama dengan token baru (rotasi)
+   - Token lama yang dipakai lagi = indikasi token dicuri →
+     seluruh sesi (family) dicabut
+===================================================== */
+
+const REFRESH_TOKEN_EXPIRY = () => process.env.JWT_REFRESH_TOKEN_EXPIRY || "7d";
+
+const invalidRefreshToken = () => ({
+    statusCode: 401,
+    message: "Refresh token tidak valid",
+});
+
+/**
+ * Buat record + JWT refresh token baru untuk sebuah family
+ */
+const issueRefreshToken = async (userId, familyId, context = {}) => {
+    const id = uuidv4();
+    const token = jwt.sign({ userId, jti: id, fid: familyId }, process.env.JWT_REFRESH_TOKEN_SECRET, { expiresIn: REFRESH_TOKEN_EXPIRY() });
+    const { exp } = jwt.decode(token);
+
+    const record = await RefreshToken.create({
+        id,
+        userId,
+        familyId,
+        expiresAt: new Date(exp * 1000),
+        userAgent: context.userAgent?.slice(0, 255) || null,
+        ipAddress: context.ipAddress || null,
+    });
+
+    return { token, record };
+};
+
+/**
+ * Verifikasi signature & ambil record token. Throw 401 jika tidak valid / tidak dikenal.
+ */
+const loadRefreshToken = async (refreshToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        logger.warn(`Refresh token verification failed: ${error.message}`);
+        throw invalidRefreshToken();
+    }
+
+    const record = decoded.jti ? await RefreshToken.findByPk(decoded.jti) : null;
+    if (!record || record.userId !== decoded.userId) {
+        throw invalidRefreshToken();
+    }
+
+    return record;
+};
+
+const revokeWhere = async (where, reason) => {
+    const [count] = await RefreshToken.update({ revokedAt: new Date(), revokedReason: reason }, { where: { ...where, revokedAt: null } });
+    return count;
+};
+
+/**
+ * Buka sesi baru saat login
+ */
+export const startSession = async (userId, context = {}) => {
+    const { token, record } = await issueRefreshToken(userId, uuidv4(), context);
+    logger.info(`Session ${record.familyId} started for user ${userId}`);
+    return token;
+};
+
+/**
+ * Tukar refresh token dengan token baru. Return { userId, refreshToken }.
+ */
+export const rotateSession = async (refreshToken, context = {}) => {
+    const record = await loadRefreshToken(refreshToken);
+
+    if (record.revokedAt) {
+        throw invalidRefreshToken();
+    }
+
+    if (record.rotatedAt) {
+        // Token lama dipakai ulang — cabut seluruh sesi
+        const revoked = await revokeWhere({ familyId: record.familyId }, "reuse_detected");
+        logger.warn(`Refresh token reuse detected for user ${record.userId} (session ${record.familyId}), ${revoked} token revoked`);
+        throw {
+            statusCode: 401,
+            message: "Refresh token sudah pernah dipakai. Sesi dicabut, silakan login ulang.",
+        };
+    }
+
+    const { token, record: replacement } = await issueRefreshToken(record.userId, record.familyId, context);
+
+    // Hanya 1 request yang boleh menukar token ini (cegah race 2 refresh bersamaan)
+    const [updated] = await RefreshToken.update({ rotatedAt: new Date(), replacedById: replacement.id }, { where: { id: record.id, rotatedAt: null, revokedAt: null } });
+    if (updated === 0) {
+        await replacement.destroy();
+        throw invalidRefreshToken();
+    }
+
+    return { userId: record.userId, refreshToken: token };
+};
+
+/**
+ * Logout 1 sesi (device) berdasarkan refresh token-nya
+ */
+export const endSession = async (refreshToken) => {
+    const record = await loadRefreshToken(refreshToken);
+    await revokeWhere({ familyId: record.familyId }, "logout");
+
+    logger.info(`Session ${record.familyId} ended for user ${record.userId}`);
+    return { userId: record.userId };
+};
+
+/**
+ * Logout semua device user. Return jumlah sesi yang dicabut.
+ */
+export const revokeAllSessions = async (userId, reason = "logout_all") => {
+    const activeSessions = await RefreshToken.count({
+        where: { userId, revokedAt: null, rotatedAt: null, expiresAt: { [Op.gt]: new Date() } },
+    });
+
+    await revokeWhere({ userId }, reason);
+
+    logger.info(`All sessions revoked for user ${userId} (${reason}): ${activeSessions} active session(s)`);
+    return activeSessions;
+};
+
+export default {
+    startSession,
+    rotateSession,
+    endSession,
+    revokeAllSessions,
+};
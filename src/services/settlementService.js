@@ -0,0 +1,420 @@
+import crypto from "crypto";
+import moment from "moment-timezone";
+import { validate as isUuid } from "uuid";
+import sequelize from "../database/connection.js";
+import SettlementReport from "../models/SettlementReport.js";
+import SettlementLine from "../models/SettlementLine.js";
+import Transaction from "../models/Transaction.js";
+import { SETTLEMENT_LINE_STATUSES, SETTLEMENT_REVIEW_STATUSES, SETTLEMENT_COLUMNS, SETTLEMENT_REQUIRED_COLUMNS, SETTLEMENT_TIME_FORMATS } from "../config/settlement.js";
+import { applyPaylabsStatus } from "./paymentStatusService.js";
+import { recordDailyFeeAdjustment } from "./outletService.js";
+import { parseCsv } from "../utils/csv.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   SETTLEMENT RECONCILIATION
+   File settlement Paylabs (CSV) dicocokkan per baris ke transaksi
+   lewat merchantTradeNo. Baris yang cocok mengisi settlementDate /
+   settlementTime, fee & net aktual transaksi. Baris lain (Mismatch,
+   Unmatched, Duplicate, Invalid) masuk review queue admin.
+===================================================== */
+
+const { MATCHED, MISMATCH, UNMATCHED, DUPLICATE, INVALID } = SETTLEMENT_LINE_STATUSES;
+const { OPEN, ACCEPTED, DISMISSED } = SETTLEMENT_REVIEW_STATUSES;
+
+// Status transaksi yang sudah dibayar (boleh disettle)
+const PAID_STATUSES = ["Success", "Refunded"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export const serializeSettlementReport = (report) => ({
+    reportId: report.id,
+    fileName: report.fileName,
+    lineCount: report.lineCount,
+    statusCounts: report.statusCounts,
+    totalAmount: parseFloat(report.totalAmount),
+    totalFeeAmount: parseFloat(report.totalFeeAmount),
+    totalNetAmount: parseFloat(report.totalNetAmount),
+    uploadedAt: report.createdAt,
+});
+
+export const serializeSettlementLine = (line) => ({
+    lineId: line.id,
+    reportId: line.reportId,
+    lineNumber: line.lineNumber,
+    merchantTradeNo: line.merchantTradeNo,
+    platformTradeNo: line.platformTradeNo,
+    paymentType: line.paymentType,
+    amount: line.amount === null ? null : parseFloat(line.amount),
+    feeAmount: line.feeAmount === null ? null : parseFloat(line.feeAmount),
+    netAmount: line.netAmount === null ? null : parseFloat(line.netAmount),
+    settledAt: line.settledAt,
+    transactionId: line.transactionId,
+    status: line.status,
+    issues: line.issues,
+    reviewStatus: line.reviewStatus,
+    reviewNote: line.reviewNote,
+    reviewedAt: line.reviewedAt,
+});
+
+/**
+ * Baca satu baris CSV (object kolom → nilai). Nilai yang tidak valid dicatat di issues (baris jadi Invalid).
+ */
+export const parseSettlementRecord = (record) => {
+    const issues = [];
+    const number = (name) => {
+        const value = record[name] === undefined || record[name] === "" ? null : Number(record[name]);
+        if (value !== null && (!Number.isFinite(value) || value < 0)) issues.push(`${name}: "${record[name]}" bukan nominal yang valid`);
+        return Number.isFinite(value) ? round2(value) : null;
+    };
+
+    const merchantTradeNo = record.merchantTradeNo?.trim() || null;
+    if (!merchantTradeNo) issues.push("merchantTradeNo kosong");
+
+    const amount = number("amount");
+    const feeAmount = number("fee");
+    let netAmount = number("netAmount");
+    if (amount === null && !issues.some((i) => i.startsWith("amount"))) issues.push("amount kosong");
+    if (feeAmount === null && !issues.some((i) => i.startsWith("fee"))) issues.push("fee kosong");
+
+    if (amount !== null && feeAmount !== null) {
+        if (netAmount === null) netAmount = round2(amount - feeAmount);
+        else if (Math.abs(netAmount - (amount - feeAmount)) > 0.009) issues.push(`netAmount ${netAmount} ≠ amount - fee (${round2(amount - feeAmount)})`);
+    }
+
+    const settledAt = moment.tz(record.settlementTime?.trim() || "", SETTLEMENT_TIME_FORMATS, true, "Asia/Jakarta");
+    if (!settledAt.isValid()) issues.push(`settlementTime: "${record.settlementTime || ""}" tidak valid`);
+
+    return {
+        merchantTradeNo,
+        platformTradeNo: record.platformTradeNo?.trim() || null,
+        paymentType: record.paymentType?.trim() || null,
+        amount,
+        feeAmount,
+        netAmount,
+        settledAt: settledAt.isValid() ? settledAt.toDate() : null,
+        issues,
+    };
+};
+
+/**
+ * CSV → baris settlement. Throw 400 jika header kurang kolom wajib atau file tanpa baris data.
+ */
+export const parseSettlementFile = (buffer) => {
+    const [header, ...rows] = parseCsv(buffer.toString("utf8"));
+    const columns = (header || []).map((name) => SETTLEMENT_COLUMNS.find((column) => column.toLowerCase() === name.trim().toLowerCase()) || null);
+
+    const missing = SETTLEMENT_REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+    if (missing.length > 0) {
+        throw {
+            statusCode: 400,
+            message: `Kolom wajib tidak ada di header CSV: ${missing.join(", ")}`,
+        };
+    }
+    if (rows.length === 0) {
+        throw {
+            statusCode: 400,
+            message: "File settlement tidak berisi baris data",
+        };
+    }
+
+    return rows.map((row, index) => {
+        const record = Object.fromEntries(columns.map((column, i) => [column, row[i]]).filter(([column]) => column));
+        return { lineNumber: index + 2, raw: record, ...parseSettlementRecord(record) };
+    });
+};
+
+/**
+ * Perbedaan antara baris settlement dan transaksi. Kosong = cocok.
+ */
+export const settlementIssues = (transaction, line) => {
+    const issues = [];
+
+    if (transaction.paymentMethod === "CASH") issues.push("paymentMethod: transaksi CASH tidak disettle Paylabs");
+    if (!PAID_STATUSES.includes(transaction.status)) issues.push(`status: transaksi ${transaction.status}`);
+
+    const amount = parseFloat(transaction.amount);
+    if (amount !== line.amount) issues.push(`amount: file ${line.amount}, transaksi ${amount}`);
+
+    const paylabsRef = transaction.metadata?.paylabsRef;
+    if (line.platformTradeNo && paylabsRef && line.platformTradeNo !== paylabsRef) issues.push(`platformTradeNo: file ${line.platformTradeNo}, transaksi ${paylabsRef}`);
+
+    if (transaction.feeAmount !== null && transaction.feeAmount !== undefined && parseFloat(transaction.feeAmount) !== line.feeAmount) {
+        issues.push(`fee: file ${line.feeAmount}, dihitung ${parseFloat(transaction.feeAmount)}`);
+    }
+
+    return issues;
+};
+
+/**
+ * Terapkan settlement ke transaksi: tanggal & jam settlement, fee & net aktual (metadata.settlement).
+ * Selisih fee / net dengan yang sudah tercatat dikoreksi di revenue harian.
+ * options diteruskan ke query Sequelize (mis. { transaction: t } saat import).
+ */
+export const applySettlement = async (transaction, line, options = {}) => {
+    const previousFee = parseFloat(transaction.feeAmount || 0);
+    const previousNet = transaction.netAmount !== null && transaction.netAmount !== undefined ? parseFloat(transaction.netAmount) : parseFloat(transaction.amount);
+    const feeAmount = parseFloat(line.feeAmount);
+    const netAmount = parseFloat(line.netAmount);
+
+    await transaction.update(
+        {
+            settlementDate: line.settledAt,
+            settlementTime: moment(line.settledAt).tz("Asia/Jakarta").format("HH:mm:ss"),
+            feeAmount,
+            netAmount,
+            metadata: {
+                ...transaction.metadata,
+                settlement: { reportId: line.reportId, lineId: line.id, amount: parseFloat(line.amount), feeAmount, netAmount, settledAt: line.settledAt },
+            },
+        },
+        options,
+    );
+
+    const feeDelta = round2(feeAmount - previousFee);
+    const netDelta = round2(netAmount - previousNet);
+    if (feeDelta !== 0 || netDelta !== 0) {
+        await recordDailyFeeAdjustment(transaction, { feeDelta, netDelta }, options);
+    }
+};
+
+/**
+ * Import file settlement: setiap baris dicocokkan & disimpan, baris cocok langsung diterapkan.
+ * Semua dalam satu DB transaction: jika satu baris gagal, tidak ada yang tersimpan dan file bisa diupload ulang.
+ * Throw 409 jika file yang sama sudah pernah diimport.
+ */
+export const importSettlementReport = async ({ buffer, fileName }, actor) => {
+    const checksum = crypto.createHash("sha256").update(buffer).digest("hex");
+    const alreadyImported = () => ({
+        statusCode: 409,
+        message: "File settlement ini sudah pernah diimport",
+    });
+
+    if (await SettlementReport.findOne({ where: { checksum } })) throw alreadyImported();
+
+    const parsedLines = parseSettlementFile(buffer);
+
+    try {
+        const report = await sequelize.transaction(async (t) => {
+            const report = await SettlementReport.create({ fileName: fileName || null, checksum, lineCount: parsedLines.length, uploadedBy: actor.userId }, { transaction: t });
+
+            const statusCounts = Object.fromEntries(Object.values(SETTLEMENT_LINE_STATUSES).map((status) => [status, 0]));
+            const settledInFile = new Set();
+            let totalAmount = 0;
+            let totalFeeAmount = 0;
+            let totalNetAmount = 0;
+
+            for (const parsed of parsedLines) {
+                const { issues: parseIssues, ...fields } = parsed;
+                let status;
+                let issues = parseIssues;
+                let transaction = null;
+
+                if (parseIssues.length > 0) {
+                    status = INVALID;
+                } else {
+                    transaction = await Transaction.findOne({ where: { transactionId: fields.merchantTradeNo }, transaction: t });
+
+                    if (!transaction) {
+                        status = UNMATCHED;
+                        issues = ["Transaksi tidak ditemukan"];
+                    } else if (transaction.metadata?.settlement || settledInFile.has(transaction.transactionId)) {
+                        status = DUPLICATE;
+                        issues = [transaction.metadata?.settlement ? `Transaksi sudah disettle (report ${transaction.metadata.settlement.reportId})` : "Transaksi muncul lebih dari sekali di file ini"];
+                    } else {
+                        issues = settlementIssues(transaction, fields);
+                        status = issues.length === 0 ? MATCHED : MISMATCH;
+                    }
+                }
+
+                const line = await SettlementLine.create(
+                    {
+                        ...fields,
+                        reportId: report.id,
+                        transactionId: transaction?.transactionId || null,
+                        status,
+                        issues,
+                        reviewStatus: status === MATCHED ? null : OPEN,
+                    },
+                    { transaction: t },
+                );
+
+                if (status === MATCHED) {
+                    await applySettlement(transaction, line, { transaction: t });
+                    settledInFile.add(transaction.transactionId);
+                }
+
+                statusCounts[status] += 1;
+                totalAmount += fields.amount || 0;
+                totalFeeAmount += fields.feeAmount || 0;
+                totalNetAmount += fields.netAmount || 0;
+            }
+
+            return await report.update(
+                {
+                    statusCounts,
+                    totalAmount: round2(totalAmount),
+                    totalFeeAmount: round2(totalFeeAmount),
+                    totalNetAmount: round2(totalNetAmount),
+                },
+                { transaction: t },
+            );
+        });
+
+        const matched = report.statusCounts[MATCHED];
+        logger.info(`Settlement report ${report.id} imported by ${actor.email}: ${parsedLines.length} lines, ${matched} matched, ${parsedLines.length - matched} for review`);
+
+        return report;
+    } catch (error) {
+        // Upload bersamaan untuk file yang sama: unique checksum menolak yang kedua
+        if (error.name === "SequelizeUniqueConstraintError") throw alreadyImported();
+        throw error;
+    }
+};
+
+export const listSettlementReports = async ({ limit = 50, offset = 0 } = {}) => {
+    const { count, rows } = await SettlementReport.findAndCountAll({
+        order: [["createdAt", "DESC"]],
+        limit,
+        offset,
+    });
+
+    return { total: count, reports: rows };
+};
+
+export const getSettlementReportOrFail = async (reportId) => {
+    const report = isUuid(reportId) ? await SettlementReport.findByPk(reportId) : null;
+    if (!report) {
+        throw {
+            statusCode: 404,
+            message: "Settlement report tidak ditemukan",
+        };
+    }
+    return report;
+};
+
+export const listSettlementLines = async (reportId, { status } = {}) => {
+    const where = { reportId };
+    if (status) where.status = status;
+
+    return await SettlementLine.findAll({ where, order: [["lineNumber", "ASC"]] });
+};
+
+/**
+ * Review queue: baris yang belum direview, terlama dulu. Filter opsional per status baris.
+ */
+export const listReviewQueue = async ({ status, limit = 50, offset = 0 } = {}) => {
+    const where = { reviewStatus: OPEN };
+    if (status) where.status = status;
+
+    const { count, rows } = await SettlementLine.findAndCountAll({
+        where,
+        order: [
+            ["createdAt", "ASC"],
+            ["lineNumber", "ASC"],
+        ],
+        limit,
+        offset,
+    });
+
+    return { total: count, lines: rows };
+};
+
+const getOpenLineOrFail = async (lineId) => {
+    const line = isUuid(lineId) ? await SettlementLine.findByPk(lineId) : null;
+    if (!line) {
+        throw {
+            statusCode: 404,
+            message: "Baris settlement tidak ditemukan",
+        };
+    }
+    if (line.reviewStatus !== OPEN) {
+        throw {
+            statusCode: 409,
+            message: `Baris settlement sudah direview (${line.reviewStatus || line.status})`,
+        };
+    }
+    return line;
+};
+
+/**
+ * Putuskan baris di review queue.
+ * - dismiss: baris diabaikan, transaksi tidak berubah.
+ * - accept : settlement diterapkan dengan angka dari file. Baris Unmatched butuh transactionId;
+ *   transaksi yang belum sukses (callback terlewat) ditandai Success dulu. Baris Invalid hanya bisa di-dismiss.
+ */
+export const reviewSettlementLine = async (lineId, { action, transactionId, note }, actor) => {
+    const line = await getOpenLineOrFail(lineId);
+    const review = { reviewNote: note || null, reviewedBy: actor.userId, reviewedAt: new Date() };
+
+    if (action === "dismiss") {
+        await line.update({ ...review, reviewStatus: DISMISSED });
+        logger.info(`Settlement line ${line.id} dismissed by ${actor.email}`);
+        return line;
+    }
+
+    if (line.status === INVALID) {
+        throw {
+            statusCode: 400,
+            message: "Baris Invalid tidak bisa diterapkan, hanya bisa di-dismiss",
+        };
+    }
+
+    const targetId = transactionId || line.transactionId;
+    if (!targetId) {
+        throw {
+            statusCode: 400,
+            message: "transactionId wajib diisi untuk baris Unmatched",
+        };
+    }
+
+    const transaction = await Transaction.findOne({ where: { transactionId: targetId } });
+    if (!transaction) {
+        throw {
+            statusCode: 404,
+            message: "Transaksi tidak ditemukan",
+        };
+    }
+    if (transaction.metadata?.settlement) {
+        throw {
+            statusCode: 409,
+            message: `Transaksi sudah disettle (report ${transaction.metadata.settlement.reportId})`,
+        };
+    }
+    if (transaction.paymentMethod === "CASH") {
+        throw {
+            statusCode: 400,
+            message: "Transaksi CASH tidak bisa disettle dari file Paylabs",
+        };
+    }
+
+    // Paylabs sudah menyettle → pembayaran pasti sukses walau callback / inquiry terlewat
+    if (!PAID_STATUSES.includes(transaction.status)) {
+        await applyPaylabsStatus(transaction, { status: "02", successTime: line.settledAt?.toISOString() });
+    }
+
+    // Settlement & status baris tersimpan bersama: jika salah satu gagal, baris tetap Open dan bisa di-accept ulang
+    await sequelize.transaction(async (t) => {
+        await applySettlement(transaction, line, { transaction: t });
+        await line.update({ ...review, reviewStatus: ACCEPTED, transactionId: transaction.transactionId }, { transaction: t });
+    });
+
+    logger.info(`Settlement line ${line.id} accepted for ${transaction.transactionId} by ${actor.email}`);
+
+    return line;
+};
+
+export default {
+    serializeSettlementReport,
+    serializeSettlementLine,
+    parseSettlementRecord,
+    parseSettlementFile,
+    settlementIssues,
+    applySettlement,
+    importSettlementReport,
+    listSettlementReports,
+    getSettlementReportOrFail,
+    listSettlementLines,
+    listReviewQueue,
+    reviewSettlementLine,
+};
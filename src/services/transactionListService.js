@@ -0,0 +1,176 @@
+import { Op, fn, col } from "sequelize";
+import moment from "moment-timezone";
+import sequelize from "../database/connection.js";
+import Transaction from "../models/Transaction.js";
+import { TRANSACTION_DEFAULT_SORT } from "../config/transactions.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+
+/* =====================================================
+   TRANSACTION LIST
+   Filter, sort & pagination GET /api/transactions.
+   Cursor = posisi baris terakhir (nilai kolom sort + transactionId),
+   sehingga halaman dalam tetap cepat (keyset, tanpa OFFSET besar).
+===================================================== */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// "-amount" → { field: "amount", direction: "DESC" }
+export const parseSort = (sort = TRANSACTION_DEFAULT_SORT) => ({
+    field: sort.replace(/^-/, ""),
+    direction: sort.startsWith("-") ? "DESC" : "ASC",
+});
+
+// Tanggal saja = awal / akhir hari WIB
+const dateBound = (value, edge) => {
+    if (typeof value === "string" && DATE_ONLY.test(value)) {
+        const day = moment.tz(value, "YYYY-MM-DD", "Asia/Jakarta");
+        return (edge === "start" ? day.startOf("day") : day.endOf("day")).toDate();
+    }
+    return new Date(value);
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// Item metadata.productInfo (array) yang nama atau SKU-nya mengandung kata kunci
+const productCondition = (product) => {
+    const pattern = sequelize.escape(`%${escapeLike(product)}%`);
+    return sequelize.literal(
+        `EXISTS (SELECT 1 FROM jsonb_array_elements(CASE WHEN jsonb_typeof("metadata"->'productInfo') = 'array' THEN "metadata"->'productInfo' ELSE '[]'::jsonb END) AS item ` +
+            `WHERE item->>'name' ILIKE ${pattern} OR item->>'id' ILIKE ${pattern})`,
+    );
+};
+
+/**
+ * Where clause filter list transaksi (tanpa cursor). Semua filter opsional.
+ */
+export const buildTransactionFilter = (merchantId, { outletId, from, to, status, paymentMethod, paymentChannel, refundStatus, minAmount, maxAmount, product } = {}) => {
+    const where = { merchantId };
+    const and = [];
+
+    if (outletId) where.outletId = outletId;
+    if (status) where.status = { [Op.in]: status };
+    if (paymentMethod) where.paymentMethod = { [Op.in]: paymentMethod };
+    if (paymentChannel) where.paymentChannel = { [Op.in]: paymentChannel };
+    if (refundStatus) where.refundStatus = { [Op.in]: refundStatus };
+
+    if (from || to) {
+        where.transactionDate = {};
+        if (from) where.transactionDate[Op.gte] = dateBound(from, "start");
+        if (to) where.transactionDate[Op.lte] = dateBound(to, "end");
+    }
+
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        where.amount = {};
+        if (minAmount !== undefined) where.amount[Op.gte] = minAmount;
+        if (maxAmount !== undefined) where.amount[Op.lte] = maxAmount;
+    }
+
+    if (product) and.push(productCondition(product));
+    if (and.length > 0) where[Op.and] = and;
+
+    return where;
+};
+
+export const transactionCursor = (transaction, sort) => {
+    const { field } = parseSort(sort);
+    const value = transaction[field];
+    return encodeCursor({ sort, value: value instanceof Date ? value.toISOString() : value, id: transaction.transactionId });
+};
+
+/**
+ * Kondisi "setelah baris cursor" sesuai arah sort. Throw 400 jika cursor rusak
+ * atau dibuat dengan sort lain.
+ */
+export const cursorCondition = (cursor, sort) => {
+    const payload = decodeCursor(cursor);
+    if (!payload || payload.sort !== sort || payload.value === undefined || payload.value === null || typeof payload.id !== "string") {
+        throw {
+            statusCode: 400,
+            message: "Cursor tidak valid untuk sort ini",
+        };
+    }
+
+    const { field, direction } = parseSort(sort);
+    const value = field === "amount" ? payload.value : new Date(payload.value);
+    if (value instanceof Date && Number.isNaN(value.getTime())) {
+        throw {
+            statusCode: 400,
+            message: "Cursor tidak valid untuk sort ini",
+        };
+    }
+
+    const op = direction === "DESC" ? Op.lt : Op.gt;
+    return {
+        [Op.or]: [{ [field]: { [op]: value } }, { [field]: value, transactionId: { [op]: payload.id } }],
+    };
+};
+
+/**
+ * Total untuk seluruh hasil filter (bukan hanya halaman ini).
+ * totalNetAmount hanya menjumlahkan transaksi yang fee-nya sudah tercatat.
+ * col() berisi nama kolom DB (underscored), bukan nama atribut model.
+ */
+export const summarizeTransactions = async (where) => {
+    const totals = await Transaction.findOne({
+        where,
+        attributes: [
+            [fn("COUNT", col("transaction_id")), "count"],
+            [fn("SUM", col("amount")), "totalAmount"],
+            [fn("SUM", col("fee_amount")), "totalFeeAmount"],
+            [fn("SUM", col("net_amount")), "totalNetAmount"],
+            [fn("SUM", col("refund_amount")), "totalRefundAmount"],
+        ],
+        raw: true,
+    });
+
+    return {
+        count: parseInt(totals?.count || 0),
+        totalAmount: parseFloat(totals?.totalAmount || 0),
+        totalFeeAmount: parseFloat(totals?.totalFeeAmount || 0),
+        totalNetAmount: parseFloat(totals?.totalNetAmount || 0),
+        totalRefundAmount: parseFloat(totals?.totalRefundAmount || 0),
+    };
+};
+
+/**
+ * List transaksi merchant. Pakai cursor (keyset) jika ada, selain itu page (offset).
+ * nextCursor selalu dikembalikan selama masih ada halaman berikutnya.
+ */
+export const listTransactions = async (merchantId, { page, cursor, limit = 20, sort = TRANSACTION_DEFAULT_SORT, ...filters } = {}) => {
+    const where = buildTransactionFilter(merchantId, filters);
+    const { field, direction } = parseSort(sort);
+
+    const pageWhere = cursor ? { [Op.and]: [where, cursorCondition(cursor, sort)] } : where;
+    const offset = cursor ? 0 : ((page || 1) - 1) * limit;
+
+    // Ambil satu baris lebih untuk tahu masih ada halaman berikutnya
+    const rows = await Transaction.findAll({
+        where: pageWhere,
+        order: [
+            [field, direction],
+            ["transactionId", direction],
+        ],
+        limit: limit + 1,
+        offset,
+    });
+    const totals = await summarizeTransactions(where);
+
+    const hasMore = rows.length > limit;
+    const transactions = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        transactions,
+        totals,
+        hasMore,
+        nextCursor: hasMore ? transactionCursor(transactions[transactions.length - 1], sort) : null,
+    };
+};
+
+export default {
+    parseSort,
+    buildTransactionFilter,
+    transactionCursor,
+    cursorCondition,
+    summarizeTransactions,
+    listTransactions,
+};
@@ -0,0 +1,228 @@
+import crypto from "crypto";
+import { Op } from "sequelize";
+import TwoFactorCredential from "../models/TwoFactorCredential.js";
+import { BANK_ROLES } from "../config/roles.js";
+import { generateSecret, verifyCode, provisioningUri } from "../utils/totp.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   TWO-FACTOR AUTHENTICATION (TOTP)
+   - setup  → secret Pending + otpauth URI (QR)
+   - enable → konfirmasi dengan kode pertama, recovery codes dikembalikan sekali
+   - wajib untuk semua role bank
+===================================================== */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/* ===== Enkripsi secret at rest (AES-256-GCM) ===== */
+
+const encryptionKey = () =>
+    crypto
+        .createHash("sha256")
+        .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_ACCESS_TOKEN_SECRET)
+        .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(":");
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split(":").map((part) => Buffer.from(part, "base64"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/* ===== Recovery codes ===== */
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, "");
+
+const hashRecoveryCode = (code) => crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, stored: codes.map((code) => ({ hash: hashRecoveryCode(code), usedAt: null })) };
+};
+
+const invalidCode = () => ({
+    statusCode: 401,
+    message: "Kode 2FA salah",
+});
+
+/**
+ * 2FA wajib untuk role bank (akses ke data finansial merchant)
+ */
+export const isTwoFactorRequired = (user) => BANK_ROLES.includes(user.role);
+
+export const isTwoFactorEnabled = async (userId) => {
+    const count = await TwoFactorCredential.count({ where: { userId, status: "Enabled" } });
+    return count > 0;
+};
+
+/**
+ * Status 2FA user (tanpa secret)
+ */
+export const getTwoFactorStatus = async (user) => {
+    const credential = await TwoFactorCredential.findOne({ where: { userId: user.id } });
+    const enabled = credential?.status === "Enabled";
+
+    return {
+        enabled,
+        required: isTwoFactorRequired(user),
+        enabledAt: enabled ? credential.enabledAt : null,
+        recoveryCodesRemaining: enabled ? credential.recoveryCodes.filter((c) => !c.usedAt).length : 0,
+    };
+};
+
+/**
+ * Buat secret baru (Pending). Setup ulang sebelum enable akan mengganti secret sebelumnya.
+ */
+export const beginEnrollment = async (user) => {
+    const existing = await TwoFactorCredential.findOne({ where: { userId: user.id } });
+    if (existing?.status === "Enabled") {
+        throw {
+            statusCode: 400,
+            message: "2FA sudah aktif",
+        };
+    }
+
+    const secret = generateSecret();
+    if (existing) {
+        await existing.update({ secret: encryptSecret(secret), lastUsedStep: null });
+    } else {
+        await TwoFactorCredential.create({ userId: user.id, secret: encryptSecret(secret) });
+    }
+
+    logger.info(`2FA enrollment started for ${user.email}`);
+
+    return {
+        secret,
+        otpauthUrl: provisioningUri(secret, user.email),
+    };
+};
+
+/**
+ * Konfirmasi enrollment dengan kode pertama dari aplikasi authenticator.
+ * Return recovery codes (hanya ditampilkan sekali).
+ */
+export const confirmEnrollment = async (user, code) => {
+    const credential = await TwoFactorCredential.findOne({ where: { userId: user.id, status: "Pending" } });
+    if (!credential) {
+        throw {
+            statusCode: 400,
+            message: "Mulai setup 2FA terlebih dahulu",
+        };
+    }
+
+    const step = verifyCode(decryptSecret(credential.secret), code);
+    if (step === null) {
+        throw {
+            statusCode: 400,
+            message: "Kode 2FA salah",
+        };
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+    await credential.update({ status: "Enabled", enabledAt: new Date(), lastUsedStep: step, recoveryCodes: stored });
+
+    logger.info(`2FA enabled for ${user.email}`);
+
+    return { recoveryCodes: codes };
+};
+
+/**
+ * Verifikasi faktor kedua: kode TOTP atau 1 recovery code (sekali pakai).
+ * Return { method, recoveryCodesRemaining }. Throw 401 jika salah.
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    const credential = await TwoFactorCredential.findOne({ where: { userId: user.id, status: "Enabled" } });
+    if (!credential) {
+        throw invalidCode();
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const match = credential.recoveryCodes.find((c) => c.hash === hash && !c.usedAt);
+        if (!match) {
+            throw invalidCode();
+        }
+
+        const recoveryCodes = credential.recoveryCodes.map((c) => (c === match ? { ...c, usedAt: new Date().toISOString() } : c));
+
+        // Conditional update pada updatedAt: kalau baris sudah berubah sejak dibaca (request lain memakai
+        // recovery code yang sama), tidak ada baris yang ter-update dan kode ditolak
+        const [updated] = await TwoFactorCredential.update({ recoveryCodes }, { where: { id: credential.id, updatedAt: credential.updatedAt } });
+        if (updated === 0) {
+            throw invalidCode();
+        }
+
+        const remaining = recoveryCodes.filter((c) => !c.usedAt).length;
+        logger.warn(`Recovery code used by ${user.email}, ${remaining} remaining`);
+
+        return { method: "recovery_code", recoveryCodesRemaining: remaining };
+    }
+
+    const step = verifyCode(decryptSecret(credential.secret), code);
+    if (step === null) {
+        throw invalidCode();
+    }
+
+    // Conditional update: kode (time step) yang sama tidak bisa dipakai 2x, termasuk oleh 2 request bersamaan
+    const [updated] = await TwoFactorCredential.update(
+        { lastUsedStep: step },
+        { where: { id: credential.id, [Op.or]: [{ lastUsedStep: null }, { lastUsedStep: { [Op.lt]: step } }] } },
+    );
+    if (updated === 0) {
+        throw invalidCode();
+    }
+
+    return { method: "totp", recoveryCodesRemaining: credential.recoveryCodes.filter((c) => !c.usedAt).length };
+};
+
+/**
+ * Ganti semua recovery code (yang lama tidak berlaku). Wajib kode TOTP.
+ */
+export const regenerateRecoveryCodes = async (user, code) => {
+    await verifySecondFactor(user, { code });
+
+    const { codes, stored } = generateRecoveryCodes();
+    await TwoFactorCredential.update({ recoveryCodes: stored }, { where: { userId: user.id } });
+
+    logger.info(`2FA recovery codes regenerated for ${user.email}`);
+
+    return { recoveryCodes: codes };
+};
+
+/**
+ * Nonaktifkan 2FA (tidak boleh untuk role bank)
+ */
+export const disableTwoFactor = async (user, factor) => {
+    if (isTwoFactorRequired(user)) {
+        throw {
+            statusCode: 403,
+            message: "2FA wajib untuk akun bank dan tidak bisa dinonaktifkan",
+        };
+    }
+
+    await verifySecondFactor(user, factor);
+    await TwoFactorCredential.destroy({ where: { userId: user.id } });
+
+    logger.info(`2FA disabled for ${user.email}`);
+};
+
+export default {
+    isTwoFactorRequired,
+    isTwoFactorEnabled,
+    getTwoFactorStatus,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+};
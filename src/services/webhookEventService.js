@@ -0,0 +1,189 @@
+import { Op } from "sequelize";
+import { validate as isUuid } from "uuid";
+import WebhookEvent from "../models/WebhookEvent.js";
+import Transaction from "../models/Transaction.js";
+import { applyPaylabsStatus } from "./paymentStatusService.js";
+import logger from "../utils/logger.js";
+
+/* =====================================================
+   WEBHOOK EVENTS
+   Setiap callback Paylabs disimpan dulu (raw body, header, hasil
+   verifikasi signature) baru diproses. Callback yang sama (retry
+   Paylabs) tidak diproses dua kali; event Failed bisa di-replay admin
+   lewat handler yang sama.
+===================================================== */
+
+// Header yang disimpan — cukup untuk verifikasi ulang signature & penelusuran
+const STORED_HEADERS = ["content-type", "user-agent", "x-timestamp", "x-signature", "x-partner-id", "x-request-id", "x-forwarded-for"];
+
+/**
+ * Identitas callback dari Paylabs: transaksi + order Paylabs + status yang dilaporkan
+ */
+export const dedupeKeyFor = (body) => {
+    if (!body?.merchantTradeNo) return null;
+    return [body.merchantTradeNo, body.platformTradeNo || "-", body.status || "-"].join(":");
+};
+
+export const serializeWebhookEvent = (event, { includePayload = false } = {}) => ({
+    eventId: event.id,
+    provider: event.provider,
+    merchantTradeNo: event.merchantTradeNo,
+    platformTradeNo: event.platformTradeNo,
+    paylabsStatus: event.paylabsStatus,
+    signatureValid: event.signatureValid,
+    status: event.status,
+    responseStatus: event.responseStatus,
+    errorMessage: event.errorMessage,
+    duplicateOf: event.duplicateOf,
+    attempts: event.attempts,
+    receivedAt: event.createdAt,
+    processedAt: event.processedAt,
+    lastReplayedAt: event.lastReplayedAt,
+    ...(includePayload ? { headers: event.headers, rawBody: event.rawBody } : {}),
+});
+
+/**
+ * Simpan callback sebelum diproses. Callback dengan signature tidak valid disimpan sebagai InvalidSignature.
+ */
+export const recordWebhookEvent = async ({ headers, rawBody, body, signatureValid }) => {
+    const storedHeaders = Object.fromEntries(STORED_HEADERS.filter((name) => headers[name] !== undefined).map((name) => [name, headers[name]]));
+
+    return await WebhookEvent.create({
+        provider: "paylabs",
+        dedupeKey: dedupeKeyFor(body),
+        merchantTradeNo: body?.merchantTradeNo || null,
+        platformTradeNo: body?.platformTradeNo || null,
+        paylabsStatus: body?.status || null,
+        headers: storedHeaders,
+        rawBody,
+        signatureValid,
+        status: signatureValid ? "Received" : "InvalidSignature",
+        responseStatus: signatureValid ? null : 401,
+    });
+};
+
+/**
+ * Terapkan callback Paylabs ke transaksi. Return { statusCode, error } — statusCode dikirim balik ke Paylabs.
+ */
+export const processPaylabsCallback = async (body) => {
+    const { merchantTradeNo, status } = body;
+
+    const transaction = await Transaction.findOne({ where: { transactionId: merchantTradeNo } });
+    if (!transaction) {
+        return { statusCode: 404, error: "Transaksi tidak ditemukan" };
+    }
+
+    // Callback VA: nomor VA & nominal yang dibayar harus sama dengan VA yang diterbitkan
+    if (transaction.paymentMethod === "Virtual Account" && status === "02") {
+        const vaMismatch = body.vaCode && body.vaCode !== transaction.metadata?.vaCode;
+        const amountMismatch = parseFloat(body.amount) !== parseFloat(transaction.amount);
+
+        if (vaMismatch || amountMismatch) {
+            logger.warn(`Webhook: VA callback mismatch for ${merchantTradeNo} (vaCode ${body.vaCode}, amount ${body.amount})`);
+            return { statusCode: 400, error: "vaCode / amount tidak cocok dengan VA yang diterbitkan" };
+        }
+    }
+
+    // Update status (+ revenue jika Success) — logika yang sama dengan check-status
+    await applyPaylabsStatus(transaction, body);
+
+    return { statusCode: 200 };
+};
+
+/**
+ * Proses event tersimpan (callback baru atau replay). Callback yang sudah pernah diproses ditandai Duplicate.
+ * Error saat memproses dicatat di event dan dikembalikan sebagai statusCode 500 supaya Paylabs retry.
+ */
+export const handleWebhookEvent = async (event) => {
+    const original = event.dedupeKey
+        ? await WebhookEvent.findOne({
+              where: { dedupeKey: event.dedupeKey, status: "Processed", id: { [Op.ne]: event.id } },
+              order: [["createdAt", "ASC"]],
+          })
+        : null;
+
+    if (original) {
+        await event.update({ status: "Duplicate", duplicateOf: original.id, responseStatus: 200, processedAt: new Date() });
+        logger.info(`Webhook: duplicate callback ${event.dedupeKey} (original event ${original.id})`);
+        return { statusCode: 200, duplicate: true };
+    }
+
+    let outcome;
+    try {
+        outcome = await processPaylabsCallback(JSON.parse(event.rawBody));
+    } catch (error) {
+        logger.error(`Webhook event ${event.id} failed: ${error.message}`);
+        outcome = { statusCode: 500, error: error.message };
+    }
+
+    await event.update({
+        status: outcome.statusCode === 200 ? "Processed" : "Failed",
+        responseStatus: outcome.statusCode,
+        errorMessage: outcome.error || null,
+        attempts: event.attempts + 1,
+        processedAt: new Date(),
+    });
+
+    return outcome;
+};
+
+/**
+ * Event webhook terbaru dulu. Default hanya yang Failed.
+ */
+export const listWebhookEvents = async ({ status = "Failed", merchantTradeNo, limit = 50, offset = 0 } = {}) => {
+    const where = { status };
+    if (merchantTradeNo) where.merchantTradeNo = merchantTradeNo;
+
+    const { count, rows } = await WebhookEvent.findAndCountAll({
+        where,
+        order: [["createdAt", "DESC"]],
+        limit,
+        offset,
+    });
+
+    return { total: count, events: rows };
+};
+
+export const getWebhookEventOrFail = async (eventId) => {
+    const event = isUuid(eventId) ? await WebhookEvent.findByPk(eventId) : null;
+    if (!event) {
+        throw {
+            statusCode: 404,
+            message: "Webhook event tidak ditemukan",
+        };
+    }
+    return event;
+};
+
+/**
+ * Proses ulang event Failed lewat handler yang sama dengan callback Paylabs.
+ * Signature tidak dicek ulang — event Failed selalu sudah lolos verifikasi saat diterima.
+ */
+export const replayWebhookEvent = async (eventId, actor) => {
+    const event = await getWebhookEventOrFail(eventId);
+
+    if (event.status !== "Failed") {
+        throw {
+            statusCode: 409,
+            message: `Hanya event Failed yang bisa di-replay (status: ${event.status})`,
+        };
+    }
+
+    await event.update({ lastReplayedAt: new Date(), lastReplayedBy: actor.userId });
+    const outcome = await handleWebhookEvent(event);
+
+    logger.info(`Webhook event ${event.id} replayed by ${actor.email}: ${event.status}`);
+
+    return { event, outcome };
+};
+
+export default {
+    dedupeKeyFor,
+    serializeWebhookEvent,
+    recordWebhookEvent,
+    processPaylabsCallback,
+    handleWebhookEvent,
+    listWebhookEvents,
+    getWebhookEventOrFail,
+    replayWebhookEvent,
+};
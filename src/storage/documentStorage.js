@@ -0,0 +1,74 @@
+import fs from "fs/promises";
+import path from "path";
+
+/* =====================================================
+   DOCUMENT STORAGE
+   Storage = { name, put(key, buffer), get(key) → Buffer, remove(key) }
+   key     = path relatif, mis. "kyc/MRC123456/ktp-<uuid>.jpg"
+   Dipilih lewat DOCUMENT_STORAGE (default: local).
+===================================================== */
+
+/**
+ * Simpan file di disk lokal, di bawah DOCUMENT_STORAGE_DIR (default storage/documents)
+ */
+const createLocalStorage = () => {
+    const root = path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join("storage", "documents"));
+
+    // Tolak key yang keluar dari root (mis. "../")
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        name: "local",
+        root,
+        put: async (key, buffer) => {
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+        },
+        get: async (key) => await fs.readFile(resolveKey(key)),
+        remove: async (key) => {
+            await fs.rm(resolveKey(key), { force: true });
+        },
+    };
+};
+
+const factories = {
+    local: createLocalStorage,
+};
+
+let activeStorage = null;
+let activeName = null;
+
+/**
+ * Daftarkan storage tambahan (mis. object storage) — dipilih dengan DOCUMENT_STORAGE=<name>
+ */
+export const registerStorage = (name, factory) => {
+    factories[name] = factory;
+    if (activeName === name) activeStorage = null;
+};
+
+export const getStorage = () => {
+    const name = process.env.DOCUMENT_STORAGE || "local";
+
+    if (!activeStorage || activeName !== name) {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`Unknown DOCUMENT_STORAGE: ${name}`);
+        }
+        activeStorage = factory();
+        activeName = name;
+    }
+
+    return activeStorage;
+};
+
+export default {
+    registerStorage,
+    getStorage,
+};
@@ -1,5 +1,6 @@
 import crypto from "crypto";
 import moment from "moment-timezone";
+import { getPaylabsSimulator } from "./PaylabsSimulator.js";
 
 // --- Zona waktu Asia/Jakarta ---
 function nowJakarta() {
@@ -48,7 +49,16 @@ export class PaylabsClient {
         this.baseMap = {
             SIT: "https://sit-pay.paylabs.co.id/payment/",
             PROD: "https://pay.paylabs.co.id/payment/",
+            MOCK: "http://mock.paylabs.local/payment/",
         };
+
+        // MOCK: request dijawab simulator in-process, sign & verify memakai test key simulator
+        if (this.server === "MOCK") {
+            this.simulator = config.simulator || getPaylabsSimulator();
+            this.mid = this.mid || this.simulator.mid;
+            this.privateKey = this.simulator.merchantPrivateKey;
+            this.publicKey = this.simulator.publicKey;
+        }
     }
 
     getFullUrl(path) {
@@ -138,6 +148,10 @@ export class PaylabsClient {
             console.log("Payload:", JSON.stringify(payload, null, 2));
         }
 
+        if (this.simulator) {
+            return this.simulator.handleRequest(path.startsWith("/") ? path : `/${path}`, headers, JSON.stringify(payload));
+        }
+
         const res = await fetch(url, {
             method: "POST",
             headers,
@@ -0,0 +1,256 @@
+import crypto from "crypto";
+import moment from "moment-timezone";
+
+/* =====================================================
+   PAYLABS SIMULATOR (PAYLABS_SERVER=MOCK)
+   Pengganti Paylabs in-process untuk development & test:
+   order QRIS / VA / e-wallet disimpan di memori, request
+   diverifikasi & response / callback ditandatangani dengan
+   test key yang di-generate saat simulator dibuat.
+===================================================== */
+
+const PAID = "02";
+const PENDING = "01";
+const FAILED = "09";
+
+const ORDER_TTL_MINUTES = 30;
+const DEFAULT_CALLBACK_PATH = "/api/webhook/paylabs";
+
+const nowJakarta = () => moment.tz("Asia/Jakarta").format("YYYY-MM-DDTHH:mm:ss.SSSZ");
+const paylabsTime = (date = new Date()) => moment(date).tz("Asia/Jakarta").format("YYYYMMDDHHmmss");
+const sha256Hex = (input) => crypto.createHash("sha256").update(input, "utf8").digest("hex").toLowerCase();
+const signString = (path, rawBody, timestamp) => `POST:${path}:${sha256Hex(rawBody)}:${timestamp}`;
+const digits = (length) => Array.from({ length }, () => crypto.randomInt(0, 10)).join("");
+
+const generateKeyPair = () =>
+    crypto.generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: "spki", format: "pem" },
+        privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    });
+
+export class PaylabsSimulator {
+    constructor({ mid = "MOCK" } = {}) {
+        this.mid = mid;
+        this.orders = new Map();
+
+        // Pasangan key merchant (dipakai PaylabsClient untuk sign request) & key "Paylabs" (sign callback)
+        const merchantKeys = generateKeyPair();
+        const paylabsKeys = generateKeyPair();
+        this.merchantPrivateKey = merchantKeys.privateKey;
+        this.merchantPublicKey = merchantKeys.publicKey;
+        this.publicKey = paylabsKeys.publicKey;
+        this.privateKey = paylabsKeys.privateKey;
+    }
+
+    reset() {
+        this.orders.clear();
+    }
+
+    getOrder(merchantTradeNo) {
+        return this.orders.get(merchantTradeNo) || null;
+    }
+
+    /**
+     * Terima request seperti endpoint Paylabs. Signature dicek dengan key merchant.
+     */
+    handleRequest(path, headers, rawBody) {
+        const signatureValid = crypto.verify("RSA-SHA256", Buffer.from(signString(path, rawBody, headers["X-TIMESTAMP"]), "utf8"), this.merchantPublicKey, Buffer.from(headers["X-SIGNATURE"] || "", "base64"));
+        if (!signatureValid) {
+            return { errCode: "401", errCodeDes: "Invalid signature" };
+        }
+
+        const body = JSON.parse(rawBody);
+        const [, kind, action] = path.match(/^\/payment\/v2\.3\/(qris|va|ewallet)\/(create|query|refund)$/) || [];
+        if (!kind) {
+            return { errCode: "404", errCodeDes: `Unknown path ${path}` };
+        }
+
+        if (action === "create") return this.createOrder(kind, body);
+
+        const order = this.getOrder(body.merchantTradeNo);
+        if (!order || order.kind !== kind) {
+            return { errCode: "404", errCodeDes: "Order not found" };
+        }
+
+        return action === "query" ? this.queryOrder(order, body) : this.refundOrder(order, body);
+    }
+
+    createOrder(kind, body) {
+        if (this.orders.has(body.merchantTradeNo)) {
+            return { errCode: "409", errCodeDes: "Duplicate merchantTradeNo" };
+        }
+
+        const order = {
+            kind,
+            merchantTradeNo: body.merchantTradeNo,
+            platformTradeNo: `MOCK${Date.now()}${digits(6)}`,
+            paymentType: body.paymentType,
+            amount: body.amount,
+            notifyUrl: body.notifyUrl || null,
+            status: PENDING,
+            refundedAmount: 0,
+            expiredTime: paylabsTime(new Date(Date.now() + ORDER_TTL_MINUTES * 60 * 1000)),
+            createdAt: new Date(),
+        };
+
+        const response = {
+            errCode: "0",
+            merchantId: body.merchantId,
+            requestId: body.requestId,
+            merchantTradeNo: order.merchantTradeNo,
+            platformTradeNo: order.platformTradeNo,
+            paymentType: order.paymentType,
+            amount: order.amount,
+            status: order.status,
+            expiredTime: order.expiredTime,
+        };
+
+        if (kind === "qris") {
+            order.qrCode = `00020101021226MOCK${order.platformTradeNo}5303360540${order.amount}6304`;
+            response.qrCode = order.qrCode;
+            response.qrisUrl = `https://mock.paylabs.local/payment/qr/img?url=${order.platformTradeNo}`;
+        }
+        if (kind === "va") {
+            order.vaCode = digits(16);
+            response.vaCode = order.vaCode;
+        }
+        if (kind === "ewallet") {
+            const phoneNumber = body.paymentParams?.phoneNumber;
+            response.paymentActions = phoneNumber
+                ? { pushPay: phoneNumber }
+                : {
+                      pcPayUrl: `https://mock.paylabs.local/ewallet/${order.platformTradeNo}`,
+                      mobilePayUrl: `https://mock.paylabs.local/ewallet/m/${order.platformTradeNo}`,
+                      appDeeplink: `mockwallet://pay/${order.platformTradeNo}`,
+                  };
+        }
+
+        this.orders.set(order.merchantTradeNo, order);
+        return response;
+    }
+
+    queryOrder(order, body) {
+        return {
+            errCode: "0",
+            merchantId: body.merchantId,
+            requestId: body.requestId,
+            merchantTradeNo: order.merchantTradeNo,
+            platformTradeNo: order.platformTradeNo,
+            paymentType: order.paymentType,
+            amount: order.amount,
+            status: order.status,
+            ...(order.successTime ? { successTime: order.successTime } : {}),
+            ...(order.vaCode ? { vaCode: order.vaCode } : {}),
+        };
+    }
+
+    refundOrder(order, body) {
+        const refundAmount = parseFloat(body.refundAmount);
+        if (order.status !== PAID) {
+            return { errCode: "400", errCodeDes: "Order not paid" };
+        }
+        if (!(refundAmount > 0) || order.refundedAmount + refundAmount > parseFloat(order.amount)) {
+            return { errCode: "400", errCodeDes: "Refund amount exceeds paid amount" };
+        }
+
+        order.refundedAmount += refundAmount;
+        return {
+            errCode: "0",
+            merchantTradeNo: order.merchantTradeNo,
+            merchantRefundNo: body.merchantRefundNo,
+            platformRefundNo: `MOCKRF${Date.now()}${digits(4)}`,
+            refundAmount: refundAmount.toFixed(2),
+            status: PAID,
+        };
+    }
+
+    /**
+     * Tandai order dibayar (status 02) — seperti pembayar menyelesaikan pembayaran
+     */
+    markPaid(merchantTradeNo) {
+        return this.setStatus(merchantTradeNo, PAID, { successTime: paylabsTime() });
+    }
+
+    /**
+     * Tandai order kadaluarsa / gagal (status 09)
+     */
+    markExpired(merchantTradeNo) {
+        return this.setStatus(merchantTradeNo, FAILED);
+    }
+
+    setStatus(merchantTradeNo, status, extra = {}) {
+        const order = this.getOrder(merchantTradeNo);
+        if (!order) throw new Error(`Order ${merchantTradeNo} tidak ada di simulator`);
+        Object.assign(order, { status, ...extra });
+        return order;
+    }
+
+    /**
+     * Callback bertanda tangan untuk status order saat ini: { headers, body, rawBody }.
+     * callbackPath harus sama dengan path yang dipakai webhook untuk verifikasi.
+     */
+    buildCallback(merchantTradeNo, { callbackPath = DEFAULT_CALLBACK_PATH, overrides = {} } = {}) {
+        const order = this.getOrder(merchantTradeNo);
+        if (!order) throw new Error(`Order ${merchantTradeNo} tidak ada di simulator`);
+
+        const body = {
+            merchantId: this.mid,
+            requestId: `CB${Date.now()}${digits(4)}`,
+            errCode: "0",
+            paymentType: order.paymentType,
+            amount: order.amount,
+            merchantTradeNo: order.merchantTradeNo,
+            platformTradeNo: order.platformTradeNo,
+            status: order.status,
+            ...(order.successTime ? { successTime: order.successTime } : {}),
+            ...(order.vaCode ? { vaCode: order.vaCode } : {}),
+            ...overrides,
+        };
+        const rawBody = JSON.stringify(body);
+        const timestamp = nowJakarta();
+        const signature = crypto.sign("RSA-SHA256", Buffer.from(signString(callbackPath, rawBody, timestamp), "utf8"), this.privateKey).toString("base64");
+
+        return {
+            headers: {
+                "Content-Type": "application/json;charset=utf-8",
+                "X-TIMESTAMP": timestamp,
+                "X-SIGNATURE": signature,
+                "X-PARTNER-ID": this.mid,
+                "X-REQUEST-ID": body.requestId,
+            },
+            body,
+            rawBody,
+        };
+    }
+
+    /**
+     * Kirim callback ke webhook (default: notifyUrl order). Return { status, body } dari webhook.
+     */
+    async sendCallback(merchantTradeNo, { url, callbackPath } = {}) {
+        const target = url || this.getOrder(merchantTradeNo)?.notifyUrl;
+        if (!target) throw new Error("URL webhook tidak diketahui (set NOTIFY_URL)");
+
+        const { headers, rawBody } = this.buildCallback(merchantTradeNo, { callbackPath });
+        const res = await fetch(target, { method: "POST", headers, body: rawBody });
+        const text = await res.text();
+
+        try {
+            return { status: res.status, body: JSON.parse(text) };
+        } catch {
+            return { status: res.status, body: text };
+        }
+    }
+}
+
+let simulator = null;
+
+/**
+ * Simulator bersama 1 proses — dipakai PaylabsClient mode MOCK dan oleh test
+ */
+export const getPaylabsSimulator = () => {
+    if (!simulator) simulator = new PaylabsSimulator({ mid: process.env.MID || "MOCK" });
+    return simulator;
+};
+
+export default PaylabsSimulator;
@@ -0,0 +1,29 @@
+/**
+ * Jalankan worker untuk setiap item dengan maksimal `limit` promise berjalan bersamaan.
+ * Tidak pernah reject — setiap hasil dikembalikan dalam format mirip Promise.allSettled
+ * sehingga satu item gagal tidak menghentikan item lainnya.
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    const poolSize = Math.max(1, Math.min(limit || 1, items.length));
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                const value = await worker(items[index], index);
+                results[index] = { item: items[index], status: "fulfilled", value };
+            } catch (reason) {
+                results[index] = { item: items[index], status: "rejected", reason };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: poolSize }, runNext));
+    return results;
+};
+
+export default {
+    mapWithConcurrency,
+};
@@ -0,0 +1,51 @@
+/**
+ * Parser CSV sederhana (RFC 4180): koma sebagai pemisah, field boleh dikutip ("..."),
+ * "" di dalam kutip = tanda kutip, baris CRLF / LF. BOM di awal file diabaikan, baris kosong dilewati.
+ * Return array baris, setiap baris array string.
+ */
+export const parseCsv = (text) => {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+        row = [];
+        field = "";
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n") {
+            endRow();
+        } else if (char !== "\r") {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) endRow();
+
+    return rows;
+};
+
+export default parseCsv;
@@ -0,0 +1,16 @@
+/**
+ * Cursor pagination opaque: object → base64url(JSON). Client cukup mengirim balik nilai nextCursor.
+ */
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+// Return null jika cursor rusak / bukan buatan encodeCursor
+export const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        return payload && typeof payload === "object" && !Array.isArray(payload) ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+export default { encodeCursor, decodeCursor };
@@ -0,0 +1,11 @@
+import crypto from "crypto";
+
+/**
+ * Token sekali pakai untuk link email: token asli dikirim ke user, DB hanya menyimpan hash-nya
+ */
+export const hashEmailToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export const createEmailToken = () => {
+    const token = crypto.randomBytes(32).toString("hex");
+    return { token, hash: hashEmailToken(token) };
+};
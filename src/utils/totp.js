@@ -0,0 +1,95 @@
+import crypto from "crypto";
+
+/* =====================================================
+   TOTP (RFC 6238) — SHA1, 6 digit, periode 30 detik.
+   Kompatibel dengan Google Authenticator, Authy, 1Password, dll.
+===================================================== */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+export const base32Decode = (input) => {
+    const clean = String(input).replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character");
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Secret baru (160 bit, base32)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * Kode TOTP untuk 1 time step
+ */
+export const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Cek kode dengan toleransi ±window step (clock drift).
+ * Return time step yang cocok (untuk cegah replay), atau null.
+ */
+export const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+    if (!/^\d{6}$/.test(String(code))) return null;
+
+    const step = currentStep(now);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = Buffer.from(generateCode(secret, step + offset));
+        if (crypto.timingSafeEqual(candidate, Buffer.from(String(code)))) {
+            return step + offset;
+        }
+    }
+    return null;
+};
+
+/**
+ * URI otpauth:// untuk di-render sebagai QR code oleh client
+ */
+export const provisioningUri = (secret, accountName, issuer = "PayBaba") => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(PERIOD_SECONDS) });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -1,4 +1,11 @@
 import Joi from "joi";
+import { ROLES, BANK_ROLES, API_KEY_SCOPES, INVITABLE_MEMBER_ROLES } from "../config/roles.js";
+import { CONSENT_SCOPE_LEVELS } from "../config/consent.js";
+import { KYC_STATUSES } from "../config/kyc.js";
+import { FEE_PAYMENT_METHODS, REVENUE_BASES } from "../config/fees.js";
+import { SETTLEMENT_LINE_STATUSES } from "../config/settlement.js";
+import { TRANSACTION_STATUSES, TRANSACTION_REFUND_STATUSES, TRANSACTION_PAYMENT_METHODS, TRANSACTION_SORT_OPTIONS, TRANSACTION_DEFAULT_SORT } from "../config/transactions.js";
+import { VIRTUAL_ACCOUNT_BANK_CODES, EWALLET_CODES, PUSH_EWALLET_CODES, REDIRECT_EWALLET_CODES } from "../config/paymentChannels.js";
 
 export const registerSchema = Joi.object({
     email: Joi.string().email().required().messages({
@@ -39,6 +46,82 @@ export const resetPasswordSchema = Joi.object({
     email: Joi.string().email().required(),
 });
 
+export const verifyEmailSchema = Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+        "string.hex": "Token verifikasi tidak valid",
+        "string.length": "Token verifikasi tidak valid",
+    }),
+});
+
+export const unlockAccountSchema = Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+        "string.hex": "Token unlock tidak valid",
+        "string.length": "Token unlock tidak valid",
+    }),
+});
+
+/**
+ * Terima undangan staf merchant. password/fullName/phoneNumber wajib jika email belum punya akun.
+ */
+export const acceptInviteSchema = Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+        "string.hex": "Token undangan tidak valid",
+        "string.length": "Token undangan tidak valid",
+    }),
+    password: Joi.string().min(8).messages({
+        "string.min": "Password minimal 8 karakter",
+    }),
+    fullName: Joi.string().max(100),
+    phoneNumber: Joi.string()
+        .pattern(/^(\+62|0)[0-9]{9,12}$/)
+        .messages({
+            "string.pattern.base": "Nomor telepon harus valid (Indonesia)",
+        }),
+}).and("password", "fullName", "phoneNumber");
+
+/* ===== Two-factor authentication ===== */
+
+const totpCode = Joi.string()
+    .pattern(/^\d{6}$/)
+    .messages({
+        "string.pattern.base": "Kode 2FA harus 6 digit angka",
+    });
+
+export const twoFactorLoginSchema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: totpCode,
+    recoveryCode: Joi.string().max(20),
+})
+    .xor("code", "recoveryCode")
+    .messages({
+        "object.missing": "Kirim code (TOTP) atau recoveryCode",
+        "object.xor": "Kirim salah satu: code atau recoveryCode",
+    });
+
+// challengeToken hanya untuk enrollment wajib saat login (tanpa Bearer token)
+export const twoFactorSetupSchema = Joi.object({
+    challengeToken: Joi.string(),
+});
+
+export const twoFactorEnableSchema = Joi.object({
+    challengeToken: Joi.string(),
+    code: totpCode.required(),
+});
+
+export const twoFactorCodeSchema = Joi.object({
+    code: totpCode.required(),
+});
+
+export const twoFactorDisableSchema = Joi.object({
+    code: totpCode,
+    recoveryCode: Joi.string().max(20),
+})
+    .xor("code", "recoveryCode")
+    .messages({
+        "object.missing": "Kirim code (TOTP) atau recoveryCode",
+        "object.xor": "Kirim salah satu: code atau recoveryCode",
+    });
+
 export const setNewPasswordSchema = Joi.object({
     newPassword: Joi.string().min(8).required(),
     confirmPassword: Joi.string().valid(Joi.ref("newPassword")).required().messages({
@@ -47,12 +130,57 @@ export const setNewPasswordSchema = Joi.object({
 });
 
 export const createTransactionSchema = Joi.object({
-    type: Joi.string().valid("QRIS", "CASH").required().messages({
-        "any.only": "Tipe transaksi hanya QRIS atau CASH",
+    type: Joi.string().valid("QRIS", "VA", "EWALLET", "CASH").required().messages({
+        "any.only": "Tipe transaksi hanya QRIS, VA, EWALLET atau CASH",
     }),
     amount: Joi.number().positive().required(),
+    // Virtual Account: bank penerbit VA wajib dipilih
+    bank: Joi.string()
+        .uppercase()
+        .valid(...VIRTUAL_ACCOUNT_BANK_CODES)
+        .when("type", { is: "VA", then: Joi.required(), otherwise: Joi.forbidden() })
+        .messages({
+            "any.only": `Bank VA harus salah satu dari: ${VIRTUAL_ACCOUNT_BANK_CODES.join(", ")}`,
+            "any.required": "Bank wajib dipilih untuk transaksi VA",
+            "any.unknown": "Bank hanya untuk transaksi VA",
+        }),
+    // Nama pembayar yang tampil di aplikasi bank (VA)
+    customerName: Joi.string()
+        .trim()
+        .max(100)
+        .when("type", { is: "VA", otherwise: Joi.forbidden() })
+        .messages({
+            "any.unknown": "customerName hanya untuk transaksi VA",
+        }),
+    // E-wallet: OVO ditagih ke nomor HP (push), DANA / SHOPEEPAY / LINKAJA lewat redirect / deeplink
+    wallet: Joi.string()
+        .uppercase()
+        .valid(...EWALLET_CODES)
+        .when("type", { is: "EWALLET", then: Joi.required(), otherwise: Joi.forbidden() })
+        .messages({
+            "any.only": `Wallet harus salah satu dari: ${EWALLET_CODES.join(", ")}`,
+            "any.required": "Wallet wajib dipilih untuk transaksi EWALLET",
+            "any.unknown": "Wallet hanya untuk transaksi EWALLET",
+        }),
+    phoneNumber: Joi.string()
+        .pattern(/^(\+62|0)[0-9]{9,12}$/)
+        .when("wallet", { is: Joi.valid(...PUSH_EWALLET_CODES).required(), then: Joi.required(), otherwise: Joi.forbidden() })
+        .messages({
+            "string.pattern.base": "Nomor telepon harus valid (Indonesia)",
+            "any.required": `Nomor HP pembayar wajib diisi untuk ${PUSH_EWALLET_CODES.join(", ")}`,
+            "any.unknown": `phoneNumber hanya untuk e-wallet ${PUSH_EWALLET_CODES.join(", ")}`,
+        }),
+    // Halaman tujuan setelah pembayar selesai di aplikasi wallet (default: halaman transaksi di FE)
+    redirectUrl: Joi.string()
+        .uri({ scheme: ["http", "https"] })
+        .when("wallet", { is: Joi.valid(...REDIRECT_EWALLET_CODES).required(), otherwise: Joi.forbidden() })
+        .messages({
+            "any.unknown": "redirectUrl hanya untuk e-wallet dengan redirect / deeplink",
+        }),
     description: Joi.string().max(200),
     productName: Joi.string().required(),
+    // Opsional: outlet tempat transaksi terjadi (harus milik merchant & aktif)
+    outletId: Joi.string().guid(),
 
     // Ubah bagian ini:
     productInfo: Joi.array()
@@ -70,9 +198,344 @@ export const createTransactionSchema = Joi.object({
         .optional(), // Boleh optional jika tidak wajib
 });
 
-export const validateRequest = (schema) => {
+// Tanpa amount = refund penuh (sisa yang belum direfund)
+export const refundTransactionSchema = Joi.object({
+    amount: Joi.number().positive().precision(2),
+    reason: Joi.string().trim().min(3).max(200).required().messages({
+        "any.required": "Alasan refund wajib diisi",
+    }),
+});
+
+// Tanggal saja (YYYY-MM-DD) = satu hari penuh WIB; selain itu timestamp ISO 8601
+const transactionDateBound = Joi.alternatives().try(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/), Joi.date().iso());
+
+// Filter multi-nilai: ?status=Success atau ?status=Success&status=Refunded
+const multiValue = (values) => Joi.array().items(Joi.string().valid(...values)).single();
+
+export const transactionListQuerySchema = Joi.object({
+    // page (offset) atau cursor (nextCursor dari response sebelumnya), tidak keduanya
+    page: Joi.number().integer().min(1),
+    cursor: Joi.string().max(500),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sort: Joi.string()
+        .valid(...TRANSACTION_SORT_OPTIONS)
+        .default(TRANSACTION_DEFAULT_SORT)
+        .messages({
+            "any.only": `Sort harus salah satu dari: ${TRANSACTION_SORT_OPTIONS.join(", ")}`,
+        }),
+    outletId: Joi.string().guid(),
+    from: transactionDateBound,
+    to: transactionDateBound,
+    status: multiValue(TRANSACTION_STATUSES),
+    paymentMethod: multiValue(TRANSACTION_PAYMENT_METHODS),
+    paymentChannel: Joi.array().items(Joi.string().trim().uppercase().max(50)).single(),
+    refundStatus: multiValue(TRANSACTION_REFUND_STATUSES),
+    minAmount: Joi.number().min(0),
+    maxAmount: Joi.number().min(Joi.ref("minAmount")).messages({
+        "number.min": "maxAmount tidak boleh lebih kecil dari minAmount",
+    }),
+    // Cari di metadata.productInfo: nama produk atau SKU (id), tidak case-sensitive
+    product: Joi.string().trim().min(1).max(100),
+})
+    .oxor("page", "cursor")
+    .messages({
+        "object.oxor": "Gunakan page atau cursor, tidak keduanya",
+    });
+
+/* ===== Merchant business profile ===== */
+
+// NPWP: 15 digit (format lama 99.999.999.9-999.999) atau 16 digit (NIK / NPWP baru). Disimpan tanpa tanda baca.
+const npwp = Joi.string()
+    .trim()
+    .pattern(/^(\d{2}\.\d{3}\.\d{3}\.\d-\d{3}\.\d{3}|\d{15}|\d{16})$/)
+    .custom((value) => value.replace(/\D/g, ""))
+    .messages({
+        "string.pattern.base": "NPWP harus 15 digit (99.999.999.9-999.999) atau 16 digit",
+    });
+
+// NIB (OSS): 13 digit. SIUP lama: nomor surat yang memuat "SIUP", mis. 503/123/SIUP-K/2019
+const businessLicenseNumber = Joi.string()
+    .trim()
+    .uppercase()
+    .max(50)
+    .pattern(/^(\d{13}|(?=.*\/)[0-9A-Z./-]*SIUP[0-9A-Z./-]*)$/)
+    .messages({
+        "string.pattern.base": "Nomor izin usaha harus NIB 13 digit atau nomor SIUP (mis. 503/123/SIUP-K/2019)",
+    });
+
+export const updateBusinessProfileSchema = Joi.object({
+    businessCategory: Joi.string().trim().max(50),
+    subCategory: Joi.string().trim().max(50).allow(null),
+    businessScale: Joi.string().valid("Micro", "Small", "Medium", "Large").messages({
+        "any.only": "Skala usaha harus salah satu dari: Micro, Small, Medium, Large",
+    }),
+    // Perubahan skala usaha mempengaruhi penilaian bank → wajib disertai alasan
+    scaleChangeReason: Joi.string()
+        .trim()
+        .min(20)
+        .max(500)
+        .when("businessScale", {
+            is: Joi.exist(),
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+        })
+        .messages({
+            "any.required": "Alasan perubahan skala usaha wajib diisi",
+            "string.min": "Alasan perubahan skala usaha minimal 20 karakter",
+            "any.unknown": "scaleChangeReason hanya untuk perubahan businessScale",
+        }),
+    taxId: npwp,
+    businessLicenseNumber,
+})
+    .min(1)
+    .messages({
+        "object.min": "Minimal 1 field harus diubah",
+    });
+
+export const profileHistoryQuerySchema = Joi.object({
+    identityOnly: Joi.boolean().default(false),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+});
+
+/* ===== Outlet ===== */
+
+export const createOutletSchema = Joi.object({
+    name: Joi.string().max(100).required().messages({
+        "any.required": "Nama outlet wajib diisi",
+    }),
+    address: Joi.string().max(255),
+    city: Joi.string().max(100),
+});
+
+export const updateOutletSchema = Joi.object({
+    name: Joi.string().max(100),
+    address: Joi.string().max(255).allow(null),
+    city: Joi.string().max(100).allow(null),
+    status: Joi.string().valid("Active", "Inactive").messages({
+        "any.only": "Status harus Active atau Inactive",
+    }),
+})
+    .min(1)
+    .messages({
+        "object.min": "Minimal 1 field harus diubah",
+    });
+
+export const outletFilterQuerySchema = Joi.object({
+    outletId: Joi.string().guid(),
+});
+
+/* ===== Revenue basis & MDR fee schedule ===== */
+
+const revenueBasis = Joi.string()
+    .valid(...Object.values(REVENUE_BASES))
+    .messages({
+        "any.only": "revenueBasis harus gross atau net",
+    });
+
+export const dashboardQuerySchema = outletFilterQuerySchema.keys({
+    revenueBasis: revenueBasis.default(REVENUE_BASES.GROSS),
+});
+
+// Tanpa revenueBasis → default CREDIT_SCORE_REVENUE_BASIS
+export const recalculateQuerySchema = Joi.object({
+    revenueBasis,
+});
+
+export const createFeeScheduleSchema = Joi.object({
+    merchantId: Joi.string().max(50),
+    paymentMethod: Joi.string()
+        .valid(...FEE_PAYMENT_METHODS)
+        .required()
+        .messages({
+            "any.only": `paymentMethod harus salah satu dari: ${FEE_PAYMENT_METHODS.join(", ")}`,
+            "any.required": "paymentMethod wajib diisi",
+        }),
+    paymentChannel: Joi.string().uppercase().max(50),
+    percentageFee: Joi.number().min(0).max(100).precision(4).default(0),
+    fixedFee: Joi.number().min(0).precision(2).default(0),
+    effectiveFrom: Joi.date().iso().required().messages({
+        "any.required": "effectiveFrom wajib diisi",
+    }),
+    effectiveTo: Joi.date().iso().min(Joi.ref("effectiveFrom")).messages({
+        "date.min": "effectiveTo tidak boleh sebelum effectiveFrom",
+    }),
+    description: Joi.string().trim().max(255),
+});
+
+export const feeScheduleQuerySchema = Joi.object({
+    merchantId: Joi.string().max(50),
+    paymentMethod: Joi.string().valid(...FEE_PAYMENT_METHODS),
+});
+
+/* ===== Settlement reconciliation ===== */
+
+export const settlementUploadQuerySchema = Joi.object({
+    fileName: Joi.string().trim().max(255),
+});
+
+export const settlementReportQuerySchema = Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+});
+
+export const settlementLineQuerySchema = Joi.object({
+    status: Joi.string().valid(...Object.values(SETTLEMENT_LINE_STATUSES)),
+});
+
+export const settlementReviewQueueQuerySchema = Joi.object({
+    status: Joi.string().valid(...Object.values(SETTLEMENT_LINE_STATUSES).filter((status) => status !== SETTLEMENT_LINE_STATUSES.MATCHED)),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+});
+
+export const settlementReviewSchema = Joi.object({
+    action: Joi.string().valid("accept", "dismiss").required().messages({
+        "any.only": "action harus accept atau dismiss",
+        "any.required": "action wajib diisi",
+    }),
+    // Untuk baris Unmatched: transaksi yang sebenarnya disettle
+    transactionId: Joi.string().trim().max(100),
+    note: Joi.string().trim().max(1000),
+});
+
+/* ===== KYC ===== */
+
+export const kycReviewSchema = Joi.object({
+    status: Joi.string().valid(KYC_STATUSES.VERIFIED, KYC_STATUSES.REJECTED).required().messages({
+        "any.only": "Status harus Verified atau Rejected",
+        "any.required": "Status wajib diisi",
+    }),
+    // Alasan penolakan dikirim ke merchant
+    reason: Joi.string()
+        .trim()
+        .max(500)
+        .when("status", {
+            is: KYC_STATUSES.REJECTED,
+            then: Joi.required(),
+            otherwise: Joi.forbidden(),
+        })
+        .messages({
+            "any.required": "Alasan penolakan wajib diisi",
+            "any.unknown": "Alasan hanya untuk status Rejected",
+        }),
+});
+
+export const kycQueueQuerySchema = Joi.object({
+    status: Joi.string()
+        .valid(...Object.values(KYC_STATUSES))
+        .default(KYC_STATUSES.SUBMITTED),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+});
+
+export const webhookEventQuerySchema = Joi.object({
+    status: Joi.string().valid("Received", "Processed", "Failed", "Duplicate", "InvalidSignature").default("Failed"),
+    merchantTradeNo: Joi.string().max(100),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+});
+
+export const alertActionSchema = Joi.object({
+    note: Joi.string().trim().max(1000).optional(),
+});
+
+export const alertNoteSchema = Joi.object({
+    note: Joi.string().trim().max(1000).required().messages({
+        "any.required": "Catatan wajib diisi",
+    }),
+});
+
+export const updateUserRoleSchema = Joi.object({
+    role: Joi.string()
+        .valid(...Object.values(ROLES))
+        .required()
+        .messages({
+            "any.only": `Role harus salah satu dari: ${Object.values(ROLES).join(", ")}`,
+        }),
+    // Wajib untuk role bank; diabaikan (dikosongkan) untuk role lain
+    bankId: Joi.string().max(20).when("role", {
+        is: Joi.valid(...BANK_ROLES),
+        then: Joi.required(),
+        otherwise: Joi.strip(),
+    }),
+});
+
+export const updateUserStatusSchema = Joi.object({
+    status: Joi.string().valid("Active", "Inactive", "Suspended").required().messages({
+        "any.only": "Status harus salah satu dari: Active, Inactive, Suspended",
+    }),
+});
+
+export const createBankSchema = Joi.object({
+    bankId: Joi.string()
+        .pattern(/^[A-Z0-9_]{2,20}$/)
+        .required()
+        .messages({
+            "string.pattern.base": "bankId hanya huruf kapital, angka, atau underscore (2-20 karakter)",
+        }),
+    name: Joi.string().max(100).required(),
+});
+
+export const createApiKeySchema = Joi.object({
+    name: Joi.string().max(100).required(),
+    scopes: Joi.array()
+        .items(Joi.string().valid(...Object.values(API_KEY_SCOPES)))
+        .min(1)
+        .unique()
+        .messages({
+            "any.only": `Scope harus salah satu dari: ${Object.values(API_KEY_SCOPES).join(", ")}`,
+        }),
+    expiresAt: Joi.date().iso().greater("now"),
+});
+
+export const grantConsentSchema = Joi.object({
+    bankId: Joi.string().max(20).required(),
+    scope: Joi.string()
+        .valid(...CONSENT_SCOPE_LEVELS)
+        .required()
+        .messages({
+            "any.only": `Scope harus salah satu dari: ${CONSENT_SCOPE_LEVELS.join(", ")}`,
+        }),
+    expiresAt: Joi.date().iso().greater("now").required(),
+});
+
+export const inviteMemberSchema = Joi.object({
+    email: Joi.string().email().required().messages({
+        "string.email": "Email harus valid",
+        "any.required": "Email wajib diisi",
+    }),
+    role: Joi.string()
+        .valid(...INVITABLE_MEMBER_ROLES)
+        .required()
+        .messages({
+            "any.only": `Role harus salah satu dari: ${INVITABLE_MEMBER_ROLES.join(", ")}`,
+        }),
+});
+
+export const auditLogQuerySchema = Joi.object({
+    actorId: Joi.string().guid(),
+    bankId: Joi.string().max(20),
+    merchantId: Joi.string().max(50),
+    action: Joi.string().max(60),
+    category: Joi.string().valid("auth", "read", "write"),
+    outcome: Joi.string().valid("success", "denied", "failure"),
+    requestId: Joi.string().max(64),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+});
+
+export const dataAccessQuerySchema = Joi.object({
+    bankId: Joi.string().max(20),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    offset: Joi.number().integer().min(0).default(0),
+});
+
+const validateSource = (schema, source, target) => {
     return (req, res, next) => {
-        const { error, value } = schema.validate(req.body, {
+        const { error, value } = schema.validate(req[source], {
             abortEarly: false,
             stripUnknown: true,
         });
@@ -89,7 +552,12 @@ export const validateRequest = (schema) => {
             });
         }
 
-        req.validatedData = value;
+        req[target] = value;
         next();
     };
 };
+
+export const validateRequest = (schema) => validateSource(schema, "body", "validatedData");
+
+// Query string → req.validatedQuery (angka & tanggal sudah dikonversi Joi)
+export const validateQuery = (schema) => validateSource(schema, "query", "validatedQuery");